@@ -79,3 +79,14 @@ self.addEventListener('fetch', (event) => {
       })
   );
 });
+
+// Background Sync : au retour de la connexion, demander aux pages ouvertes d'envoyer
+// les journées en attente (la page détient la session admin nécessaire à l'écriture)
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'hyene-matchdays') return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: 'FLUSH_MATCHDAYS' }));
+    })
+  );
+});
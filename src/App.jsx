@@ -1,5 +1,8 @@
 import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
-import { fetchAppData, importFromJSON, signIn, signOut, getSession, onAuthStateChange, checkIsAdmin, saveManager, saveMatches, deleteManager, updateManagerName, saveSeason, savePenalty, deletePenalty, updateSeasonExempt, saveChampion, updatePantheon } from './lib/supabase';
+import { HYENES_KEY, fetchAppData, importFromJSON, signIn, signOut, getSession, onAuthStateChange, checkIsAdmin, saveManager, saveMatches, deleteManager, updateManagerName, saveSeason, savePenalty, deletePenalty, updateSeasonExempt, saveChampion, saveChampionOverride, updatePantheon, saveSeasonTiebreakers, saveSeasonRankMode, saveSeasonPointsSystem, saveSeasonFormat, saveSeasonAggregation, saveSeasonZones, saveSeasonBracket, saveChampionship } from './lib/supabase';
+import { DEFAULT_POINTS_SYSTEM, getMatchPoints, getMaxMatchPoints } from './lib/points';
+import { groupByTiebreakers } from './lib/tiebreakers';
+import { enqueueMatchday, listQueue, flushQueue, discardFailed, requestBackgroundSync, getQueueKey } from './lib/syncQueue';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Cell, Legend } from 'recharts';
 
 // === CONSTANTES DE CONFIGURATION ===
@@ -9,35 +12,57 @@ const MAX_MANAGER_NAME_LENGTH = 50;
 const MANAGER_NAME_PATTERN = /^[\p{L}\p{N}\s\-'.]+$/u; // Lettres, chiffres, espaces, tirets, apostrophes, points
 const INACTIVITY_TIMEOUT_MS = 15 * 60 * 1000; // 15 minutes
 const AUTOSAVE_DEBOUNCE_MS = 800;
+const MATCH_HISTORY_LIMIT = 50; // Annulations possibles sur la page Matchs
 const AUTO_REFRESH_INTERVAL_MS = 30 * 1000; // 30 secondes
 const SUPABASE_PAGE_SIZE = 1000;
 const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
-const HYENES_MATCHDAYS = 72;
 const STANDARD_MATCHDAYS = 18;
-const HYENES_S6_MATCHDAYS = 64;
-const FRANCE_S6_MATCHDAYS = 10;
 const MATCHES_PER_MATCHDAY = 5;
 
-// Constantes extraites au niveau module (évite les recréations à chaque render)
-const CHAMPIONSHIPS = [
-  { id: 'hyenes', icon: '🏆', name: 'Ligue des Hyènes' },
-  { id: 'france', icon: '🇫🇷', name: 'France' },
-  { id: 'spain', icon: '🇪🇸', name: 'Espagne' },
-  { id: 'italy', icon: '🇮🇹', name: 'Italie' },
-  { id: 'england', icon: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', name: 'Angleterre' }
+// Compétitions par défaut (table championships vide ou absente).
+// id : identifiant UI (clés de pénalités) ; key : clé des données (matchs, saisons, palmarès).
+// feedsHyenes : le championnat compte pour la Ligue des Hyènes ; active = false : compétition retirée
+// (historique conservé, plus de saisie ni de nouvelle saison).
+// parentKey / division : division inférieure d'un championnat (absents = championnat de première division).
+// type : 'league' (journées, par défaut) ou 'cup' (élimination directe, voir COUPES).
+const DEFAULT_CHAMPIONSHIPS = [
+  { id: 'hyenes', key: HYENES_KEY, icon: '🏆', name: 'Ligue des Hyènes', order: 0, feedsHyenes: false, active: true },
+  { id: 'france', key: 'france', icon: '🇫🇷', name: 'France', order: 1, feedsHyenes: true, active: true },
+  { id: 'spain', key: 'espagne', icon: '🇪🇸', name: 'Espagne', order: 2, feedsHyenes: true, active: true },
+  { id: 'italy', key: 'italie', icon: '🇮🇹', name: 'Italie', order: 3, feedsHyenes: true, active: true },
+  { id: 'england', key: 'angleterre', icon: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', name: 'Angleterre', order: 4, feedsHyenes: true, active: true }
 ];
 
-const CHAMPIONSHIP_MAPPING = {
-  'hyenes': 'ligue_hyenes',
-  'france': 'france',
-  'spain': 'espagne',
-  'italy': 'italie',
-  'england': 'angleterre'
-};
+// Registre des compétitions, construit à partir de appData.championships et passé explicitement
+// aux fonctions qui en ont besoin : { list (triée par ordre), mapping (id -> key),
+// reverseMapping (key -> id), euro (clés des championnats de la Ligue des Hyènes), icons (par id et par key) }.
+// Mémorisé par liste source : un même appData.championships donne toujours le même registre.
+const registryCache = new WeakMap();
+
+function getChampionshipRegistry(championshipList) {
+  const source = championshipList?.length > 0 ? championshipList : DEFAULT_CHAMPIONSHIPS;
+  if (registryCache.has(source)) return registryCache.get(source);
+  const list = [...source].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const registry = {
+    list,
+    mapping: Object.fromEntries(list.map(c => [c.id, c.key])),
+    reverseMapping: Object.fromEntries(list.map(c => [c.key, c.id])),
+    euro: list.filter(c => c.feedsHyenes && c.key !== HYENES_KEY && c.type !== 'cup').map(c => c.key),
+    icons: Object.fromEntries(list.flatMap(c => [[c.id, c.icon], [c.key, c.icon]]))
+  };
+  registryCache.set(source, registry);
+  return registry;
+}
+
+// Championnats joués par journées (ni la Ligue des Hyènes, qui n'a pas de matchs propres, ni les coupes)
+function getLeagueKeys(registry) {
+  return registry.list.filter(c => c.key !== HYENES_KEY && c.type !== 'cup').map(c => c.key);
+}
 
-const REVERSE_CHAMPIONSHIP_MAPPING = Object.fromEntries(
-  Object.entries(CHAMPIONSHIP_MAPPING).map(([k, v]) => [v, k])
-);
+// Colonne du Panthéon d'une compétition ("trophies" pour la Ligue des Hyènes, sinon son id)
+function getPantheonField(championshipKey, registry) {
+  return championshipKey === HYENES_KEY ? 'trophies' : (registry.reverseMapping[championshipKey] || null);
+}
 
 // === CONSTANTES STATS ===
 const STATS_CATEGORIES = [
@@ -46,7 +71,10 @@ const STATS_CATEGORIES = [
   { id: 'h2h', icon: '⚔️', label: 'H2H' },
   { id: 'trends', icon: '📉', label: 'Évolution' },
   { id: 'homeaway', icon: '🏟️', label: 'Dom/Ext' },
-  { id: 'scoring', icon: '⚽', label: 'Buts' }
+  { id: 'scoring', icon: '⚽', label: 'Buts' },
+  { id: 'clubs', icon: '🛡️', label: 'Clubs' },
+  { id: 'scorers', icon: '👟', label: 'Buteurs' },
+  { id: 'predictions', icon: '🔮', label: 'Pronostics' }
 ];
 
 const MANAGER_COLORS = [
@@ -55,41 +83,243 @@ const MANAGER_COLORS = [
   '#f0abfc'
 ];
 
-const EURO_CHAMPIONSHIPS = ['france', 'espagne', 'italie', 'angleterre'];
+// Critères de départage disponibles (appliqués après les points effectifs)
+const TIEBREAKER_RULES = [
+  { id: 'diff', label: 'Différence de buts' },
+  { id: 'bp', label: 'Buts marqués' },
+  { id: 'h2h_pts', label: 'Points (confrontations directes)' },
+  { id: 'h2h_diff', label: 'Diff. de buts (confrontations directes)' },
+  { id: 'wins', label: 'Nombre de victoires' },
+  { id: 'away_goals', label: 'Buts marqués à l\'extérieur' },
+  { id: 'lots', label: 'Tirage au sort' }
+];
+
+// Chaîne historique : points effectifs, différence de buts, buts marqués
+const DEFAULT_TIEBREAKERS = ['diff', 'bp'];
 
-// Icône de championnat pour les stats
-const CHAMP_ICON = { hyenes: '🏆', france: '🇫🇷', spain: '🇪🇸', italy: '🇮🇹', england: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', espagne: '🇪🇸', italie: '🇮🇹', angleterre: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', ligue_hyenes: '🏆' };
+// Modes d'attribution des rangs pour les équipes à égalité (que la chaîne de départage ne sépare pas)
+const RANK_MODES = [
+  { id: 'standard', label: 'Standard', example: '1, 2, 3…' },
+  { id: 'shared', label: 'Rang partagé', example: '1, 1, 3…' },
+  { id: 'duo', label: 'Binômes', example: '1, 1, 2…' }
+];
+
+// Format par défaut d'une saison de championnat (saisons sans format enregistré).
+// managers vide = tous les managers participent. Le nombre de matchs par journée déduit de l'effectif
+// n'est proposé qu'à l'édition du format, puis enregistré : une saison déjà jouée garde le sien.
+const DEFAULT_SEASON_FORMAT = { matchdays: STANDARD_MATCHDAYS, gamesPerMatchday: MATCHES_PER_MATCHDAY, managers: [] };
+
+// Agrégation de la Ligue des Hyènes (par saison) : chaque championnat européen donne un score
+// (ses points, ou des points selon la place) multiplié par son coefficient ; seuls les bestN
+// meilleurs scores comptent (null = les 4). Le réglage par défaut est la somme simple des points.
+const HYENES_AGGREGATION_BASES = [
+  { id: 'points', label: 'Points', description: 'Points marqués dans chaque championnat' },
+  { id: 'position', label: 'Places', description: 'Points attribués selon la place dans chaque championnat' }
+];
+const DEFAULT_POSITION_POINTS = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+const DEFAULT_HYENES_AGGREGATION = {
+  basis: 'points',
+  coefficients: {}, // coefficient absent = 1
+  bestN: null,
+  positionPoints: DEFAULT_POSITION_POINTS
+};
 
-const DEFAULT_MATCHES = [
-  { id: 1, homeTeam: '', awayTeam: '', homeScore: null, awayScore: null },
-  { id: 2, homeTeam: '', awayTeam: '', homeScore: null, awayScore: null },
-  { id: 3, homeTeam: '', awayTeam: '', homeScore: null, awayScore: null },
-  { id: 4, homeTeam: '', awayTeam: '', homeScore: null, awayScore: null },
-  { id: 5, homeTeam: '', awayTeam: '', homeScore: null, awayScore: null }
+// Zones de fin de saison par défaut : ni montée ni descente
+const DEFAULT_SEASON_ZONES = { promotion: 0, relegation: 0 };
+
+// Statut d'un match : à jouer et joué se déduisent des scores ; reporté, forfait et annulé sont posés
+// par l'admin. Un forfait est un match gagné sur tapis vert (score attribué FORFEIT_SCORE-0) :
+// il compte au classement mais pas dans les statistiques de jeu. Un match annulé sort du total
+// attendu de sa journée ; un match reporté reste à jouer.
+const MATCH_STATUSES = [
+  { id: 'scheduled', label: 'À jouer', icon: '' },
+  { id: 'played', label: 'Joué', icon: '' },
+  { id: 'postponed', label: 'Reporté', icon: '⏸' },
+  { id: 'forfeited', label: 'Forfait', icon: '🟩' },
+  { id: 'cancelled', label: 'Annulé', icon: '✕' }
 ];
+const MANUAL_MATCH_STATUSES = ['postponed', 'forfeited', 'cancelled'];
+const FORFEIT_SCORE = 3;
+
+// Événements d'un match (buteurs) : { type, side, player, assist, minute }
+// side = camp crédité du but ; un CSC est marqué par un joueur du camp adverse
+const MATCH_EVENT_TYPES = [
+  { id: 'goal', label: 'But', icon: '⚽' },
+  { id: 'own_goal', label: 'CSC', icon: '🙈' }
+];
+const HAT_TRICK_GOALS = 3;
+
+// Crée une journée vierge de `count` matchs
+function createEmptyMatches(count) {
+  return Array.from({ length: count }, (_, i) => ({ id: i + 1, homeTeam: '', awayTeam: '', homeScore: null, awayScore: null }));
+}
 
-// Normalise un objet match brut vers un format uniforme
+// Normalise un objet match brut vers un format uniforme (scores ignorés si reporté ou annulé)
 function normalizeMatch(match) {
+  const homeScore = match.homeScore !== undefined ? match.homeScore :
+                    (match.hs !== undefined ? match.hs :
+                    (match.scoreHome !== undefined ? match.scoreHome : null));
+  const awayScore = match.awayScore !== undefined ? match.awayScore :
+                    (match.as !== undefined ? match.as :
+                    (match.scoreAway !== undefined ? match.scoreAway : null));
+  const status = getMatchStatus({ status: match.status, homeScore, awayScore });
+  const isVoid = status === 'postponed' || status === 'cancelled';
   return {
     homeTeam: match.homeTeam || match.home || match.h || match.equipe1 || '',
     awayTeam: match.awayTeam || match.away || match.a || match.equipe2 || '',
-    homeScore: match.homeScore !== undefined ? match.homeScore :
-               (match.hs !== undefined ? match.hs :
-               (match.scoreHome !== undefined ? match.scoreHome : null)),
-    awayScore: match.awayScore !== undefined ? match.awayScore :
-               (match.as !== undefined ? match.as :
-               (match.scoreAway !== undefined ? match.scoreAway : null))
+    homeScore: isVoid ? null : homeScore,
+    awayScore: isVoid ? null : awayScore,
+    status,
+    playedAt: match.playedAt || null,
+    note: match.note || null,
+    videoUrl: match.videoUrl || null,
+    events: Array.isArray(match.events) ? match.events : [],
+    homeClub: match.homeClub || null,
+    awayClub: match.awayClub || null
+  };
+}
+
+// Match tel qu'enregistré dans un bloc de journée (appData, export JSON, Supabase)
+function serializeGame(match) {
+  return {
+    id: match.id,
+    homeTeam: match.homeTeam || '',
+    awayTeam: match.awayTeam || '',
+    homeScore: match.homeScore,
+    awayScore: match.awayScore,
+    status: getMatchStatus(match),
+    ...(match.playedAt ? { playedAt: match.playedAt } : {}),
+    ...(match.note ? { note: match.note } : {}),
+    ...(match.videoUrl ? { videoUrl: match.videoUrl } : {}),
+    ...(match.events?.length ? { events: match.events } : {}),
+    ...(match.homeClub ? { homeClub: match.homeClub } : {}),
+    ...(match.awayClub ? { awayClub: match.awayClub } : {})
   };
 }
 
+// Lien de replay affichable : http(s) uniquement
+function getSafeVideoUrl(url) {
+  return typeof url === 'string' && /^https?:\/\/\S+$/i.test(url.trim()) ? url.trim() : null;
+}
+
+// Date d'un match ("12 mars 2025, 21:04")
+function formatPlayedAt(playedAt) {
+  const date = new Date(playedAt);
+  return isNaN(date) ? '' : date.toLocaleString('fr-FR', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// Statut d'un match (voir MATCH_STATUSES)
+function getMatchStatus(match) {
+  if (MANUAL_MATCH_STATUSES.includes(match?.status)) return match.status;
+  const hasScore = score => score !== null && score !== undefined && score !== '';
+  return hasScore(match?.homeScore) && hasScore(match?.awayScore) ? 'played' : 'scheduled';
+}
+
+// Score sur tapis vert : le camp forfait perd FORFEIT_SCORE-0
+function getForfeitScore(forfeitedSide) {
+  return forfeitedSide === 'home'
+    ? { homeScore: 0, awayScore: FORFEIT_SCORE }
+    : { homeScore: FORFEIT_SCORE, awayScore: 0 };
+}
+
+// Journée disputée : au moins un match avec un score (un calendrier généré crée des journées à venir),
+// ou tous ses matchs annulés. Une journée de matchs reportés reste à jouer.
+function isMatchdayPlayed(block) {
+  const statuses = (block?.games || []).map(normalizeMatch)
+    .filter(m => m.homeTeam && m.awayTeam)
+    .map(m => m.status);
+  return statuses.some(status => status === 'played' || status === 'forfeited')
+    || (statuses.length > 0 && statuses.every(status => status === 'cancelled'));
+}
+
+/**
+ * Retourne le format d'une saison : nombre de journées, matchs par journée, managers participants.
+ * Sans nombre de matchs enregistré, la saison garde MATCHES_PER_MATCHDAY.
+ * La Ligue des Hyènes n'a pas de format propre : ses journées sont la somme de celles des 4 championnats.
+ * @param {Object} registry - Registre des compétitions (getChampionshipRegistry)
+ * @param {Object} seasons - data.entities.seasons
+ * @param {string} championshipKey - Clé de championnat ("france", "ligue_hyenes", ...)
+ * @param {string|number} season - Numéro de saison
+ * @returns {Object} { matchdays, gamesPerMatchday, managers }
+ */
+function getSeasonFormat(registry, seasons, championshipKey, season) {
+  if (championshipKey === HYENES_KEY) {
+    const euroFormats = registry.euro.map(champ => getSeasonFormat(registry, seasons, champ, season));
+    return {
+      matchdays: euroFormats.reduce((sum, f) => sum + f.matchdays, 0),
+      gamesPerMatchday: Math.max(MATCHES_PER_MATCHDAY, ...euroFormats.map(f => f.gamesPerMatchday)),
+      managers: [...new Set(euroFormats.flatMap(f => f.managers))]
+    };
+  }
+  const entry = seasons?.[`${championshipKey}_s${season}`];
+  const format = { ...DEFAULT_SEASON_FORMAT, ...entry?.format, managers: entry?.format?.managers || [] };
+  if (!Number.isInteger(format.gamesPerMatchday) || format.gamesPerMatchday < 1) {
+    format.gamesPerMatchday = MATCHES_PER_MATCHDAY;
+  }
+  return format;
+}
+
+// Matchs par journée déduits de l'effectif : un match pour deux managers (exempt de saison retiré).
+// Proposé à l'édition du format et enregistré avec lui (voir handleSaveFormat)
+function getAutoGamesPerMatchday(managers, roster = [], exemptTeam = '') {
+  const participants = (managers.length > 0 ? managers : roster).filter(name => name !== exemptTeam);
+  return participants.length >= 2 ? Math.floor(participants.length / 2) : MATCHES_PER_MATCHDAY;
+}
+
+/**
+ * Équipe exemptée de chaque journée d'une saison, comme au contrôle du calendrier (validateSeasonFixtures) :
+ * rotation d'un calendrier généré (format.exemptRotation), sinon exempt de toute la saison (exemptTeam).
+ * @param {Object} seasons - data.entities.seasons
+ * @param {string} seasonKey - Clé "{championnat}_s{N}"
+ * @returns {Object} { seasonExempt: exempt de toute la saison ('' si rotation), exemptOf: (journée) => nom ou '' }
+ */
+function getSeasonExempts(seasons, seasonKey) {
+  const entry = seasons?.[seasonKey];
+  const rotation = Array.isArray(entry?.format?.exemptRotation) ? entry.format.exemptRotation : null;
+  const seasonExempt = rotation ? '' : (entry?.exemptTeam || '');
+  return { seasonExempt, exemptOf: matchday => (rotation ? rotation[matchday - 1] || '' : seasonExempt) };
+}
+
+// Journées du format sans aucun bloc saisi (à jouer)
+function getUnplayedMatchdays(format, blocks) {
+  const saved = new Set(blocks.map(b => Number(b.matchday)));
+  return Array.from({ length: format.matchdays }, (_, i) => i + 1).filter(md => !saved.has(md));
+}
+
+/**
+ * Retourne le barème de points d'une saison (ou le barème par défaut).
+ * @param {Object} seasons - data.entities.seasons
+ * @param {string} seasonKey - Clé "{championnat}_s{N}"
+ * @returns {Object} { win, draw, loss, attackBonus, defenseBonus }
+ */
+function getPointsSystem(seasons, seasonKey) {
+  const system = seasons?.[seasonKey]?.pointsSystem;
+  if (!system) return DEFAULT_POINTS_SYSTEM;
+  return { ...DEFAULT_POINTS_SYSTEM, ...system };
+}
+
+// Barème applicable à un bloc de matchs (chaque championnat garde le sien, y compris dans la Ligue des Hyènes)
+function getBlockPointsSystem(seasons, block) {
+  return getPointsSystem(seasons, `${block?.championship?.toLowerCase()}_s${block?.season}`);
+}
+
+// Résumé lisible d'un barème ("V 3 · N 1 · D 0 · +1 si 4+ buts")
+function formatPointsSystem(system) {
+  const parts = [`V ${system.win}`, `N ${system.draw}`, `D ${system.loss}`];
+  if (system.attackBonus) parts.push(`+${system.attackBonus.points} si ${system.attackBonus.minGoals}+ buts`);
+  if (system.defenseBonus) parts.push(`+${system.defenseBonus.points} si défaite ≤ ${system.defenseBonus.maxMargin}`);
+  return parts.join(' · ');
+}
+
 /**
  * Calcule les statistiques d'un ensemble de matchs pour chaque équipe.
  * Fonction utilitaire partagée pour éviter la duplication du calcul standings.
  * @param {Array} matchBlocks - Blocs de matchs [{games: [...], ...}]
  * @param {string[]} teamList - Liste des noms d'équipes
+ * @param {Object} seasons - data.entities.seasons (barème de points de chaque saison)
  * @returns {Object} teamStats - { teamName: { name, pts, j, g, n, p, bp, bc, diff } }
  */
-function calculateTeamStats(matchBlocks, teamList) {
+function calculateTeamStats(matchBlocks, teamList, seasons = null) {
   const teamStats = {};
   teamList.forEach(team => {
     teamStats[team] = { name: team, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
@@ -97,6 +327,7 @@ function calculateTeamStats(matchBlocks, teamList) {
 
   matchBlocks.forEach(matchBlock => {
     if (!matchBlock.games || !Array.isArray(matchBlock.games)) return;
+    const pointsSystem = getBlockPointsSystem(seasons, matchBlock);
 
     matchBlock.games.forEach(match => {
       const { homeTeam: home, awayTeam: away, homeScore: hs, awayScore: as2 } = normalizeMatch(match);
@@ -117,17 +348,17 @@ function calculateTeamStats(matchBlocks, teamList) {
       teamStats[away].bp += awayScore;
       teamStats[away].bc += homeScore;
 
+      const points = getMatchPoints(homeScore, awayScore, pointsSystem);
+      teamStats[home].pts += points.home;
+      teamStats[away].pts += points.away;
+
       if (homeScore > awayScore) {
-        teamStats[home].pts += 3;
         teamStats[home].g++;
         teamStats[away].p++;
       } else if (homeScore < awayScore) {
-        teamStats[away].pts += 3;
         teamStats[away].g++;
         teamStats[home].p++;
       } else {
-        teamStats[home].pts++;
-        teamStats[away].pts++;
         teamStats[home].n++;
         teamStats[away].n++;
       }
@@ -140,25 +371,130 @@ function calculateTeamStats(matchBlocks, teamList) {
   return teamStats;
 }
 
+// === MOTEUR DE DÉPARTAGE ===
+//
+// Le classement par la chaîne de départage est dans lib/tiebreakers.js (partagé avec la simulation).
+
+/**
+ * Retourne la chaîne de départage d'une saison (ou la chaîne par défaut si aucune n'est enregistrée).
+ * Une chaîne vide est respectée : les égalités de points gardent l'ordre de saisie.
+ * @param {Object} seasons - data.entities.seasons
+ * @param {string} seasonKey - Clé "{championnat}_s{N}"
+ * @returns {string[]} Identifiants de critères (voir TIEBREAKER_RULES)
+ */
+function getTiebreakers(seasons, seasonKey) {
+  const rules = seasons?.[seasonKey]?.tiebreakers;
+  if (!Array.isArray(rules)) return DEFAULT_TIEBREAKERS;
+  return rules.filter(rule => TIEBREAKER_RULES.some(r => r.id === rule));
+}
+
+/**
+ * Retourne les blocs de matchs d'un championnat pour une saison.
+ * La Ligue des Hyènes regroupe les blocs des 4 championnats européens.
+ */
+function getSeasonMatchBlocks(data, championshipKey, season) {
+  const registry = getChampionshipRegistry(data?.championships);
+  const champ = championshipKey?.toLowerCase();
+  return (data?.entities?.matches || []).filter(block =>
+    Number(block.season) === Number(season) && (
+      champ === HYENES_KEY
+        ? registry.euro.includes(block.championship?.toLowerCase())
+        : block.championship?.toLowerCase() === champ
+    )
+  );
+}
+
 /**
- * Trie les équipes par points effectifs (pts - pénalité), diff de buts, puis buts marqués.
+ * Retourne le mode d'attribution des rangs d'une saison (voir RANK_MODES).
+ */
+function getRankMode(seasons, seasonKey) {
+  const mode = seasons?.[seasonKey]?.rankMode;
+  return RANK_MODES.some(m => m.id === mode) ? mode : 'standard';
+}
+
+/**
+ * Calcule le rang affiché de chaque équipe d'un classement déjà trié.
+ * Sont ex-aequo les équipes que la chaîne de départage de la saison ne sépare pas.
+ * - standard : 1, 2, 3…
+ * - shared : les ex-aequo partagent le rang, le suivant saute (1, 1, 3…)
+ * - duo : les ex-aequo forment un binôme, le suivant ne saute pas (1, 1, 2…)
+ * @param {Array} rankedTeams - Équipes triées par rankWithTiebreakers [{ name, effectivePts, diff, ... }]
+ * @param {string} rankMode - Mode d'attribution des rangs (voir RANK_MODES)
+ * @param {Object} options - { tiebreakers, matchBlocks, seed, seasons } du tri (voir rankWithTiebreakers)
+ * @returns {number[]} Rang de chaque équipe (même ordre)
+ */
+function getDisplayRanks(rankedTeams, rankMode = 'standard', { tiebreakers = DEFAULT_TIEBREAKERS, ...options } = {}) {
+  const groupOf = {};
+  if (rankMode !== 'standard') {
+    groupWithTiebreakers(rankedTeams, tiebreakers, options).forEach((group, i) => {
+      group.forEach(team => { groupOf[team.name] = i; });
+    });
+  }
+  const ranks = [];
+  rankedTeams.forEach((team, index) => {
+    const prev = rankedTeams[index - 1];
+    const tied = prev && rankMode !== 'standard' && groupOf[prev.name] === groupOf[team.name];
+    if (index === 0) ranks.push(1);
+    else if (tied) ranks.push(ranks[index - 1]);
+    else ranks.push(rankMode === 'duo' ? ranks[index - 1] + 1 : index + 1);
+  });
+  return ranks;
+}
+
+// Matchs joués de blocs, au format du moteur de départage (chaque bloc garde le barème de sa saison)
+function getScoredResults(matchBlocks, seasons) {
+  const results = [];
+  matchBlocks.forEach(block => {
+    if (!block.games || !Array.isArray(block.games)) return;
+    const system = getBlockPointsSystem(seasons, block);
+    block.games.forEach(match => {
+      const { homeTeam, awayTeam, homeScore, awayScore } = normalizeMatch(match);
+      if (homeScore === null || homeScore === undefined || awayScore === null || awayScore === undefined) return;
+      const hs = parseInt(homeScore), as2 = parseInt(awayScore);
+      if (isNaN(hs) || isNaN(as2)) return;
+      results.push({ homeTeam, awayTeam, homeScore: hs, awayScore: as2, system });
+    });
+  });
+  return results;
+}
+
+/**
+ * Classe des équipes par points effectifs puis par la chaîne de départage, en groupes d'ex-aequo
+ * (voir groupByTiebreakers dans lib/tiebreakers.js).
+ * @param {Array} teams - [{ name, effectivePts, diff, bp, g, ... }]
+ * @param {string[]} tiebreakers - Critères dans l'ordre d'application
+ * @param {Object} options - { matchBlocks: blocs de la saison (H2H, buts ext.), seed: graine du tirage au sort,
+ *                            seasons: data.entities.seasons (barème des points H2H) }
+ * @returns {Array[]} Groupes dans l'ordre du classement (les objets d'origine sont conservés)
+ */
+function groupWithTiebreakers(teams, tiebreakers = DEFAULT_TIEBREAKERS, { matchBlocks = [], seed = '', seasons = null } = {}) {
+  return groupByTiebreakers(teams, tiebreakers, { results: getScoredResults(matchBlocks, seasons), seed });
+}
+
+/**
+ * Classe des équipes par points effectifs puis par la chaîne de départage (voir groupWithTiebreakers).
+ * @returns {Array} Nouvelle liste triée (les objets d'origine sont conservés)
+ */
+function rankWithTiebreakers(teams, tiebreakers = DEFAULT_TIEBREAKERS, options = {}) {
+  return groupWithTiebreakers(teams, tiebreakers, options).flat();
+}
+
+/**
+ * Trie les équipes par points effectifs (pts - pénalité) puis par la chaîne de départage.
  * @param {Object} teamStats - Résultat de calculateTeamStats
  * @param {Function} getPenalty - (teamName) => number de points de pénalité
+ * @param {Object} options - { tiebreakers, matchBlocks, seed, seasons } (voir rankWithTiebreakers)
  * @returns {Array} Classement trié [{pos, mgr, pts, j, g, n, p, bp, bc, diff}, ...]
  */
-function sortTeamsToStandings(teamStats, getPenalty = () => 0) {
-  return Object.values(teamStats)
+function sortTeamsToStandings(teamStats, getPenalty = () => 0, { tiebreakers = DEFAULT_TIEBREAKERS, matchBlocks = [], seed = '', seasons = null } = {}) {
+  const withPenalties = Object.values(teamStats)
     .filter(team => team.j > 0)
     .map(team => ({
       ...team,
       penalty: getPenalty(team.name),
       effectivePts: team.pts - getPenalty(team.name)
-    }))
-    .sort((a, b) => {
-      if (b.effectivePts !== a.effectivePts) return b.effectivePts - a.effectivePts;
-      if (b.diff !== a.diff) return b.diff - a.diff;
-      return b.bp - a.bp;
-    })
+    }));
+  return rankWithTiebreakers(withPenalties, tiebreakers, { matchBlocks, seed, seasons })
     .map((team, index) => ({
       pos: index + 1,
       mgr: team.name,
@@ -173,1947 +509,4161 @@ function sortTeamsToStandings(teamStats, getPenalty = () => 0) {
     }));
 }
 
-// === MOTEUR DE CALCUL STATS ===
-//
-// Mode de calcul :
-// - Les stats sont calculées dynamiquement à partir des matchs stockés en base Supabase
-// - Filtre par championnat : "Ligue des Hyènes" = matchs des championnats européens (france, espagne, italie, angleterre)
-// - Filtre par saison : chaque saison correspond à un numéro (1, 2, 3...), "All time" = toutes les saisons
-// - "Matchs joués" (totalGames) = nombre de matchs individuels (5 matchs par journée)
-// - "Journées" (totalMatchdays) = nombre de blocs de journée
-//
-// Procédure de mise à jour :
-// - Les données sont alimentées via la page Match (saisie manuelle) ou import JSON
-// - Les stats se recalculent automatiquement à chaque changement de filtre ou rafraîchissement des données
-// - Auto-refresh toutes les 30 secondes (AUTO_REFRESH_INTERVAL_MS)
-// - Aucune mise à jour manuelle des stats n'est nécessaire
-//
-
-function getFilteredMatches(appData, champFilter, seasonFilter) {
-  if (!appData?.entities?.matches) return [];
-  return appData.entities.matches.filter(block => {
-    if (!block.games || !Array.isArray(block.games)) return false;
-    const champMatch = champFilter === 'all'
-      ? !['ligue_hyenes'].includes(block.championship?.toLowerCase())
-      : champFilter === 'hyenes'
-        ? EURO_CHAMPIONSHIPS.includes(block.championship?.toLowerCase())
-        : (block.championship?.toLowerCase() === (CHAMPIONSHIP_MAPPING[champFilter] || champFilter)?.toLowerCase());
-    const seasonMatch = seasonFilter === 'all' || Number(block.season) === Number(seasonFilter);
-    return champMatch && seasonMatch;
+/**
+ * Enregistre des journées d'un championnat dans appData et recalcule le classement de la saison.
+ * Chemin commun de la saisie des matchs (journée affichée) et du collage (plusieurs journées).
+ * @param {Object} data - appData v2.0 (non modifié)
+ * @param {string} championshipKey - Clé de championnat
+ * @param {string|number} season - Numéro de saison
+ * @param {Array} blocks - [{ matchday, games }] ; la révision lue du bloc remplacé est conservée
+ * @param {Object} context - { teams: managers du classement, getPenalty: (teamName) => pénalité }
+ * @returns {Object} { data: appData mis à jour, blocks: blocs enregistrés, seasonBlocks: blocs de la saison }
+ */
+function applyMatchdayBlocks(data, championshipKey, season, blocks, { teams, getPenalty }) {
+  const updated = structuredClone(data);
+  const seasonNum = parseInt(season);
+  const seasonKey = `${championshipKey}_s${season}`;
+  const keyLower = championshipKey.toLowerCase();
+  const isSeasonBlock = block => block.championship?.toLowerCase() === keyLower && Number(block.season) === seasonNum;
+  if (!updated.entities.matches) updated.entities.matches = [];
+
+  const savedBlocks = blocks.map(({ matchday, games }) => {
+    const index = updated.entities.matches.findIndex(b => isSeasonBlock(b) && b.matchday === matchday);
+    const block = {
+      championship: championshipKey,
+      season: seasonNum,
+      matchday,
+      revision: updated.entities.matches[index]?.revision || 0,
+      games: games.map(serializeGame)
+    };
+    if (index >= 0) updated.entities.matches[index] = block;
+    else updated.entities.matches.push(block);
+    return block;
   });
-}
 
-function flattenMatches(matchBlocks) {
-  const flat = [];
-  matchBlocks.forEach(block => {
-    if (!block.games) return;
-    block.games.forEach(match => {
-      const { homeTeam, awayTeam, homeScore, awayScore } = normalizeMatch(match);
-      if (homeScore === null || homeScore === undefined || awayScore === null || awayScore === undefined) return;
-      const hs = parseInt(homeScore), as2 = parseInt(awayScore);
-      if (isNaN(hs) || isNaN(as2)) return;
-      flat.push({ homeTeam, awayTeam, homeScore: hs, awayScore: as2, championship: block.championship, season: block.season, matchday: block.matchday });
-    });
-  });
-  return flat;
+  const seasonBlocks = updated.entities.matches.filter(isSeasonBlock);
+  if (!updated.entities.seasons[seasonKey]) {
+    updated.entities.seasons[seasonKey] = { standings: [] };
+  }
+  updated.entities.seasons[seasonKey].standings = sortTeamsToStandings(
+    calculateTeamStats(seasonBlocks, teams, updated.entities.seasons),
+    getPenalty,
+    {
+      tiebreakers: getTiebreakers(updated.entities.seasons, seasonKey),
+      matchBlocks: seasonBlocks,
+      seed: seasonKey,
+      seasons: updated.entities.seasons
+    }
+  );
+  return { data: updated, blocks: savedBlocks, seasonBlocks };
 }
 
-function computeRecords(flatMatches, matchBlocks) {
-  // Biggest victories (top 3)
-  const biggestWins = [...flatMatches]
-    .map(m => ({ ...m, diff: Math.abs(m.homeScore - m.awayScore), total: m.homeScore + m.awayScore, winner: m.homeScore > m.awayScore ? m.homeTeam : m.awayTeam, loser: m.homeScore > m.awayScore ? m.awayTeam : m.homeTeam, winScore: Math.max(m.homeScore, m.awayScore), loseScore: Math.min(m.homeScore, m.awayScore) }))
-    .filter(m => m.diff > 0)
-    .sort((a, b) => b.diff - a.diff || b.total - a.total)
-    .slice(0, 3);
+// === AGRÉGATION LIGUE DES HYÈNES ===
 
-  // Highest scoring matches (top 3)
-  const highestScoring = [...flatMatches]
-    .map(m => ({ ...m, total: m.homeScore + m.awayScore }))
-    .sort((a, b) => b.total - a.total)
-    .slice(0, 3);
+/**
+ * Retourne la règle d'agrégation de la Ligue des Hyènes pour une saison (ou la somme simple par défaut).
+ * @param {Object} seasons - data.entities.seasons
+ * @param {string|number} season - Numéro de saison
+ * @returns {Object} { basis, coefficients, bestN, positionPoints }
+ */
+function getHyenesAggregation(seasons, season) {
+  const aggregation = seasons?.[`${HYENES_KEY}_s${season}`]?.aggregation;
+  if (!aggregation) return DEFAULT_HYENES_AGGREGATION;
+  return {
+    ...DEFAULT_HYENES_AGGREGATION,
+    ...aggregation,
+    coefficients: { ...DEFAULT_HYENES_AGGREGATION.coefficients, ...aggregation.coefficients }
+  };
+}
 
-  // Streaks (wins, unbeaten, losses)
-  const streaks = computeStreakRecords(matchBlocks);
+// Résumé lisible d'une règle d'agrégation ("Places (25-18-15…) · 🇫🇷 ×1.5 · 3 meilleurs")
+function formatHyenesAggregation(registry, aggregation) {
+  const parts = [aggregation.basis === 'position'
+    ? `Places (${aggregation.positionPoints.slice(0, 3).join('-')}…)`
+    : 'Somme des points'];
+  registry.euro.forEach(champ => {
+    const coef = aggregation.coefficients[champ] ?? 1;
+    if (coef !== 1) parts.push(`${registry.icons[champ]} ×${coef}`);
+  });
+  if (aggregation.bestN) parts.push(`${aggregation.bestN} meilleur${aggregation.bestN > 1 ? 's' : ''}`);
+  return parts.join(' · ');
+}
 
-  return { biggestWins, highestScoring, streaks };
+// Le score Hyènes d'une équipe peut-il baisser en cours de saison ? (places : oui, si elle est dépassée)
+function isHyenesScoreMonotonic(aggregation) {
+  return aggregation.basis !== 'position';
 }
 
-function computeStreakRecords(matchBlocks) {
-  const managerMatches = {};
-  matchBlocks.forEach(block => {
-    if (!block.games) return;
-    block.games.forEach(match => {
-      const { homeTeam, awayTeam, homeScore, awayScore } = normalizeMatch(match);
-      if (homeScore === null || awayScore === null) return;
-      const hs = parseInt(homeScore), as2 = parseInt(awayScore);
-      if (isNaN(hs) || isNaN(as2)) return;
-      // Group by manager + championship + season: streaks are per-championship
-      // because matchday numbering is independent per championship (1-18 each)
-      const sn = Number(block.season);
-      const champ = block.championship || '';
-      const key1 = `${homeTeam}_${champ}_${sn}`;
-      const key2 = `${awayTeam}_${champ}_${sn}`;
-      if (!managerMatches[key1]) managerMatches[key1] = [];
-      if (!managerMatches[key2]) managerMatches[key2] = [];
-      managerMatches[key1].push({ matchday: block.matchday, result: hs > as2 ? 'W' : hs < as2 ? 'L' : 'D', manager: homeTeam, championship: champ, season: sn });
-      managerMatches[key2].push({ matchday: block.matchday, result: as2 > hs ? 'W' : as2 < hs ? 'L' : 'D', manager: awayTeam, championship: champ, season: sn });
+/**
+ * Statistiques agrégées de la Ligue des Hyènes depuis des blocs de matchs des championnats européens.
+ * Les compteurs (j, g, n, p, bp, bc, diff) sont la somme des 4 championnats ; pts suit la règle
+ * d'agrégation de la saison. details = score retenu pour chaque championnat.
+ * @param {Object} registry - Registre des compétitions (getChampionshipRegistry)
+ * @param {Array} matchBlocks - Blocs de matchs de la saison (France, Espagne, Italie, Angleterre)
+ * @param {Object} seasons - data.entities.seasons
+ * @param {string|number} season - Numéro de saison
+ * @param {Function} getLeaguePenalty - (championshipKey, teamName) => pénalité dans ce championnat (utilisée pour les places)
+ * @returns {Object} { [équipe]: { name, pts, j, g, n, p, bp, bc, diff, details } }
+ */
+function aggregateHyenesStats(registry, matchBlocks, seasons, season, getLeaguePenalty = () => 0) {
+  const aggregation = getHyenesAggregation(seasons, season);
+  const aggregated = {};
+
+  registry.euro.forEach(champ => {
+    const champBlocks = matchBlocks.filter(b => b.championship?.toLowerCase() === champ);
+    const champStats = calculateTeamStats(champBlocks, [], seasons);
+    const coefficient = aggregation.coefficients[champ] ?? 1;
+
+    let scores;
+    if (aggregation.basis === 'position') {
+      const champKey = `${champ}_s${season}`;
+      const standings = sortTeamsToStandings(champStats, name => getLeaguePenalty(champ, name), {
+        tiebreakers: getTiebreakers(seasons, champKey),
+        matchBlocks: champBlocks,
+        seed: champKey,
+        seasons
+      });
+      scores = Object.fromEntries(standings.map(t => [t.mgr, aggregation.positionPoints[t.pos - 1] || 0]));
+    } else {
+      scores = Object.fromEntries(Object.values(champStats).map(t => [t.name, t.pts]));
+    }
+
+    Object.values(champStats).forEach(team => {
+      if (team.j === 0) return;
+      if (!aggregated[team.name]) {
+        aggregated[team.name] = { name: team.name, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0, details: {} };
+      }
+      const entry = aggregated[team.name];
+      ['j', 'g', 'n', 'p', 'bp', 'bc'].forEach(field => { entry[field] += team[field]; });
+      entry.diff = entry.bp - entry.bc;
+      entry.details[champ] = Math.round((scores[team.name] || 0) * coefficient * 100) / 100;
     });
   });
 
-  let longestWin = { length: 0 }, longestUnbeaten = { length: 0 }, longestLosing = { length: 0 };
-
-  Object.values(managerMatches).forEach(matches => {
-    matches.sort((a, b) => a.matchday - b.matchday);
-    let winStreak = 0, unbeatStreak = 0, loseStreak = 0;
-    matches.forEach(m => {
-      if (m.result === 'W') { winStreak++; unbeatStreak++; loseStreak = 0; }
-      else if (m.result === 'D') { winStreak = 0; unbeatStreak++; loseStreak = 0; }
-      else { winStreak = 0; unbeatStreak = 0; loseStreak++; }
-      if (winStreak > longestWin.length) longestWin = { length: winStreak, manager: m.manager, championship: m.championship, season: m.season };
-      if (unbeatStreak > longestUnbeaten.length) longestUnbeaten = { length: unbeatStreak, manager: m.manager, championship: m.championship, season: m.season };
-      if (loseStreak > longestLosing.length) longestLosing = { length: loseStreak, manager: m.manager, championship: m.championship, season: m.season };
-    });
+  Object.values(aggregated).forEach(entry => {
+    const counted = Object.values(entry.details).sort((a, b) => b - a).slice(0, aggregation.bestN || undefined);
+    entry.pts = Math.round(counted.reduce((sum, score) => sum + score, 0) * 100) / 100;
   });
+  return aggregated;
+}
 
-  return { longestWin, longestUnbeaten, longestLosing };
+// === DIVISIONS, MONTÉES ET DESCENTES ===
+//
+// Une division est une compétition rattachée à un championnat parent (parentKey, division 2, 3…) :
+// elle a ses propres matchs et saisons. Les zones de chaque saison désignent les `promotion` premiers
+// (montent dans la division supérieure) et les `relegation` derniers (descendent).
+
+/**
+ * Retourne les zones de montée et de descente d'une saison (0 = pas de zone).
+ * @param {Object} seasons - data.entities.seasons
+ * @param {string} seasonKey - Clé "{championnat}_s{N}"
+ * @returns {Object} { promotion, relegation }
+ */
+function getSeasonZones(seasons, seasonKey) {
+  const zones = seasons?.[seasonKey]?.zones;
+  if (!zones) return DEFAULT_SEASON_ZONES;
+  return { ...DEFAULT_SEASON_ZONES, ...zones };
 }
 
-function computePerformance(flatMatches, managers) {
-  const stats = {};
-  managers.forEach(m => { stats[m] = { name: m, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 }; });
-  flatMatches.forEach(m => {
-    if (!stats[m.homeTeam]) stats[m.homeTeam] = { name: m.homeTeam, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 };
-    if (!stats[m.awayTeam]) stats[m.awayTeam] = { name: m.awayTeam, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 };
-    stats[m.homeTeam].j++; stats[m.awayTeam].j++;
-    stats[m.homeTeam].bp += m.homeScore; stats[m.homeTeam].bc += m.awayScore;
-    stats[m.awayTeam].bp += m.awayScore; stats[m.awayTeam].bc += m.homeScore;
-    if (m.homeScore > m.awayScore) { stats[m.homeTeam].pts += 3; stats[m.homeTeam].g++; stats[m.awayTeam].p++; }
-    else if (m.homeScore < m.awayScore) { stats[m.awayTeam].pts += 3; stats[m.awayTeam].g++; stats[m.homeTeam].p++; }
-    else { stats[m.homeTeam].pts++; stats[m.awayTeam].pts++; stats[m.homeTeam].n++; stats[m.awayTeam].n++; }
-  });
-  const arr = Object.values(stats).filter(s => s.j >= 3);
-  const ppg = [...arr].map(s => ({ ...s, value: (s.pts / s.j).toFixed(2) })).sort((a, b) => b.value - a.value);
-  const winRate = [...arr].map(s => ({ ...s, value: ((s.g / s.j) * 100).toFixed(1) })).sort((a, b) => b.value - a.value);
-  const attack = [...arr].map(s => ({ ...s, value: (s.bp / s.j).toFixed(2) })).sort((a, b) => b.value - a.value);
-  const defense = [...arr].map(s => ({ ...s, value: (s.bc / s.j).toFixed(2) })).sort((a, b) => a.value - b.value);
-  return { ppg, winRate, attack, defense };
+// Zone d'une place du classement (1 = premier) : 'promotion', 'relegation' ou null
+function getPositionZone(position, teamCount, zones) {
+  if (position <= zones.promotion) return 'promotion';
+  if (zones.relegation > 0 && position > teamCount - zones.relegation) return 'relegation';
+  return null;
 }
 
-function computeHeadToHead(flatMatches, managers) {
-  const h2h = {};
-  const h2hMatches = {};
-  managers.forEach(a => { h2h[a] = {}; managers.forEach(b => { if (a !== b) { h2h[a][b] = { w: 0, d: 0, l: 0, gf: 0, ga: 0, played: 0 }; h2hMatches[`${a}_${b}`] = []; } }); });
-  flatMatches.forEach(m => {
-    const h = m.homeTeam, a = m.awayTeam;
-    if (!h2h[h]) h2h[h] = {};
-    if (!h2h[a]) h2h[a] = {};
-    if (!h2h[h][a]) h2h[h][a] = { w: 0, d: 0, l: 0, gf: 0, ga: 0, played: 0 };
-    if (!h2h[a][h]) h2h[a][h] = { w: 0, d: 0, l: 0, gf: 0, ga: 0, played: 0 };
-    h2h[h][a].played++; h2h[a][h].played++;
-    h2h[h][a].gf += m.homeScore; h2h[h][a].ga += m.awayScore;
-    h2h[a][h].gf += m.awayScore; h2h[a][h].ga += m.homeScore;
-    if (m.homeScore > m.awayScore) { h2h[h][a].w++; h2h[a][h].l++; }
-    else if (m.homeScore < m.awayScore) { h2h[a][h].w++; h2h[h][a].l++; }
-    else { h2h[h][a].d++; h2h[a][h].d++; }
-    // Store match details for detailed view
-    const matchDetail = { home: h, away: a, homeScore: m.homeScore, awayScore: m.awayScore, championship: m.championship, season: m.season, matchday: m.matchday };
-    const keyHA = `${h}_${a}`;
-    const keyAH = `${a}_${h}`;
-    if (!h2hMatches[keyHA]) h2hMatches[keyHA] = [];
-    if (!h2hMatches[keyAH]) h2hMatches[keyAH] = [];
-    h2hMatches[keyHA].push(matchDetail);
-    h2hMatches[keyAH].push(matchDetail);
+// Résumé lisible des zones ("2 montées · 3 descentes")
+function formatSeasonZones(zones) {
+  const parts = [];
+  if (zones.promotion) parts.push(`${zones.promotion} montée${zones.promotion > 1 ? 's' : ''}`);
+  if (zones.relegation) parts.push(`${zones.relegation} descente${zones.relegation > 1 ? 's' : ''}`);
+  return parts.length > 0 ? parts.join(' · ') : 'Aucune';
+}
+
+// Divisions d'un championnat (le parent puis ses divisions rattachées), de la plus haute à la plus basse
+function getDivisionLadder(registry, championshipKey) {
+  const champ = registry.list.find(c => c.key === championshipKey);
+  const rootKey = champ?.parentKey || championshipKey;
+  return registry.list
+    .filter(c => c.key === rootKey || c.parentKey === rootKey)
+    .sort((a, b) => (a.division || 1) - (b.division || 1))
+    .map(c => c.key);
+}
+
+// Libellé court d'une division ("D2"), vide pour un championnat sans parent
+function getDivisionLabel(championship) {
+  return championship?.parentKey ? `D${championship.division || 2}` : '';
+}
+
+/**
+ * Classement final d'un championnat pour une saison, recalculé depuis tous ses matchs.
+ * Les participants du format sans match joué sont ajoutés en fin de liste (ils restent dans leur division).
+ * @param {Object} data - appData v2.0
+ * @param {string} championshipKey - Clé du championnat
+ * @param {string|number} season - Numéro de saison
+ * @param {Function} getPenalty - (teamName) => pénalité
+ * @returns {string[]} Noms des managers dans l'ordre du classement
+ */
+function getFinalStandingNames(data, championshipKey, season, getPenalty = () => 0) {
+  const registry = getChampionshipRegistry(data?.championships);
+  const seasons = data?.entities?.seasons;
+  const seasonKey = `${championshipKey}_s${season}`;
+  const matchBlocks = getSeasonMatchBlocks(data, championshipKey, season);
+  const participants = getSeasonFormat(registry, seasons, championshipKey, season).managers;
+  const standings = sortTeamsToStandings(calculateTeamStats(matchBlocks, participants, seasons), getPenalty, {
+    tiebreakers: getTiebreakers(seasons, seasonKey),
+    matchBlocks,
+    seed: seasonKey,
+    seasons
   });
-  const activeManagers = managers.filter(m => Object.values(h2h[m] || {}).some(v => v.played > 0));
-  return { matrix: h2h, managers: activeManagers, matches: h2hMatches };
+  const ranked = standings.map(t => t.mgr);
+  return [...ranked, ...participants.filter(name => !ranked.includes(name))];
 }
 
-function computeTrends(appData, managers, champFilter, seasonFilter) {
-  // Timeline: for each matchday, cumulative standings
-  const timeline = [];
-  if (seasonFilter !== 'all' && appData?.entities?.matches) {
-    const filtered = appData.entities.matches.filter(block => {
-      if (!block.games || !Array.isArray(block.games)) return false;
-      const champMatch = champFilter === 'all'
-        ? !['ligue_hyenes'].includes(block.championship?.toLowerCase())
-        : champFilter === 'hyenes'
-          ? EURO_CHAMPIONSHIPS.includes(block.championship?.toLowerCase())
-          : (block.championship?.toLowerCase() === (CHAMPIONSHIP_MAPPING[champFilter] || champFilter)?.toLowerCase());
-      return champMatch && Number(block.season) === Number(seasonFilter);
-    });
+/**
+ * Montées et descentes entre les divisions d'un championnat à la fin d'une saison.
+ * Entre deux divisions voisines, les derniers de la division supérieure échangent leur place un pour un
+ * avec les premiers de la division inférieure (zones de la saison terminée) : si la zone de descente
+ * et la zone de montée diffèrent, seul le plus petit des deux nombres d'échanges est appliqué,
+ * pour que chaque division garde son effectif.
+ * @param {Object} data - appData v2.0
+ * @param {string[]} ladder - Clés des divisions, de la plus haute à la plus basse (getDivisionLadder)
+ * @param {string|number} season - Saison terminée
+ * @param {Function} getPenalty - (championshipKey, teamName) => pénalité
+ * @returns {Object} { managers: { [division]: [noms] }, moves: [{ name, from, to, type: 'promotion'|'relegation' }] }
+ */
+function computeDivisionRollover(data, ladder, season, getPenalty = () => 0) {
+  const registry = getChampionshipRegistry(data?.championships);
+  const seasons = data?.entities?.seasons;
+  const finalNames = ladder.map(key => getFinalStandingNames(data, key, season, name => getPenalty(key, name)));
+  const managers = Object.fromEntries(ladder.map((key, i) => [key, [...finalNames[i]]]));
+  const moves = [];
+
+  for (let i = 0; i < ladder.length - 1; i++) {
+    const upper = ladder[i];
+    const lower = ladder[i + 1];
+    const swaps = Math.min(
+      getSeasonZones(seasons, `${upper}_s${season}`).relegation,
+      getSeasonZones(seasons, `${lower}_s${season}`).promotion,
+      finalNames[i].length,
+      finalNames[i + 1].length
+    );
+    const relegated = swaps > 0 ? finalNames[i].slice(-swaps) : [];
+    const promoted = finalNames[i + 1].slice(0, swaps);
 
-    // Helper to process a list of blocks cumulatively and push timeline points
-    const processBlocks = (orderedBlocks) => {
-      const teamStats = {};
-      managers.forEach(m => { teamStats[m] = { pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 }; });
-      orderedBlocks.forEach((block, idx) => {
-        block.games.forEach(match => {
-          const { homeTeam, awayTeam, homeScore, awayScore } = normalizeMatch(match);
-          if (homeScore === null || awayScore === null) return;
-          const hs = parseInt(homeScore), as2 = parseInt(awayScore);
-          if (isNaN(hs) || isNaN(as2)) return;
-          if (!teamStats[homeTeam]) teamStats[homeTeam] = { pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
-          if (!teamStats[awayTeam]) teamStats[awayTeam] = { pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
-          teamStats[homeTeam].j++; teamStats[awayTeam].j++;
-          teamStats[homeTeam].bp += hs; teamStats[homeTeam].bc += as2;
-          teamStats[awayTeam].bp += as2; teamStats[awayTeam].bc += hs;
-          if (hs > as2) { teamStats[homeTeam].pts += 3; teamStats[homeTeam].g++; teamStats[awayTeam].p++; }
-          else if (hs < as2) { teamStats[awayTeam].pts += 3; teamStats[awayTeam].g++; teamStats[homeTeam].p++; }
-          else { teamStats[homeTeam].pts++; teamStats[awayTeam].pts++; teamStats[homeTeam].n++; teamStats[awayTeam].n++; }
-          teamStats[homeTeam].diff = teamStats[homeTeam].bp - teamStats[homeTeam].bc;
-          teamStats[awayTeam].diff = teamStats[awayTeam].bp - teamStats[awayTeam].bc;
-        });
-        // Calculate positions after each block
-        const sorted = Object.entries(teamStats)
-          .filter(([, s]) => s.j > 0)
-          .sort(([, a], [, b]) => b.pts !== a.pts ? b.pts - a.pts : b.diff !== a.diff ? b.diff - a.diff : b.bp - a.bp);
-        const point = { matchday: idx + 1 };
-        sorted.forEach(([name, s], pos) => {
-          point[`pts_${name}`] = s.pts;
-          point[`pos_${name}`] = pos + 1;
-        });
-        timeline.push(point);
-      });
-    };
+    managers[upper] = [...managers[upper].filter(name => !relegated.includes(name)), ...promoted];
+    managers[lower] = [...relegated, ...managers[lower].filter(name => !promoted.includes(name))];
+    promoted.forEach(name => moves.push({ name, from: lower, to: upper, type: 'promotion' }));
+    relegated.forEach(name => moves.push({ name, from: upper, to: lower, type: 'relegation' }));
+  }
+  return { managers, moves };
+}
 
-    if (champFilter === 'hyenes') {
-      // Ligue des Hyènes: sequence journées across 4 championships
-      // Order: France J1, Espagne J1, Italie J1, Angleterre J1, France J2, ...
-      const blocksByChamp = {};
-      EURO_CHAMPIONSHIPS.forEach(c => { blocksByChamp[c] = {}; });
-      filtered.forEach(block => {
-        const champ = block.championship?.toLowerCase();
-        if (blocksByChamp[champ]) {
-          blocksByChamp[champ][block.matchday] = block;
-        }
-      });
-      const maxMd = Math.max(0, ...filtered.map(b => b.matchday || 0));
-      const orderedBlocks = [];
-      for (let md = 1; md <= maxMd; md++) {
-        EURO_CHAMPIONSHIPS.forEach(champ => {
-          if (blocksByChamp[champ][md]) {
-            orderedBlocks.push(blocksByChamp[champ][md]);
-          }
-        });
-      }
-      processBlocks(orderedBlocks);
-    } else {
-      // Single championship: one point per matchday
-      const maxMatchday = Math.max(0, ...filtered.map(b => b.matchday || 0));
-      const orderedBlocks = [];
-      for (let md = 1; md <= maxMatchday; md++) {
-        const blocksForMd = filtered.filter(b => b.matchday === md);
-        if (blocksForMd.length > 0) {
-          // Merge all blocks of same matchday into one virtual block
-          orderedBlocks.push({ games: blocksForMd.flatMap(b => b.games) });
-        }
-      }
-      processBlocks(orderedBlocks);
+// === COUPES À ÉLIMINATION DIRECTE ===
+//
+// Une coupe (type 'cup') n'a pas de journées : son tableau est stocké sur la ligne de saison (colonne bracket) :
+// { rounds: [{ legs: 1 | 2, ties: [{ home, away, legs: [{ home, away }], extraTime, penalties }] }] }
+// Les scores de chaque manche sont ceux de home / away (au match retour, away reçoit).
+// extraTime : buts de la prolongation, ajoutés au cumul ; penalties : tirs au but si le cumul reste à égalité.
+// away null au premier tour = exempt (qualifié d'office).
+
+// Coupe : compétition à élimination directe (sinon championnat à journées)
+function isCupChampionship(registry, championshipKey) {
+  return registry.list.find(c => c.key === championshipKey)?.type === 'cup';
+}
+
+// Renommage d'un manager dans les rencontres d'un tableau (home / away de chaque tie)
+function renameInCupBracket(bracket, oldName, newName) {
+  if (!bracket?.rounds) return bracket;
+  const rename = name => (name === oldName ? newName : name);
+  return {
+    ...bracket,
+    rounds: bracket.rounds.map(round => ({
+      ...round,
+      ties: round.ties.map(tie => ({ ...tie, home: rename(tie.home), away: rename(tie.away) }))
+    }))
+  };
+}
+
+// Nom d'un tour d'après le nombre de tours restants ("Finale", "Demi-finales", …, "Tour 1")
+function getCupRoundLabel(roundIndex, roundCount) {
+  const fromEnd = roundCount - roundIndex;
+  if (fromEnd === 1) return 'Finale';
+  if (fromEnd === 2) return 'Demi-finales';
+  if (fromEnd === 3) return 'Quarts de finale';
+  if (fromEnd === 4) return 'Huitièmes de finale';
+  return `Tour ${roundIndex + 1}`;
+}
+
+/**
+ * Tirage au sort d'une coupe : tableau à la puissance de 2 supérieure, exempts répartis au premier tour.
+ * @param {string[]} participants - Managers engagés (au moins 2), dans l'ordre des têtes de série si seeded
+ * @param {Object} options - { legs: 1 | 2 (manches par tour), finalLegs: 1 | 2, seeded: tableau par têtes de série }
+ * @returns {Object} Tableau { rounds } (tours suivants vides)
+ */
+function createCupDraw(participants, { legs = 1, finalLegs = 1, seeded = false } = {}) {
+  const drawn = [...participants];
+  if (!seeded) {
+    for (let i = drawn.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [drawn[i], drawn[j]] = [drawn[j], drawn[i]];
     }
   }
+  let size = 2;
+  while (size < drawn.length) size *= 2;
+  const roundCount = Math.log2(size);
+  const byes = size - drawn.length;
+  const emptyTie = () => ({ home: null, away: null, legs: [], extraTime: null, penalties: null });
+
+  // Têtes de série : 1 contre N, 2 contre N-1… placés pour ne se croiser qu'au plus tard
+  // (les meilleures têtes de série profitent des exemptions)
+  let seedOrder = [1, 2];
+  while (seedOrder.length < size) {
+    const count = seedOrder.length * 2;
+    seedOrder = seedOrder.flatMap(seed => [seed, count + 1 - seed]);
+  }
 
-  return { timeline };
+  // Tirage libre : un exempt par rencontre au plus, les `byes` premières rencontres n'ont qu'un manager
+  const firstRound = Array.from({ length: size / 2 }, (_, i) => seeded
+    ? { ...emptyTie(), home: drawn[seedOrder[2 * i] - 1] ?? null, away: drawn[seedOrder[2 * i + 1] - 1] ?? null }
+    : { ...emptyTie(), home: drawn.shift() ?? null, away: i < byes ? null : drawn.shift() ?? null }
+  );
+
+  return {
+    rounds: Array.from({ length: roundCount }, (_, r) => ({
+      legs: r === roundCount - 1 ? finalLegs : legs,
+      ties: r === 0 ? firstRound : Array.from({ length: size / 2 ** (r + 1) }, emptyTie)
+    }))
+  };
 }
 
-function computeHomeAway(flatMatches, managers) {
-  const stats = {};
-  managers.forEach(m => { stats[m] = { name: m, home: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 }, away: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 } }; });
-  flatMatches.forEach(m => {
-    if (!stats[m.homeTeam]) stats[m.homeTeam] = { name: m.homeTeam, home: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 }, away: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 } };
-    if (!stats[m.awayTeam]) stats[m.awayTeam] = { name: m.awayTeam, home: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 }, away: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 } };
-    const h = stats[m.homeTeam].home, a = stats[m.awayTeam].away;
-    h.j++; a.j++;
-    h.bp += m.homeScore; h.bc += m.awayScore;
-    a.bp += m.awayScore; a.bc += m.homeScore;
-    if (m.homeScore > m.awayScore) { h.g++; a.p++; }
-    else if (m.homeScore < m.awayScore) { a.g++; h.p++; }
-    else { h.n++; a.n++; }
-  });
-  const arr = Object.values(stats).filter(s => s.home.j + s.away.j >= 3);
-  const homeWinRate = [...arr].filter(s => s.home.j >= 2).map(s => ({ name: s.name, value: ((s.home.g / s.home.j) * 100).toFixed(1), j: s.home.j })).sort((a, b) => parseFloat(b.value) - parseFloat(a.value));
-  const awayWinRate = [...arr].filter(s => s.away.j >= 2).map(s => ({ name: s.name, value: ((s.away.g / s.away.j) * 100).toFixed(1), j: s.away.j })).sort((a, b) => parseFloat(b.value) - parseFloat(a.value));
-  const comparison = [...arr].map(s => ({
-    name: s.name,
-    homeRate: s.home.j > 0 ? ((s.home.g / s.home.j) * 100).toFixed(1) : '0.0',
-    awayRate: s.away.j > 0 ? ((s.away.g / s.away.j) * 100).toFixed(1) : '0.0',
-    homeJ: s.home.j, awayJ: s.away.j
-  })).sort((a, b) => parseFloat(b.homeRate) - parseFloat(a.homeRate));
-  return { homeWinRate, awayWinRate, comparison };
+/**
+ * Issue d'une rencontre de coupe : cumul des manches, puis prolongation, puis tirs au but.
+ * @param {Object} tie - { home, away, legs, extraTime, penalties }
+ * @param {number} legCount - Nombre de manches du tour
+ * @returns {Object|null} { winner, loser, aggregate: { home, away }, decidedBy: 'bye'|'aggregate'|'extraTime'|'penalties' }
+ *   ou null si la rencontre n'est pas terminée
+ */
+function getCupTieOutcome(tie, legCount = 1) {
+  if (!tie?.home && !tie?.away) return null;
+  if (!tie.home || !tie.away) {
+    return { winner: tie.home || tie.away, loser: null, aggregate: null, decidedBy: 'bye' };
+  }
+  const legs = (tie.legs || []).slice(0, legCount);
+  const isPlayed = score => Number.isInteger(score?.home) && Number.isInteger(score?.away);
+  if (legs.length < legCount || !legs.every(isPlayed)) return null;
+
+  const aggregate = legs.reduce((sum, leg) => ({ home: sum.home + leg.home, away: sum.away + leg.away }), { home: 0, away: 0 });
+  const decide = (score, decidedBy) => score.home === score.away ? null : {
+    winner: score.home > score.away ? tie.home : tie.away,
+    loser: score.home > score.away ? tie.away : tie.home,
+    aggregate,
+    decidedBy
+  };
+
+  const afterRegulation = decide(aggregate, 'aggregate');
+  if (afterRegulation) return afterRegulation;
+  if (isPlayed(tie.extraTime)) {
+    aggregate.home += tie.extraTime.home;
+    aggregate.away += tie.extraTime.away;
+    const afterExtraTime = decide(aggregate, 'extraTime');
+    if (afterExtraTime) return afterExtraTime;
+  }
+  return isPlayed(tie.penalties) ? decide(tie.penalties, 'penalties') : null;
 }
 
-function computeScoring(flatMatches, matchBlocks, managers) {
-  const totalGoals = flatMatches.reduce((s, m) => s + m.homeScore + m.awayScore, 0);
-  const totalGames = flatMatches.length;
-  const totalMatchdays = matchBlocks.length;
-  const avgGoals = totalGames > 0 ? (totalGoals / totalGames).toFixed(2) : '0.00';
-  const highScoringRate = totalGames > 0 ? ((flatMatches.filter(m => m.homeScore + m.awayScore >= 4).length / totalGames) * 100).toFixed(1) : '0.0';
+// Score lisible d'une issue ("3-2", "1-1 (4-3 t.a.b.)", "2-1 a.p.")
+function formatCupOutcome(tie, outcome) {
+  if (!outcome?.aggregate) return '';
+  const score = `${outcome.aggregate.home}-${outcome.aggregate.away}`;
+  if (outcome.decidedBy === 'penalties') return `${score} (${tie.penalties.home}-${tie.penalties.away} t.a.b.)`;
+  if (outcome.decidedBy === 'extraTime') return `${score} a.p.`;
+  return score;
+}
 
-  // Clean sheets & failed to score
-  const mgrStats = {};
-  managers.forEach(m => { mgrStats[m] = { name: m, cleanSheets: 0, failedToScore: 0, j: 0 }; });
-  flatMatches.forEach(m => {
-    if (!mgrStats[m.homeTeam]) mgrStats[m.homeTeam] = { name: m.homeTeam, cleanSheets: 0, failedToScore: 0, j: 0 };
-    if (!mgrStats[m.awayTeam]) mgrStats[m.awayTeam] = { name: m.awayTeam, cleanSheets: 0, failedToScore: 0, j: 0 };
-    mgrStats[m.homeTeam].j++; mgrStats[m.awayTeam].j++;
-    if (m.awayScore === 0) mgrStats[m.homeTeam].cleanSheets++;
-    if (m.homeScore === 0) mgrStats[m.awayTeam].cleanSheets++;
-    if (m.homeScore === 0) mgrStats[m.homeTeam].failedToScore++;
-    if (m.awayScore === 0) mgrStats[m.awayTeam].failedToScore++;
-  });
-  const cleanSheets = Object.values(mgrStats).filter(s => s.j >= 3).sort((a, b) => b.cleanSheets - a.cleanSheets);
-  const failedToScore = Object.values(mgrStats).filter(s => s.j >= 3).sort((a, b) => b.failedToScore - a.failedToScore);
+/**
+ * Qualifie les vainqueurs dans les tours suivants (rencontre i du tour r+1 = vainqueurs des rencontres 2i et 2i+1).
+ * Une rencontre dont les affiches changent repart sans résultat.
+ * @param {Object} bracket - Tableau { rounds }
+ * @returns {Object} Nouveau tableau
+ */
+function propagateCupBracket(bracket) {
+  const rounds = bracket.rounds.map(round => ({ ...round, ties: round.ties.map(tie => ({ ...tie })) }));
+  for (let r = 1; r < rounds.length; r++) {
+    const previous = rounds[r - 1];
+    rounds[r].ties = rounds[r].ties.map((tie, i) => {
+      const home = getCupTieOutcome(previous.ties[2 * i], previous.legs)?.winner ?? null;
+      const away = getCupTieOutcome(previous.ties[2 * i + 1], previous.legs)?.winner ?? null;
+      if (tie.home === home && tie.away === away) return tie;
+      return { home, away, legs: [], extraTime: null, penalties: null };
+    });
+  }
+  return { ...bracket, rounds };
+}
 
-  // Score distribution
-  const scoreDist = {};
-  flatMatches.forEach(m => {
-    const score = m.homeScore >= m.awayScore ? `${m.homeScore}-${m.awayScore}` : `${m.awayScore}-${m.homeScore}`;
-    scoreDist[score] = (scoreDist[score] || 0) + 1;
-  });
-  const scoreDistArr = Object.entries(scoreDist).map(([score, count]) => ({ score, count })).sort((a, b) => b.count - a.count).slice(0, 10);
+// Qualification automatique d'une coupe, liée à la saison de même numéro :
+// { source: 'standings', championship, top } = play-offs entre les `top` premiers d'un championnat ;
+// { source: 'champions', championships } = Trophée des Champions entre les champions de ces championnats.
+// Absente = engagés choisis au tirage.
+const CUP_QUALIFICATION_SOURCES = [
+  { id: 'manual', label: 'Libre' },
+  { id: 'standings', label: 'Play-offs' },
+  { id: 'champions', label: 'Trophée des Champions' }
+];
 
-  return { totalGoals, totalGames, totalMatchdays, avgGoals, highScoringRate, cleanSheets, failedToScore, scoreDistArr };
+// Résumé lisible d'une qualification ("4 premiers de 🏆", "Champions 🇫🇷 🇪🇸 🇮🇹")
+function formatCupQualification(registry, qualification) {
+  if (qualification?.source === 'standings') {
+    return `${qualification.top} premiers de ${registry.icons[qualification.championship] || qualification.championship}`;
+  }
+  if (qualification?.source === 'champions') {
+    return `Champions ${qualification.championships.map(key => registry.icons[key] || key).join(' ')}`;
+  }
+  return 'Engagés libres';
 }
 
-function computeAllStats(appData, champFilter, seasonFilter) {
-  if (!appData?.entities?.matches) return null;
-  const matchBlocks = getFilteredMatches(appData, champFilter, seasonFilter);
-  const flat = flattenMatches(matchBlocks);
-  const managers = appData.entities.managers
-    ? Object.values(appData.entities.managers).map(m => m.name).filter(Boolean)
+/**
+ * Qualifiés d'une coupe pour une saison, d'après les résultats finaux calculés au chargement.
+ * Un manager champion de plusieurs championnats n'est qualifié qu'une fois.
+ * @param {Object} qualification - Voir CUP_QUALIFICATION_SOURCES
+ * @param {string|number} season - Saison de référence (même numéro que la saison de la coupe)
+ * @param {Object} seasonResults - { "{championnat}_s{N}": { ranking, champions } } (saisons terminées)
+ * @returns {Object} { qualifiers: [noms, dans l'ordre des têtes de série], pending: [championnats non terminés] }
+ */
+function getCupQualifiers(qualification, season, seasonResults) {
+  const sources = qualification?.source === 'standings' ? [qualification.championship]
+    : qualification?.source === 'champions' ? qualification.championships
     : [];
-  if (flat.length === 0 && managers.length === 0) return null;
+  const pending = sources.filter(key => !seasonResults[`${key}_s${season}`]);
+  if (pending.length > 0) return { qualifiers: [], pending };
 
-  return {
-    records: computeRecords(flat, matchBlocks),
-    performance: computePerformance(flat, managers),
-    h2h: computeHeadToHead(flat, managers),
-    trends: computeTrends(appData, managers, champFilter, seasonFilter),
-    homeAway: computeHomeAway(flat, managers),
-    scoring: computeScoring(flat, matchBlocks, managers)
-  };
+  if (qualification?.source === 'standings') {
+    return { qualifiers: seasonResults[`${qualification.championship}_s${season}`].ranking.slice(0, qualification.top), pending };
+  }
+  const champions = sources.flatMap(key => seasonResults[`${key}_s${season}`].champions);
+  return { qualifiers: [...new Set(champions)], pending };
 }
 
-export default function HyeneScores() {
-  const [selectedTab, setSelectedTab] = useState('classement');
-  const selectedTabRef = useRef('classement');
-  const fileInputRef = useRef(null);
+/**
+ * Vainqueur et finaliste d'une coupe, classés pour le palmarès (format de rankWithTiebreakers).
+ * @param {Object} bracket - Tableau { rounds }
+ * @returns {Array|null} [{ name, effectivePts }, { name, effectivePts }] ou null si la finale n'est pas jouée
+ */
+function getCupFinalRanking(bracket) {
+  const final = bracket?.rounds?.[bracket.rounds.length - 1];
+  const outcome = getCupTieOutcome(final?.ties?.[0], final?.legs);
+  if (!outcome) return null;
+  return [
+    { name: outcome.winner, effectivePts: 1, finalScore: formatCupOutcome(final.ties[0], outcome) },
+    ...(outcome.loser ? [{ name: outcome.loser, effectivePts: 0 }] : [])
+  ];
+}
 
-  // États Authentification
-  const [user, setUser] = useState(null);
-  const [isAdmin, setIsAdmin] = useState(false);
-  const isAdminRef = useRef(false);
-  const [isAuthLoading, setIsAuthLoading] = useState(true);
-  const [showLoginModal, setShowLoginModal] = useState(false);
-  const [loginEmail, setLoginEmail] = useState('');
-  const [loginPassword, setLoginPassword] = useState('');
-  const [loginError, setLoginError] = useState('');
-  const [isLoggingIn, setIsLoggingIn] = useState(false);
-  const [isLoggingOut, setIsLoggingOut] = useState(false);
+// === CALENDRIER ===
 
-  // États Supabase
-  const [isLoadingFromSupabase, setIsLoadingFromSupabase] = useState(true);
-  const [supabaseError, setSupabaseError] = useState(null);
-  const [isSavingToSupabase, setIsSavingToSupabase] = useState(false);
-  const [pendingJsonData, setPendingJsonData] = useState(null);
-  const [isCreatingSeason, setIsCreatingSeason] = useState(false);
+/**
+ * Calendrier d'une saison en toutes rencontres (méthode du cercle).
+ * Avec un nombre impair de participants, une place fantôme donne l'exemption : elle tourne,
+ * chaque participant est exempt une fois par phase. Domicile et extérieur alternent à chaque
+ * journée ; la phase retour reprend l'aller en inversant les terrains.
+ * @param {Array<string>} participants - Participants, dans l'ordre du tirage
+ * @param {Object} [options] - { legs: 1 (aller simple) | 2 (aller-retour) }
+ * @returns {Array} [{ games: [{ homeTeam, awayTeam }], exempt }] une entrée par journée
+ */
+function generateRoundRobin(participants, { legs = 2 } = {}) {
+  if (participants.length < 2) return [];
+  const teams = participants.length % 2 === 1 ? [...participants, null] : [...participants];
+  const n = teams.length;
+  const firstLeg = [];
+  let rotation = teams.slice(1);
+
+  for (let r = 0; r < n - 1; r++) {
+    const lineup = [teams[0], ...rotation];
+    const games = [];
+    let exempt = null;
+    for (let i = 0; i < n / 2; i++) {
+      const a = lineup[i];
+      const b = lineup[n - 1 - i];
+      if (a === null || b === null) {
+        exempt = a ?? b;
+        continue;
+      }
+      // Le pivot alterne d'une journée à l'autre, les autres paires selon leur rang
+      const swap = i === 0 ? r % 2 === 1 : i % 2 === 1;
+      games.push(swap ? { homeTeam: b, awayTeam: a } : { homeTeam: a, awayTeam: b });
+    }
+    firstLeg.push({ games, exempt });
+    rotation = [rotation[rotation.length - 1], ...rotation.slice(0, -1)];
+  }
 
-  // États Classement
-  const [selectedChampionship, setSelectedChampionship] = useState('hyenes');
-  const [selectedSeason, setSelectedSeason] = useState('');
-  const [isSeasonOpen, setIsSeasonOpen] = useState(false);
-  const [isChampOpen, setIsChampOpen] = useState(false);
+  const rounds = [...firstLeg];
+  for (let leg = 1; leg < legs; leg++) {
+    rounds.push(...firstLeg.map(round => ({
+      ...round,
+      games: round.games.map(g => leg % 2 === 1 ? { homeTeam: g.awayTeam, awayTeam: g.homeTeam } : g)
+    })));
+  }
+  return rounds;
+}
 
-  // Alias pour compatibilité avec le JSX existant
-  const championships = CHAMPIONSHIPS;
+// === CONTRÔLE D'INTÉGRITÉ DU CALENDRIER ===
 
-  const [teams, setTeams] = useState([]);
+/**
+ * Contrôle les journées d'une saison d'un championnat.
+ * Erreurs : manager deux fois dans une journée, exempt sur le terrain (exempt de saison, ou de la journée
+ * pour un calendrier généré : format.exemptRotation), affiche répétée
+ * plus souvent que le format ne le permet (une fois par phase), journée hors format.
+ * Avertissements : déséquilibre domicile / extérieur (plus d'un écart par phase), journée
+ * manquante avant la dernière journée disputée, journée disputée incomplète (hors matchs annulés).
+ * @param {Array} blocks - Blocs de matchs de la saison ({ matchday, games })
+ * @param {Object} context - { format: { matchdays, gamesPerMatchday, managers, exemptRotation }, exemptTeam }
+ * @returns {Array} [{ level: 'error'|'warning', matchday, message }] trié par journée
+ */
+function validateSeasonFixtures(blocks, { format = DEFAULT_SEASON_FORMAT, exemptTeam = '' } = {}) {
+  const issues = [];
+  const report = (level, matchday, message) => issues.push({ level, matchday, message });
+  const rotation = Array.isArray(format.exemptRotation) ? format.exemptRotation : null;
+  const exemptOf = matchday => (rotation ? rotation[matchday - 1] || '' : exemptTeam);
+  const byMatchday = new Map();
+  blocks.forEach(block => {
+    const games = (block.games || []).map(normalizeMatch).filter(m => m.homeTeam && m.awayTeam);
+    byMatchday.set(block.matchday, [...(byMatchday.get(block.matchday) || []), ...games]);
+  });
 
-  // États Palmarès
-  const [champions, setChampions] = useState([]);
+  const pairings = {};
+  const venues = {};
+  byMatchday.forEach((games, matchday) => {
+    if (matchday > format.matchdays && games.length > 0) {
+      report('error', matchday, `Journée ${matchday} hors format (${format.matchdays} journées prévues)`);
+    }
+    const seen = new Set();
+    games.forEach(m => {
+      [m.homeTeam, m.awayTeam].forEach(team => {
+        if (seen.has(team)) report('error', matchday, `${team} joue deux fois en J${matchday}`);
+        seen.add(team);
+        if (team === exemptOf(matchday)) report('error', matchday, `${team} est exempt mais joue en J${matchday}`);
+      });
+      if (m.status === 'cancelled') return;
+      const pair = [m.homeTeam, m.awayTeam].sort().join(' – ');
+      pairings[pair] = (pairings[pair] || 0) + 1;
+      venues[m.homeTeam] = { home: (venues[m.homeTeam]?.home || 0) + 1, away: venues[m.homeTeam]?.away || 0 };
+      venues[m.awayTeam] = { home: venues[m.awayTeam]?.home || 0, away: (venues[m.awayTeam]?.away || 0) + 1 };
+    });
+  });
 
-  // États Panthéon
-  const [pantheonTeams, setPantheonTeams] = useState([]);
+  // Une phase = toutes les affiches une fois (n - 1 journées, n avec un exempt tournant)
+  const participants = (format.managers.length > 0 ? format.managers : Object.keys(venues)).filter(t => rotation || t !== exemptTeam);
+  const roundsPerLeg = Math.max(1, participants.length % 2 === 1 ? participants.length : participants.length - 1);
+  const phases = Math.max(1, Math.ceil(format.matchdays / roundsPerLeg));
+  Object.entries(pairings).forEach(([pair, count]) => {
+    if (count > phases) report('error', null, `${pair} se rencontrent ${count} fois (${phases} au plus)`);
+  });
+  Object.entries(venues).forEach(([team, { home, away }]) => {
+    if (Math.abs(home - away) > phases) report('warning', null, `${team} : ${home} à domicile pour ${away} à l'extérieur`);
+  });
 
-  // États Match
-  const [selectedJournee, setSelectedJournee] = useState('1');
-  const [isJourneeOpen, setIsJourneeOpen] = useState(false);
-  const [matches, setMatches] = useState(DEFAULT_MATCHES);
+  const played = [...byMatchday.keys()].filter(matchday => isMatchdayPlayed({ games: byMatchday.get(matchday) }));
+  const lastPlayed = Math.max(0, ...played);
+  for (let matchday = 1; matchday < lastPlayed; matchday++) {
+    if (!played.includes(matchday)) report('warning', matchday, `Journée ${matchday} manquante`);
+  }
+  played.forEach(matchday => {
+    const games = byMatchday.get(matchday);
+    const scored = games.filter(m =>
+      m.homeScore !== null && m.homeScore !== '' && m.awayScore !== null && m.awayScore !== '');
+    // Un match annulé sort du total attendu ; un match reporté reste dû
+    const expected = format.gamesPerMatchday - games.filter(m => m.status === 'cancelled').length;
+    if (scored.length < expected) {
+      report('warning', matchday, `J${matchday} incomplète (${scored.length}/${expected} matchs)`);
+    }
+  });
 
-  const [allTeams, setAllTeams] = useState([]);
+  return issues.sort((a, b) => (a.matchday ?? Infinity) - (b.matchday ?? Infinity));
+}
 
-  const [openDropdown, setOpenDropdown] = useState(null);
-  const [dropdownPosition, setDropdownPosition] = useState({ top: 0, left: 0, right: 'auto' });
-  const [exemptTeam, setExemptTeam] = useState('');
-  const [isTeamDropdownOpen, setIsTeamDropdownOpen] = useState(false);
-  const skipNextMatchesLoadRef = useRef(false);
-  const skipNextExemptLoadRef = useRef(false);
-  const saveMatchesTimeoutRef = useRef(null);
+// === SAISIE PAR COLLAGE ===
 
-  const [seasons, setSeasons] = useState([]);
+// Nom comparable : sans accents, casse ni ponctuation
+function foldName(name) {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
 
-  // Nombre de journées dynamique selon le championnat et la saison
-  const getJourneesForChampionship = (championship, season) => {
-    const isS6 = season === '6';
-    let count;
-    if (championship === 'hyenes') {
-      count = isS6 ? HYENES_S6_MATCHDAYS : HYENES_MATCHDAYS;
-    } else if (championship === 'france' && isS6) {
-      count = FRANCE_S6_MATCHDAYS;
-    } else {
-      count = STANDARD_MATCHDAYS;
+// Distance d'édition (insertion, suppression, substitution)
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
     }
-    return Array.from({ length: count }, (_, i) => (i + 1).toString());
-  };
+    previous = current;
+  }
+  return previous[b.length];
+}
 
-  const journees = getJourneesForChampionship(selectedChampionship, selectedSeason);
+/**
+ * Rapproche un nom saisi d'un manager : égalité, puis début ou contenu unique, puis faute de frappe
+ * (distance d'édition d'un quart du nom au plus, meilleur candidat unique).
+ * @returns {string|null} Nom du manager, null si introuvable ou ambigu
+ */
+function matchManagerName(raw, teams) {
+  const folded = foldName(raw);
+  if (!folded) return null;
+  const candidates = teams.map(name => ({ name, folded: foldName(name) }));
+  const exact = candidates.find(c => c.folded === folded);
+  if (exact) return exact.name;
+  const partial = candidates.filter(c => c.folded.startsWith(folded) || folded.startsWith(c.folded) || c.folded.includes(folded));
+  if (partial.length === 1) return partial[0].name;
+  const scored = candidates
+    .map(c => ({ ...c, distance: editDistance(folded, c.folded) }))
+    .filter(c => c.distance <= Math.max(1, Math.floor(c.folded.length / 4)))
+    .sort((a, b) => a.distance - b.distance);
+  return scored.length > 0 && scored[0].distance !== scored[1]?.distance ? scored[0].name : null;
+}
 
-  // États Réglages
-  const [showResetModal, setShowResetModal] = useState(false);
-  const [resetConfirmation, setResetConfirmation] = useState('');
-  const [newSeasonNumber, setNewSeasonNumber] = useState('');
+/**
+ * Lit des résultats collés (liste, récap WhatsApp, saison entière).
+ * Une ligne "J12" / "Journée 12" ouvre une journée ; sans en-tête, les matchs vont à `defaultMatchday`.
+ * Formats d'un match : "Alice 2-1 Bob", "Alice 2 : 1 Bob", "Alice - Bob 2-1", "Alice vs Bob : 2-1".
+ * Les préfixes WhatsApp ("[12/03/25, 21:04] Nom: ") et les puces sont ignorés.
+ * @param {string} text - Texte collé
+ * @param {string[]} teams - Managers connus (allTeams)
+ * @param {number} defaultMatchday - Journée des matchs sans en-tête
+ * @returns {Object} { matchdays: [{ matchday, games: [{ line, homeTeam, awayTeam, homeScore, awayScore, issues }] }], unparsed: [ligne] }
+ */
+function parseResultsText(text, teams, defaultMatchday) {
+  const groups = new Map();
+  const unparsed = [];
+  let matchday = defaultMatchday;
+  const scorePattern = /^(.+?)\s+(\d{1,2})\s*[-–:x]\s*(\d{1,2})\s+(.+)$/i;
+  const trailingPattern = /^(.+?)\s+(?:-|–|vs\.?|v|contre)\s+(.+?)\s*:?\s+(\d{1,2})\s*[-–:]\s*(\d{1,2})$/i;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine
+      .replace(/^\[?\d{1,2}[/.]\d{1,2}[/.]\d{2,4},?\s+\d{1,2}:\d{2}(?::\d{2})?\]?\s*(?:-\s*)?[^:]{1,40}:\s*/, '')
+      .replace(/^[\s•*·>\-–]+/, '')
+      .replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}]/gu, '')
+      .trim();
+    if (!line) return;
+
+    const header = line.match(/^(?:j|journ[ée]e|day|md)\s*\.?\s*(\d{1,3})\b\s*:?$/i);
+    if (header) {
+      matchday = parseInt(header[1]);
+      return;
+    }
 
-  // État pour stocker les données brutes v2.0
-  const [appData, setAppData] = useState(null);
+    let parts = line.match(scorePattern);
+    let rawHome, rawAway, homeScore, awayScore;
+    if (parts) {
+      [, rawHome, homeScore, awayScore, rawAway] = parts;
+    } else if ((parts = line.match(trailingPattern))) {
+      [, rawHome, rawAway, homeScore, awayScore] = parts;
+    } else {
+      unparsed.push(rawLine.trim());
+      return;
+    }
 
-  // État pour la progression de la saison
-  const [seasonProgress, setSeasonProgress] = useState({
-    currentMatchday: 0,
-    totalMatchdays: 0,
-    percentage: 0
+    const game = {
+      line: rawLine.trim(),
+      rawHome: rawHome.trim(),
+      rawAway: rawAway.trim(),
+      homeTeam: matchManagerName(rawHome, teams),
+      awayTeam: matchManagerName(rawAway, teams),
+      homeScore: Math.min(MAX_SCORE, Math.max(MIN_SCORE, parseInt(homeScore))),
+      awayScore: Math.min(MAX_SCORE, Math.max(MIN_SCORE, parseInt(awayScore))),
+      issues: []
+    };
+    if (!game.homeTeam) game.issues.push(`« ${game.rawHome} » introuvable`);
+    if (!game.awayTeam) game.issues.push(`« ${game.rawAway} » introuvable`);
+    if (game.homeTeam && game.homeTeam === game.awayTeam) game.issues.push('même manager des deux côtés');
+    if (!groups.has(matchday)) groups.set(matchday, []);
+    groups.get(matchday).push(game);
   });
 
-  // États pour les pénalités
-  const [penalties, setPenalties] = useState({}); // { "championshipId_seasonId_teamName": points }
-  const [isPenaltyModalOpen, setIsPenaltyModalOpen] = useState(false);
-  const [selectedPenaltyTeam, setSelectedPenaltyTeam] = useState('');
-  const [penaltyPoints, setPenaltyPoints] = useState('');
-  const [isPenaltyTeamDropdownOpen, setIsPenaltyTeamDropdownOpen] = useState(false);
+  // Un manager ne joue qu'une fois par journée
+  groups.forEach(games => {
+    const seen = new Set();
+    games.forEach(game => {
+      [game.homeTeam, game.awayTeam].filter(Boolean).forEach(team => {
+        if (seen.has(team)) game.issues.push(`${team} déjà aligné dans cette journée`);
+        seen.add(team);
+      });
+    });
+  });
 
-  // États pour la gestion des Managers
-  const [newManagerName, setNewManagerName] = useState('');
-  const [isAddingManager, setIsAddingManager] = useState(false);
-  const [managerError, setManagerError] = useState('');
-  const [editingManagerId, setEditingManagerId] = useState(null);
-  const [editingManagerName, setEditingManagerName] = useState('');
-  const [isEditingManager, setIsEditingManager] = useState(false);
+  return {
+    matchdays: [...groups.entries()].sort((a, b) => a[0] - b[0]).map(([md, games]) => ({ matchday: md, games })),
+    unparsed
+  };
+}
 
-  // États Stats
-  const [statsChampionship, setStatsChampionship] = useState('hyenes');
-  const [statsSeason, setStatsSeason] = useState('all');
-  const [statsCategory, setStatsCategory] = useState('records');
-  const [visibleManagers, setVisibleManagers] = useState(new Set());
-  const [timelineMode, setTimelineMode] = useState('points');
-  const [cleanSheetMode, setCleanSheetMode] = useState('count');
-  const [failedToScoreMode, setFailedToScoreMode] = useState('count');
-  const [h2hTeamA, setH2hTeamA] = useState(null);
-  const [h2hTeamB, setH2hTeamB] = useState(null);
-  const [h2hShowAllHistory, setH2hShowAllHistory] = useState(false);
-  const [isStatsChampOpen, setIsStatsChampOpen] = useState(false);
-  const [isStatsSeasonOpen, setIsStatsSeasonOpen] = useState(false);
-  const [isH2hDropdownAOpen, setIsH2hDropdownAOpen] = useState(false);
-  const [isH2hDropdownBOpen, setIsH2hDropdownBOpen] = useState(false);
-  const [isEvoTeamDropdownOpen, setIsEvoTeamDropdownOpen] = useState(false);
+/**
+ * Reporte des matchs collés dans une journée existante : une affiche déjà programmée reçoit
+ * son score, les autres prennent les lignes vides puis s'ajoutent à la suite.
+ * @param {Array} games - Matchs actuels de la journée
+ * @param {Array} pastedGames - Matchs lus par parseResultsText
+ * @param {number} minSlots - Nombre de lignes minimum de la journée
+ * @returns {Array} Matchs de la journée (ids uniques)
+ */
+function mergePastedGames(games, pastedGames, minSlots) {
+  const merged = games.map(g => ({ ...g }));
+  pastedGames.forEach(({ homeTeam, awayTeam, homeScore, awayScore }) => {
+    const slot = merged.find(g => g.homeTeam === homeTeam && g.awayTeam === awayTeam) ||
+      merged.find(g => !g.homeTeam && !g.awayTeam);
+    const result = { homeTeam, awayTeam, homeScore, awayScore, status: null };
+    if (slot) Object.assign(slot, result);
+    else merged.push({ id: Math.max(0, ...merged.map(g => g.id)) + 1, ...result });
+  });
+  while (merged.length < minSlots) {
+    merged.push({ id: Math.max(0, ...merged.map(g => g.id)) + 1, homeTeam: '', awayTeam: '', homeScore: null, awayScore: null });
+  }
+  return merged;
+}
 
-  // Compute stats only when on the stats tab
-  const statsResult = useMemo(() => {
-    if (selectedTab !== 'stats' || !appData) return null;
-    return computeAllStats(appData, statsChampionship, statsSeason);
-  }, [selectedTab, appData, statsChampionship, statsSeason]);
+// === TITRES ET CORRECTIONS MANUELLES ===
+//
+// Un admin peut corriger le titre d'une saison (titre partagé, attribué après appel, retiré).
+// La correction est stockée sur la ligne champions (colonne override) :
+// { champions: [noms], runnerUps: [noms] | null, reason }
+// champions vide = titre retiré (non attribué) ; runnerUps null = dauphin calculé.
 
-  // Initialize visible managers when stats data changes
-  useEffect(() => {
-    if (statsResult?.trends?.timeline?.length > 0 && appData?.entities?.managers) {
-      const mgrs = Object.values(appData.entities.managers).map(m => m.name).filter(Boolean);
-      setVisibleManagers(prev => prev.size === 0 ? new Set(mgrs) : prev);
-    }
-  }, [statsResult, appData]);
+/**
+ * Retourne la correction manuelle du titre d'une saison (ou null).
+ * @param {Object} palmares - appData.palmares ({ championnat: [{ season, champion, runnerUp, override }] })
+ */
+function getChampionOverride(palmares, championshipKey, season) {
+  const entry = palmares?.[championshipKey]?.find(e => Number(e.season) === Number(season));
+  return entry?.override || null;
+}
 
-  // Get available seasons list for stats filter
-  const availableSeasons = useMemo(() => {
-    if (!appData?.entities?.seasons) return [];
-    const nums = new Set();
-    Object.values(appData.entities.seasons).forEach(s => { if (s.season) nums.add(s.season); });
-    return [...nums].sort((a, b) => a - b);
-  }, [appData]);
+/**
+ * Détermine le(s) champion(s) et dauphin(s) d'une saison terminée.
+ * En mode rang partagé ou binômes, toutes les équipes ex-aequo en tête partagent le titre.
+ * @param {Array} rankedTeams - Équipes classées [{ name, effectivePts, diff, ... }]
+ * @param {Object|null} override - Correction manuelle (voir getChampionOverride)
+ * @param {string} rankMode - Mode d'attribution des rangs (voir RANK_MODES)
+ * @param {Object} rankOptions - { tiebreakers, matchBlocks, seed, seasons } du classement (voir getDisplayRanks)
+ * @returns {Object} { champions: string[], runnerUps: string[] }
+ */
+function resolveSeasonTitle(rankedTeams, override, rankMode = 'standard', rankOptions = {}) {
+  // Meilleure(s) équipe(s) d'une liste, ex-aequo compris si le mode de rang les regroupe
+  const leaders = (teams) => {
+    if (teams.length === 0) return [];
+    const ranks = getDisplayRanks(teams, rankMode, rankOptions);
+    return teams.filter((_, i) => ranks[i] === 1).map(t => t.name);
+  };
 
-  // Auto-select latest season when switching to Evolution tab with "All time"
-  useEffect(() => {
-    if (statsCategory === 'trends' && statsSeason === 'all' && availableSeasons.length > 0) {
-      setStatsSeason(String(availableSeasons[availableSeasons.length - 1]));
-    }
-  }, [statsCategory, availableSeasons]);
+  if (!override) {
+    const champions = leaders(rankedTeams);
+    return { champions, runnerUps: leaders(rankedTeams.filter(t => !champions.includes(t.name))) };
+  }
+  const champions = override.champions || [];
+  if (Array.isArray(override.runnerUps)) return { champions, runnerUps: override.runnerUps };
 
-  // Fonction pour charger les données depuis appData v2.0
-  const loadDataFromAppData = useCallback((data, championship, season, journee, currentPenalties = {}, isAdminUser = false) => {
-    if (!data || !data.entities) return;
+  // Dauphin(s) : meilleure(s) équipe(s) hors champions (hors vainqueur sportif si le titre est retiré)
+  const excluded = champions.length > 0 ? champions : leaders(rankedTeams);
+  return { champions, runnerUps: leaders(rankedTeams.filter(t => !excluded.includes(t.name))) };
+}
 
-    // Fonction locale pour obtenir la pénalité d'une équipe
-    const getTeamPenaltyLocal = (teamName, champ, seas) => {
-      const key = `${champ}_${seas}_${teamName}`;
-      return currentPenalties[key] || 0;
-    };
+/**
+ * Titres de toutes les saisons terminées et Panthéon qui en découle (chargement et import JSON).
+ * - coupe : classement de la finale ; championnat : saison terminée selon son format, classée par
+ *   points effectifs (pts - pénalité) puis par la chaîne de départage de la saison
+ * - une correction manuelle (titre partagé, attribué après appel, retiré) prime sur le calcul
+ * @param {Object} data - appData v2.0 (entities.seasons avec leurs standings, entities.managers, palmares)
+ * @param {Object} penalties - { "championshipId_season_teamName": points }
+ * @returns {Object|null} { pantheon, finalResults: { [clé de saison]: { ranking, champions } },
+ *   champions: [{ championship, season, champion, runnerUp }] (titres à persister) }, null sans saisons ni managers
+ */
+function computeSeasonTitles(data, penalties = {}) {
+  if (!data?.entities?.seasons || !data.entities.managers) return null;
+  const registry = getChampionshipRegistry(data.championships);
+
+  // Compteur de trophées : trophies = Ligue des Hyènes, puis une colonne par championnat (id de la compétition)
+  const trophyCount = {};
+  Object.values(data.entities.managers).forEach(manager => {
+    const name = manager.name || '?';
+    trophyCount[name] = { name: name, total: 0 };
+    registry.list.forEach(c => { trophyCount[name][getPantheonField(c.key, registry)] = 0; });
+  });
 
-    // Extraire teams[] depuis entities.seasons
-    // Mapper les IDs de championnat vers les clés du fichier v2.0
-    const championshipKey = CHAMPIONSHIP_MAPPING[championship] || championship;
-    const seasonKey = `${championshipKey}_s${season}`;
+  const champions = [];
+  const finalResults = {};
 
-    // === Résolution de l'équipe exemptée depuis la table seasons ===
-    if (!skipNextExemptLoadRef.current) {
-      let resolvedExempt = '';
+  Object.keys(data.entities.seasons).forEach(seasonKey => {
+    const parts = seasonKey.split('_');
+    const seasonNum = parts[parts.length - 1].replace('s', '');
+    const championshipName = parts.slice(0, -1).join('_');
+    const field = getPantheonField(championshipName, registry);
 
-      // Lire l'exempt depuis entities.seasons (source unique de vérité)
-      if (data.entities.seasons) {
-        const currentSeason = data.entities.seasons[seasonKey];
-        if (currentSeason?.exemptTeam) {
-          resolvedExempt = currentSeason.exemptTeam;
-        } else {
-          // Hériter depuis n'importe quel championnat de la même saison
-          const anySeasonEntry = Object.values(data.entities.seasons).find(
-            s => s.season === parseInt(season) && s.exemptTeam
-          );
-          if (anySeasonEntry) {
-            resolvedExempt = anySeasonEntry.exemptTeam;
-          }
-        }
-      }
+    if (!field) return;
 
-      // Override legacy (indexes.exemptTeams)
-      if (data.indexes?.exemptTeams?.[season]) {
-        resolvedExempt = data.indexes.exemptTeams[season];
-      }
+    const seasonData = data.entities.seasons[seasonKey];
+    const standings = seasonData.standings || [];
+    const rankOptions = {
+      tiebreakers: getTiebreakers(data.entities.seasons, seasonKey),
+      matchBlocks: getSeasonMatchBlocks(data, championshipName, seasonNum),
+      seed: seasonKey,
+      seasons: data.entities.seasons
+    };
+    let rankedTeams;
 
-      setExemptTeam(resolvedExempt);
+    if (isCupChampionship(registry, championshipName)) {
+      // Coupe : vainqueur puis finaliste de la finale
+      rankedTeams = getCupFinalRanking(seasonData.bracket);
+      if (!rankedTeams) return;
     } else {
-      skipNextExemptLoadRef.current = false;
-    }
-
-    // === CAS SPÉCIAL: LIGUE DES HYÈNES ===
-    // La Ligue des Hyènes n'a pas de matchs propres - c'est une agrégation des 4 championnats
-    if (championship === 'hyenes' || championshipKey === 'ligue_hyenes') {
-
-      // Les 4 championnats à agréger
-      const euroChampionships = ['france', 'espagne', 'italie', 'angleterre'];
-
-      // Récupérer la liste des managers
-      const managerList = data.entities.managers
-        ? Object.values(data.entities.managers).map(m => m.name || '?').filter(n => n !== '?')
-        : [];
-
-      // Initialiser les stats agrégées pour chaque manager
-      const aggregatedStats = {};
-      managerList.forEach(mgr => {
-        aggregatedStats[mgr] = {
-          name: mgr,
-          pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0,
-          // Détail par championnat pour affichage
-          details: { france: 0, espagne: 0, italie: 0, angleterre: 0 }
+      if (standings.length === 0) return;
+
+      // Vérifier si la saison est terminée (nombre de journées issu du format de la saison)
+      const totalMatchdays = getSeasonFormat(registry, data.entities.seasons, championshipName, seasonNum).matchdays;
+      // Utiliser playedMatchdays (journées disputées) plutôt que j (matchs joués par équipe)
+      const currentMatchday = seasonData.playedMatchdays || standings[0]?.j || 0;
+      if (currentMatchday < totalMatchdays) return;
+
+      // Points effectifs (pts - pénalité), pénalités indexées par id de championnat
+      const champId = registry.reverseMapping[championshipName] || championshipName;
+      const teamsWithEffectivePts = standings.map(team => {
+        const teamName = team.mgr || team.name || '?';
+        const penalty = penalties[`${champId}_${seasonNum}_${teamName}`] || 0;
+        const pts = team.pts || team.points || 0;
+        return {
+          name: teamName,
+          effectivePts: pts - penalty,
+          diff: team.diff,
+          bp: team.bp,
+          g: team.g
         };
       });
 
-      // Parcourir chaque championnat européen
-      euroChampionships.forEach(euroChamp => {
-        const euroMatches = (data.entities.matches || []).filter(
-          block => block.championship?.toLowerCase() === euroChamp.toLowerCase() &&
-                   block.season === parseInt(season)
-        );
+      // Trier par points effectifs puis par la chaîne de départage de la saison
+      rankedTeams = rankWithTiebreakers(teamsWithEffectivePts, rankOptions.tiebreakers, rankOptions);
+    }
 
-        // Calculer les stats de ce championnat
-        const champStats = {};
-        managerList.forEach(mgr => {
-          champStats[mgr] = { pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
-        });
+    const override = getChampionOverride(data.palmares, championshipName, seasonNum);
+    const title = resolveSeasonTitle(rankedTeams, override, getRankMode(data.entities.seasons, seasonKey), rankOptions);
+    title.champions.forEach(name => {
+      if (trophyCount[name]) {
+        trophyCount[name][field] += 1;
+        trophyCount[name].total += 1;
+      }
+    });
+    finalResults[seasonKey] = { ranking: rankedTeams.map(t => t.name), champions: title.champions };
+    if (rankedTeams.length > 0) {
+      champions.push({
+        championship: championshipName,
+        season: parseInt(seasonNum),
+        champion: title.champions.length > 0 ? title.champions.join(' / ') : null,
+        runnerUp: title.runnerUps.length > 0 ? title.runnerUps.join(' / ') : null
+      });
+    }
+  });
 
-        euroMatches.forEach(matchBlock => {
-          if (matchBlock.games && Array.isArray(matchBlock.games)) {
-            matchBlock.games.forEach(match => {
-              const { homeTeam: home, awayTeam: away, homeScore: hs, awayScore: as2 } = normalizeMatch(match);
+  // Convertir en tableau et trier : priorité Ligue des Hyènes, puis total de trophées
+  const pantheon = Object.values(trophyCount)
+    .sort((a, b) => {
+      // 1. Priorité aux trophées Ligue des Hyènes (championnat le plus prestigieux)
+      if (b.trophies !== a.trophies) return b.trophies - a.trophies;
+      // 2. Départage par nombre total de trophées
+      return b.total - a.total;
+    })
+    .map((team, index) => ({
+      ...team,
+      rank: index + 1
+    }));
 
-              if (hs !== null && as2 !== null && champStats[home] && champStats[away]) {
-                const homeScore = parseInt(hs);
-                const awayScore = parseInt(as2);
+  return { pantheon, finalResults, champions };
+}
 
-                if (!isNaN(homeScore) && !isNaN(awayScore)) {
-                  champStats[home].j++;
-                  champStats[away].j++;
-                  champStats[home].bp += homeScore;
-                  champStats[home].bc += awayScore;
-                  champStats[away].bp += awayScore;
-                  champStats[away].bc += homeScore;
+// === MOTEUR DE CALCUL STATS ===
+//
+// Mode de calcul :
+// - Les stats sont calculées dynamiquement à partir des matchs stockés en base Supabase
+// - Filtre par championnat : "Ligue des Hyènes" = matchs des championnats européens (france, espagne, italie, angleterre)
+// - Filtre par saison : chaque saison correspond à un numéro (1, 2, 3...), "All time" = toutes les saisons
+// - "Matchs joués" (totalGames) = nombre de matchs individuels (matchs par journée selon le format de la saison)
+// - "Journées" (totalMatchdays) = nombre de blocs de journée
+//
+// Procédure de mise à jour :
+// - Les données sont alimentées via la page Match (saisie manuelle) ou import JSON
+// - Les stats se recalculent automatiquement à chaque changement de filtre ou rafraîchissement des données
+// - Auto-refresh toutes les 30 secondes (AUTO_REFRESH_INTERVAL_MS)
+// - Aucune mise à jour manuelle des stats n'est nécessaire
+//
 
-                  if (homeScore > awayScore) {
-                    champStats[home].pts += 3;
-                    champStats[home].g++;
-                    champStats[away].p++;
-                  } else if (homeScore < awayScore) {
-                    champStats[away].pts += 3;
-                    champStats[away].g++;
-                    champStats[home].p++;
-                  } else {
-                    champStats[home].pts++;
-                    champStats[away].pts++;
-                    champStats[home].n++;
-                    champStats[away].n++;
-                  }
-                  champStats[home].diff = champStats[home].bp - champStats[home].bc;
-                  champStats[away].diff = champStats[away].bp - champStats[away].bc;
-                }
-              }
-            });
-          }
-        });
+function getFilteredMatches(appData, champFilter, seasonFilter) {
+  const registry = getChampionshipRegistry(appData?.championships);
+  if (!appData?.entities?.matches) return [];
+  return appData.entities.matches.filter(block => {
+    if (!block.games || !Array.isArray(block.games)) return false;
+    const champMatch = champFilter === 'all'
+      ? block.championship?.toLowerCase() !== HYENES_KEY
+      : champFilter === 'hyenes'
+        ? registry.euro.includes(block.championship?.toLowerCase())
+        : (block.championship?.toLowerCase() === (registry.mapping[champFilter] || champFilter)?.toLowerCase());
+    const seasonMatch = seasonFilter === 'all' || Number(block.season) === Number(seasonFilter);
+    return champMatch && seasonMatch;
+  });
+}
 
-        // Ajouter les stats de ce championnat aux stats agrégées
-        managerList.forEach(mgr => {
-          if (aggregatedStats[mgr] && champStats[mgr]) {
-            aggregatedStats[mgr].pts += champStats[mgr].pts;
-            aggregatedStats[mgr].j += champStats[mgr].j;
-            aggregatedStats[mgr].g += champStats[mgr].g;
-            aggregatedStats[mgr].n += champStats[mgr].n;
-            aggregatedStats[mgr].p += champStats[mgr].p;
-            aggregatedStats[mgr].bp += champStats[mgr].bp;
-            aggregatedStats[mgr].bc += champStats[mgr].bc;
-            aggregatedStats[mgr].diff += champStats[mgr].diff;
-            aggregatedStats[mgr].details[euroChamp] = champStats[mgr].pts;
-          }
-        });
-      });
+function flattenMatches(matchBlocks) {
+  const flat = [];
+  matchBlocks.forEach(block => {
+    if (!block.games) return;
+    block.games.forEach(match => {
+      const { homeTeam, awayTeam, homeScore, awayScore, status, playedAt, note, videoUrl, events, homeClub, awayClub } = normalizeMatch(match);
+      // Statistiques de jeu : seuls les matchs disputés comptent (pas les forfaits)
+      if (status !== 'played') return;
+      const hs = parseInt(homeScore), as2 = parseInt(awayScore);
+      if (isNaN(hs) || isNaN(as2)) return;
+      flat.push({ homeTeam, awayTeam, homeScore: hs, awayScore: as2, championship: block.championship, season: block.season, matchday: block.matchday, playedAt, note, videoUrl, events, homeClub, awayClub });
+    });
+  });
+  return flat;
+}
 
-      // Appliquer les pénalités et trier
-      const sortedAggregated = Object.values(aggregatedStats)
-        .filter(team => team.j > 0)
-        .map(team => {
-          const penalty = getTeamPenaltyLocal(team.name, championship, season);
-          return {
-            ...team,
-            penalty: penalty,
-            effectivePts: team.pts - penalty
-          };
-        })
-        .sort((a, b) => {
-          if (b.effectivePts !== a.effectivePts) return b.effectivePts - a.effectivePts;
-          if (b.diff !== a.diff) return b.diff - a.diff;
-          return b.bp - a.bp;
-        });
+function computeRecords(flatMatches, matchBlocks) {
+  // Biggest victories (top 3)
+  const biggestWins = [...flatMatches]
+    .map(m => ({ ...m, diff: Math.abs(m.homeScore - m.awayScore), total: m.homeScore + m.awayScore, winner: m.homeScore > m.awayScore ? m.homeTeam : m.awayTeam, loser: m.homeScore > m.awayScore ? m.awayTeam : m.homeTeam, winScore: Math.max(m.homeScore, m.awayScore), loseScore: Math.min(m.homeScore, m.awayScore) }))
+    .filter(m => m.diff > 0)
+    .sort((a, b) => b.diff - a.diff || b.total - a.total)
+    .slice(0, 3);
 
-      const hyenesStandings = sortedAggregated.map((team, index) => ({
-        pos: index + 1,
-        mgr: team.name,
-        pts: team.pts,
-        j: team.j,
-        g: team.g,
-        n: team.n,
-        p: team.p,
-        bp: team.bp,
-        bc: team.bc,
-        diff: team.diff,
-        details: team.details
-      }));
+  // Highest scoring matches (top 3)
+  const highestScoring = [...flatMatches]
+    .map(m => ({ ...m, total: m.homeScore + m.awayScore }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, 3);
 
+  // Streaks (wins, unbeaten, losses)
+  const streaks = computeStreakRecords(matchBlocks);
 
-      // Mettre à jour les équipes et le classement
-      // Inclure tous les champs nécessaires pour l'affichage (record, goalDiff)
-      const normalizedTeams = hyenesStandings.map((team, index) => ({
-        rank: index + 1,
-        name: team.mgr,
-        pts: team.pts,
-        j: team.j,
-        g: team.g,
-        n: team.n,
-        p: team.p,
-        bp: team.bp,
-        bc: team.bc,
-        diff: team.diff >= 0 ? `+${team.diff}` : `${team.diff}`,
-        record: `${team.g}-${team.n}-${team.p}`,
-        goalDiff: `${team.bp}-${team.bc}`,
-        details: team.details
-      }));
-      setTeams(normalizedTeams);
+  // Hat-tricks (buteurs saisis dans la fiche de match)
+  const hatTricks = computeHatTricks(flatMatches);
 
-      // Sauvegarder les standings Hyènes dans data.entities.seasons
-      // pour que le Palmarès et le Panthéon puissent les trouver
-      if (!data.entities.seasons) data.entities.seasons = {};
-      if (!data.entities.seasons[seasonKey]) {
-        data.entities.seasons[seasonKey] = { season: parseInt(season) };
-      }
-      data.entities.seasons[seasonKey].standings = hyenesStandings;
+  return { biggestWins, highestScoring, streaks, hatTricks };
+}
 
-      // Calculer la progression de la saison (somme des journées jouées par championnat)
-      const isS6 = season === '6';
-      let currentMatchday = 0;
-      euroChampionships.forEach(champ => {
-        const champMatches = (data.entities.matches || []).filter(
-          block => block.championship?.toLowerCase() === champ.toLowerCase() &&
-                   block.season === parseInt(season)
-        );
-        if (champMatches.length > 0) {
-          currentMatchday += new Set(champMatches.map(b => b.matchday)).size;
-        }
+// Triplés : HAT_TRICK_GOALS buts ou plus d'un même joueur dans un match (CSC exclus)
+function computeHatTricks(flatMatches) {
+  const hatTricks = [];
+  flatMatches.forEach(m => {
+    const matchGoals = {};
+    (m.events || []).forEach(event => {
+      if (!event?.player?.trim() || event.type === 'own_goal') return;
+      const manager = event.side === 'away' ? m.awayTeam : m.homeTeam;
+      const key = `${manager}|${foldName(event.player)}`;
+      if (!matchGoals[key]) matchGoals[key] = { player: event.player.trim(), manager, goals: 0 };
+      matchGoals[key].goals++;
+    });
+    Object.values(matchGoals).forEach(({ player, manager, goals }) => {
+      if (goals < HAT_TRICK_GOALS) return;
+      hatTricks.push({
+        player, manager, goals,
+        opponent: manager === m.homeTeam ? m.awayTeam : m.homeTeam,
+        championship: m.championship, season: m.season, matchday: m.matchday
       });
-      const totalMatchdays = isS6 ? HYENES_S6_MATCHDAYS : HYENES_MATCHDAYS;
-      const percentage = totalMatchdays > 0 ? Math.round((currentMatchday / totalMatchdays) * 100) : 0;
-      setSeasonProgress({ currentMatchday, totalMatchdays, percentage });
+    });
+  });
+  return hatTricks.sort((a, b) => b.goals - a.goals || b.season - a.season || b.matchday - a.matchday);
+}
 
-      // Pas de matchs à afficher pour la Ligue des Hyènes (c'est une agrégation)
-      setMatches([]);
+/**
+ * Buteurs : soulier d'or (joueur d'un manager), meilleur buteur de chaque saison,
+ * meilleurs buteurs par manager et CSC par joueur. Un CSC est compté au joueur qui l'a marqué
+ * (camp adverse de celui crédité du but), jamais dans ses buts. Triplés : voir computeRecords.
+ * @param {Array} flatMatches - Matchs disputés (flattenMatches)
+ * @returns {Object} { goldenBoot, seasonLeaders, byManager, ownGoals }
+ */
+function computeScorers(flatMatches) {
+  const players = {};
+  const getPlayer = (name, manager) => {
+    const key = `${manager}|${foldName(name)}`;
+    if (!players[key]) players[key] = { player: name.trim(), manager, goals: 0, assists: 0, ownGoals: 0, seasons: {} };
+    return players[key];
+  };
 
-    } else if (data.entities.seasons && data.entities.seasons[seasonKey]) {
-      const savedStandings = data.entities.seasons[seasonKey].standings || [];
+  flatMatches.forEach(m => {
+    (m.events || []).forEach(event => {
+      if (!event?.player?.trim()) return;
+      if (event.type === 'own_goal') {
+        getPlayer(event.player, event.side === 'away' ? m.homeTeam : m.awayTeam).ownGoals++;
+        return;
+      }
+      const manager = event.side === 'away' ? m.awayTeam : m.homeTeam;
+      const scorer = getPlayer(event.player, manager);
+      scorer.goals++;
+      scorer.seasons[m.season] = (scorer.seasons[m.season] || 0) + 1;
+      if (event.assist?.trim()) getPlayer(event.assist, manager).assists++;
+    });
+  });
 
-      // === RECALCULER le classement depuis TOUS les matchs de la saison ===
-      // (les standings sauvegardés peuvent être obsolètes si de nouvelles journées existent)
-      // Comparaison insensible à la casse pour éviter les problèmes de format
-      const championshipKeyLowerForStandings = championshipKey.toLowerCase();
-      const allSeasonMatches = (data.entities.matches || []).filter(
-        block => block.championship?.toLowerCase() === championshipKeyLowerForStandings &&
-                 block.season === parseInt(season)
-      );
+  const scorers = Object.values(players).filter(p => p.goals > 0);
+  const goldenBoot = [...scorers].sort((a, b) => b.goals - a.goals || b.assists - a.assists || a.player.localeCompare(b.player));
 
-      let standings;
+  const seasonNumbers = [...new Set(scorers.flatMap(p => Object.keys(p.seasons).map(Number)))].sort((a, b) => b - a);
+  const seasonLeaders = seasonNumbers.map(season => {
+    const [best] = [...scorers].filter(p => p.seasons[season]).sort((a, b) => b.seasons[season] - a.seasons[season]);
+    return { season, player: best.player, manager: best.manager, goals: best.seasons[season] };
+  });
 
-      if (allSeasonMatches.length > 0) {
-        // Récupérer la liste de toutes les équipes
-        const teamList = data.entities.managers
-          ? Object.values(data.entities.managers).map(m => m.name || '?').filter(n => n !== '?')
+  const byManager = {};
+  goldenBoot.forEach(p => {
+    if (!byManager[p.manager]) byManager[p.manager] = [];
+    byManager[p.manager].push(p);
+  });
+
+  return {
+    goldenBoot,
+    seasonLeaders,
+    byManager: Object.entries(byManager)
+      .map(([manager, list]) => ({ manager, goals: list.reduce((sum, p) => sum + p.goals, 0), top: list.slice(0, 3) }))
+      .sort((a, b) => b.goals - a.goals),
+    ownGoals: Object.values(players)
+      .filter(p => p.ownGoals > 0)
+      .sort((a, b) => b.ownGoals - a.ownGoals || a.player.localeCompare(b.player))
+  };
+}
+
+function computeStreakRecords(matchBlocks) {
+  const managerMatches = {};
+  matchBlocks.forEach(block => {
+    if (!block.games) return;
+    block.games.forEach(match => {
+      const { homeTeam, awayTeam, homeScore, awayScore, status } = normalizeMatch(match);
+      if (status !== 'played') return;
+      const hs = parseInt(homeScore), as2 = parseInt(awayScore);
+      if (isNaN(hs) || isNaN(as2)) return;
+      // Group by manager + championship + season: streaks are per-championship
+      // because matchday numbering is independent per championship (1-18 each)
+      const sn = Number(block.season);
+      const champ = block.championship || '';
+      const key1 = `${homeTeam}_${champ}_${sn}`;
+      const key2 = `${awayTeam}_${champ}_${sn}`;
+      if (!managerMatches[key1]) managerMatches[key1] = [];
+      if (!managerMatches[key2]) managerMatches[key2] = [];
+      managerMatches[key1].push({ matchday: block.matchday, result: hs > as2 ? 'W' : hs < as2 ? 'L' : 'D', manager: homeTeam, championship: champ, season: sn });
+      managerMatches[key2].push({ matchday: block.matchday, result: as2 > hs ? 'W' : as2 < hs ? 'L' : 'D', manager: awayTeam, championship: champ, season: sn });
+    });
+  });
+
+  let longestWin = { length: 0 }, longestUnbeaten = { length: 0 }, longestLosing = { length: 0 };
+
+  Object.values(managerMatches).forEach(matches => {
+    matches.sort((a, b) => a.matchday - b.matchday);
+    let winStreak = 0, unbeatStreak = 0, loseStreak = 0;
+    matches.forEach(m => {
+      if (m.result === 'W') { winStreak++; unbeatStreak++; loseStreak = 0; }
+      else if (m.result === 'D') { winStreak = 0; unbeatStreak++; loseStreak = 0; }
+      else { winStreak = 0; unbeatStreak = 0; loseStreak++; }
+      if (winStreak > longestWin.length) longestWin = { length: winStreak, manager: m.manager, championship: m.championship, season: m.season };
+      if (unbeatStreak > longestUnbeaten.length) longestUnbeaten = { length: unbeatStreak, manager: m.manager, championship: m.championship, season: m.season };
+      if (loseStreak > longestLosing.length) longestLosing = { length: loseStreak, manager: m.manager, championship: m.championship, season: m.season };
+    });
+  });
+
+  return { longestWin, longestUnbeaten, longestLosing };
+}
+
+function computePerformance(flatMatches, managers, seasons) {
+  const stats = {};
+  managers.forEach(m => { stats[m] = { name: m, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 }; });
+  flatMatches.forEach(m => {
+    if (!stats[m.homeTeam]) stats[m.homeTeam] = { name: m.homeTeam, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 };
+    if (!stats[m.awayTeam]) stats[m.awayTeam] = { name: m.awayTeam, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 };
+    stats[m.homeTeam].j++; stats[m.awayTeam].j++;
+    stats[m.homeTeam].bp += m.homeScore; stats[m.homeTeam].bc += m.awayScore;
+    stats[m.awayTeam].bp += m.awayScore; stats[m.awayTeam].bc += m.homeScore;
+    const points = getMatchPoints(m.homeScore, m.awayScore, getBlockPointsSystem(seasons, m));
+    stats[m.homeTeam].pts += points.home; stats[m.awayTeam].pts += points.away;
+    if (m.homeScore > m.awayScore) { stats[m.homeTeam].g++; stats[m.awayTeam].p++; }
+    else if (m.homeScore < m.awayScore) { stats[m.awayTeam].g++; stats[m.homeTeam].p++; }
+    else { stats[m.homeTeam].n++; stats[m.awayTeam].n++; }
+  });
+  const arr = Object.values(stats).filter(s => s.j >= 3);
+  const ppg = [...arr].map(s => ({ ...s, value: (s.pts / s.j).toFixed(2) })).sort((a, b) => b.value - a.value);
+  const winRate = [...arr].map(s => ({ ...s, value: ((s.g / s.j) * 100).toFixed(1) })).sort((a, b) => b.value - a.value);
+  const attack = [...arr].map(s => ({ ...s, value: (s.bp / s.j).toFixed(2) })).sort((a, b) => b.value - a.value);
+  const defense = [...arr].map(s => ({ ...s, value: (s.bc / s.j).toFixed(2) })).sort((a, b) => a.value - b.value);
+  return { ppg, winRate, attack, defense };
+}
+
+function computeHeadToHead(flatMatches, managers) {
+  const h2h = {};
+  const h2hMatches = {};
+  managers.forEach(a => { h2h[a] = {}; managers.forEach(b => { if (a !== b) { h2h[a][b] = { w: 0, d: 0, l: 0, gf: 0, ga: 0, played: 0 }; h2hMatches[`${a}_${b}`] = []; } }); });
+  flatMatches.forEach(m => {
+    const h = m.homeTeam, a = m.awayTeam;
+    if (!h2h[h]) h2h[h] = {};
+    if (!h2h[a]) h2h[a] = {};
+    if (!h2h[h][a]) h2h[h][a] = { w: 0, d: 0, l: 0, gf: 0, ga: 0, played: 0 };
+    if (!h2h[a][h]) h2h[a][h] = { w: 0, d: 0, l: 0, gf: 0, ga: 0, played: 0 };
+    h2h[h][a].played++; h2h[a][h].played++;
+    h2h[h][a].gf += m.homeScore; h2h[h][a].ga += m.awayScore;
+    h2h[a][h].gf += m.awayScore; h2h[a][h].ga += m.homeScore;
+    if (m.homeScore > m.awayScore) { h2h[h][a].w++; h2h[a][h].l++; }
+    else if (m.homeScore < m.awayScore) { h2h[a][h].w++; h2h[h][a].l++; }
+    else { h2h[h][a].d++; h2h[a][h].d++; }
+    // Store match details for detailed view
+    const matchDetail = { home: h, away: a, homeScore: m.homeScore, awayScore: m.awayScore, championship: m.championship, season: m.season, matchday: m.matchday, playedAt: m.playedAt, note: m.note, videoUrl: m.videoUrl, homeClub: m.homeClub, awayClub: m.awayClub };
+    const keyHA = `${h}_${a}`;
+    const keyAH = `${a}_${h}`;
+    if (!h2hMatches[keyHA]) h2hMatches[keyHA] = [];
+    if (!h2hMatches[keyAH]) h2hMatches[keyAH] = [];
+    h2hMatches[keyHA].push(matchDetail);
+    h2hMatches[keyAH].push(matchDetail);
+  });
+  const activeManagers = managers.filter(m => Object.values(h2h[m] || {}).some(v => v.played > 0));
+  return { matrix: h2h, managers: activeManagers, matches: h2hMatches };
+}
+
+/**
+ * Ordonne les blocs de matchs d'une saison en étapes chronologiques.
+ * - interleaved (Ligue des Hyènes) : France J1, Espagne J1, Italie J1, Angleterre J1, France J2, ...
+ * - sinon : une étape par journée (les blocs d'une même journée sont fusionnés)
+ * @returns {Array} Étapes ordonnées [{ championship, season, matchday, games }]
+ */
+function orderSeasonBlocks(registry, blocks, interleaved) {
+  const maxMatchday = Math.max(0, ...blocks.map(b => b.matchday || 0));
+  const ordered = [];
+  for (let md = 1; md <= maxMatchday; md++) {
+    const blocksForMd = blocks.filter(b => b.matchday === md && Array.isArray(b.games));
+    if (interleaved) {
+      registry.euro.forEach(champ => {
+        const block = blocksForMd.find(b => b.championship?.toLowerCase() === champ);
+        if (block) ordered.push(block);
+      });
+    } else if (blocksForMd.length > 0) {
+      ordered.push({
+        championship: blocksForMd[0].championship,
+        season: blocksForMd[0].season,
+        matchday: md,
+        games: blocksForMd.flatMap(b => b.games)
+      });
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Lignes de classement (format de l'onglet Classement) calculées depuis des étapes de matchs.
+ * @param {Object} registry - Registre des compétitions (getChampionshipRegistry)
+ * @param {Object} hyenes - Ligue des Hyènes : { season, getLeaguePenalty } (voir aggregateHyenesStats), sinon null
+ * @returns {Array} [{ name, pts, g, bp, record, goalDiff, diff }]
+ */
+function buildStandingsRows(registry, orderedBlocks, seasons, hyenes = null) {
+  const teamStats = hyenes
+    ? aggregateHyenesStats(registry, orderedBlocks, seasons, hyenes.season, hyenes.getLeaguePenalty)
+    : calculateTeamStats(orderedBlocks, [], seasons);
+  return Object.values(teamStats)
+    .filter(team => team.j > 0)
+    .map(team => ({
+      name: team.name,
+      pts: team.pts,
+      g: team.g,
+      bp: team.bp,
+      record: `${team.g}-${team.n}-${team.p}`,
+      goalDiff: `${team.bp}-${team.bc}`,
+      diff: team.diff >= 0 ? `+${team.diff}` : `${team.diff}`
+    }));
+}
+
+/**
+ * Forme récente de chaque équipe sur des étapes chronologiques.
+ * @param {Array} orderedBlocks - Étapes ordonnées (voir orderSeasonBlocks)
+ * @returns {Object} { [équipe]: { last5: ['W'|'D'|'L', ...] (du plus ancien au plus récent), streak: { result, length } } }
+ */
+function computeFormGuide(orderedBlocks) {
+  const results = {};
+  orderedBlocks.forEach(block => {
+    block.games.forEach(match => {
+      const { homeTeam, awayTeam, homeScore, awayScore } = normalizeMatch(match);
+      if (homeScore === null || homeScore === undefined || awayScore === null || awayScore === undefined) return;
+      const hs = parseInt(homeScore), as2 = parseInt(awayScore);
+      if (isNaN(hs) || isNaN(as2)) return;
+      if (!results[homeTeam]) results[homeTeam] = [];
+      if (!results[awayTeam]) results[awayTeam] = [];
+      results[homeTeam].push(hs > as2 ? 'W' : hs < as2 ? 'L' : 'D');
+      results[awayTeam].push(as2 > hs ? 'W' : as2 < hs ? 'L' : 'D');
+    });
+  });
+
+  const form = {};
+  Object.entries(results).forEach(([team, list]) => {
+    const last = list[list.length - 1];
+    let length = 0;
+    for (let i = list.length - 1; i >= 0 && list[i] === last; i--) length++;
+    form[team] = { last5: list.slice(-5), streak: { result: last, length } };
+  });
+  return form;
+}
+
+/**
+ * Nombre maximal de points que chaque équipe peut encore marquer dans la saison.
+ * Majorant : une équipe peut jouer dans toute journée saisie où elle n'a pas encore de score
+ * (tant que la journée n'est pas complète), plus un match par journée restante du format,
+ * sauf les journées où elle est exemptée.
+ * Ligue des Hyènes : majorant de chaque championnat (points × coefficient, ou meilleure place
+ * s'il reste des matchs), puis règle des N meilleurs, moins le score actuel.
+ * @param {Object} data - appData (entities.seasons, entities.matches)
+ * @param {string} championshipKey - Clé de championnat ("ligue_hyenes" = agrégation des 4 championnats)
+ * @param {string[]} teamNames - Équipes à évaluer
+ * @returns {Object} { [équipe]: points maximum restants }
+ */
+function computeRemainingMaxPoints(data, championshipKey, season, teamNames) {
+  const registry = getChampionshipRegistry(data?.championships);
+  const seasons = data?.entities?.seasons;
+  const champs = championshipKey === HYENES_KEY ? registry.euro : [championshipKey];
+  const maxByChamp = {};
+  teamNames.forEach(name => { maxByChamp[name] = {}; });
+
+  champs.forEach(champ => {
+    const format = getSeasonFormat(registry, seasons, champ, season);
+    const system = getPointsSystem(seasons, `${champ}_s${season}`);
+    const maxPerGame = getMaxMatchPoints(system);
+    const blocks = getSeasonMatchBlocks(data, champ, season);
+    const futureMatchdays = getUnplayedMatchdays(format, blocks);
+    const { exemptOf } = getSeasonExempts(seasons, `${champ}_s${season}`);
+
+    teamNames.forEach(name => {
+      if (format.managers.length > 0 && !format.managers.includes(name)) return;
+      // Exempt de la journée (l'exempt de saison ne joue aucune journée) : pas de match à compter
+      let games = futureMatchdays.filter(md => exemptOf(md) !== name).length;
+      blocks.forEach(block => {
+        if (exemptOf(Number(block.matchday)) === name) return;
+        const involves = m => m.homeTeam === name || m.awayTeam === name;
+        const assigned = (block.games || []).map(normalizeMatch).filter(m => m.homeTeam && m.awayTeam);
+        const scored = assigned.filter(m => m.status === 'played' || m.status === 'forfeited');
+        const cancelled = assigned.filter(m => m.status === 'cancelled');
+        const hasPlayed = scored.some(involves) || cancelled.some(involves);
+        // Journée entièrement programmée (calendrier généré) sans cette équipe : elle est exempte
+        const isExempt = assigned.length >= format.gamesPerMatchday && !assigned.some(involves);
+        if (!hasPlayed && !isExempt && scored.length < format.gamesPerMatchday - cancelled.length) games++;
+      });
+      maxByChamp[name][champ] = { games, points: games * maxPerGame };
+    });
+  });
+
+  const remaining = {};
+  if (championshipKey !== HYENES_KEY) {
+    teamNames.forEach(name => { remaining[name] = maxByChamp[name][championshipKey]?.points || 0; });
+    return remaining;
+  }
+
+  const aggregation = getHyenesAggregation(seasons, season);
+  const current = aggregateHyenesStats(registry, getSeasonMatchBlocks(data, HYENES_KEY, season), seasons, season);
+  teamNames.forEach(name => {
+    const details = current[name]?.details || {};
+    const champMax = registry.euro.map(champ => {
+      const coefficient = aggregation.coefficients[champ] ?? 1;
+      const left = maxByChamp[name][champ];
+      if (!left) return details[champ] || 0;
+      if (aggregation.basis === 'position') {
+        return left.games > 0 ? (aggregation.positionPoints[0] || 0) * coefficient : (details[champ] || 0);
+      }
+      return (details[champ] || 0) + left.points * coefficient;
+    });
+    const maxTotal = champMax.sort((a, b) => b - a).slice(0, aggregation.bestN || undefined).reduce((sum, v) => sum + v, 0);
+    remaining[name] = Math.max(0, Math.round((maxTotal - (current[name]?.pts || 0)) * 100) / 100);
+  });
+  return remaining;
+}
+
+/**
+ * Course au titre : champion assuré, éliminé ou en course, avec le nombre magique.
+ * Nombre magique = points qu'il reste à prendre pour être assuré du titre, même si tous
+ * les poursuivants gagnent tous leurs matchs restants.
+ * Saison terminée : le(s) champion(s) du Palmarès (resolveSeasonTitle : mode de rang, correction manuelle).
+ * @param {Array} rankedTeams - Classement trié [{ name, effectivePts }]
+ * @param {Object} remainingMax - Voir computeRemainingMaxPoints
+ * @param {Object} title - { override, rankMode, rankOptions } de la saison (voir resolveSeasonTitle)
+ * @returns {Object} { [équipe]: { status: 'clinched'|'eliminated'|'contender', magic } }
+ */
+function computeTitleRace(rankedTeams, remainingMax, { override = null, rankMode = 'standard', rankOptions = {} } = {}) {
+  const race = {};
+  const leader = rankedTeams[0];
+  if (!leader) return race;
+
+  // Plus aucun match à jouer : le titre est attribué comme au Palmarès
+  if (rankedTeams.every(t => !remainingMax[t.name])) {
+    const { champions } = resolveSeasonTitle(rankedTeams, override, rankMode, rankOptions);
+    rankedTeams.forEach(team => {
+      race[team.name] = champions.includes(team.name) ? { status: 'clinched', magic: 0 } : { status: 'eliminated', magic: null };
+    });
+    return race;
+  }
+
+  rankedTeams.forEach(team => {
+    const maxPts = team.effectivePts + (remainingMax[team.name] || 0);
+    const bestRivalMax = Math.max(-Infinity, ...rankedTeams
+      .filter(t => t.name !== team.name)
+      .map(t => t.effectivePts + (remainingMax[t.name] || 0)));
+    const magic = bestRivalMax - team.effectivePts + 1;
+
+    if (magic <= 0) race[team.name] = { status: 'clinched', magic: 0 };
+    else if (maxPts < leader.effectivePts) race[team.name] = { status: 'eliminated', magic: null };
+    else race[team.name] = { status: 'contender', magic };
+  });
+  return race;
+}
+
+// Force offensive/défensive de chaque manager sur tout l'historique, ramenée à la moyenne (1 = moyenne).
+// Lissage : chaque manager part de PREDICTION_PRIOR_GAMES matchs « moyens » pour éviter les extrêmes.
+const PREDICTION_PRIOR_GAMES = 5;
+
+function computeTeamRatings(flatMatches) {
+  const totals = {};
+  let homeGoals = 0, awayGoals = 0;
+  flatMatches.forEach(m => {
+    [[m.homeTeam, m.homeScore, m.awayScore], [m.awayTeam, m.awayScore, m.homeScore]].forEach(([team, gf, ga]) => {
+      if (!totals[team]) totals[team] = { j: 0, gf: 0, ga: 0 };
+      totals[team].j++; totals[team].gf += gf; totals[team].ga += ga;
+    });
+    homeGoals += m.homeScore; awayGoals += m.awayScore;
+  });
+  const avgGoals = flatMatches.length > 0 ? (homeGoals + awayGoals) / (2 * flatMatches.length) : 1.5;
+  const ratings = {};
+  Object.entries(totals).forEach(([team, t]) => {
+    const prior = PREDICTION_PRIOR_GAMES * avgGoals;
+    ratings[team] = {
+      attack: (t.gf + prior) / ((t.j + PREDICTION_PRIOR_GAMES) * avgGoals),
+      defense: (t.ga + prior) / ((t.j + PREDICTION_PRIOR_GAMES) * avgGoals)
+    };
+  });
+  const homeAdvantage = awayGoals > 0 ? Math.sqrt(homeGoals / awayGoals) : 1;
+  return { ratings, avgGoals: avgGoals || 1.5, homeAdvantage };
+}
+
+/**
+ * Prépare l'entrée de la simulation Monte-Carlo (voir lib/simulation.js) d'une saison.
+ * - un championnat simulé par championnat joué (les 4 européens pour la Ligue des Hyènes, avec sa règle d'agrégation)
+ * - matchs saisis sans score : rejoués tels quels
+ * - places libres des journées saisies et journées restantes du format : affiches tirées au sort
+ *   (hors exempt de la saison ou de la journée)
+ * - chaîne de départage et mode de rang de chaque saison, comme le classement affiché
+ * @param {Object} data - appData
+ * @param {string} championshipId - Id UI ("hyenes", "france", ...)
+ * @param {string|number} season - Numéro de saison
+ * @param {Function} getPenalty - (championshipId, teamName) => points de pénalité
+ * @returns {Object|null} Entrée de simulateSeason, ou null si la saison n'a aucune équipe
+ */
+function buildSimulationInput(data, championshipId, season, getPenalty = () => 0) {
+  const registry = getChampionshipRegistry(data?.championships);
+  const seasons = data?.entities?.seasons;
+  const championshipKey = registry.mapping[championshipId] || championshipId;
+  const isHyenes = championshipKey === HYENES_KEY;
+  const champs = isHyenes ? registry.euro : [championshipKey];
+  const hyenesAggregation = isHyenes ? getHyenesAggregation(seasons, season) : null;
+  const isScored = m => m.homeScore !== null && m.homeScore !== undefined && m.homeScore !== '' &&
+    m.awayScore !== null && m.awayScore !== undefined && m.awayScore !== '';
+
+  const leagues = [];
+  champs.forEach(champ => {
+    const format = getSeasonFormat(registry, seasons, champ, season);
+    const system = getPointsSystem(seasons, `${champ}_s${season}`);
+    const blocks = getSeasonMatchBlocks(data, champ, season);
+    const teamStats = calculateTeamStats(blocks, format.managers, seasons);
+    // L'exempt de saison ne joue pas : ni classé, ni tiré au sort (comme au contrôle du calendrier)
+    const { seasonExempt, exemptOf } = getSeasonExempts(seasons, `${champ}_s${season}`);
+    const participants = (format.managers.length > 0 ? format.managers : Object.keys(teamStats).filter(Boolean))
+      .filter(name => name !== seasonExempt);
+    if (participants.length < 2) return;
+
+    const fixtures = [];
+    const openSlots = [];
+    blocks.forEach(block => {
+      const games = (block.games || []).map(normalizeMatch).filter(m => m.homeTeam && m.awayTeam);
+      // Match annulé : ni à simuler ni à tirer (il occupe sa place dans la journée)
+      games.filter(m => !isScored(m) && m.status !== 'cancelled')
+        .forEach(m => fixtures.push({ homeTeam: m.homeTeam, awayTeam: m.awayTeam }));
+      const busy = new Set(games.flatMap(m => [m.homeTeam, m.awayTeam]));
+      const freeGames = format.gamesPerMatchday - games.length;
+      const exempt = exemptOf(Number(block.matchday));
+      if (freeGames > 0) {
+        openSlots.push({ pool: participants.filter(t => !busy.has(t) && t !== exempt), games: freeGames });
+      }
+    });
+    getUnplayedMatchdays(format, blocks).forEach(md => {
+      openSlots.push({ pool: participants.filter(t => t !== exemptOf(md)), games: format.gamesPerMatchday });
+    });
+
+    leagues.push({
+      key: champ,
+      coefficient: hyenesAggregation ? (hyenesAggregation.coefficients[champ] ?? 1) : 1,
+      system,
+      tiebreakers: getTiebreakers(seasons, `${champ}_s${season}`),
+      seed: `${champ}_s${season}`,
+      results: getScoredResults(blocks, seasons),
+      fixtures,
+      openSlots,
+      teams: participants.map(name => ({
+        name,
+        pts: teamStats[name]?.pts || 0,
+        diff: teamStats[name]?.diff || 0,
+        bp: teamStats[name]?.bp || 0,
+        g: teamStats[name]?.g || 0,
+        // Pénalité propre au championnat : seulement pour le classement par places de la Ligue des Hyènes
+        penalty: isHyenes ? getPenalty(registry.reverseMapping[champ], name) : 0
+      }))
+    });
+  });
+  if (leagues.length === 0) return null;
+
+  const names = [...new Set(leagues.flatMap(l => l.teams.map(t => t.name)))];
+  const penalties = Object.fromEntries(names.map(name => [name, getPenalty(championshipId, name)]));
+  const history = flattenMatches(getFilteredMatches(data, 'all', 'all'));
+  const seasonKey = `${championshipKey}_s${season}`;
+  return {
+    leagues,
+    aggregation: hyenesAggregation || { basis: 'points', bestN: null, positionPoints: [] },
+    penalties,
+    // Classement final départagé comme le classement affiché de la saison
+    tiebreakers: getTiebreakers(seasons, seasonKey),
+    seed: seasonKey,
+    rankMode: getRankMode(seasons, seasonKey),
+    ...computeTeamRatings(history)
+  };
+}
+
+function computeTrends(appData, managers, champFilter, seasonFilter, penalties = {}) {
+  const registry = getChampionshipRegistry(appData?.championships);
+  // Pénalités de la saison, comme au classement (clé "{championnat}_{saison}_{équipe}")
+  const getPenalty = (champId, name) => penalties[`${champId}_${seasonFilter}_${name}`] || 0;
+  // Timeline: for each matchday, cumulative standings
+  const timeline = [];
+  if (seasonFilter !== 'all' && appData?.entities?.matches) {
+    const filtered = appData.entities.matches.filter(block => {
+      if (!block.games || !Array.isArray(block.games)) return false;
+      const champMatch = champFilter === 'all'
+        ? block.championship?.toLowerCase() !== HYENES_KEY
+        : champFilter === 'hyenes'
+          ? registry.euro.includes(block.championship?.toLowerCase())
+          : (block.championship?.toLowerCase() === (registry.mapping[champFilter] || champFilter)?.toLowerCase());
+      return champMatch && Number(block.season) === Number(seasonFilter);
+    });
+    const seasonKey = `${registry.mapping[champFilter] || champFilter}_s${seasonFilter}`;
+    const tiebreakers = getTiebreakers(appData.entities.seasons, seasonKey);
+
+    // Helper to process a list of blocks cumulatively and push timeline points
+    const processBlocks = (orderedBlocks) => {
+      const teamStats = {};
+      managers.forEach(m => { teamStats[m] = { pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 }; });
+      orderedBlocks.forEach((block, idx) => {
+        const pointsSystem = getBlockPointsSystem(appData.entities.seasons, block);
+        block.games.forEach(match => {
+          const { homeTeam, awayTeam, homeScore, awayScore } = normalizeMatch(match);
+          if (homeScore === null || awayScore === null) return;
+          const hs = parseInt(homeScore), as2 = parseInt(awayScore);
+          if (isNaN(hs) || isNaN(as2)) return;
+          if (!teamStats[homeTeam]) teamStats[homeTeam] = { pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
+          if (!teamStats[awayTeam]) teamStats[awayTeam] = { pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
+          teamStats[homeTeam].j++; teamStats[awayTeam].j++;
+          teamStats[homeTeam].bp += hs; teamStats[homeTeam].bc += as2;
+          teamStats[awayTeam].bp += as2; teamStats[awayTeam].bc += hs;
+          const points = getMatchPoints(hs, as2, pointsSystem);
+          teamStats[homeTeam].pts += points.home; teamStats[awayTeam].pts += points.away;
+          if (hs > as2) { teamStats[homeTeam].g++; teamStats[awayTeam].p++; }
+          else if (hs < as2) { teamStats[awayTeam].g++; teamStats[homeTeam].p++; }
+          else { teamStats[homeTeam].n++; teamStats[awayTeam].n++; }
+          teamStats[homeTeam].diff = teamStats[homeTeam].bp - teamStats[homeTeam].bc;
+          teamStats[awayTeam].diff = teamStats[awayTeam].bp - teamStats[awayTeam].bc;
+        });
+        // Calculate positions after each block (Ligue des Hyènes : règle d'agrégation de la saison)
+        const stepStats = champFilter === 'hyenes'
+          ? aggregateHyenesStats(registry, orderedBlocks.slice(0, idx + 1), appData.entities.seasons, seasonFilter,
+            (champKey, name) => getPenalty(registry.reverseMapping[champKey], name))
+          : teamStats;
+        const sorted = rankWithTiebreakers(
+          Object.entries(stepStats)
+            .filter(([, s]) => s.j > 0)
+            .map(([name, s]) => ({ ...s, name, effectivePts: s.pts - getPenalty(champFilter, name) })),
+          tiebreakers,
+          { matchBlocks: orderedBlocks.slice(0, idx + 1), seed: seasonKey, seasons: appData.entities.seasons }
+        );
+        const point = { matchday: idx + 1 };
+        sorted.forEach((s, pos) => {
+          point[`pts_${s.name}`] = s.pts;
+          point[`pos_${s.name}`] = pos + 1;
+        });
+        timeline.push(point);
+      });
+    };
+
+    // Ligue des Hyènes : journées entrelacées (France J1, Espagne J1, Italie J1, Angleterre J1, France J2, ...)
+    // Autres : un point par journée
+    processBlocks(orderSeasonBlocks(registry, filtered, champFilter === 'hyenes'));
+  }
+
+  return { timeline };
+}
+
+function computeHomeAway(flatMatches, managers) {
+  const stats = {};
+  managers.forEach(m => { stats[m] = { name: m, home: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 }, away: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 } }; });
+  flatMatches.forEach(m => {
+    if (!stats[m.homeTeam]) stats[m.homeTeam] = { name: m.homeTeam, home: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 }, away: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 } };
+    if (!stats[m.awayTeam]) stats[m.awayTeam] = { name: m.awayTeam, home: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 }, away: { j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0 } };
+    const h = stats[m.homeTeam].home, a = stats[m.awayTeam].away;
+    h.j++; a.j++;
+    h.bp += m.homeScore; h.bc += m.awayScore;
+    a.bp += m.awayScore; a.bc += m.homeScore;
+    if (m.homeScore > m.awayScore) { h.g++; a.p++; }
+    else if (m.homeScore < m.awayScore) { a.g++; h.p++; }
+    else { h.n++; a.n++; }
+  });
+  const arr = Object.values(stats).filter(s => s.home.j + s.away.j >= 3);
+  const homeWinRate = [...arr].filter(s => s.home.j >= 2).map(s => ({ name: s.name, value: ((s.home.g / s.home.j) * 100).toFixed(1), j: s.home.j })).sort((a, b) => parseFloat(b.value) - parseFloat(a.value));
+  const awayWinRate = [...arr].filter(s => s.away.j >= 2).map(s => ({ name: s.name, value: ((s.away.g / s.away.j) * 100).toFixed(1), j: s.away.j })).sort((a, b) => parseFloat(b.value) - parseFloat(a.value));
+  const comparison = [...arr].map(s => ({
+    name: s.name,
+    homeRate: s.home.j > 0 ? ((s.home.g / s.home.j) * 100).toFixed(1) : '0.0',
+    awayRate: s.away.j > 0 ? ((s.away.g / s.away.j) * 100).toFixed(1) : '0.0',
+    homeJ: s.home.j, awayJ: s.away.j
+  })).sort((a, b) => parseFloat(b.homeRate) - parseFloat(a.homeRate));
+  return { homeWinRate, awayWinRate, comparison };
+}
+
+function computeScoring(flatMatches, matchBlocks, managers) {
+  const totalGoals = flatMatches.reduce((s, m) => s + m.homeScore + m.awayScore, 0);
+  const totalGames = flatMatches.length;
+  const totalMatchdays = matchBlocks.length;
+  const avgGoals = totalGames > 0 ? (totalGoals / totalGames).toFixed(2) : '0.00';
+  const highScoringRate = totalGames > 0 ? ((flatMatches.filter(m => m.homeScore + m.awayScore >= 4).length / totalGames) * 100).toFixed(1) : '0.0';
+
+  // Clean sheets & failed to score
+  const mgrStats = {};
+  managers.forEach(m => { mgrStats[m] = { name: m, cleanSheets: 0, failedToScore: 0, j: 0 }; });
+  flatMatches.forEach(m => {
+    if (!mgrStats[m.homeTeam]) mgrStats[m.homeTeam] = { name: m.homeTeam, cleanSheets: 0, failedToScore: 0, j: 0 };
+    if (!mgrStats[m.awayTeam]) mgrStats[m.awayTeam] = { name: m.awayTeam, cleanSheets: 0, failedToScore: 0, j: 0 };
+    mgrStats[m.homeTeam].j++; mgrStats[m.awayTeam].j++;
+    if (m.awayScore === 0) mgrStats[m.homeTeam].cleanSheets++;
+    if (m.homeScore === 0) mgrStats[m.awayTeam].cleanSheets++;
+    if (m.homeScore === 0) mgrStats[m.homeTeam].failedToScore++;
+    if (m.awayScore === 0) mgrStats[m.awayTeam].failedToScore++;
+  });
+  const cleanSheets = Object.values(mgrStats).filter(s => s.j >= 3).sort((a, b) => b.cleanSheets - a.cleanSheets);
+  const failedToScore = Object.values(mgrStats).filter(s => s.j >= 3).sort((a, b) => b.failedToScore - a.failedToScore);
+
+  // Score distribution
+  const scoreDist = {};
+  flatMatches.forEach(m => {
+    const score = m.homeScore >= m.awayScore ? `${m.homeScore}-${m.awayScore}` : `${m.awayScore}-${m.homeScore}`;
+    scoreDist[score] = (scoreDist[score] || 0) + 1;
+  });
+  const scoreDistArr = Object.entries(scoreDist).map(([score, count]) => ({ score, count })).sort((a, b) => b.count - a.count).slice(0, 10);
+
+  return { totalGoals, totalGames, totalMatchdays, avgGoals, highScoringRate, cleanSheets, failedToScore, scoreDistArr };
+}
+
+// Clubs réels : bilan par club (3 matchs au moins), club favori de chaque manager
+function computeClubs(flatMatches, managers) {
+  const clubs = {};
+  const usage = {};
+  managers.forEach(m => { usage[m] = {}; });
+  flatMatches.forEach(m => {
+    [[m.homeTeam, m.homeClub, m.homeScore, m.awayScore], [m.awayTeam, m.awayClub, m.awayScore, m.homeScore]].forEach(([manager, club, gf, ga]) => {
+      if (!club?.trim()) return;
+      const key = foldName(club);
+      if (!clubs[key]) clubs[key] = { name: club.trim(), j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, managers: new Set() };
+      const c = clubs[key];
+      c.j++; c.bp += gf; c.bc += ga;
+      if (gf > ga) c.g++; else if (gf < ga) c.p++; else c.n++;
+      c.managers.add(manager);
+      if (!usage[manager]) usage[manager] = {};
+      usage[manager][key] = (usage[manager][key] || 0) + 1;
+    });
+  });
+  const byClub = Object.values(clubs)
+    .filter(c => c.j >= 3)
+    .map(c => ({ ...c, managers: c.managers.size, winRate: ((c.g / c.j) * 100).toFixed(1) }))
+    .sort((a, b) => parseFloat(b.winRate) - parseFloat(a.winRate) || b.j - a.j);
+  const favorites = Object.entries(usage)
+    .map(([manager, counts]) => {
+      const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+      const [key, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+      return key ? { manager, club: clubs[key].name, count, total, distinct: Object.keys(counts).length } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.count - a.count);
+  return { byClub, favorites, trackedGames: flatMatches.filter(m => m.homeClub || m.awayClub).length };
+}
+
+// Meilleur club d'un manager dans une série de confrontations (taux de victoire, puis nombre de matchs),
+// parmi ses clubs joués 2 fois au moins
+function getBestH2HClub(matchList, manager) {
+  const clubs = {};
+  matchList.forEach(m => {
+    const isHome = m.home === manager;
+    const club = isHome ? m.homeClub : m.awayClub;
+    if (!club?.trim()) return;
+    const key = foldName(club);
+    if (!clubs[key]) clubs[key] = { club: club.trim(), j: 0, g: 0 };
+    clubs[key].j++;
+    if ((isHome ? m.homeScore - m.awayScore : m.awayScore - m.homeScore) > 0) clubs[key].g++;
+  });
+  return Object.values(clubs)
+    .filter(c => c.j >= 2)
+    .sort((a, b) => b.g / b.j - a.g / a.j || b.j - a.j)[0] || null;
+}
+
+function computeAllStats(appData, champFilter, seasonFilter, penalties = {}) {
+  const registry = getChampionshipRegistry(appData?.championships);
+  if (!appData?.entities?.matches) return null;
+  const matchBlocks = getFilteredMatches(appData, champFilter, seasonFilter);
+  const flat = flattenMatches(matchBlocks);
+  const managers = appData.entities.managers
+    ? Object.values(appData.entities.managers).map(m => m.name).filter(Boolean)
+    : [];
+  if (flat.length === 0 && managers.length === 0) return null;
+
+  return {
+    records: computeRecords(flat, matchBlocks),
+    performance: computePerformance(flat, managers, appData.entities.seasons),
+    h2h: computeHeadToHead(flat, managers),
+    trends: computeTrends(appData, managers, champFilter, seasonFilter, penalties),
+    homeAway: computeHomeAway(flat, managers),
+    scoring: computeScoring(flat, matchBlocks, managers),
+    clubs: computeClubs(flat, managers),
+    scorers: computeScorers(flat)
+  };
+}
+
+export default function HyeneScores() {
+  const [selectedTab, setSelectedTab] = useState('classement');
+  const selectedTabRef = useRef('classement');
+  const fileInputRef = useRef(null);
+
+  // États Authentification
+  const [user, setUser] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const isAdminRef = useRef(false);
+  const [isAuthLoading, setIsAuthLoading] = useState(true);
+  const [showLoginModal, setShowLoginModal] = useState(false);
+  const [loginEmail, setLoginEmail] = useState('');
+  const [loginPassword, setLoginPassword] = useState('');
+  const [loginError, setLoginError] = useState('');
+  const [isLoggingIn, setIsLoggingIn] = useState(false);
+  const [isLoggingOut, setIsLoggingOut] = useState(false);
+
+  // États Supabase
+  const [isLoadingFromSupabase, setIsLoadingFromSupabase] = useState(true);
+  const [supabaseError, setSupabaseError] = useState(null);
+  const [isSavingToSupabase, setIsSavingToSupabase] = useState(false);
+  const [pendingJsonData, setPendingJsonData] = useState(null);
+  const [isCreatingSeason, setIsCreatingSeason] = useState(false);
+
+  // États Classement
+  const [selectedChampionship, setSelectedChampionship] = useState('hyenes');
+  const [selectedSeason, setSelectedSeason] = useState('');
+  const [isSeasonOpen, setIsSeasonOpen] = useState(false);
+  const [isChampOpen, setIsChampOpen] = useState(false);
+
+  const [teams, setTeams] = useState([]);
+
+  // États Palmarès
+  const [champions, setChampions] = useState([]);
+
+  // États Panthéon
+  const [pantheonTeams, setPantheonTeams] = useState([]);
+
+  // Résultats finaux des saisons terminées ({ "{championnat}_s{N}": { ranking, champions } }),
+  // source des qualifications automatiques des coupes (play-offs, Trophée des Champions)
+  const [seasonResults, setSeasonResults] = useState({});
+
+  // États Match
+  const [selectedJournee, setSelectedJournee] = useState('1');
+  const [isJourneeOpen, setIsJourneeOpen] = useState(false);
+  const [matches, setMatches] = useState(() => createEmptyMatches(MATCHES_PER_MATCHDAY));
+
+  const [allTeams, setAllTeams] = useState([]);
+
+  const [openDropdown, setOpenDropdown] = useState(null);
+  const [dropdownPosition, setDropdownPosition] = useState({ top: 0, left: 0, right: 'auto' });
+  const [exemptTeam, setExemptTeam] = useState('');
+  const [isTeamDropdownOpen, setIsTeamDropdownOpen] = useState(false);
+  const skipNextMatchesLoadRef = useRef(false);
+  // Dernière révision connue de chaque journée ("{championnat}_{saison}_{journée}") après nos sauvegardes
+  const matchdayRevisionsRef = useRef({});
+  const skipNextExemptLoadRef = useRef(false);
+  const saveMatchesTimeoutRef = useRef(null);
+
+  const [seasons, setSeasons] = useState([]);
+
+  // États Réglages
+  const [showResetModal, setShowResetModal] = useState(false);
+  const [resetConfirmation, setResetConfirmation] = useState('');
+  const [newSeasonNumber, setNewSeasonNumber] = useState('');
+
+  // État pour stocker les données brutes v2.0
+  const [appData, setAppData] = useState(null);
+
+  // Compétitions (table championships) : registre passé aux fonctions du module
+  const registry = getChampionshipRegistry(appData?.championships);
+  const championships = registry.list;
+
+  // Format de la saison sélectionnée (journées, matchs par journée, managers participants)
+  const seasonFormat = getSeasonFormat(
+    registry,
+    appData?.entities?.seasons,
+    registry.mapping[selectedChampionship] || selectedChampionship,
+    selectedSeason
+  );
+  const journees = Array.from({ length: seasonFormat.matchdays }, (_, i) => (i + 1).toString());
+  const seasonTeams = seasonFormat.managers.length > 0
+    ? allTeams.filter(team => seasonFormat.managers.includes(team))
+    : allTeams;
+
+  // État pour la progression de la saison
+  const [seasonProgress, setSeasonProgress] = useState({
+    currentMatchday: 0,
+    totalMatchdays: 0,
+    percentage: 0
+  });
+  // Course au titre du classement actuel (voir computeTitleRace), calculée avec la progression
+  const [titleRace, setTitleRace] = useState({});
+
+  // Voyage dans le temps : nombre d'étapes (journées) prises en compte, null = classement actuel
+  const [timeTravelStep, setTimeTravelStep] = useState(null);
+
+  // États pour les pénalités
+  const [penalties, setPenalties] = useState({}); // { "championshipId_seasonId_teamName": points }
+  const [isPenaltyModalOpen, setIsPenaltyModalOpen] = useState(false);
+  const [selectedPenaltyTeam, setSelectedPenaltyTeam] = useState('');
+  const [penaltyPoints, setPenaltyPoints] = useState('');
+  const [isPenaltyTeamDropdownOpen, setIsPenaltyTeamDropdownOpen] = useState(false);
+
+  // États pour la chaîne de départage
+  const [isTiebreakerModalOpen, setIsTiebreakerModalOpen] = useState(false);
+  const [tiebreakerDraft, setTiebreakerDraft] = useState([]);
+  const [rankModeDraft, setRankModeDraft] = useState('standard');
+  const [isSavingTiebreakers, setIsSavingTiebreakers] = useState(false);
+
+  // États pour le barème de points
+  const [isPointsModalOpen, setIsPointsModalOpen] = useState(false);
+  const [pointsDraft, setPointsDraft] = useState(DEFAULT_POINTS_SYSTEM);
+  const [isSavingPoints, setIsSavingPoints] = useState(false);
+
+  // États pour les corrections manuelles de titre (Palmarès)
+  const [overrideTarget, setOverrideTarget] = useState(null);
+  const [overrideDraft, setOverrideDraft] = useState({ champions: [], runnerUps: null, reason: '' });
+  const [isSavingOverride, setIsSavingOverride] = useState(false);
+
+  // États pour le format de saison
+  const [isFormatModalOpen, setIsFormatModalOpen] = useState(false);
+  const [formatDraft, setFormatDraft] = useState(DEFAULT_SEASON_FORMAT);
+  const [isSavingFormat, setIsSavingFormat] = useState(false);
+
+  // États pour les zones de montée / descente
+  const [isZonesModalOpen, setIsZonesModalOpen] = useState(false);
+  const [zonesDraft, setZonesDraft] = useState(DEFAULT_SEASON_ZONES);
+  const [isSavingZones, setIsSavingZones] = useState(false);
+
+  // États Coupes (tableau à élimination directe)
+  const [selectedCup, setSelectedCup] = useState('');
+  const [isBracketSeasonOpen, setIsBracketSeasonOpen] = useState(false);
+  const [isDrawModalOpen, setIsDrawModalOpen] = useState(false);
+  const [drawDraft, setDrawDraft] = useState({ participants: [], legs: 1, finalLegs: 1, seeded: false });
+  const [editingTie, setEditingTie] = useState(null); // { round, index }
+  const [tieDraft, setTieDraft] = useState(null);
+  const [isSavingBracket, setIsSavingBracket] = useState(false);
+
+  // File de synchronisation hors ligne (IndexedDB) : entrées en attente / en échec, dernier envoi réussi
+  const [syncEntries, setSyncEntries] = useState([]);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const syncTimeoutRef = useRef(null);
+
+  // Sauvegarde en cours par journée (clé getQueueKey) : les suivantes attendent son retour
+  const saveChainsRef = useRef({});
+
+  // Conflit de sauvegarde d'une journée : { block (nos saisies), serverGames, serverRevision }
+  const [matchdayConflict, setMatchdayConflict] = useState(null);
+
+  // Rapport du contrôle d'intégrité lancé depuis Réglages (null = fermé)
+  const [integrityReport, setIntegrityReport] = useState(null);
+
+  // États du générateur de calendrier (ordre tiré au sort par championnat)
+  const [isFixtureModalOpen, setIsFixtureModalOpen] = useState(false);
+  const [fixtureDraft, setFixtureDraft] = useState({ championships: [], legs: 2, orders: {} });
+  const [isSavingFixtures, setIsSavingFixtures] = useState(false);
+
+  // Historique des saisies de la journée affichée (annuler / rétablir)
+  // Entrée : { type: 'matches' | 'exempt', before, after, mergeKey, at }
+  const [matchHistory, setMatchHistory] = useState({ past: [], future: [] });
+  const historyActionsRef = useRef(null);
+
+  // Fiche détaillée d'un match (date, note, replay, clubs, buteurs) :
+  // { matchId, playedAt (saisie locale), note, videoUrl, homeClub, awayClub, events, newEvent (ligne en cours de saisie) }
+  const [matchDetailDraft, setMatchDetailDraft] = useState(null);
+
+  // Saisie par collage : texte brut (liste, récap WhatsApp, saison entière), null = fermé
+  const [pasteText, setPasteText] = useState(null);
+
+  // États pour l'agrégation de la Ligue des Hyènes (positionPoints édité sous forme de texte "25, 18, ...")
+  const [isAggregationModalOpen, setIsAggregationModalOpen] = useState(false);
+  const [aggregationDraft, setAggregationDraft] = useState(null);
+  const [isSavingAggregation, setIsSavingAggregation] = useState(false);
+
+  // États pour la gestion des Managers
+  const [newManagerName, setNewManagerName] = useState('');
+  const [isAddingManager, setIsAddingManager] = useState(false);
+  const [managerError, setManagerError] = useState('');
+  const [editingManagerId, setEditingManagerId] = useState(null);
+  const [editingManagerName, setEditingManagerName] = useState('');
+  const [isEditingManager, setIsEditingManager] = useState(false);
+
+  // États pour la gestion des compétitions
+  const [newChampionship, setNewChampionship] = useState({ name: '', icon: '', feedsHyenes: true, parentKey: '', type: 'league', qualification: 'manual', qualificationChampionship: HYENES_KEY, qualificationTop: 4 });
+  const [championshipError, setChampionshipError] = useState('');
+  const [isSavingChampionships, setIsSavingChampionships] = useState(false);
+  const [editingChampionshipId, setEditingChampionshipId] = useState(null);
+  const [editingChampionship, setEditingChampionship] = useState({ name: '', icon: '' });
+
+  // États Stats
+  const [statsChampionship, setStatsChampionship] = useState('hyenes');
+  const [statsSeason, setStatsSeason] = useState('all');
+  const [statsCategory, setStatsCategory] = useState('records');
+  const [visibleManagers, setVisibleManagers] = useState(new Set());
+  const [timelineMode, setTimelineMode] = useState('points');
+  const [cleanSheetMode, setCleanSheetMode] = useState('count');
+  const [failedToScoreMode, setFailedToScoreMode] = useState('count');
+  const [h2hTeamA, setH2hTeamA] = useState(null);
+  const [h2hTeamB, setH2hTeamB] = useState(null);
+  const [h2hShowAllHistory, setH2hShowAllHistory] = useState(false);
+  const [isStatsChampOpen, setIsStatsChampOpen] = useState(false);
+  const [isStatsSeasonOpen, setIsStatsSeasonOpen] = useState(false);
+  const [isH2hDropdownAOpen, setIsH2hDropdownAOpen] = useState(false);
+  const [isH2hDropdownBOpen, setIsH2hDropdownBOpen] = useState(false);
+  const [isEvoTeamDropdownOpen, setIsEvoTeamDropdownOpen] = useState(false);
+
+  // Compute stats only when on the stats tab
+  const statsResult = useMemo(() => {
+    if (selectedTab !== 'stats' || !appData) return null;
+    return computeAllStats(appData, statsChampionship, statsSeason, penalties);
+  }, [selectedTab, appData, statsChampionship, statsSeason, penalties]);
+
+  // Initialize visible managers when stats data changes
+  useEffect(() => {
+    if (statsResult?.trends?.timeline?.length > 0 && appData?.entities?.managers) {
+      const mgrs = Object.values(appData.entities.managers).map(m => m.name).filter(Boolean);
+      setVisibleManagers(prev => prev.size === 0 ? new Set(mgrs) : prev);
+    }
+  }, [statsResult, appData]);
+
+  // Get available seasons list for stats filter
+  const availableSeasons = useMemo(() => {
+    if (!appData?.entities?.seasons) return [];
+    const nums = new Set();
+    Object.values(appData.entities.seasons).forEach(s => { if (s.season) nums.add(s.season); });
+    return [...nums].sort((a, b) => a - b);
+  }, [appData]);
+
+  // Auto-select latest season when switching to Evolution or Pronostics with "All time"
+  useEffect(() => {
+    if ((statsCategory === 'trends' || statsCategory === 'predictions') && statsSeason === 'all' && availableSeasons.length > 0) {
+      setStatsSeason(String(availableSeasons[availableSeasons.length - 1]));
+    }
+  }, [statsCategory, availableSeasons]);
+
+  // Pronostics : simulation Monte-Carlo dans un Web Worker pour ne pas bloquer l'interface
+  const simulationWorkerRef = useRef(null);
+  const simulationRequestRef = useRef(0);
+  const [predictions, setPredictions] = useState({ status: 'idle', result: null, error: null });
+
+  useEffect(() => {
+    if (selectedTab !== 'stats' || statsCategory !== 'predictions' || statsSeason === 'all' || !appData) return;
+    // Tous championnats confondus : pas de classement à simuler
+    if (statsChampionship === 'all') {
+      setPredictions({ status: 'idle', result: null, error: null });
+      return;
+    }
+    const getPenalty = (champId, name) => penalties[`${champId}_${statsSeason}_${name}`] || 0;
+    const input = buildSimulationInput(appData, statsChampionship, statsSeason, getPenalty);
+    if (!input) {
+      setPredictions({ status: 'done', result: null, error: null });
+      return;
+    }
+    if (!simulationWorkerRef.current) {
+      simulationWorkerRef.current = new Worker(new URL('./lib/simulation.worker.js', import.meta.url), { type: 'module' });
+    }
+    const worker = simulationWorkerRef.current;
+    const requestId = ++simulationRequestRef.current;
+    setPredictions(prev => ({ ...prev, status: 'running', error: null }));
+    worker.onmessage = (event) => {
+      // Ignorer les réponses d'un filtre précédent
+      if (event.data.requestId !== simulationRequestRef.current) return;
+      setPredictions({ status: 'done', result: event.data.result || null, error: event.data.error || null });
+    };
+    worker.postMessage({ requestId, input });
+  }, [selectedTab, statsCategory, statsChampionship, statsSeason, appData, penalties]);
+
+  useEffect(() => () => simulationWorkerRef.current?.terminate(), []);
+
+  // Fonction pour charger les données depuis appData v2.0
+  const loadDataFromAppData = useCallback((data, championship, season, journee, currentPenalties = {}, isAdminUser = false) => {
+    if (!data || !data.entities) return;
+    const registry = getChampionshipRegistry(data.championships);
+
+    // Fonction locale pour obtenir la pénalité d'une équipe
+    const getTeamPenaltyLocal = (teamName, champ, seas) => {
+      const key = `${champ}_${seas}_${teamName}`;
+      return currentPenalties[key] || 0;
+    };
+
+    // Extraire teams[] depuis entities.seasons
+    // Mapper les IDs de championnat vers les clés du fichier v2.0
+    const championshipKey = registry.mapping[championship] || championship;
+    const seasonKey = `${championshipKey}_s${season}`;
+
+    // === Résolution de l'équipe exemptée depuis la table seasons ===
+    if (!skipNextExemptLoadRef.current) {
+      let resolvedExempt = '';
+      const exemptRotation = data.entities.seasons?.[seasonKey]?.format?.exemptRotation;
+
+      // Calendrier généré : l'exemption tourne, exempt de la journée affichée
+      if (Array.isArray(exemptRotation)) {
+        resolvedExempt = exemptRotation[parseInt(journee) - 1] || '';
+      } else if (data.entities.seasons) {
+        // Lire l'exempt depuis entities.seasons (source unique de vérité)
+        const currentSeason = data.entities.seasons[seasonKey];
+        if (currentSeason?.exemptTeam) {
+          resolvedExempt = currentSeason.exemptTeam;
+        } else {
+          // Hériter depuis n'importe quel championnat de la même saison
+          const anySeasonEntry = Object.values(data.entities.seasons).find(
+            s => s.season === parseInt(season) && s.exemptTeam
+          );
+          if (anySeasonEntry) {
+            resolvedExempt = anySeasonEntry.exemptTeam;
+          }
+        }
+      }
+
+      // Override legacy (indexes.exemptTeams)
+      if (!Array.isArray(exemptRotation) && data.indexes?.exemptTeams?.[season]) {
+        resolvedExempt = data.indexes.exemptTeams[season];
+      }
+
+      setExemptTeam(resolvedExempt);
+    } else {
+      skipNextExemptLoadRef.current = false;
+    }
+
+    // === CAS SPÉCIAL: LIGUE DES HYÈNES ===
+    // La Ligue des Hyènes n'a pas de matchs propres - c'est une agrégation des 4 championnats
+    if (championship === 'hyenes' || championshipKey === HYENES_KEY) {
+
+      // Agréger les 4 championnats selon la règle de la saison (somme, coefficients, N meilleurs, places)
+      const aggregatedStats = aggregateHyenesStats(registry,
+        getSeasonMatchBlocks(data, HYENES_KEY, season),
+        data.entities.seasons,
+        season,
+        (champKey, teamName) => getTeamPenaltyLocal(teamName, registry.reverseMapping[champKey], season)
+      );
+
+      // Appliquer les pénalités et trier (chaîne de départage de la saison)
+      const hyenesRankOptions = {
+        tiebreakers: getTiebreakers(data.entities.seasons, seasonKey),
+        matchBlocks: getSeasonMatchBlocks(data, HYENES_KEY, season),
+        seed: seasonKey,
+        seasons: data.entities.seasons
+      };
+      const sortedAggregated = rankWithTiebreakers(
+        Object.values(aggregatedStats)
+          .filter(team => team.j > 0)
+          .map(team => {
+            const penalty = getTeamPenaltyLocal(team.name, championship, season);
+            return {
+              ...team,
+              penalty: penalty,
+              effectivePts: team.pts - penalty
+            };
+          }),
+        hyenesRankOptions.tiebreakers,
+        hyenesRankOptions
+      );
+
+      const hyenesStandings = sortedAggregated.map((team, index) => ({
+        pos: index + 1,
+        mgr: team.name,
+        pts: team.pts,
+        j: team.j,
+        g: team.g,
+        n: team.n,
+        p: team.p,
+        bp: team.bp,
+        bc: team.bc,
+        diff: team.diff,
+        details: team.details
+      }));
+
+
+      // Mettre à jour les équipes et le classement
+      // Inclure tous les champs nécessaires pour l'affichage (record, goalDiff)
+      const normalizedTeams = hyenesStandings.map((team, index) => ({
+        rank: index + 1,
+        name: team.mgr,
+        pts: team.pts,
+        j: team.j,
+        g: team.g,
+        n: team.n,
+        p: team.p,
+        bp: team.bp,
+        bc: team.bc,
+        diff: team.diff >= 0 ? `+${team.diff}` : `${team.diff}`,
+        record: `${team.g}-${team.n}-${team.p}`,
+        goalDiff: `${team.bp}-${team.bc}`,
+        details: team.details
+      }));
+      setTeams(normalizedTeams);
+
+      // Sauvegarder les standings Hyènes dans data.entities.seasons
+      // pour que le Palmarès et le Panthéon puissent les trouver
+      if (!data.entities.seasons) data.entities.seasons = {};
+      if (!data.entities.seasons[seasonKey]) {
+        data.entities.seasons[seasonKey] = { season: parseInt(season) };
+      }
+      data.entities.seasons[seasonKey].standings = hyenesStandings;
+
+      // Calculer la progression de la saison (somme des journées jouées par championnat)
+      let currentMatchday = 0;
+      registry.euro.forEach(champ => {
+        const champMatches = (data.entities.matches || []).filter(
+          block => block.championship?.toLowerCase() === champ.toLowerCase() &&
+                   block.season === parseInt(season)
+        );
+        if (champMatches.length > 0) {
+          currentMatchday += new Set(champMatches.filter(isMatchdayPlayed).map(b => b.matchday)).size;
+        }
+      });
+      const totalMatchdays = getSeasonFormat(registry, data.entities.seasons, HYENES_KEY, season).matchdays;
+      const percentage = totalMatchdays > 0 ? Math.round((currentMatchday / totalMatchdays) * 100) : 0;
+      setSeasonProgress({ currentMatchday, totalMatchdays, percentage });
+
+      // Course au titre : journées restantes du format et matchs non joués.
+      // Agrégation par places : un score peut baisser, seul le classement final est certain.
+      const remainingMax = computeRemainingMaxPoints(data, HYENES_KEY, season, sortedAggregated.map(t => t.name));
+      const isMonotonic = isHyenesScoreMonotonic(getHyenesAggregation(data.entities.seasons, season));
+      setTitleRace(isMonotonic || sortedAggregated.every(t => !remainingMax[t.name])
+        ? computeTitleRace(sortedAggregated, remainingMax, {
+          override: getChampionOverride(data.palmares, HYENES_KEY, season),
+          rankMode: getRankMode(data.entities.seasons, seasonKey),
+          rankOptions: hyenesRankOptions
+        })
+        : {});
+
+      // Pas de matchs à afficher pour la Ligue des Hyènes (c'est une agrégation)
+      setMatches([]);
+
+    } else if (data.entities.seasons && data.entities.seasons[seasonKey]) {
+      const savedStandings = data.entities.seasons[seasonKey].standings || [];
+
+      // === RECALCULER le classement depuis TOUS les matchs de la saison ===
+      // (les standings sauvegardés peuvent être obsolètes si de nouvelles journées existent)
+      // Comparaison insensible à la casse pour éviter les problèmes de format
+      const championshipKeyLowerForStandings = championshipKey.toLowerCase();
+      const allSeasonMatches = (data.entities.matches || []).filter(
+        block => block.championship?.toLowerCase() === championshipKeyLowerForStandings &&
+                 block.season === parseInt(season)
+      );
+
+      let standings;
+
+      if (allSeasonMatches.length > 0) {
+        // Récupérer la liste de toutes les équipes
+        const teamList = data.entities.managers
+          ? Object.values(data.entities.managers).map(m => m.name || '?').filter(n => n !== '?')
           : savedStandings.map(t => t.mgr || t.name || t.team).filter(Boolean);
 
-        // Initialiser les stats pour toutes les équipes à zéro
-        const teamStats = {};
-        teamList.forEach(team => {
-          teamStats[team] = {
-            name: team, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0
-          };
-        });
+        // Initialiser les stats pour toutes les équipes à zéro
+        const teamStats = {};
+        teamList.forEach(team => {
+          teamStats[team] = {
+            name: team, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0
+          };
+        });
+
+        // Parcourir TOUS les matchs de la saison (toutes les journées)
+        const pointsSystem = getPointsSystem(data.entities.seasons, seasonKey);
+        allSeasonMatches.forEach(matchBlock => {
+          if (matchBlock.games && Array.isArray(matchBlock.games)) {
+            matchBlock.games.forEach(match => {
+              const { homeTeam: home, awayTeam: away, homeScore: hs, awayScore: as2 } = normalizeMatch(match);
+
+              if (hs !== null && hs !== undefined && as2 !== null && as2 !== undefined) {
+                const homeScore = parseInt(hs);
+                const awayScore = parseInt(as2);
+
+                if (!isNaN(homeScore) && !isNaN(awayScore) && teamStats[home] && teamStats[away]) {
+                  teamStats[home].j++;
+                  teamStats[away].j++;
+                  teamStats[home].bp += homeScore;
+                  teamStats[home].bc += awayScore;
+                  teamStats[away].bp += awayScore;
+                  teamStats[away].bc += homeScore;
+
+                  const points = getMatchPoints(homeScore, awayScore, pointsSystem);
+                  teamStats[home].pts += points.home;
+                  teamStats[away].pts += points.away;
+
+                  if (homeScore > awayScore) {
+                    teamStats[home].g++;
+                    teamStats[away].p++;
+                  } else if (homeScore < awayScore) {
+                    teamStats[away].g++;
+                    teamStats[home].p++;
+                  } else {
+                    teamStats[home].n++;
+                    teamStats[away].n++;
+                  }
+                  teamStats[home].diff = teamStats[home].bp - teamStats[home].bc;
+                  teamStats[away].diff = teamStats[away].bp - teamStats[away].bc;
+                }
+              }
+            });
+          }
+        });
+
+        // Appliquer les pénalités et trier (chaîne de départage de la saison)
+        const rankOptions = {
+          tiebreakers: getTiebreakers(data.entities.seasons, seasonKey),
+          matchBlocks: allSeasonMatches,
+          seed: seasonKey,
+          seasons: data.entities.seasons
+        };
+        const sortedTeams = rankWithTiebreakers(
+          Object.values(teamStats)
+            .filter(team => team.j > 0)
+            .map(team => {
+              const penalty = getTeamPenaltyLocal(team.name, championship, season);
+              return {
+                ...team,
+                penalty: penalty,
+                effectivePts: team.pts - penalty
+              };
+            }),
+          rankOptions.tiebreakers,
+          rankOptions
+        );
+
+        // Rangs des ex-aequo selon le mode de la saison (standard, rang partagé, binômes)
+        const rankMode = getRankMode(data.entities.seasons, seasonKey);
+        const positions = getDisplayRanks(sortedTeams, rankMode, rankOptions);
+
+        // Course au titre : journées restantes du format et matchs non joués
+        setTitleRace(computeTitleRace(
+          sortedTeams,
+          computeRemainingMaxPoints(data, championshipKey, season, sortedTeams.map(t => t.name)),
+          { override: getChampionOverride(data.palmares, championshipKey, season), rankMode, rankOptions }
+        ));
+
+        standings = sortedTeams.map((team, index) => {
+          return {
+            pos: positions[index],
+            mgr: team.name,
+            pts: team.pts,
+            j: team.j,
+            g: team.g,
+            n: team.n,
+            p: team.p,
+            bp: team.bp,
+            bc: team.bc,
+            diff: team.diff
+          };
+        });
+      } else {
+        // Pas de données de matchs - utiliser les standings sauvegardés
+        standings = savedStandings;
+        setTitleRace({});
+      }
+
+      // Mettre à jour les standings dans data pour que Palmarès/Panthéon voient les données recalculées
+      if (data.entities.seasons[seasonKey]) {
+        data.entities.seasons[seasonKey].standings = standings;
+        // Stocker le nombre de journées distinctes jouées (pas le max, pour détecter les trous)
+        if (allSeasonMatches.length > 0) {
+          data.entities.seasons[seasonKey].playedMatchdays = new Set(allSeasonMatches.filter(isMatchdayPlayed).map(b => b.matchday)).size;
+        }
+      }
+
+      // Normaliser les données pour l'affichage (même transformation que v1.0)
+      const normalizedTeams = standings.map(team => ({
+        rank: team.pos || team.rank || 0,
+        name: team.mgr || team.name || team.team || '?',
+        pts: team.pts || team.points || 0,
+        record: team.record || (team.g !== undefined ? `${team.g}-${team.n}-${team.p}` : (team.w !== undefined ? `${team.w}-${team.d}-${team.l}` : '0-0-0')),
+        goalDiff: team.goalDiff || (team.bp !== undefined ? `${team.bp}-${team.bc}` : (team.gf !== undefined ? `${team.gf}-${team.ga}` : '0-0')),
+        diff: typeof team.diff === 'number'
+          ? (team.diff >= 0 ? `+${team.diff}` : `${team.diff}`)
+          : (team.diff || '+0')
+      }));
+
+      setTeams(normalizedTeams);
+
+      // Calculer la progression de la saison (nombre de journées issu du format de la saison)
+      const totalMatchdays = getSeasonFormat(registry, data.entities.seasons, championshipKey, season).matchdays;
+      // Compter les journées distinctes réellement saisies (pas le max, pour détecter les trous)
+      const currentMatchday = allSeasonMatches.length > 0
+        ? new Set(allSeasonMatches.filter(isMatchdayPlayed).map(b => b.matchday)).size
+        : (standings[0]?.j || 0);
+      const percentage = totalMatchdays > 0 ? ((currentMatchday / totalMatchdays) * 100).toFixed(1) : 0;
+
+      setSeasonProgress({
+        currentMatchday,
+        totalMatchdays,
+        percentage: parseFloat(percentage)
+      });
+    } else {
+      setTeams([]);
+      setTitleRace({});
+      setSeasonProgress({ currentMatchday: 0, totalMatchdays: getSeasonFormat(registry, data.entities.seasons, championshipKey, season).matchdays, percentage: 0 });
+    }
+
+    // Extraire matches[] depuis entities.matches (si disponible)
+    // Note: Le format v2.0 pourrait ne pas inclure les matches, seulement les standings finaux
+    // La Ligue des Hyènes n'a pas de matchs propres (setMatches([]) déjà appelé)
+    const gamesPerMatchday = getSeasonFormat(registry, data.entities.seasons, championshipKey, season).gamesPerMatchday;
+    if (championship !== 'hyenes' && data.entities.matches && Array.isArray(data.entities.matches)) {
+      const championshipKeyLower = championshipKey.toLowerCase();
+      const matchesForContext = data.entities.matches.find(
+        block =>
+          block.championship?.toLowerCase() === championshipKeyLower &&
+          block.season === parseInt(season) &&
+          block.matchday === parseInt(journee)
+      );
+
+      if (matchesForContext && matchesForContext.games) {
+        // Normaliser les matches pour s'assurer que les champs sont corrects
+        const normalizedMatches = matchesForContext.games.map((match, index) => ({
+          id: match.id || (index + 1),
+          ...normalizeMatch(match)
+        }));
+
+        // Dédupliquer les matchs (garder le premier de chaque paire d'équipes, lignes vides exclues)
+        const seen = new Set();
+        const deduplicatedMatches = normalizedMatches.filter(match => {
+          if (!match.homeTeam && !match.awayTeam) return true;
+          const key = `${match.homeTeam}_${match.awayTeam}`;
+          if (seen.has(key)) {
+            console.warn('Match en double ignoré:', match);
+            return false;
+          }
+          seen.add(key);
+          return true;
+        });
+
+        // Ajuster au nombre de matchs par journée du format : lignes vides en trop retirées,
+        // lignes vides ajoutées s'il en manque (un match saisi au-delà du format est conservé)
+        const limitedMatches = deduplicatedMatches.filter((match, index) =>
+          index < gamesPerMatchday || (match.homeTeam && match.awayTeam)
+        );
+        const finalMatches = [...limitedMatches];
+        let nextId = Math.max(0, ...finalMatches.map(m => Number(m.id) || 0)) + 1;
+        while (finalMatches.length < gamesPerMatchday) {
+          finalMatches.push({
+            id: nextId++,
+            homeTeam: '',
+            awayTeam: '',
+            homeScore: null,
+            awayScore: null
+          });
+        }
+
+        if (normalizedMatches.length !== limitedMatches.length) {
+          console.warn(`Matchs dédupliqués: ${normalizedMatches.length} -> ${limitedMatches.length}`);
+        }
+        // Ne pas écraser les matchs si c'est un auto-sync (l'utilisateur est en train de saisir)
+        if (skipNextMatchesLoadRef.current) {
+          skipNextMatchesLoadRef.current = false;
+        } else {
+          setMatches(finalMatches);
+        }
+
+      } else {
+        // Pas de données de matches pour cette journée - réinitialiser
+        setMatches(createEmptyMatches(gamesPerMatchday));
+      }
+    } else {
+      // entities.matches n'existe pas dans ce fichier v2.0
+      // Les matches devront être saisis manuellement
+      setMatches(createEmptyMatches(gamesPerMatchday));
+    }
+
+    // === Pré-calculer les standings Ligue des Hyènes pour TOUTES les saisons ===
+    // Nécessaire pour que le Palmarès et le Panthéon trouvent les entrées ligue_hyenes_s{N}
+    if (data.entities.matches && data.entities.managers) {
+
+      // Trouver toutes les saisons disponibles dans les matchs
+      const allSeasonNums = new Set();
+      data.entities.matches.forEach(block => {
+        if (block.season) allSeasonNums.add(block.season);
+      });
+
+      allSeasonNums.forEach(seasonNum => {
+        const hyenesKey = `${HYENES_KEY}_s${seasonNum}`;
+
+        // Agréger les stats des 4 championnats pour cette saison (règle d'agrégation de la saison)
+        const aggStats = aggregateHyenesStats(registry,
+          getSeasonMatchBlocks(data, HYENES_KEY, seasonNum),
+          data.entities.seasons,
+          seasonNum,
+          (champKey, teamName) => getTeamPenaltyLocal(teamName, registry.reverseMapping[champKey], String(seasonNum))
+        );
+
+        let playedMatchdays = 0;
+        registry.euro.forEach(champ => {
+          const champMatches = data.entities.matches.filter(
+            block => block.championship?.toLowerCase() === champ && block.season === seasonNum
+          );
+          if (champMatches.length > 0) {
+            playedMatchdays += new Set(champMatches.filter(isMatchdayPlayed).map(b => b.matchday)).size;
+          }
+        });
+
+        const hyenesStandingsAll = rankWithTiebreakers(
+          Object.values(aggStats)
+            .filter(t => t.j > 0)
+            .map(t => ({ ...t, effectivePts: t.pts - getTeamPenaltyLocal(t.name, 'hyenes', String(seasonNum)) })),
+          getTiebreakers(data.entities.seasons, hyenesKey),
+          { matchBlocks: getSeasonMatchBlocks(data, HYENES_KEY, seasonNum), seed: hyenesKey, seasons: data.entities.seasons }
+        ).map((t, i) => ({ pos: i + 1, mgr: t.name, pts: t.pts, j: t.j, g: t.g, n: t.n, p: t.p, bp: t.bp, bc: t.bc, diff: t.diff }));
+
+        if (hyenesStandingsAll.length > 0) {
+          if (!data.entities.seasons) data.entities.seasons = {};
+          if (!data.entities.seasons[hyenesKey]) {
+            data.entities.seasons[hyenesKey] = { season: seasonNum };
+          }
+          data.entities.seasons[hyenesKey].standings = hyenesStandingsAll;
+          data.entities.seasons[hyenesKey].playedMatchdays = playedMatchdays;
+        }
+      });
+    }
+
+    // === Pré-calculer les standings pour les championnats individuels (TOUTES les saisons) ===
+    // Même logique que le pré-calcul Hyènes : créer/mettre à jour les entrées dans
+    // data.entities.seasons pour que le Palmarès et le Panthéon aient des données complètes.
+    // Sans cela, les entrées comme france_s7, espagne_s7 n'existent pas si elles
+    // n'ont jamais été sauvegardées en base → le Panthéon affiche 0 trophées.
+    if (data.entities.matches && data.entities.managers) {
+      const managerListAll = Object.values(data.entities.managers)
+        .map(m => m.name || '?').filter(n => n !== '?');
+      const individualChamps = getLeagueKeys(registry);
+
+      // Trouver toutes les saisons par championnat depuis les matchs
+      const champSeasons = {};
+      data.entities.matches.forEach(block => {
+        const champ = block.championship?.toLowerCase();
+        if (champ && block.season && individualChamps.includes(champ)) {
+          if (!champSeasons[champ]) champSeasons[champ] = new Set();
+          champSeasons[champ].add(block.season);
+        }
+      });
+
+      individualChamps.forEach(champ => {
+        const seasonNums = champSeasons[champ];
+        if (!seasonNums) return;
+
+        seasonNums.forEach(seasonNum => {
+          const champKey = `${champ}_s${seasonNum}`;
+
+          // Calculer les stats depuis les matchs
+          const champStats = {};
+          managerListAll.forEach(mgr => {
+            champStats[mgr] = { name: mgr, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
+          });
+
+          const champMatches = data.entities.matches.filter(
+            block => block.championship?.toLowerCase() === champ && block.season === seasonNum
+          );
+
+          let playedMatchdays = 0;
+          if (champMatches.length > 0) {
+            playedMatchdays = new Set(champMatches.filter(isMatchdayPlayed).map(b => b.matchday)).size;
+          }
+
+          const pointsSystem = getPointsSystem(data.entities.seasons, champKey);
+          champMatches.forEach(matchBlock => {
+            if (!matchBlock.games || !Array.isArray(matchBlock.games)) return;
+            matchBlock.games.forEach(match => {
+              const { homeTeam: home, awayTeam: away, homeScore: hs, awayScore: as2 } = normalizeMatch(match);
+              if (hs === null || hs === undefined || as2 === null || as2 === undefined) return;
+              const hScore = parseInt(hs), aScore = parseInt(as2);
+              if (isNaN(hScore) || isNaN(aScore)) return;
+              if (!champStats[home]) champStats[home] = { name: home, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
+              if (!champStats[away]) champStats[away] = { name: away, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
+              champStats[home].j++; champStats[away].j++;
+              champStats[home].bp += hScore; champStats[home].bc += aScore;
+              champStats[away].bp += aScore; champStats[away].bc += hScore;
+              const points = getMatchPoints(hScore, aScore, pointsSystem);
+              champStats[home].pts += points.home; champStats[away].pts += points.away;
+              if (hScore > aScore) { champStats[home].g++; champStats[away].p++; }
+              else if (hScore < aScore) { champStats[away].g++; champStats[home].p++; }
+              else { champStats[home].n++; champStats[away].n++; }
+              champStats[home].diff = champStats[home].bp - champStats[home].bc;
+              champStats[away].diff = champStats[away].bp - champStats[away].bc;
+            });
+          });
+
+          // Mapper le nom de championnat vers l'ID pour getTeamPenaltyLocal
+          const champId = registry.reverseMapping[champ] || champ;
+
+          const champStandingsAll = rankWithTiebreakers(
+            Object.values(champStats)
+              .filter(t => t.j > 0)
+              .map(t => ({ ...t, effectivePts: t.pts - getTeamPenaltyLocal(t.name, champId, String(seasonNum)) })),
+            getTiebreakers(data.entities.seasons, champKey),
+            { matchBlocks: champMatches, seed: champKey, seasons: data.entities.seasons }
+          ).map((t, i) => ({ pos: i + 1, mgr: t.name, pts: t.pts, j: t.j, g: t.g, n: t.n, p: t.p, bp: t.bp, bc: t.bc, diff: t.diff }));
+
+          if (champStandingsAll.length > 0) {
+            if (!data.entities.seasons) data.entities.seasons = {};
+            if (!data.entities.seasons[champKey]) {
+              data.entities.seasons[champKey] = { season: seasonNum };
+            }
+            data.entities.seasons[champKey].standings = champStandingsAll;
+            data.entities.seasons[champKey].playedMatchdays = playedMatchdays;
+          }
+        });
+      });
+    }
+
+    // Extraire champions[] pour le championnat sélectionné
+    if (data.entities.seasons) {
+      const championsList = [];
+      Object.keys(data.entities.seasons).forEach(seasonKey => {
+        const parts = seasonKey.split('_');
+        const seasonNum = parts[parts.length - 1].replace('s', '');
+        const championshipName = parts.slice(0, -1).join('_');
+        const championshipId = registry.reverseMapping[championshipName] || championshipName;
+
+        if (championshipId === championship) {
+          const seasonData = data.entities.seasons[seasonKey];
+          const standings = seasonData.standings || [];
+
+          // Coupe : le titre revient au vainqueur de la finale
+          if (isCupChampionship(registry, championshipName)) {
+            const finalRanking = getCupFinalRanking(seasonData.bracket);
+            if (!finalRanking) return;
+            const override = getChampionOverride(data.palmares, championshipName, seasonNum);
+            const { champions: titleHolders } = resolveSeasonTitle(finalRanking, override);
+            championsList.push({
+              season: seasonNum,
+              championship: championshipName,
+              team: titleHolders.length > 0 ? titleHolders.join(' / ') : 'Titre non attribué',
+              points: null,
+              finalScore: finalRanking[0].finalScore,
+              computedChampion: finalRanking[0].name,
+              override
+            });
+            return;
+          }
+
+          if (standings.length > 0) {
+            // Vérifier si la saison est terminée (nombre de journées issu du format de la saison)
+            const totalMatchdays = getSeasonFormat(registry, data.entities.seasons, championshipName, seasonNum).matchdays;
+            // Utiliser playedMatchdays (journées disputées) plutôt que j (matchs joués par équipe)
+            // car avec le système d'équipe exemptée, j < totalMatchdays même pour une saison terminée
+            const currentMatchday = seasonData.playedMatchdays || standings[0]?.j || 0;
+
+            const isSeasonComplete = currentMatchday >= totalMatchdays;
+
+            // N'ajouter au palmarès que si la saison est terminée
+            if (isSeasonComplete) {
+              // Trouver le champion basé sur les points effectifs (pts - pénalité)
+              const teamsWithEffectivePts = standings.map(team => {
+                const teamName = team.mgr || team.name || '?';
+                const penalty = getTeamPenaltyLocal(teamName, championshipId, seasonNum);
+                const pts = team.pts || team.points || 0;
+                return {
+                  ...team,
+                  name: teamName,
+                  effectivePts: pts - penalty
+                };
+              });
+
+              // Trier par points effectifs puis par la chaîne de départage de la saison
+              const rankOptions = {
+                tiebreakers: getTiebreakers(data.entities.seasons, seasonKey),
+                matchBlocks: getSeasonMatchBlocks(data, championshipName, seasonNum),
+                seed: seasonKey,
+                seasons: data.entities.seasons
+              };
+              const rankedTeams = rankWithTiebreakers(teamsWithEffectivePts, rankOptions.tiebreakers, rankOptions);
+
+              // Une correction manuelle (titre partagé, attribué après appel, retiré) prime sur le calcul
+              const override = getChampionOverride(data.palmares, championshipName, seasonNum);
+              const { champions: titleHolders } = resolveSeasonTitle(
+                rankedTeams, override, getRankMode(data.entities.seasons, seasonKey), rankOptions
+              );
+              const holder = rankedTeams.find(t => t.name === titleHolders[0]);
+              championsList.push({
+                season: seasonNum,
+                championship: championshipName,
+                team: titleHolders.length > 0 ? titleHolders.join(' / ') : 'Titre non attribué',
+                points: holder ? holder.effectivePts : 0,
+                computedChampion: rankedTeams[0]?.name || null,
+                override
+              });
+            }
+          }
+        }
+      });
+
+      championsList.sort((a, b) => parseInt(b.season) - parseInt(a.season));
+      setChampions(championsList);
+    }
+
+    // Recalculer le Panthéon dynamiquement à partir des standings
+    const titles = computeSeasonTitles(data, currentPenalties);
+    if (titles) {
+      setPantheonTeams(titles.pantheon);
+      setSeasonResults(titles.finalResults);
+
+      // Persister les champions et le Panthéon vers Supabase (fire-and-forget, admin uniquement)
+      if (isAdminUser) {
+        Promise.allSettled([
+          ...titles.champions.map(c =>
+            saveChampion(c.championship, c.season, c.champion, c.runnerUp).catch(err => console.error('Erreur saveChampion:', err))
+          ),
+          ...titles.pantheon.map(p =>
+            updatePantheon(p.name, 0, p.total, 0).catch(err => console.error('Erreur updatePantheon:', err))
+          )
+        ]).catch(err => console.error('Erreur persistence Panthéon:', err));
+      }
+    }
+
+  }, []);
+
+  // useEffect pour gérer l'authentification
+  useEffect(() => {
+    async function initAuth() {
+      try {
+        const session = await getSession();
+        if (session?.user) {
+          setUser(session.user);
+          const adminStatus = await checkIsAdmin(session.user.email);
+          setIsAdmin(adminStatus);
+        }
+      } catch (error) {
+        console.error('Erreur initialisation auth:', error);
+      } finally {
+        setIsAuthLoading(false);
+      }
+    }
+
+    initAuth();
+
+    // Écouter les changements d'authentification
+    let subscription = null;
+    try {
+      const result = onAuthStateChange(async (event, session) => {
+        if (session?.user) {
+          setUser(session.user);
+          const adminStatus = await checkIsAdmin(session.user.email);
+          setIsAdmin(adminStatus);
+        } else {
+          setUser(null);
+          setIsAdmin(false);
+        }
+      });
+      subscription = result?.data?.subscription;
+    } catch (error) {
+      console.error('Erreur onAuthStateChange:', error);
+    }
+
+    return () => {
+      if (subscription?.unsubscribe) {
+        subscription.unsubscribe();
+      }
+    };
+  }, []);
+
+  // Cleanup du timeout de sauvegarde au démontage
+  useEffect(() => {
+    return () => {
+      if (saveMatchesTimeoutRef.current) {
+        clearTimeout(saveMatchesTimeoutRef.current);
+      }
+    };
+  }, []);
 
-        // Parcourir TOUS les matchs de la saison (toutes les journées)
-        allSeasonMatches.forEach(matchBlock => {
-          if (matchBlock.games && Array.isArray(matchBlock.games)) {
-            matchBlock.games.forEach(match => {
-              const { homeTeam: home, awayTeam: away, homeScore: hs, awayScore: as2 } = normalizeMatch(match);
+  // Fonction de connexion
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setLoginError('');
+    setIsLoggingIn(true);
 
-              if (hs !== null && hs !== undefined && as2 !== null && as2 !== undefined) {
-                const homeScore = parseInt(hs);
-                const awayScore = parseInt(as2);
+    try {
+      await signIn(loginEmail, loginPassword);
+      setShowLoginModal(false);
+      setLoginEmail('');
+      setLoginPassword('');
+    } catch (error) {
+      setLoginError('Email ou mot de passe incorrect');
+      setLoginPassword('');
+    } finally {
+      setIsLoggingIn(false);
+    }
+  };
 
-                if (!isNaN(homeScore) && !isNaN(awayScore) && teamStats[home] && teamStats[away]) {
-                  teamStats[home].j++;
-                  teamStats[away].j++;
-                  teamStats[home].bp += homeScore;
-                  teamStats[home].bc += awayScore;
-                  teamStats[away].bp += awayScore;
-                  teamStats[away].bc += homeScore;
+  // Fonction de déconnexion (mise à jour optimiste de l'UI)
+  const handleLogout = async () => {
+    setIsLoggingOut(true);
+    // Mise à jour optimiste : on nettoie l'UI immédiatement
+    setUser(null);
+    setIsAdmin(false);
+    try {
+      await signOut();
+    } catch (error) {
+      console.error('Erreur déconnexion:', error);
+    } finally {
+      setIsLoggingOut(false);
+    }
+  };
 
-                  if (homeScore > awayScore) {
-                    teamStats[home].pts += 3;
-                    teamStats[home].g++;
-                    teamStats[away].p++;
-                  } else if (homeScore < awayScore) {
-                    teamStats[away].pts += 3;
-                    teamStats[away].g++;
-                    teamStats[home].p++;
-                  } else {
-                    teamStats[home].pts++;
-                    teamStats[away].pts++;
-                    teamStats[home].n++;
-                    teamStats[away].n++;
-                  }
-                  teamStats[home].diff = teamStats[home].bp - teamStats[home].bc;
-                  teamStats[away].diff = teamStats[away].bp - teamStats[away].bc;
-                }
-              }
-            });
-          }
-        });
+  // Ref pour éviter une closure périmée dans le timer d'inactivité
+  const handleLogoutRef = useRef(handleLogout);
+  handleLogoutRef.current = handleLogout;
 
-        // Appliquer les pénalités et trier
-        const sortedTeams = Object.values(teamStats)
-          .filter(team => team.j > 0)
-          .map(team => {
-            const penalty = getTeamPenaltyLocal(team.name, championship, season);
-            return {
-              ...team,
-              penalty: penalty,
-              effectivePts: team.pts - penalty
-            };
-          })
-          .sort((a, b) => {
-            if (b.effectivePts !== a.effectivePts) return b.effectivePts - a.effectivePts;
-            if (b.diff !== a.diff) return b.diff - a.diff;
-            return b.bp - a.bp;
-          });
+  // Déconnexion automatique après 15 minutes d'inactivité
+  useEffect(() => {
+    if (!user) return;
 
-        // France S6 : système de binômes - les équipes avec stats identiques partagent le même rang
-        const isFranceS6Standings = championship === 'france' && season === '6';
-        let currentPos = 1;
+    const INACTIVITY_TIMEOUT = INACTIVITY_TIMEOUT_MS;
+    let timeoutId = null;
 
-        standings = sortedTeams.map((team, index) => {
-          if (isFranceS6Standings && index > 0) {
-            const prev = sortedTeams[index - 1];
-            if (prev.effectivePts !== team.effectivePts || prev.diff !== team.diff) {
-              currentPos++;
-            }
-          } else if (!isFranceS6Standings) {
-            currentPos = index + 1;
-          }
-          return {
-            pos: currentPos,
-            mgr: team.name,
-            pts: team.pts,
-            j: team.j,
-            g: team.g,
-            n: team.n,
-            p: team.p,
-            bp: team.bp,
-            bc: team.bc,
-            diff: team.diff
-          };
-        });
-      } else {
-        // Pas de données de matchs - utiliser les standings sauvegardés
-        standings = savedStandings;
-      }
+    const resetTimer = () => {
+      if (timeoutId) clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        handleLogoutRef.current();
+      }, INACTIVITY_TIMEOUT);
+    };
 
-      // Mettre à jour les standings dans data pour que Palmarès/Panthéon voient les données recalculées
-      if (data.entities.seasons[seasonKey]) {
-        data.entities.seasons[seasonKey].standings = standings;
-        // Stocker le nombre de journées distinctes jouées (pas le max, pour détecter les trous)
-        if (allSeasonMatches.length > 0) {
-          data.entities.seasons[seasonKey].playedMatchdays = new Set(allSeasonMatches.map(b => b.matchday)).size;
-        }
-      }
+    const activityEvents = ['mousedown', 'keydown', 'touchstart', 'scroll'];
+    activityEvents.forEach(event => window.addEventListener(event, resetTimer));
 
-      // Normaliser les données pour l'affichage (même transformation que v1.0)
-      const normalizedTeams = standings.map(team => ({
-        rank: team.pos || team.rank || 0,
-        name: team.mgr || team.name || team.team || '?',
-        pts: team.pts || team.points || 0,
-        record: team.record || (team.g !== undefined ? `${team.g}-${team.n}-${team.p}` : (team.w !== undefined ? `${team.w}-${team.d}-${team.l}` : '0-0-0')),
-        goalDiff: team.goalDiff || (team.bp !== undefined ? `${team.bp}-${team.bc}` : (team.gf !== undefined ? `${team.gf}-${team.ga}` : '0-0')),
-        diff: typeof team.diff === 'number'
-          ? (team.diff >= 0 ? `+${team.diff}` : `${team.diff}`)
-          : (team.diff || '+0')
-      }));
+    // Démarrer le timer initial
+    resetTimer();
 
-      setTeams(normalizedTeams);
+    return () => {
+      if (timeoutId) clearTimeout(timeoutId);
+      activityEvents.forEach(event => window.removeEventListener(event, resetTimer));
+    };
+  }, [user]);
 
-      // Calculer la progression de la saison
-      // Ligue des Hyènes : 72 journées, Autres championnats : 18 journées
-      // Cas spécial S6 : France a 10 journées, donc Ligue des Hyènes S6 = 64 (10+18+18+18)
-      const isS6 = season === '6';
-      const isFranceS6 = championship === 'france' && isS6;
-      const isHyenesS6 = championship === 'hyenes' && isS6;
-      const totalMatchdays = championship === 'hyenes'
-        ? (isHyenesS6 ? HYENES_S6_MATCHDAYS : HYENES_MATCHDAYS)
-        : (isFranceS6 ? FRANCE_S6_MATCHDAYS : STANDARD_MATCHDAYS);
-      // Compter les journées distinctes réellement saisies (pas le max, pour détecter les trous)
-      const currentMatchday = allSeasonMatches.length > 0
-        ? new Set(allSeasonMatches.map(b => b.matchday)).size
-        : (standings[0]?.j || 0);
-      const percentage = totalMatchdays > 0 ? ((currentMatchday / totalMatchdays) * 100).toFixed(1) : 0;
+  // Fonction pour ajouter un manager
+  const handleAddManager = async () => {
+    const trimmedName = newManagerName.trim();
+    if (!trimmedName) {
+      setManagerError('Le nom ne peut pas être vide');
+      return;
+    }
 
-      setSeasonProgress({
-        currentMatchday,
-        totalMatchdays,
-        percentage: parseFloat(percentage)
-      });
-    } else {
-      setTeams([]);
-      setSeasonProgress({ currentMatchday: 0, totalMatchdays: 72, percentage: 0 });
+    if (trimmedName.length > MAX_MANAGER_NAME_LENGTH) {
+      setManagerError(`Le nom ne peut pas dépasser ${MAX_MANAGER_NAME_LENGTH} caractères`);
+      return;
     }
 
-    // Extraire matches[] depuis entities.matches (si disponible)
-    // Note: Le format v2.0 pourrait ne pas inclure les matches, seulement les standings finaux
-    // La Ligue des Hyènes n'a pas de matchs propres (setMatches([]) déjà appelé)
-    if (championship !== 'hyenes' && data.entities.matches && Array.isArray(data.entities.matches)) {
-      const championshipKeyLower = championshipKey.toLowerCase();
-      const matchesForContext = data.entities.matches.find(
-        block =>
-          block.championship?.toLowerCase() === championshipKeyLower &&
-          block.season === parseInt(season) &&
-          block.matchday === parseInt(journee)
-      );
+    if (!MANAGER_NAME_PATTERN.test(trimmedName)) {
+      setManagerError('Le nom contient des caractères non autorisés');
+      return;
+    }
 
-      if (matchesForContext && matchesForContext.games) {
-        // Normaliser les matches pour s'assurer que les champs sont corrects
-        const normalizedMatches = matchesForContext.games.map((match, index) => ({
-          id: match.id || (index + 1),
-          ...normalizeMatch(match)
-        }));
+    // Vérifier si le manager existe déjà
+    if (allTeams.includes(trimmedName)) {
+      setManagerError('Ce manager existe déjà');
+      return;
+    }
 
-        // Dédupliquer les matchs (garder le premier de chaque paire d'équipes)
-        const seen = new Set();
-        const deduplicatedMatches = normalizedMatches.filter(match => {
-          const key = `${match.homeTeam}_${match.awayTeam}`;
-          if (seen.has(key)) {
-            console.warn('Match en double ignoré:', match);
-            return false;
-          }
-          seen.add(key);
-          return true;
-        });
+    setIsAddingManager(true);
+    setManagerError('');
 
-        // Limiter à 5 matchs max par journée (10 équipes qui jouent)
-        // et compléter avec des matchs vides si moins de 5
-        const limitedMatches = deduplicatedMatches.slice(0, 5);
-        const finalMatches = [...limitedMatches];
-        while (finalMatches.length < 5) {
-          finalMatches.push({
-            id: finalMatches.length + 1,
-            homeTeam: '',
-            awayTeam: '',
-            homeScore: null,
-            awayScore: null
-          });
-        }
+    try {
+      // Générer un ID unique pour le manager
+      const managerId = trimmedName.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
 
-        if (normalizedMatches.length !== limitedMatches.length) {
-          console.warn(`Matchs dédupliqués: ${normalizedMatches.length} -> ${limitedMatches.length}`);
-        }
-        // Ne pas écraser les matchs si c'est un auto-sync (l'utilisateur est en train de saisir)
-        if (skipNextMatchesLoadRef.current) {
-          skipNextMatchesLoadRef.current = false;
-        } else {
-          setMatches(finalMatches);
+      // Sauvegarder dans Supabase si admin connecté
+      if (isAdmin) {
+        await saveManager({ id: managerId, name: trimmedName });
+      }
+
+      // Mettre à jour l'état local
+      const newManagers = {
+        ...(appData?.entities?.managers || {}),
+        [managerId]: { id: managerId, name: trimmedName }
+      };
+
+      setAppData(prev => ({
+        ...prev,
+        entities: {
+          ...prev?.entities,
+          managers: newManagers
         }
+      }));
 
-      } else {
-        // Pas de données de matches pour cette journée - réinitialiser
-        setMatches(DEFAULT_MATCHES);
+      setAllTeams(prev => [...prev, trimmedName].sort());
+      setNewManagerName('');
+    } catch (error) {
+      console.error('Erreur ajout manager:', error);
+      setManagerError('Erreur lors de l\'ajout');
+    } finally {
+      setIsAddingManager(false);
+    }
+  };
+
+  // === Gestion des compétitions (table championships) ===
+  // Toute modification réenregistre la liste complète : ordre recalculé, et une base encore vide
+  // reçoit d'un coup les compétitions par défaut.
+  const persistChampionships = async (nextList) => {
+    const ordered = nextList.map((c, index) => ({ ...c, order: index }));
+    setChampionshipError('');
+    if (isAdmin) {
+      setIsSavingChampionships(true);
+      try {
+        await Promise.all(ordered.map(c => saveChampionship(c)));
+      } catch (error) {
+        console.error('Erreur sauvegarde compétitions:', error);
+        setChampionshipError('Erreur lors de la sauvegarde des compétitions');
+        return false;
+      } finally {
+        setIsSavingChampionships(false);
       }
-    } else {
-      // entities.matches n'existe pas dans ce fichier v2.0
-      // Les matches devront être saisis manuellement
-      setMatches(DEFAULT_MATCHES);
     }
+    setAppData(prev => prev ? { ...prev, championships: ordered } : prev);
+    return true;
+  };
 
-    // === Pré-calculer les standings Ligue des Hyènes pour TOUTES les saisons ===
-    // Nécessaire pour que le Palmarès et le Panthéon trouvent les entrées ligue_hyenes_s{N}
-    if (data.entities.matches && data.entities.managers) {
-      const managerListAll = Object.values(data.entities.managers)
-        .map(m => m.name || '?').filter(n => n !== '?');
-      const euroChamps = ['france', 'espagne', 'italie', 'angleterre'];
+  // Qualification d'une nouvelle coupe (Trophée des Champions : championnats de la Ligue des Hyènes)
+  const buildNewCupQualification = () => {
+    if (newChampionship.qualification === 'standings') {
+      return { source: 'standings', championship: newChampionship.qualificationChampionship, top: newChampionship.qualificationTop };
+    }
+    if (newChampionship.qualification === 'champions') {
+      return { source: 'champions', championships: [...registry.euro] };
+    }
+    return null;
+  };
 
-      // Trouver toutes les saisons disponibles dans les matchs
-      const allSeasonNums = new Set();
-      data.entities.matches.forEach(block => {
-        if (block.season) allSeasonNums.add(block.season);
-      });
+  const handleAddChampionship = async () => {
+    const name = newChampionship.name.trim();
+    if (!name) {
+      setChampionshipError('Le nom ne peut pas être vide');
+      return;
+    }
+    // Clé dérivée du nom : "Allemagne" -> "allemagne" (sert aussi d'id)
+    const key = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!key || championships.some(c => c.id === key || c.key === key || c.name.toLowerCase() === name.toLowerCase())) {
+      setChampionshipError('Cette compétition existe déjà');
+      return;
+    }
+    // Division : rattachée au championnat parent, sous la plus basse division existante (pas de division de coupe)
+    const isCup = newChampionship.type === 'cup';
+    const parent = isCup ? null : championships.find(c => c.key === newChampionship.parentKey);
+    const division = parent
+      ? Math.max(...championships.filter(c => getDivisionLadder(registry, parent.key).includes(c.key)).map(c => c.division || 1)) + 1
+      : null;
+    const added = await persistChampionships([
+      ...championships,
+      {
+        id: key,
+        key,
+        name,
+        icon: newChampionship.icon.trim() || parent?.icon || (isCup ? '🏵️' : '⚽'),
+        feedsHyenes: !isCup && newChampionship.feedsHyenes,
+        active: true,
+        parentKey: parent ? parent.key : null,
+        division,
+        type: newChampionship.type,
+        qualification: isCup ? buildNewCupQualification() : null
+      }
+    ]);
+    if (added) {
+      setNewChampionship({ name: '', icon: '', feedsHyenes: true, parentKey: '', type: 'league', qualification: 'manual', qualificationChampionship: HYENES_KEY, qualificationTop: 4 });
+    }
+  };
 
-      allSeasonNums.forEach(seasonNum => {
-        const hyenesKey = `ligue_hyenes_s${seasonNum}`;
+  const startEditingChampionship = (championship) => {
+    setEditingChampionshipId(championship.id);
+    setEditingChampionship({ name: championship.name, icon: championship.icon });
+  };
 
-        // Agréger les stats des 4 championnats pour cette saison
-        const aggStats = {};
-        managerListAll.forEach(mgr => {
-          aggStats[mgr] = { name: mgr, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
-        });
+  const handleSaveChampionshipEdit = async () => {
+    const name = editingChampionship.name.trim();
+    if (!name) {
+      setChampionshipError('Le nom ne peut pas être vide');
+      return;
+    }
+    const saved = await persistChampionships(championships.map(c =>
+      c.id === editingChampionshipId ? { ...c, name, icon: editingChampionship.icon.trim() || c.icon } : c
+    ));
+    if (saved) setEditingChampionshipId(null);
+  };
 
-        let playedMatchdays = 0;
-        euroChamps.forEach(champ => {
-          const champMatches = data.entities.matches.filter(
-            block => block.championship?.toLowerCase() === champ && block.season === seasonNum
-          );
-          if (champMatches.length > 0) {
-            playedMatchdays += new Set(champMatches.map(b => b.matchday)).size;
-          }
-          champMatches.forEach(matchBlock => {
-            if (!matchBlock.games || !Array.isArray(matchBlock.games)) return;
-            matchBlock.games.forEach(match => {
-              const { homeTeam: home, awayTeam: away, homeScore: hs, awayScore: as2 } = normalizeMatch(match);
-              if (hs === null || hs === undefined || as2 === null || as2 === undefined) return;
-              const hScore = parseInt(hs), aScore = parseInt(as2);
-              if (isNaN(hScore) || isNaN(aScore)) return;
-              if (!aggStats[home]) aggStats[home] = { name: home, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
-              if (!aggStats[away]) aggStats[away] = { name: away, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
-              aggStats[home].j++; aggStats[away].j++;
-              aggStats[home].bp += hScore; aggStats[home].bc += aScore;
-              aggStats[away].bp += aScore; aggStats[away].bc += hScore;
-              if (hScore > aScore) { aggStats[home].pts += 3; aggStats[home].g++; aggStats[away].p++; }
-              else if (hScore < aScore) { aggStats[away].pts += 3; aggStats[away].g++; aggStats[home].p++; }
-              else { aggStats[home].pts++; aggStats[away].pts++; aggStats[home].n++; aggStats[away].n++; }
-              aggStats[home].diff = aggStats[home].bp - aggStats[home].bc;
-              aggStats[away].diff = aggStats[away].bp - aggStats[away].bc;
-            });
-          });
-        });
+  const moveChampionship = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= championships.length) return;
+    const next = [...championships];
+    [next[index], next[target]] = [next[target], next[index]];
+    persistChampionships(next);
+  };
 
-        const hyenesStandingsAll = Object.values(aggStats)
-          .filter(t => t.j > 0)
-          .sort((a, b) => {
-            const penA = getTeamPenaltyLocal(a.name, 'hyenes', String(seasonNum));
-            const penB = getTeamPenaltyLocal(b.name, 'hyenes', String(seasonNum));
-            const effA = a.pts - penA, effB = b.pts - penB;
-            if (effB !== effA) return effB - effA;
-            if (b.diff !== a.diff) return b.diff - a.diff;
-            return b.bp - a.bp;
-          })
-          .map((t, i) => ({ pos: i + 1, mgr: t.name, pts: t.pts, j: t.j, g: t.g, n: t.n, p: t.p, bp: t.bp, bc: t.bc, diff: t.diff }));
+  const toggleChampionshipField = (id, field) => {
+    persistChampionships(championships.map(c => c.id === id ? { ...c, [field]: !c[field] } : c));
+  };
 
-        if (hyenesStandingsAll.length > 0) {
-          if (!data.entities.seasons) data.entities.seasons = {};
-          if (!data.entities.seasons[hyenesKey]) {
-            data.entities.seasons[hyenesKey] = { season: seasonNum };
-          }
-          data.entities.seasons[hyenesKey].standings = hyenesStandingsAll;
-          data.entities.seasons[hyenesKey].playedMatchdays = playedMatchdays;
-        }
-      });
+  // Fonction pour supprimer un manager
+  const handleDeleteManager = async (managerName) => {
+    if (!window.confirm(`Supprimer le manager "${managerName}" ?`)) {
+      return;
     }
 
-    // === Pré-calculer les standings pour les championnats individuels (TOUTES les saisons) ===
-    // Même logique que le pré-calcul Hyènes : créer/mettre à jour les entrées dans
-    // data.entities.seasons pour que le Palmarès et le Panthéon aient des données complètes.
-    // Sans cela, les entrées comme france_s7, espagne_s7 n'existent pas si elles
-    // n'ont jamais été sauvegardées en base → le Panthéon affiche 0 trophées.
-    if (data.entities.matches && data.entities.managers) {
-      const managerListAll = Object.values(data.entities.managers)
-        .map(m => m.name || '?').filter(n => n !== '?');
-      const individualChamps = ['france', 'espagne', 'italie', 'angleterre'];
+    try {
+      // Trouver l'ID du manager
+      const managers = appData?.entities?.managers || {};
+      const managerEntry = Object.entries(managers).find(([_, m]) => m.name === managerName);
 
-      // Trouver toutes les saisons par championnat depuis les matchs
-      const champSeasons = {};
-      data.entities.matches.forEach(block => {
-        const champ = block.championship?.toLowerCase();
-        if (champ && block.season && individualChamps.includes(champ)) {
-          if (!champSeasons[champ]) champSeasons[champ] = new Set();
-          champSeasons[champ].add(block.season);
+      if (managerEntry && isAdmin) {
+        const [managerId] = managerEntry;
+        // Supprimer de Supabase
+        await deleteManager(managerId);
+      }
+
+      // Supprimer localement
+      const newManagers = { ...(appData?.entities?.managers || {}) };
+      Object.keys(newManagers).forEach(key => {
+        if (newManagers[key].name === managerName) {
+          delete newManagers[key];
         }
       });
 
-      individualChamps.forEach(champ => {
-        const seasonNums = champSeasons[champ];
-        if (!seasonNums) return;
+      setAppData(prev => ({
+        ...prev,
+        entities: {
+          ...prev?.entities,
+          managers: newManagers
+        }
+      }));
 
-        seasonNums.forEach(seasonNum => {
-          const champKey = `${champ}_s${seasonNum}`;
+      setAllTeams(prev => prev.filter(t => t !== managerName));
+    } catch (error) {
+      console.error('Erreur suppression manager:', error);
+      alert('Erreur lors de la suppression du manager');
+    }
+  };
 
-          // Calculer les stats depuis les matchs
-          const champStats = {};
-          managerListAll.forEach(mgr => {
-            champStats[mgr] = { name: mgr, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
-          });
+  // Fonction pour commencer l'édition d'un manager
+  const startEditingManager = (managerName) => {
+    const managers = appData?.entities?.managers || {};
+    const managerEntry = Object.entries(managers).find(([_, m]) => m.name === managerName);
+    if (managerEntry) {
+      const [managerId] = managerEntry;
+      setEditingManagerId(managerId);
+      setEditingManagerName(managerName);
+    }
+  };
 
-          const champMatches = data.entities.matches.filter(
-            block => block.championship?.toLowerCase() === champ && block.season === seasonNum
-          );
+  // Fonction pour annuler l'édition
+  const cancelEditingManager = () => {
+    setEditingManagerId(null);
+    setEditingManagerName('');
+    setManagerError('');
+  };
 
-          let playedMatchdays = 0;
-          if (champMatches.length > 0) {
-            playedMatchdays = new Set(champMatches.map(b => b.matchday)).size;
-          }
+  // Fonction pour sauvegarder la modification du nom
+  const handleSaveManagerEdit = async () => {
+    if (!editingManagerName.trim()) {
+      setManagerError('Le nom ne peut pas être vide');
+      return;
+    }
 
-          champMatches.forEach(matchBlock => {
-            if (!matchBlock.games || !Array.isArray(matchBlock.games)) return;
-            matchBlock.games.forEach(match => {
-              const { homeTeam: home, awayTeam: away, homeScore: hs, awayScore: as2 } = normalizeMatch(match);
-              if (hs === null || hs === undefined || as2 === null || as2 === undefined) return;
-              const hScore = parseInt(hs), aScore = parseInt(as2);
-              if (isNaN(hScore) || isNaN(aScore)) return;
-              if (!champStats[home]) champStats[home] = { name: home, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
-              if (!champStats[away]) champStats[away] = { name: away, pts: 0, j: 0, g: 0, n: 0, p: 0, bp: 0, bc: 0, diff: 0 };
-              champStats[home].j++; champStats[away].j++;
-              champStats[home].bp += hScore; champStats[home].bc += aScore;
-              champStats[away].bp += aScore; champStats[away].bc += hScore;
-              if (hScore > aScore) { champStats[home].pts += 3; champStats[home].g++; champStats[away].p++; }
-              else if (hScore < aScore) { champStats[away].pts += 3; champStats[away].g++; champStats[home].p++; }
-              else { champStats[home].pts++; champStats[away].pts++; champStats[home].n++; champStats[away].n++; }
-              champStats[home].diff = champStats[home].bp - champStats[home].bc;
-              champStats[away].diff = champStats[away].bp - champStats[away].bc;
-            });
-          });
+    // Vérifier si le nom existe déjà (sauf pour le manager actuel)
+    const managers = appData?.entities?.managers || {};
+    const currentManager = managers[editingManagerId];
+    const oldName = currentManager?.name;
 
-          // Mapper le nom de championnat vers l'ID pour getTeamPenaltyLocal
-          const champId = champ === 'espagne' ? 'spain' : champ === 'italie' ? 'italy' : champ === 'angleterre' ? 'england' : champ;
+    if (oldName === editingManagerName.trim()) {
+      cancelEditingManager();
+      return;
+    }
 
-          const champStandingsAll = Object.values(champStats)
-            .filter(t => t.j > 0)
-            .sort((a, b) => {
-              const penA = getTeamPenaltyLocal(a.name, champId, String(seasonNum));
-              const penB = getTeamPenaltyLocal(b.name, champId, String(seasonNum));
-              const effA = a.pts - penA, effB = b.pts - penB;
-              if (effB !== effA) return effB - effA;
-              if (b.diff !== a.diff) return b.diff - a.diff;
-              return b.bp - a.bp;
-            })
-            .map((t, i) => ({ pos: i + 1, mgr: t.name, pts: t.pts, j: t.j, g: t.g, n: t.n, p: t.p, bp: t.bp, bc: t.bc, diff: t.diff }));
+    const nameExists = Object.values(managers).some(
+      m => m.name.toLowerCase() === editingManagerName.trim().toLowerCase() && m.id !== editingManagerId
+    );
 
-          if (champStandingsAll.length > 0) {
-            if (!data.entities.seasons) data.entities.seasons = {};
-            if (!data.entities.seasons[champKey]) {
-              data.entities.seasons[champKey] = { season: seasonNum };
-            }
-            data.entities.seasons[champKey].standings = champStandingsAll;
-            data.entities.seasons[champKey].playedMatchdays = playedMatchdays;
-          }
-        });
-      });
+    if (nameExists) {
+      setManagerError('Ce nom existe déjà');
+      return;
     }
 
-    // Extraire champions[] pour le championnat sélectionné
-    if (data.entities.seasons) {
-      const championsList = [];
-      Object.keys(data.entities.seasons).forEach(seasonKey => {
-        const parts = seasonKey.split('_');
-        const seasonNum = parts[parts.length - 1].replace('s', '');
-        const championshipName = parts.slice(0, -1).join('_');
-        const championshipId = REVERSE_CHAMPIONSHIP_MAPPING[championshipName] || championshipName;
+    setIsEditingManager(true);
+    setManagerError('');
 
-        if (championshipId === championship) {
-          const seasonData = data.entities.seasons[seasonKey];
-          const standings = seasonData.standings || [];
+    try {
+      const newName = editingManagerName.trim();
 
-          if (standings.length > 0) {
-            // Vérifier si la saison est terminée
-            // Ligue des Hyènes : 72 journées, Autres : 18 journées
-            // Cas spécial S6 : France a 10 journées, Ligue des Hyènes S6 = 64
-            const isS6 = seasonNum === '6';
-            const isFranceS6 = championshipName === 'france' && isS6;
-            const isHyenesS6 = championshipName === 'ligue_hyenes' && isS6;
-            const totalMatchdays = championshipId === 'hyenes'
-              ? (isHyenesS6 ? HYENES_S6_MATCHDAYS : HYENES_MATCHDAYS)
-              : (isFranceS6 ? FRANCE_S6_MATCHDAYS : STANDARD_MATCHDAYS);
-            // Utiliser playedMatchdays (journées disputées) plutôt que j (matchs joués par équipe)
-            // car avec le système d'équipe exemptée, j < totalMatchdays même pour une saison terminée
-            const currentMatchday = seasonData.playedMatchdays || standings[0]?.j || 0;
+      // Mettre à jour dans Supabase (propagation automatique)
+      if (isAdmin) {
+        await updateManagerName(editingManagerId, oldName, newName);
+      }
+
+      // Mettre à jour localement dans appData
+      setAppData(prev => {
+        const newData = { ...prev };
+
+        // Mettre à jour managers
+        if (newData.entities?.managers?.[editingManagerId]) {
+          newData.entities.managers[editingManagerId].name = newName;
+        }
+
+        // Mettre à jour matches
+        if (newData.entities?.matches) {
+          newData.entities.matches = newData.entities.matches.map(matchBlock => ({
+            ...matchBlock,
+            games: matchBlock.games.map(game => ({
+              ...game,
+              homeTeam: game.homeTeam === oldName ? newName : game.homeTeam,
+              awayTeam: game.awayTeam === oldName ? newName : game.awayTeam
+            }))
+          }));
+        }
+
+        // Mettre à jour exempt dans seasons
+        if (newData.entities?.seasons) {
+          Object.values(newData.entities.seasons).forEach(s => {
+            if (s.exemptTeam === oldName) s.exemptTeam = newName;
+            if (s.format?.managers?.includes(oldName)) {
+              s.format = { ...s.format, managers: s.format.managers.map(m => (m === oldName ? newName : m)) };
+            }
+            if (s.format?.exemptRotation?.includes(oldName)) {
+              s.format = { ...s.format, exemptRotation: s.format.exemptRotation.map(m => (m === oldName ? newName : m)) };
+            }
+            if (s.bracket) s.bracket = renameInCupBracket(s.bracket, oldName, newName);
+          });
+        }
+
+        // Mettre à jour palmares
+        if (newData.palmares) {
+          Object.keys(newData.palmares).forEach(champ => {
+            newData.palmares[champ] = newData.palmares[champ].map(entry => ({
+              ...entry,
+              champion: entry.champion === oldName ? newName : entry.champion,
+              runnerUp: entry.runnerUp === oldName ? newName : entry.runnerUp,
+              override: entry.override ? {
+                ...entry.override,
+                champions: entry.override.champions?.map(n => (n === oldName ? newName : n)),
+                runnerUps: entry.override.runnerUps?.map(n => (n === oldName ? newName : n)) ?? null
+              } : entry.override
+            }));
+          });
+        }
 
-            const isSeasonComplete = isFranceS6 || currentMatchday >= totalMatchdays;
+        // Mettre à jour pantheon
+        if (newData.pantheon) {
+          newData.pantheon = newData.pantheon.map(p => ({
+            ...p,
+            name: p.name === oldName ? newName : p.name
+          }));
+        }
 
-            // N'ajouter au palmarès que si la saison est terminée
-            if (isSeasonComplete) {
-              // Cas spécial : France S6 - deux champions ex-aequo
-              if (isFranceS6) {
-                const firstTeam = standings[0];
-                championsList.push({
-                  season: seasonNum,
-                  team: 'BimBam / Warnaque',
-                  points: firstTeam?.pts || firstTeam?.points || 0
-                });
+        // Mettre à jour penalties
+        if (newData.penalties) {
+          const newPenalties = {};
+          Object.entries(newData.penalties).forEach(([key, value]) => {
+            const parts = key.split('_');
+            if (parts.length >= 3) {
+              const teamName = parts.slice(2).join('_');
+              if (teamName === oldName) {
+                const newKey = `${parts[0]}_${parts[1]}_${newName}`;
+                newPenalties[newKey] = value;
               } else {
-                // Trouver le champion basé sur les points effectifs (pts - pénalité)
-                const teamsWithEffectivePts = standings.map(team => {
-                  const teamName = team.mgr || team.name || '?';
-                  const penalty = getTeamPenaltyLocal(teamName, championshipId, seasonNum);
-                  const pts = team.pts || team.points || 0;
-                  return {
-                    ...team,
-                    name: teamName,
-                    effectivePts: pts - penalty
-                  };
-                });
-
-                // Trier par points effectifs (décroissant)
-                teamsWithEffectivePts.sort((a, b) => {
-                  if (b.effectivePts !== a.effectivePts) {
-                    return b.effectivePts - a.effectivePts;
-                  }
-                  // En cas d'égalité, utiliser la différence de buts
-                  const diffA = parseInt(String(a.diff).replace('+', '')) || 0;
-                  const diffB = parseInt(String(b.diff).replace('+', '')) || 0;
-                  return diffB - diffA;
-                });
-
-                const champion = teamsWithEffectivePts[0];
-                championsList.push({
-                  season: seasonNum,
-                  team: champion.name,
-                  points: champion.effectivePts
-                });
+                newPenalties[key] = value;
               }
+            } else {
+              newPenalties[key] = value;
             }
-          }
+          });
+          newData.penalties = newPenalties;
         }
-      });
-
-      championsList.sort((a, b) => parseInt(b.season) - parseInt(a.season));
-      setChampions(championsList);
-    }
 
-    // Recalculer le Panthéon dynamiquement à partir des standings
-    if (data.entities.seasons && data.entities.managers) {
-      // Initialiser le compteur de trophées pour chaque manager
-      const trophyCount = {};
-      Object.values(data.entities.managers).forEach(manager => {
-        const name = manager.name || '?';
-        trophyCount[name] = {
-          name: name,
-          trophies: 0,  // Ligue des Hyènes
-          france: 0,
-          spain: 0,
-          italy: 0,
-          england: 0,
-          total: 0
-        };
+        return newData;
       });
 
-      // Mapping des championnats
-      const championshipConfigPantheon = {
-        'ligue_hyenes': { field: 'trophies', totalMatchdays: HYENES_MATCHDAYS, s6Matchdays: HYENES_S6_MATCHDAYS },
-        'france': { field: 'france', totalMatchdays: STANDARD_MATCHDAYS, s6Matchdays: FRANCE_S6_MATCHDAYS },
-        'espagne': { field: 'spain', totalMatchdays: 18, s6Matchdays: 18 },
-        'italie': { field: 'italy', totalMatchdays: 18, s6Matchdays: 18 },
-        'angleterre': { field: 'england', totalMatchdays: 18, s6Matchdays: 18 }
-      };
-
-      // Collecter tous les champions pour la persistance Supabase
-      const allChampionsForDb = [];
+      // Mettre à jour allTeams
+      setAllTeams(prev => prev.map(t => t === oldName ? newName : t));
 
-      // Parcourir toutes les saisons pour comptabiliser les trophées
-      Object.keys(data.entities.seasons).forEach(seasonKey => {
-        const parts = seasonKey.split('_');
-        const seasonNum = parts[parts.length - 1].replace('s', '');
-        const championshipName = parts.slice(0, -1).join('_');
-        const config = championshipConfigPantheon[championshipName];
+      // Mettre à jour matches affichés si nécessaire
+      setMatches(prev => prev.map(m => ({
+        ...m,
+        homeTeam: m.homeTeam === oldName ? newName : m.homeTeam,
+        awayTeam: m.awayTeam === oldName ? newName : m.awayTeam
+      })));
 
-        if (!config) return;
+      // Mettre à jour teams (classement)
+      setTeams(prev => prev.map(t => ({
+        ...t,
+        name: t.name === oldName ? newName : t.name
+      })));
 
-        const seasonData = data.entities.seasons[seasonKey];
-        const standings = seasonData.standings || [];
+      // Mettre à jour exemptTeam si nécessaire
+      if (exemptTeam === oldName) {
+        setExemptTeam(newName);
+      }
 
-        if (standings.length === 0) return;
+      cancelEditingManager();
+    } catch (error) {
+      console.error('Erreur modification manager:', error);
+      setManagerError('Erreur lors de la modification');
+    } finally {
+      setIsEditingManager(false);
+    }
+  };
 
-        // Vérifier si la saison est terminée
-        const isS6 = seasonNum === '6';
-        const isFranceS6 = championshipName === 'france' && isS6;
-        const totalMatchdays = isS6 ? config.s6Matchdays : config.totalMatchdays;
-        // Utiliser playedMatchdays (journées disputées) plutôt que j (matchs joués par équipe)
-        const currentMatchday = seasonData.playedMatchdays || standings[0]?.j || 0;
-        const isSeasonComplete = isFranceS6 || currentMatchday >= totalMatchdays;
+  // useEffect pour charger les données depuis Supabase au démarrage + auto-refresh périodique
+  useEffect(() => {
+    function applySupabaseData(data) {
+      if (data && data.entities && (
+        Object.keys(data.entities.managers || {}).length > 0 ||
+        Object.keys(data.entities.seasons || {}).length > 0 ||
+        (data.entities.matches || []).length > 0
+      )) {
+        setAppData(data);
 
-        if (!isSeasonComplete) return;
+        if (data.entities.managers) {
+          const managerNames = Object.values(data.entities.managers)
+            .map(manager => manager.name || '?')
+            .filter(name => name !== '?');
+          setAllTeams(managerNames);
+        }
 
-        // Cas spécial : France S6 - deux champions ex-aequo
-        if (isFranceS6) {
-          if (trophyCount['BimBam']) {
-            trophyCount['BimBam'].france += 1;
-            trophyCount['BimBam'].total += 1;
-          }
-          if (trophyCount['Warnaque']) {
-            trophyCount['Warnaque'].france += 1;
-            trophyCount['Warnaque'].total += 1;
-          }
-          // Déterminer le runner-up (3e au classement, après les deux co-champions)
-          const franceS6Teams = standings.map(team => {
-            const teamName = team.mgr || team.name || '?';
-            const penalty = getTeamPenaltyLocal(teamName, championshipName, seasonNum);
-            const pts = team.pts || team.points || 0;
-            return { name: teamName, effectivePts: pts - penalty, diff: team.diff };
-          });
-          franceS6Teams.sort((a, b) => {
-            if (b.effectivePts !== a.effectivePts) return b.effectivePts - a.effectivePts;
-            const diffA = parseInt(String(a.diff).replace('+', '')) || 0;
-            const diffB = parseInt(String(b.diff).replace('+', '')) || 0;
-            return diffB - diffA;
+        if (data.entities.seasons) {
+          const seasonNumbers = new Set();
+          Object.keys(data.entities.seasons).forEach(seasonKey => {
+            const match = seasonKey.match(/_s(\d+)$/);
+            if (match) {
+              seasonNumbers.add(match[1]);
+            }
           });
-          // Trouver tous les runner-ups ex-aequo (même pts et diff après les co-champions)
-          const remainingTeams = franceS6Teams.filter(t => t.name !== 'BimBam' && t.name !== 'Warnaque');
-          const firstRunnerUp = remainingTeams[0];
-          let runnerUpName = null;
-          if (firstRunnerUp) {
-            const firstDiff = parseInt(String(firstRunnerUp.diff).replace('+', '')) || 0;
-            const coRunnerUps = remainingTeams.filter(t => {
-              const tDiff = parseInt(String(t.diff).replace('+', '')) || 0;
-              return t.effectivePts === firstRunnerUp.effectivePts && tDiff === firstDiff;
-            });
-            runnerUpName = coRunnerUps.map(t => t.name).join(' / ');
+          const sortedSeasons = Array.from(seasonNumbers).sort((a, b) => parseInt(a) - parseInt(b));
+          setSeasons(sortedSeasons);
+          if (sortedSeasons.length > 0) {
+            setSelectedSeason(prev => prev || sortedSeasons[sortedSeasons.length - 1]);
           }
-          allChampionsForDb.push({ championship: championshipName, season: parseInt(seasonNum), champion: 'BimBam / Warnaque', runnerUp: runnerUpName });
-          return;
         }
 
-        // Trouver le champion basé sur les points effectifs (pts - pénalité)
-        const teamsWithEffectivePts = standings.map(team => {
-          const teamName = team.mgr || team.name || '?';
-          const penalty = getTeamPenaltyLocal(teamName,
-            championshipName === 'ligue_hyenes' ? 'hyenes' :
-            championshipName === 'espagne' ? 'spain' :
-            championshipName === 'italie' ? 'italy' :
-            championshipName === 'angleterre' ? 'england' :
-            championshipName,
-            seasonNum);
-          const pts = team.pts || team.points || 0;
-          return {
-            name: teamName,
-            effectivePts: pts - penalty,
-            diff: team.diff
-          };
-        });
-
-        // Trier par points effectifs (décroissant)
-        teamsWithEffectivePts.sort((a, b) => {
-          if (b.effectivePts !== a.effectivePts) {
-            return b.effectivePts - a.effectivePts;
-          }
-          const diffA = parseInt(String(a.diff).replace('+', '')) || 0;
-          const diffB = parseInt(String(b.diff).replace('+', '')) || 0;
-          return diffB - diffA;
-        });
-
-        const champion = teamsWithEffectivePts[0];
-        const runnerUp = teamsWithEffectivePts[1];
-        if (champion && trophyCount[champion.name]) {
-          trophyCount[champion.name][config.field] += 1;
-          trophyCount[champion.name].total += 1;
-        }
-        if (champion) {
-          allChampionsForDb.push({
-            championship: championshipName,
-            season: parseInt(seasonNum),
-            champion: champion.name,
-            runnerUp: runnerUp?.name || null
-          });
+        if (data.penalties) {
+          setPenalties(data.penalties);
         }
-      });
 
-      // Convertir en tableau et trier : priorité Ligue des Hyènes, puis total de trophées
-      const pantheon = Object.values(trophyCount)
-        .sort((a, b) => {
-          // 1. Priorité aux trophées Ligue des Hyènes (championnat le plus prestigieux)
-          if (b.trophies !== a.trophies) return b.trophies - a.trophies;
-          // 2. Départage par nombre total de trophées
-          return b.total - a.total;
-        })
-        .map((team, index) => ({
-          ...team,
-          rank: index + 1
-        }));
-
-      setPantheonTeams(pantheon);
-
-      // Persister les champions et le Panthéon vers Supabase (fire-and-forget, admin uniquement)
-      if (isAdminUser) {
-        Promise.allSettled([
-          ...allChampionsForDb.map(c =>
-            saveChampion(c.championship, c.season, c.champion, c.runnerUp).catch(err => console.error('Erreur saveChampion:', err))
-          ),
-          ...pantheon.map(p =>
-            updatePantheon(p.name, 0, p.total, 0).catch(err => console.error('Erreur updatePantheon:', err))
-          )
-        ]).catch(err => console.error('Erreur persistence Panthéon:', err));
+        // Note: le Panthéon est calculé dynamiquement par loadDataFromAppData()
+        // à partir des standings de chaque saison. Ne pas utiliser data.pantheon
+        // (format legacy incomplet : pas de détail par championnat).
       }
     }
 
-  }, []);
-
-  // useEffect pour gérer l'authentification
-  useEffect(() => {
-    async function initAuth() {
+    async function loadFromSupabase(isInitial) {
+      // Désactiver l'auto-refresh quand l'admin est sur l'onglet Matchs
+      // Seules les sauvegardes explicites (debounce) écrivent vers Supabase
+      if (!isInitial && selectedTabRef.current === 'match' && isAdminRef.current) {
+        return;
+      }
       try {
-        const session = await getSession();
-        if (session?.user) {
-          setUser(session.user);
-          const adminStatus = await checkIsAdmin(session.user.email);
-          setIsAdmin(adminStatus);
+        if (isInitial) {
+          setIsLoadingFromSupabase(true);
+          setSupabaseError(null);
+        }
+        const data = await fetchAppData();
+        // Journées saisies hors ligne pas encore envoyées : elles priment sur la version en base
+        // (admin connecté uniquement : après déconnexion, la version en base fait foi)
+        const queued = isAdminRef.current ? await listQueue().catch(() => []) : [];
+        if (queued.length > 0 && data?.entities) {
+          const queuedKeys = new Set(queued.map(entry => entry.key.toLowerCase()));
+          data.entities.matches = (data.entities.matches || [])
+            .filter(block => !queuedKeys.has(getQueueKey(block).toLowerCase()))
+            .concat(queued.map(entry => entry.block));
         }
+        applySupabaseData(data);
+        if (isInitial) setSupabaseError(null);
       } catch (error) {
-        console.error('Erreur initialisation auth:', error);
+        console.error('Erreur chargement Supabase:', error);
+        if (isInitial) setSupabaseError('Erreur de connexion au serveur');
       } finally {
-        setIsAuthLoading(false);
+        if (isInitial) setIsLoadingFromSupabase(false);
       }
     }
 
-    initAuth();
+    // Chargement initial
+    loadFromSupabase(true);
 
-    // Écouter les changements d'authentification
-    let subscription = null;
-    try {
-      const result = onAuthStateChange(async (event, session) => {
-        if (session?.user) {
-          setUser(session.user);
-          const adminStatus = await checkIsAdmin(session.user.email);
-          setIsAdmin(adminStatus);
-        } else {
-          setUser(null);
-          setIsAdmin(false);
-        }
-      });
-      subscription = result?.data?.subscription;
-    } catch (error) {
-      console.error('Erreur onAuthStateChange:', error);
+    // Auto-refresh périodique (silencieux, pas de loader)
+    const refreshInterval = setInterval(() => loadFromSupabase(false), AUTO_REFRESH_INTERVAL_MS);
+    return () => clearInterval(refreshInterval);
+  }, []);
+
+  // useEffect pour recharger les données quand le contexte change ou les pénalités
+  useEffect(() => {
+    if (appData && appData.version === '2.0') {
+      loadDataFromAppData(appData, selectedChampionship, selectedSeason, selectedJournee, penalties, isAdmin);
     }
+  }, [selectedChampionship, selectedSeason, selectedJournee, appData, penalties, loadDataFromAppData, isAdmin]);
 
-    return () => {
-      if (subscription?.unsubscribe) {
-        subscription.unsubscribe();
-      }
-    };
-  }, []);
+  // Synchroniser les refs avec le state pour que le setInterval y accède
+  useEffect(() => {
+    selectedTabRef.current = selectedTab;
+    // Libérer le verrou Service Worker quand on quitte l'onglet Matchs
+    if (selectedTab !== 'match') {
+      window.__hyeneFormDirty = false;
+    }
+  }, [selectedTab]);
+  useEffect(() => {
+    isAdminRef.current = isAdmin;
+  }, [isAdmin]);
 
-  // Cleanup du timeout de sauvegarde au démontage
+  // useEffect pour forcer un championnat valide sur l'onglet Match (exclure Ligue des Hyènes)
   useEffect(() => {
-    return () => {
-      if (saveMatchesTimeoutRef.current) {
-        clearTimeout(saveMatchesTimeoutRef.current);
+    if (selectedTab === 'match' && selectedChampionship === 'hyenes') {
+      setSelectedChampionship('france');
+    }
+  }, [selectedTab, selectedChampionship]);
+
+  // L'historique porte sur la journée affichée : il repart à zéro quand on en change
+  useEffect(() => {
+    setMatchHistory({ past: [], future: [] });
+  }, [selectedChampionship, selectedSeason, selectedJournee, isAdmin]);
+
+  // Raccourcis annuler / rétablir (Ctrl/Cmd+Z, Ctrl/Cmd+Maj+Z ou Ctrl+Y) sur l'onglet Matchs
+  useEffect(() => {
+    if (selectedTab !== 'match' || !isAdmin) return;
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      // Les champs texte gardent leur propre annulation
+      if (event.target.tagName === 'TEXTAREA' || (event.target.tagName === 'INPUT' && event.target.type !== 'number')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        historyActionsRef.current.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        historyActionsRef.current.redo();
       }
     };
-  }, []);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [selectedTab, isAdmin]);
 
-  // Fonction de connexion
-  const handleLogin = async (e) => {
-    e.preventDefault();
-    setLoginError('');
-    setIsLoggingIn(true);
+  // Fonctions Match
+  const getAvailableTeams = (currentMatchId, currentType) => {
+    const selectedTeams = [];
+    matches.forEach(match => {
+      if (match.id === currentMatchId) {
+        if (currentType === 'home' && match.awayTeam) selectedTeams.push(match.awayTeam);
+        else if (currentType === 'away' && match.homeTeam) selectedTeams.push(match.homeTeam);
+      } else {
+        if (match.homeTeam) selectedTeams.push(match.homeTeam);
+        if (match.awayTeam) selectedTeams.push(match.awayTeam);
+      }
+    });
+    if (exemptTeam) selectedTeams.push(exemptTeam);
+    return seasonTeams.filter(team => !selectedTeams.includes(team));
+  };
 
-    try {
-      await signIn(loginEmail, loginPassword);
-      setShowLoginModal(false);
-      setLoginEmail('');
-      setLoginPassword('');
-    } catch (error) {
-      setLoginError('Email ou mot de passe incorrect');
-      setLoginPassword('');
-    } finally {
-      setIsLoggingIn(false);
+  // Propager l'exemption à tous les championnats et toutes les journées de la saison
+  // (calendrier généré : seule la journée affichée de la rotation change)
+  const handleExemptTeamChange = (team, { record = true } = {}) => {
+    if (record) recordMatchEdit({ type: 'exempt', before: exemptTeam, after: team });
+    setExemptTeam(team);
+
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    const format = appData?.entities?.seasons?.[`${championshipKey}_s${selectedSeason}`]?.format;
+    if (Array.isArray(format?.exemptRotation)) {
+      const exemptRotation = [...format.exemptRotation];
+      exemptRotation[parseInt(selectedJournee) - 1] = team || null;
+      const updatedFormat = { ...format, exemptRotation };
+      const updatedAppData = structuredClone(appData);
+      updatedAppData.entities.seasons[`${championshipKey}_s${selectedSeason}`].format = updatedFormat;
+      skipNextExemptLoadRef.current = true;
+      window.__hyeneFormDirty = true;
+      setAppData(updatedAppData);
+      if (isAdmin) {
+        saveSeasonFormat(championshipKey, parseInt(selectedSeason), updatedFormat)
+          .catch(err => console.error('Erreur sync exempt Supabase:', err));
+      }
+      return;
+    }
+
+    if (appData && appData.version === '2.0' && appData.entities.seasons) {
+      const updatedAppData = structuredClone(appData);
+      // Mettre à jour exempt dans chaque entrée seasons de cette saison
+      registry.euro.forEach(champ => {
+        const key = `${champ}_s${selectedSeason}`;
+        if (updatedAppData.entities.seasons[key]) {
+          updatedAppData.entities.seasons[key].exemptTeam = team || '';
+        }
+      });
+
+      // Empêcher loadDataFromAppData d'écraser l'exempt qu'on vient de définir
+      skipNextExemptLoadRef.current = true;
+      window.__hyeneFormDirty = true;
+      setAppData(updatedAppData);
     }
-  };
 
-  // Fonction de déconnexion (mise à jour optimiste de l'UI)
-  const handleLogout = async () => {
-    setIsLoggingOut(true);
-    // Mise à jour optimiste : on nettoie l'UI immédiatement
-    setUser(null);
-    setIsAdmin(false);
-    try {
-      await signOut();
-    } catch (error) {
-      console.error('Erreur déconnexion:', error);
-    } finally {
-      setIsLoggingOut(false);
+    // Sync vers Supabase
+    if (isAdmin) {
+      updateSeasonExempt(parseInt(selectedSeason), team || null)
+        .catch(err => console.error('Erreur sync exempt Supabase:', err));
     }
   };
 
-  // Ref pour éviter une closure périmée dans le timer d'inactivité
-  const handleLogoutRef = useRef(handleLogout);
-  handleLogoutRef.current = handleLogout;
+  // Ajoute une saisie à l'historique ; les frappes successives d'un même champ forment une seule entrée
+  const recordMatchEdit = (entry) => {
+    const at = Date.now();
+    setMatchHistory(prev => {
+      const last = prev.past[prev.past.length - 1];
+      if (entry.mergeKey && last?.mergeKey === entry.mergeKey && at - last.at < AUTOSAVE_DEBOUNCE_MS) {
+        return { past: [...prev.past.slice(0, -1), { ...last, after: entry.after, at }], future: [] };
+      }
+      return { past: [...prev.past, { ...entry, at }].slice(-MATCH_HISTORY_LIMIT), future: [] };
+    });
+  };
 
-  // Déconnexion automatique après 15 minutes d'inactivité
-  useEffect(() => {
-    if (!user) return;
+  // Saisie des matchs : historique, affichage et auto-save (debounce)
+  const commitMatches = (updatedMatches, mergeKey = null) => {
+    recordMatchEdit({ type: 'matches', before: matches, after: updatedMatches, mergeKey });
+    setMatches(updatedMatches);
+    syncMatchesToAppData(updatedMatches);
+  };
 
-    const INACTIVITY_TIMEOUT = INACTIVITY_TIMEOUT_MS;
-    let timeoutId = null;
+  // Rejoue une entrée de l'historique ; la sauvegarde repart pour que Supabase suive l'écran
+  const applyHistoryEntry = (entry, side) => {
+    if (entry.type === 'exempt') {
+      handleExemptTeamChange(entry[side], { record: false });
+    } else {
+      setMatches(entry[side]);
+      syncMatchesToAppData(entry[side]);
+    }
+  };
 
-    const resetTimer = () => {
-      if (timeoutId) clearTimeout(timeoutId);
-      timeoutId = setTimeout(() => {
-        handleLogoutRef.current();
-      }, INACTIVITY_TIMEOUT);
-    };
+  const handleUndo = () => {
+    const entry = matchHistory.past[matchHistory.past.length - 1];
+    if (!entry || !isAdmin) return;
+    setMatchHistory(prev => ({ past: prev.past.slice(0, -1), future: [entry, ...prev.future] }));
+    applyHistoryEntry(entry, 'before');
+  };
 
-    const activityEvents = ['mousedown', 'keydown', 'touchstart', 'scroll'];
-    activityEvents.forEach(event => window.addEventListener(event, resetTimer));
+  const handleRedo = () => {
+    const entry = matchHistory.future[0];
+    if (!entry || !isAdmin) return;
+    setMatchHistory(prev => ({ past: [...prev.past, entry], future: prev.future.slice(1) }));
+    applyHistoryEntry(entry, 'after');
+  };
+  historyActionsRef.current = { undo: handleUndo, redo: handleRedo };
 
-    // Démarrer le timer initial
-    resetTimer();
+  const handleTeamSelect = (matchId, type, team) => {
+    const updatedMatches = matches.map(m =>
+      m.id === matchId ? { ...m, [type === 'home' ? 'homeTeam' : 'awayTeam']: team } : m
+    );
+    commitMatches(updatedMatches);
+    setOpenDropdown(null);
+  };
 
-    return () => {
-      if (timeoutId) clearTimeout(timeoutId);
-      activityEvents.forEach(event => window.removeEventListener(event, resetTimer));
-    };
-  }, [user]);
+  // Statut posé par l'admin : 'auto' (joué / à jouer selon les scores), reporté, forfait d'un camp, annulé
+  const handleMatchStatusChange = (matchId, value) => {
+    const updatedMatches = matches.map(m => {
+      if (m.id !== matchId) return m;
+      if (value === 'forfeit_home' || value === 'forfeit_away') {
+        return { ...m, status: 'forfeited', ...getForfeitScore(value === 'forfeit_home' ? 'home' : 'away') };
+      }
+      if (value === 'postponed' || value === 'cancelled') {
+        return { ...m, status: value, homeScore: null, awayScore: null };
+      }
+      return { ...m, status: null, ...(m.status === 'forfeited' ? { homeScore: null, awayScore: null } : {}) };
+    });
+    commitMatches(updatedMatches);
+  };
 
-  // Fonction pour ajouter un manager
-  const handleAddManager = async () => {
-    const trimmedName = newManagerName.trim();
-    if (!trimmedName) {
-      setManagerError('Le nom ne peut pas être vide');
-      return;
-    }
+  // Fiche détaillée : la date est éditée en heure locale (input datetime-local) et stockée en ISO
+  const openMatchDetail = (match) => {
+    const date = match.playedAt ? new Date(match.playedAt) : null;
+    setMatchDetailDraft({
+      matchId: match.id,
+      playedAt: date && !isNaN(date) ? new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16) : '',
+      note: match.note || '',
+      videoUrl: match.videoUrl || '',
+      homeClub: match.homeClub || '',
+      awayClub: match.awayClub || '',
+      events: match.events || [],
+      newEvent: { type: 'goal', side: 'home', player: '', assist: '', minute: '' }
+    });
+  };
 
-    if (trimmedName.length > MAX_MANAGER_NAME_LENGTH) {
-      setManagerError(`Le nom ne peut pas dépasser ${MAX_MANAGER_NAME_LENGTH} caractères`);
-      return;
-    }
+  // Joueurs déjà saisis par manager (suggestions de la fiche)
+  const knownPlayersByManager = useMemo(() => {
+    const known = {};
+    (appData?.entities?.matches || []).forEach(block => (block.games || []).forEach(game => {
+      (game.events || []).forEach(event => {
+        // Le joueur d'un CSC appartient au camp adverse de celui crédité du but
+        const manager = (event.type === 'own_goal') === (event.side === 'away') ? game.homeTeam : game.awayTeam;
+        if (!known[manager]) known[manager] = new Set();
+        [event.player, event.type === 'goal' ? event.assist : null].forEach(name => {
+          if (name?.trim()) known[manager].add(name.trim());
+        });
+      });
+    }));
+    return Object.fromEntries(Object.entries(known).map(([manager, names]) => [manager, [...names].sort()]));
+  }, [appData]);
 
-    if (!MANAGER_NAME_PATTERN.test(trimmedName)) {
-      setManagerError('Le nom contient des caractères non autorisés');
+  // Clubs déjà joués (suggestions de la fiche), les plus utilisés en premier
+  const knownClubs = useMemo(() => {
+    const counts = {};
+    (appData?.entities?.matches || []).forEach(block => (block.games || []).forEach(game => {
+      [game.homeClub, game.awayClub].forEach(club => {
+        if (club?.trim()) counts[club.trim()] = (counts[club.trim()] || 0) + 1;
+      });
+    }));
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  }, [appData]);
+
+  const handleAddMatchEvent = () => {
+    const { player, assist, minute } = matchDetailDraft.newEvent;
+    const minuteValue = minute === '' ? null : parseInt(minute);
+    if (!player.trim()) return;
+    if (minuteValue !== null && (isNaN(minuteValue) || minuteValue < 1 || minuteValue > 130)) {
+      alert('Minute invalide (1 à 130)');
       return;
     }
+    setMatchDetailDraft(prev => ({
+      ...prev,
+      events: [...prev.events, {
+        type: prev.newEvent.type,
+        side: prev.newEvent.side,
+        player: player.trim(),
+        ...(prev.newEvent.type === 'goal' && assist.trim() ? { assist: assist.trim() } : {}),
+        ...(minuteValue !== null ? { minute: minuteValue } : {})
+      }].sort((a, b) => (a.minute ?? Infinity) - (b.minute ?? Infinity)),
+      newEvent: { ...prev.newEvent, player: '', assist: '', minute: '' }
+    }));
+  };
 
-    // Vérifier si le manager existe déjà
-    if (allTeams.includes(trimmedName)) {
-      setManagerError('Ce manager existe déjà');
+  const handleSaveMatchDetail = () => {
+    const { matchId, playedAt, note, videoUrl, homeClub, awayClub, events } = matchDetailDraft;
+    if (videoUrl.trim() && !getSafeVideoUrl(videoUrl)) {
+      alert('Lien du replay invalide (http:// ou https:// attendu)');
       return;
     }
+    const updatedMatches = matches.map(m => m.id === matchId ? {
+      ...m,
+      playedAt: playedAt ? new Date(playedAt).toISOString() : null,
+      note: note.trim() || null,
+      videoUrl: getSafeVideoUrl(videoUrl),
+      homeClub: homeClub.trim() || null,
+      awayClub: awayClub.trim() || null,
+      events
+    } : m);
+    commitMatches(updatedMatches);
+    setMatchDetailDraft(null);
+  };
 
-    setIsAddingManager(true);
-    setManagerError('');
+  const toggleDropdown = (matchId, type, event) => {
+    if (openDropdown?.matchId === matchId && openDropdown?.type === type) {
+      setOpenDropdown(null);
+    } else {
+      const rect = event.currentTarget.getBoundingClientRect();
+      const NAV_BAR_HEIGHT = 80;
+      const DROPDOWN_MAX = 420;
+      const spaceBelow = window.innerHeight - rect.bottom - NAV_BAR_HEIGHT;
+      const spaceAbove = rect.top;
+      const openUpward = spaceBelow < 200 && spaceAbove > spaceBelow;
 
-    try {
-      // Générer un ID unique pour le manager
-      const managerId = trimmedName.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+      const position = {
+        left: type === 'home' ? rect.left : 'auto',
+        right: type === 'away' ? (window.innerWidth - rect.right) : 'auto'
+      };
 
-      // Sauvegarder dans Supabase si admin connecté
-      if (isAdmin) {
-        await saveManager({ id: managerId, name: trimmedName });
+      if (openUpward) {
+        position.top = 'auto';
+        position.bottom = window.innerHeight - rect.top + 4;
+        position.maxHeight = Math.min(DROPDOWN_MAX, spaceAbove - 10);
+      } else {
+        position.top = rect.bottom + 4;
+        position.bottom = 'auto';
+        position.maxHeight = Math.min(DROPDOWN_MAX, spaceBelow - 4);
       }
 
-      // Mettre à jour l'état local
-      const newManagers = {
-        ...(appData?.entities?.managers || {}),
-        [managerId]: { id: managerId, name: trimmedName }
-      };
+      setDropdownPosition(position);
+      setOpenDropdown({ matchId, type });
+    }
+  };
 
-      setAppData(prev => ({
-        ...prev,
-        entities: {
-          ...prev?.entities,
-          managers: newManagers
-        }
-      }));
+  const handleSeasonSelect = (season) => {
+    setSelectedSeason(season);
+    setIsSeasonOpen(false);
+  };
 
-      setAllTeams(prev => [...prev, trimmedName].sort());
-      setNewManagerName('');
-    } catch (error) {
-      console.error('Erreur ajout manager:', error);
-      setManagerError('Erreur lors de l\'ajout');
-    } finally {
-      setIsAddingManager(false);
-    }
+  // Contrôle d'intégrité en direct de la saison affichée sur la page Matchs
+  const fixtureIssues = useMemo(() => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    if (!appData || championshipKey === HYENES_KEY) return [];
+    return validateSeasonFixtures(getSeasonMatchBlocks(appData, championshipKey, selectedSeason), {
+      format: getSeasonFormat(registry, appData.entities?.seasons, championshipKey, selectedSeason),
+      exemptTeam
+    });
+  }, [appData, selectedChampionship, selectedSeason, exemptTeam, allTeams]);
+
+  // Contrôle d'intégrité de toutes les saisons de tous les championnats
+  const runIntegrityCheck = () => {
+    const report = [];
+    seasons.forEach(season => {
+      getLeagueKeys(registry).forEach(championshipKey => {
+        const blocks = getSeasonMatchBlocks(appData, championshipKey, season);
+        if (blocks.length === 0) return;
+        const issues = validateSeasonFixtures(blocks, {
+          format: getSeasonFormat(registry, appData?.entities?.seasons, championshipKey, season),
+          exemptTeam: appData?.entities?.seasons?.[`${championshipKey}_s${season}`]?.exemptTeam || ''
+        });
+        if (issues.length > 0) report.push({ championshipKey, season, issues });
+      });
+    });
+    setIntegrityReport(report);
   };
 
-  // Fonction pour supprimer un manager
-  const handleDeleteManager = async (managerName) => {
-    if (!window.confirm(`Supprimer le manager "${managerName}" ?`)) {
-      return;
+  // Fonctions pour le générateur de calendrier
+  const leagueChampionshipKeys = championships
+    .filter(c => c.key !== HYENES_KEY && c.type !== 'cup' && c.active !== false)
+    .map(c => c.key);
+
+  const drawFixtureOrder = (championshipKey) => {
+    const format = getSeasonFormat(registry, appData?.entities?.seasons, championshipKey, selectedSeason);
+    const drawn = format.managers.length > 0 ? allTeams.filter(team => format.managers.includes(team)) : [...allTeams];
+    for (let i = drawn.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [drawn[i], drawn[j]] = [drawn[j], drawn[i]];
     }
+    return drawn;
+  };
 
-    try {
-      // Trouver l'ID du manager
-      const managers = appData?.entities?.managers || {};
-      const managerEntry = Object.entries(managers).find(([_, m]) => m.name === managerName);
+  // Journées déjà disputées : le calendrier d'un championnat entamé n'est pas régénéré
+  const getPlayedMatchdayCount = (championshipKey) => new Set(
+    getSeasonMatchBlocks(appData, championshipKey, selectedSeason).filter(isMatchdayPlayed).map(b => b.matchday)
+  ).size;
+
+  const openFixtureModal = () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    setFixtureDraft({
+      championships: getPlayedMatchdayCount(championshipKey) === 0 ? [championshipKey] : [],
+      legs: 2,
+      orders: Object.fromEntries(leagueChampionshipKeys.map(key => [key, drawFixtureOrder(key)]))
+    });
+    setIsFixtureModalOpen(true);
+  };
 
-      if (managerEntry && isAdmin) {
-        const [managerId] = managerEntry;
-        // Supprimer de Supabase
-        await deleteManager(managerId);
-      }
+  const toggleFixtureChampionship = (championshipKey) => {
+    setFixtureDraft(prev => ({
+      ...prev,
+      championships: prev.championships.includes(championshipKey)
+        ? prev.championships.filter(key => key !== championshipKey)
+        : [...prev.championships, championshipKey]
+    }));
+  };
 
-      // Supprimer localement
-      const newManagers = { ...(appData?.entities?.managers || {}) };
-      Object.keys(newManagers).forEach(key => {
-        if (newManagers[key].name === managerName) {
-          delete newManagers[key];
-        }
-      });
+  const redrawFixtures = () => {
+    setFixtureDraft(prev => ({
+      ...prev,
+      orders: Object.fromEntries(leagueChampionshipKeys.map(key => [key, drawFixtureOrder(key)]))
+    }));
+  };
 
-      setAppData(prev => ({
-        ...prev,
-        entities: {
-          ...prev?.entities,
-          managers: newManagers
-        }
+  const handleSaveFixtures = async () => {
+    const season = parseInt(selectedSeason);
+    const schedules = fixtureDraft.championships.map(championshipKey => {
+      const participants = fixtureDraft.orders[championshipKey] || [];
+      const rounds = generateRoundRobin(participants, { legs: fixtureDraft.legs });
+      const format = {
+        ...appData?.entities?.seasons?.[`${championshipKey}_s${selectedSeason}`]?.format,
+        matchdays: rounds.length,
+        gamesPerMatchday: Math.max(1, ...rounds.map(r => r.games.length)),
+        managers: participants,
+        exemptRotation: participants.length % 2 === 1 ? rounds.map(r => r.exempt) : null
+      };
+      const blocks = rounds.map((round, i) => ({
+        championship: championshipKey,
+        season,
+        matchday: i + 1,
+        games: round.games.map((g, j) => ({ id: j + 1, ...g, homeScore: null, awayScore: null, status: 'scheduled' }))
       }));
-
-      setAllTeams(prev => prev.filter(t => t !== managerName));
-    } catch (error) {
-      console.error('Erreur suppression manager:', error);
-      alert('Erreur lors de la suppression du manager');
+      const staleMatchdays = getSeasonMatchBlocks(appData, championshipKey, selectedSeason)
+        .map(b => b.matchday)
+        .filter(matchday => matchday > rounds.length);
+      return { championshipKey, format, blocks, staleMatchdays };
+    }).filter(schedule => schedule.blocks.length > 0);
+    if (schedules.length === 0) return;
+
+    // Sauvegardes successives : chaque étape réussie est reportée localement, même si la suite échoue,
+    // pour que l'écran reflète exactement la base
+    const applied = isAdmin ? [] : schedules;
+    let saveError = null;
+    if (isAdmin) {
+      setIsSavingFixtures(true);
+      try {
+        for (const { championshipKey, format, blocks, staleMatchdays } of schedules) {
+          const done = { championshipKey, format: null, blocks: [], staleMatchdays: [] };
+          applied.push(done);
+          await saveSeasonFormat(championshipKey, season, format);
+          done.format = format;
+          for (const block of blocks) {
+            const { revision } = await saveMatches(championshipKey, season, block.matchday, block.games);
+            block.revision = revision;
+            matchdayRevisionsRef.current[`${championshipKey}_${season}_${block.matchday}`] = revision;
+            done.blocks.push(block);
+          }
+          for (const matchday of staleMatchdays) {
+            const { revision } = await saveMatches(championshipKey, season, matchday, []);
+            matchdayRevisionsRef.current[`${championshipKey}_${season}_${matchday}`] = revision;
+            done.staleMatchdays.push(matchday);
+          }
+        }
+      } catch (error) {
+        console.error('Erreur sauvegarde calendrier:', error);
+        saveError = error;
+      } finally {
+        setIsSavingFixtures(false);
+      }
     }
-  };
 
-  // Fonction pour commencer l'édition d'un manager
-  const startEditingManager = (managerName) => {
-    const managers = appData?.entities?.managers || {};
-    const managerEntry = Object.entries(managers).find(([_, m]) => m.name === managerName);
-    if (managerEntry) {
-      const [managerId] = managerEntry;
-      setEditingManagerId(managerId);
-      setEditingManagerName(managerName);
+    setAppData(prev => {
+      if (!prev) return prev;
+      const updated = structuredClone(prev);
+      if (!updated.entities.seasons) updated.entities.seasons = {};
+      applied.forEach(({ championshipKey, format, blocks, staleMatchdays }) => {
+        const seasonKey = `${championshipKey}_s${selectedSeason}`;
+        if (format) {
+          if (!updated.entities.seasons[seasonKey]) {
+            updated.entities.seasons[seasonKey] = { championship: championshipKey, season, standings: [] };
+          }
+          updated.entities.seasons[seasonKey].format = format;
+        }
+        const keyLower = championshipKey.toLowerCase();
+        const replaced = new Set([...blocks.map(b => b.matchday), ...staleMatchdays]);
+        updated.entities.matches = (updated.entities.matches || [])
+          .filter(b => !(b.championship?.toLowerCase() === keyLower && Number(b.season) === season && replaced.has(Number(b.matchday))))
+          .concat(blocks);
+      });
+      return updated;
+    });
+
+    if (saveError) {
+      alert('Erreur lors de la sauvegarde du calendrier : les journées enregistrées avant l\'erreur sont conservées, relancez la génération pour terminer.');
+      return;
     }
-  };
 
-  // Fonction pour annuler l'édition
-  const cancelEditingManager = () => {
-    setEditingManagerId(null);
-    setEditingManagerName('');
-    setManagerError('');
+    setSelectedJournee('1');
+    setIsFixtureModalOpen(false);
   };
 
-  // Fonction pour sauvegarder la modification du nom
-  const handleSaveManagerEdit = async () => {
-    if (!editingManagerName.trim()) {
-      setManagerError('Le nom ne peut pas être vide');
+  // Fonctions pour la saisie par collage
+  const pasteChampionshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+
+  // Aperçu : matchs lus, journées fusionnées et erreurs du calendrier qui en résulte
+  const pastePreview = useMemo(() => {
+    if (pasteText === null || !appData) return null;
+    const { matchdays, unparsed } = parseResultsText(pasteText, allTeams, parseInt(selectedJournee));
+    const seasonBlocks = getSeasonMatchBlocks(appData, pasteChampionshipKey, selectedSeason);
+    const blocks = matchdays.map(({ matchday, games }) => {
+      const existing = seasonBlocks.find(b => b.matchday === matchday);
+      return {
+        championship: pasteChampionshipKey,
+        season: parseInt(selectedSeason),
+        matchday,
+        revision: existing?.revision || 0,
+        games: mergePastedGames(
+          matchday === parseInt(selectedJournee) ? matches : (existing?.games || []),
+          games.filter(g => g.issues.length === 0),
+          seasonFormat.gamesPerMatchday
+        )
+      };
+    });
+    const pastedMatchdays = blocks.map(b => b.matchday);
+    const fixtureErrors = validateSeasonFixtures(
+      [...seasonBlocks.filter(b => !pastedMatchdays.includes(b.matchday)), ...blocks],
+      { format: seasonFormat, exemptTeam }
+    ).filter(issue => issue.level === 'error' && pastedMatchdays.includes(issue.matchday));
+    const flagged = matchdays.reduce((n, md) => n + md.games.filter(g => g.issues.length > 0).length, 0);
+    return { matchdays, unparsed, blocks, fixtureErrors, flagged };
+  }, [pasteText, appData, allTeams, selectedJournee, selectedSeason, pasteChampionshipKey, matches, seasonFormat, exemptTeam]);
+
+  const handleApplyPastedResults = () => {
+    const { blocks } = pastePreview;
+    const currentBlock = blocks.find(b => b.matchday === parseInt(selectedJournee));
+
+    // Journée affichée seule : chemin habituel de la saisie (classement, contrôle, auto-save)
+    if (blocks.length === 1 && currentBlock) {
+      commitMatches(currentBlock.games);
+      setPasteText(null);
       return;
     }
 
-    // Vérifier si le nom existe déjà (sauf pour le manager actuel)
-    const managers = appData?.entities?.managers || {};
-    const currentManager = managers[editingManagerId];
-    const oldName = currentManager?.name;
+    // Plusieurs journées : même chemin que la saisie (blocs remplacés, classement recalculé), envoi via la file.
+    // L'auto-save en attente est annulé : il renverrait la journée affichée telle qu'avant le collage
+    const pendingMatchday = saveMatchesTimeoutRef.current ? parseInt(selectedJournee) : null;
+    clearTimeout(saveMatchesTimeoutRef.current);
+    saveMatchesTimeoutRef.current = null;
+    const getPenalty = (name) => penalties[`${selectedChampionship}_${selectedSeason}_${name}`] || 0;
+    const { data: updated, blocks: savedBlocks, seasonBlocks } = applyMatchdayBlocks(
+      appData,
+      pasteChampionshipKey,
+      selectedSeason,
+      blocks,
+      { teams: allTeams, getPenalty }
+    );
 
-    if (oldName === editingManagerName.trim()) {
-      cancelEditingManager();
-      return;
+    // La journée affichée est rechargée depuis appData
+    skipNextMatchesLoadRef.current = false;
+    setAppData(updated);
+    if (isAdmin) {
+      savedBlocks.forEach(block => persistMatchday(block));
+      // Journée affichée hors collage : sa sauvegarde annulée part maintenant
+      if (pendingMatchday && !savedBlocks.some(b => b.matchday === pendingMatchday)) {
+        const pendingBlock = seasonBlocks.find(b => b.matchday === pendingMatchday);
+        if (pendingBlock) persistMatchday(pendingBlock);
+      }
     }
+    setPasteText(null);
+  };
+
+  // Fonctions pour les pénalités
+  const getPenaltyKey = (teamName) => {
+    return `${selectedChampionship}_${selectedSeason}_${teamName}`;
+  };
+
+  const getTeamPenalty = (teamName) => {
+    const key = getPenaltyKey(teamName);
+    return penalties[key] || 0;
+  };
 
-    const nameExists = Object.values(managers).some(
-      m => m.name.toLowerCase() === editingManagerName.trim().toLowerCase() && m.id !== editingManagerId
-    );
+  const handleApplyPenalty = async () => {
+    if (!selectedPenaltyTeam || !penaltyPoints) return;
 
-    if (nameExists) {
-      setManagerError('Ce nom existe déjà');
+    const points = parseInt(penaltyPoints);
+    if (isNaN(points) || points < 0) {
+      alert('Veuillez entrer un nombre de points valide (positif)');
       return;
     }
 
-    setIsEditingManager(true);
-    setManagerError('');
-
-    try {
-      const newName = editingManagerName.trim();
-
-      // Mettre à jour dans Supabase (propagation automatique)
-      if (isAdmin) {
-        await updateManagerName(editingManagerId, oldName, newName);
+    // Sauvegarder dans Supabase si admin
+    if (isAdmin) {
+      try {
+        await savePenalty(selectedChampionship, parseInt(selectedSeason), selectedPenaltyTeam, points);
+      } catch (error) {
+        console.error('Erreur sauvegarde pénalité:', error);
+        alert('Erreur lors de la sauvegarde de la pénalité');
+        return;
       }
+    }
 
-      // Mettre à jour localement dans appData
-      setAppData(prev => {
-        const newData = { ...prev };
+    const key = getPenaltyKey(selectedPenaltyTeam);
+    setPenalties(prev => ({
+      ...prev,
+      [key]: points
+    }));
 
-        // Mettre à jour managers
-        if (newData.entities?.managers?.[editingManagerId]) {
-          newData.entities.managers[editingManagerId].name = newName;
-        }
+    // Réinitialiser le formulaire
+    setSelectedPenaltyTeam('');
+    setPenaltyPoints('');
+    setIsPenaltyModalOpen(false);
+  };
 
-        // Mettre à jour matches
-        if (newData.entities?.matches) {
-          newData.entities.matches = newData.entities.matches.map(matchBlock => ({
-            ...matchBlock,
-            games: matchBlock.games.map(game => ({
-              ...game,
-              homeTeam: game.homeTeam === oldName ? newName : game.homeTeam,
-              awayTeam: game.awayTeam === oldName ? newName : game.awayTeam
-            }))
-          }));
-        }
+  const handleRemovePenalty = async (teamName) => {
+    // Supprimer de Supabase si admin
+    if (isAdmin) {
+      try {
+        await deletePenalty(selectedChampionship, parseInt(selectedSeason), teamName);
+      } catch (error) {
+        console.error('Erreur suppression pénalité:', error);
+        alert('Erreur lors de la suppression de la pénalité');
+        return;
+      }
+    }
 
-        // Mettre à jour exempt dans seasons
-        if (newData.entities?.seasons) {
-          Object.values(newData.entities.seasons).forEach(s => {
-            if (s.exemptTeam === oldName) s.exemptTeam = newName;
-          });
-        }
+    const key = getPenaltyKey(teamName);
+    setPenalties(prev => {
+      const newPenalties = { ...prev };
+      delete newPenalties[key];
+      return newPenalties;
+    });
+  };
 
-        // Mettre à jour palmares
-        if (newData.palmares) {
-          Object.keys(newData.palmares).forEach(champ => {
-            newData.palmares[champ] = newData.palmares[champ].map(entry => ({
-              ...entry,
-              champion: entry.champion === oldName ? newName : entry.champion,
-              runnerUp: entry.runnerUp === oldName ? newName : entry.runnerUp
-            }));
-          });
-        }
+  // Fonctions pour la chaîne de départage
+  const getCurrentTiebreakers = () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    return getTiebreakers(appData?.entities?.seasons, `${championshipKey}_s${selectedSeason}`);
+  };
 
-        // Mettre à jour pantheon
-        if (newData.pantheon) {
-          newData.pantheon = newData.pantheon.map(p => ({
-            ...p,
-            name: p.name === oldName ? newName : p.name
-          }));
-        }
+  const getCurrentRankMode = () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    return getRankMode(appData?.entities?.seasons, `${championshipKey}_s${selectedSeason}`);
+  };
 
-        // Mettre à jour penalties
-        if (newData.penalties) {
-          const newPenalties = {};
-          Object.entries(newData.penalties).forEach(([key, value]) => {
-            const parts = key.split('_');
-            if (parts.length >= 3) {
-              const teamName = parts.slice(2).join('_');
-              if (teamName === oldName) {
-                const newKey = `${parts[0]}_${parts[1]}_${newName}`;
-                newPenalties[newKey] = value;
-              } else {
-                newPenalties[key] = value;
-              }
-            } else {
-              newPenalties[key] = value;
-            }
-          });
-          newData.penalties = newPenalties;
-        }
+  const openTiebreakerModal = () => {
+    setTiebreakerDraft(getCurrentTiebreakers());
+    setRankModeDraft(getCurrentRankMode());
+    setIsTiebreakerModalOpen(true);
+  };
 
-        return newData;
-      });
+  const toggleTiebreakerRule = (ruleId) => {
+    setTiebreakerDraft(prev => prev.includes(ruleId) ? prev.filter(r => r !== ruleId) : [...prev, ruleId]);
+  };
 
-      // Mettre à jour allTeams
-      setAllTeams(prev => prev.map(t => t === oldName ? newName : t));
+  const moveTiebreakerRule = (index, delta) => {
+    setTiebreakerDraft(prev => {
+      const target = index + delta;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
 
-      // Mettre à jour matches affichés si nécessaire
-      setMatches(prev => prev.map(m => ({
-        ...m,
-        homeTeam: m.homeTeam === oldName ? newName : m.homeTeam,
-        awayTeam: m.awayTeam === oldName ? newName : m.awayTeam
-      })));
+  const handleSaveTiebreakers = async () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    const seasonKey = `${championshipKey}_s${selectedSeason}`;
 
-      // Mettre à jour teams (classement)
-      setTeams(prev => prev.map(t => ({
-        ...t,
-        name: t.name === oldName ? newName : t.name
-      })));
+    if (isAdmin) {
+      setIsSavingTiebreakers(true);
+      try {
+        await Promise.all([
+          saveSeasonTiebreakers(championshipKey, parseInt(selectedSeason), tiebreakerDraft),
+          saveSeasonRankMode(championshipKey, parseInt(selectedSeason), rankModeDraft)
+        ]);
+      } catch (error) {
+        console.error('Erreur sauvegarde départage:', error);
+        alert('Erreur lors de la sauvegarde des critères de départage');
+        return;
+      } finally {
+        setIsSavingTiebreakers(false);
+      }
+    }
 
-      // Mettre à jour exemptTeam si nécessaire
-      if (exemptTeam === oldName) {
-        setExemptTeam(newName);
+    setAppData(prev => {
+      if (!prev) return prev;
+      const updated = structuredClone(prev);
+      if (!updated.entities.seasons) updated.entities.seasons = {};
+      if (!updated.entities.seasons[seasonKey]) {
+        updated.entities.seasons[seasonKey] = { championship: championshipKey, season: parseInt(selectedSeason), standings: [] };
       }
+      updated.entities.seasons[seasonKey].tiebreakers = tiebreakerDraft;
+      updated.entities.seasons[seasonKey].rankMode = rankModeDraft;
+      return updated;
+    });
+    setIsTiebreakerModalOpen(false);
+  };
 
-      cancelEditingManager();
-    } catch (error) {
-      console.error('Erreur modification manager:', error);
-      setManagerError('Erreur lors de la modification');
-    } finally {
-      setIsEditingManager(false);
-    }
+  // Fonctions pour le barème de points
+  const getCurrentPointsSystem = () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    return getPointsSystem(appData?.entities?.seasons, `${championshipKey}_s${selectedSeason}`);
   };
 
-  // useEffect pour charger les données depuis Supabase au démarrage + auto-refresh périodique
-  useEffect(() => {
-    function applySupabaseData(data) {
-      if (data && data.entities && (
-        Object.keys(data.entities.managers || {}).length > 0 ||
-        Object.keys(data.entities.seasons || {}).length > 0 ||
-        (data.entities.matches || []).length > 0
-      )) {
-        setAppData(data);
+  const openPointsModal = () => {
+    setPointsDraft(getCurrentPointsSystem());
+    setIsPointsModalOpen(true);
+  };
 
-        if (data.entities.managers) {
-          const managerNames = Object.values(data.entities.managers)
-            .map(manager => manager.name || '?')
-            .filter(name => name !== '?');
-          setAllTeams(managerNames);
-        }
+  const updatePointsDraft = (field, value) => {
+    const num = parseInt(value);
+    setPointsDraft(prev => ({ ...prev, [field]: isNaN(num) ? 0 : num }));
+  };
 
-        if (data.entities.seasons) {
-          const seasonNumbers = new Set();
-          Object.keys(data.entities.seasons).forEach(seasonKey => {
-            const match = seasonKey.match(/_s(\d+)$/);
-            if (match) {
-              seasonNumbers.add(match[1]);
-            }
-          });
-          const sortedSeasons = Array.from(seasonNumbers).sort((a, b) => parseInt(a) - parseInt(b));
-          setSeasons(sortedSeasons);
-          if (sortedSeasons.length > 0) {
-            setSelectedSeason(prev => prev || sortedSeasons[sortedSeasons.length - 1]);
-          }
-        }
+  const updatePointsBonus = (bonus, field, value) => {
+    const num = parseInt(value);
+    setPointsDraft(prev => ({ ...prev, [bonus]: { ...prev[bonus], [field]: isNaN(num) ? 0 : num } }));
+  };
 
-        if (data.penalties) {
-          setPenalties(data.penalties);
-        }
+  const togglePointsBonus = (bonus) => {
+    const defaults = bonus === 'attackBonus' ? { minGoals: 4, points: 1 } : { maxMargin: 1, points: 1 };
+    setPointsDraft(prev => ({ ...prev, [bonus]: prev[bonus] ? null : defaults }));
+  };
 
-        // Note: le Panthéon est calculé dynamiquement par loadDataFromAppData()
-        // à partir des standings de chaque saison. Ne pas utiliser data.pantheon
-        // (format legacy incomplet : pas de détail par championnat).
-      }
-    }
+  const handleSavePointsSystem = async () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    const seasonKey = `${championshipKey}_s${selectedSeason}`;
 
-    async function loadFromSupabase(isInitial) {
-      // Désactiver l'auto-refresh quand l'admin est sur l'onglet Matchs
-      // Seules les sauvegardes explicites (debounce) écrivent vers Supabase
-      if (!isInitial && selectedTabRef.current === 'match' && isAdminRef.current) {
-        return;
-      }
+    if (isAdmin) {
+      setIsSavingPoints(true);
       try {
-        if (isInitial) {
-          setIsLoadingFromSupabase(true);
-          setSupabaseError(null);
-        }
-        const data = await fetchAppData();
-        applySupabaseData(data);
-        if (isInitial) setSupabaseError(null);
+        await saveSeasonPointsSystem(championshipKey, parseInt(selectedSeason), pointsDraft);
       } catch (error) {
-        console.error('Erreur chargement Supabase:', error);
-        if (isInitial) setSupabaseError('Erreur de connexion au serveur');
+        console.error('Erreur sauvegarde barème:', error);
+        alert('Erreur lors de la sauvegarde du barème de points');
+        return;
       } finally {
-        if (isInitial) setIsLoadingFromSupabase(false);
+        setIsSavingPoints(false);
       }
     }
 
-    // Chargement initial
-    loadFromSupabase(true);
+    setAppData(prev => {
+      if (!prev) return prev;
+      const updated = structuredClone(prev);
+      if (!updated.entities.seasons) updated.entities.seasons = {};
+      if (!updated.entities.seasons[seasonKey]) {
+        updated.entities.seasons[seasonKey] = { championship: championshipKey, season: parseInt(selectedSeason), standings: [] };
+      }
+      updated.entities.seasons[seasonKey].pointsSystem = pointsDraft;
+      return updated;
+    });
+    setIsPointsModalOpen(false);
+  };
 
-    // Auto-refresh périodique (silencieux, pas de loader)
-    const refreshInterval = setInterval(() => loadFromSupabase(false), AUTO_REFRESH_INTERVAL_MS);
-    return () => clearInterval(refreshInterval);
-  }, []);
+  // Fonctions pour les corrections manuelles de titre
+  const openOverrideModal = (champion) => {
+    setOverrideTarget(champion);
+    setOverrideDraft(champion.override
+      ? { champions: champion.override.champions || [], runnerUps: champion.override.runnerUps ?? null, reason: champion.override.reason || '' }
+      : { champions: champion.computedChampion ? [champion.computedChampion] : [], runnerUps: null, reason: '' });
+  };
 
-  // useEffect pour recharger les données quand le contexte change ou les pénalités
-  useEffect(() => {
-    if (appData && appData.version === '2.0') {
-      loadDataFromAppData(appData, selectedChampionship, selectedSeason, selectedJournee, penalties, isAdmin);
-    }
-  }, [selectedChampionship, selectedSeason, selectedJournee, appData, penalties, loadDataFromAppData, isAdmin]);
+  const toggleOverrideName = (field, name) => {
+    setOverrideDraft(prev => {
+      const current = prev[field] || [];
+      return { ...prev, [field]: current.includes(name) ? current.filter(n => n !== name) : [...current, name] };
+    });
+  };
 
-  // Synchroniser les refs avec le state pour que le setInterval y accède
-  useEffect(() => {
-    selectedTabRef.current = selectedTab;
-    // Libérer le verrou Service Worker quand on quitte l'onglet Matchs
-    if (selectedTab !== 'match') {
-      window.__hyeneFormDirty = false;
-    }
-  }, [selectedTab]);
-  useEffect(() => {
-    isAdminRef.current = isAdmin;
-  }, [isAdmin]);
+  const persistChampionOverride = async (override) => {
+    const { championship, season, computedChampion } = overrideTarget;
+    // Titre retiré : aucun champion enregistré ; correction supprimée : retour au vainqueur calculé
+    const championName = override
+      ? (override.champions.length > 0 ? override.champions.join(' / ') : null)
+      : computedChampion || null;
 
-  // useEffect pour forcer un championnat valide sur l'onglet Match (exclure Ligue des Hyènes)
-  useEffect(() => {
-    if (selectedTab === 'match' && selectedChampionship === 'hyenes') {
-      setSelectedChampionship('france');
+    if (isAdmin) {
+      setIsSavingOverride(true);
+      try {
+        await saveChampionOverride(championship, parseInt(season), championName, override);
+      } catch (error) {
+        console.error('Erreur sauvegarde correction titre:', error);
+        alert('Erreur lors de la sauvegarde de la correction du titre');
+        return;
+      } finally {
+        setIsSavingOverride(false);
+      }
     }
-  }, [selectedTab, selectedChampionship]);
 
-  // Fonctions Match
-  const getAvailableTeams = (currentMatchId, currentType) => {
-    const selectedTeams = [];
-    matches.forEach(match => {
-      if (match.id === currentMatchId) {
-        if (currentType === 'home' && match.awayTeam) selectedTeams.push(match.awayTeam);
-        else if (currentType === 'away' && match.homeTeam) selectedTeams.push(match.homeTeam);
+    setAppData(prev => {
+      if (!prev) return prev;
+      const updated = structuredClone(prev);
+      if (!updated.palmares) updated.palmares = {};
+      if (!updated.palmares[championship]) updated.palmares[championship] = [];
+      const entry = updated.palmares[championship].find(e => Number(e.season) === Number(season));
+      if (entry) {
+        entry.champion = championName;
+        entry.override = override;
       } else {
-        if (match.homeTeam) selectedTeams.push(match.homeTeam);
-        if (match.awayTeam) selectedTeams.push(match.awayTeam);
+        updated.palmares[championship].push({ season: parseInt(season), champion: championName, runnerUp: '', override });
       }
+      return updated;
     });
-    if (exemptTeam) selectedTeams.push(exemptTeam);
-    return allTeams.filter(team => !selectedTeams.includes(team));
+    setOverrideTarget(null);
   };
 
-  // Propager l'exemption à tous les championnats et toutes les journées de la saison
-  const handleExemptTeamChange = (team) => {
-    setExemptTeam(team);
-
-    if (appData && appData.version === '2.0' && appData.entities.seasons) {
-      const updatedAppData = structuredClone(appData);
-      const euroChampionships = ['france', 'espagne', 'italie', 'angleterre'];
-
-      // Mettre à jour exempt dans chaque entrée seasons de cette saison
-      euroChampionships.forEach(champ => {
-        const key = `${champ}_s${selectedSeason}`;
-        if (updatedAppData.entities.seasons[key]) {
-          updatedAppData.entities.seasons[key].exemptTeam = team || '';
-        }
-      });
-
-      // Empêcher loadDataFromAppData d'écraser l'exempt qu'on vient de définir
-      skipNextExemptLoadRef.current = true;
-      window.__hyeneFormDirty = true;
-      setAppData(updatedAppData);
+  const handleSaveOverride = () => {
+    if (!overrideDraft.reason.trim()) {
+      alert('Veuillez indiquer le motif de la correction.');
+      return;
     }
+    persistChampionOverride({
+      champions: overrideDraft.champions,
+      runnerUps: overrideDraft.runnerUps,
+      reason: overrideDraft.reason.trim()
+    });
+  };
 
-    // Sync vers Supabase
-    if (isAdmin) {
-      updateSeasonExempt(parseInt(selectedSeason), team || null)
-        .catch(err => console.error('Erreur sync exempt Supabase:', err));
+  // Fonctions pour le format de saison
+  // Matchs par journée laissés vides : déduits de l'effectif à l'enregistrement, puis figés
+  const openFormatModal = () => {
+    setFormatDraft(seasonFormat);
+    setIsFormatModalOpen(true);
+  };
+
+  const updateFormatDraft = (field, value) => {
+    const num = parseInt(value);
+    if (field === 'gamesPerMatchday' && value === '') {
+      setFormatDraft(prev => ({ ...prev, gamesPerMatchday: null }));
+      return;
     }
+    setFormatDraft(prev => ({ ...prev, [field]: isNaN(num) || num < 1 ? 1 : num }));
   };
 
-  const handleTeamSelect = (matchId, type, team) => {
-    const updatedMatches = matches.map(m =>
-      m.id === matchId ? { ...m, [type === 'home' ? 'homeTeam' : 'awayTeam']: team } : m
-    );
-    setMatches(updatedMatches);
-    syncMatchesToAppData(updatedMatches);
-    setOpenDropdown(null);
+  const toggleFormatManager = (name) => {
+    setFormatDraft(prev => ({
+      ...prev,
+      managers: prev.managers.includes(name) ? prev.managers.filter(m => m !== name) : [...prev.managers, name]
+    }));
   };
 
-  const toggleDropdown = (matchId, type, event) => {
-    if (openDropdown?.matchId === matchId && openDropdown?.type === type) {
-      setOpenDropdown(null);
-    } else {
-      const rect = event.currentTarget.getBoundingClientRect();
-      const NAV_BAR_HEIGHT = 80;
-      const DROPDOWN_MAX = 420;
-      const spaceBelow = window.innerHeight - rect.bottom - NAV_BAR_HEIGHT;
-      const spaceAbove = rect.top;
-      const openUpward = spaceBelow < 200 && spaceAbove > spaceBelow;
+  const handleSaveFormat = async () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    const seasonKey = `${championshipKey}_s${selectedSeason}`;
+    const format = {
+      ...formatDraft,
+      gamesPerMatchday: formatDraft.gamesPerMatchday ?? getAutoGamesPerMatchday(formatDraft.managers, allTeams, exemptTeam)
+    };
 
-      const position = {
-        left: type === 'home' ? rect.left : 'auto',
-        right: type === 'away' ? (window.innerWidth - rect.right) : 'auto'
-      };
+    if (isAdmin) {
+      setIsSavingFormat(true);
+      try {
+        await saveSeasonFormat(championshipKey, parseInt(selectedSeason), format);
+      } catch (error) {
+        console.error('Erreur sauvegarde format:', error);
+        alert('Erreur lors de la sauvegarde du format de saison');
+        return;
+      } finally {
+        setIsSavingFormat(false);
+      }
+    }
 
-      if (openUpward) {
-        position.top = 'auto';
-        position.bottom = window.innerHeight - rect.top + 4;
-        position.maxHeight = Math.min(DROPDOWN_MAX, spaceAbove - 10);
-      } else {
-        position.top = rect.bottom + 4;
-        position.bottom = 'auto';
-        position.maxHeight = Math.min(DROPDOWN_MAX, spaceBelow - 4);
+    setAppData(prev => {
+      if (!prev) return prev;
+      const updated = structuredClone(prev);
+      if (!updated.entities.seasons) updated.entities.seasons = {};
+      if (!updated.entities.seasons[seasonKey]) {
+        updated.entities.seasons[seasonKey] = { championship: championshipKey, season: parseInt(selectedSeason), standings: [] };
       }
+      updated.entities.seasons[seasonKey].format = format;
+      return updated;
+    });
+    setIsFormatModalOpen(false);
+  };
 
-      setDropdownPosition(position);
-      setOpenDropdown({ matchId, type });
-    }
+  // Fonctions pour les zones de montée / descente
+  const getCurrentZones = () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    return getSeasonZones(appData?.entities?.seasons, `${championshipKey}_s${selectedSeason}`);
   };
 
-  const handleSeasonSelect = (season) => {
-    setSelectedSeason(season);
-    setIsSeasonOpen(false);
+  const openZonesModal = () => {
+    setZonesDraft(getCurrentZones());
+    setIsZonesModalOpen(true);
   };
 
-  // Fonctions pour les pénalités
-  const getPenaltyKey = (teamName) => {
-    return `${selectedChampionship}_${selectedSeason}_${teamName}`;
+  const updateZonesDraft = (field, value) => {
+    const num = parseInt(value);
+    setZonesDraft(prev => ({ ...prev, [field]: isNaN(num) || num < 0 ? 0 : num }));
   };
 
-  const getTeamPenalty = (teamName) => {
-    const key = getPenaltyKey(teamName);
-    return penalties[key] || 0;
+  const handleSaveZones = async () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    const seasonKey = `${championshipKey}_s${selectedSeason}`;
+
+    if (isAdmin) {
+      setIsSavingZones(true);
+      try {
+        await saveSeasonZones(championshipKey, parseInt(selectedSeason), zonesDraft);
+      } catch (error) {
+        console.error('Erreur sauvegarde zones:', error);
+        alert('Erreur lors de la sauvegarde des zones de montée / descente');
+        return;
+      } finally {
+        setIsSavingZones(false);
+      }
+    }
+
+    setAppData(prev => {
+      if (!prev) return prev;
+      const updated = structuredClone(prev);
+      if (!updated.entities.seasons) updated.entities.seasons = {};
+      if (!updated.entities.seasons[seasonKey]) {
+        updated.entities.seasons[seasonKey] = { championship: championshipKey, season: parseInt(selectedSeason), standings: [] };
+      }
+      updated.entities.seasons[seasonKey].zones = zonesDraft;
+      return updated;
+    });
+    setIsZonesModalOpen(false);
   };
 
-  const handleApplyPenalty = async () => {
-    if (!selectedPenaltyTeam || !penaltyPoints) return;
+  // === Coupes : tirage au sort et saisie des rencontres ===
+  const cups = useMemo(() => championships.filter(c => c.type === 'cup'), [championships]);
+  const cupKey = registry.mapping[selectedCup] || '';
+  const cupBracket = appData?.entities?.seasons?.[`${cupKey}_s${selectedSeason}`]?.bracket || null;
+  const cupQualification = cups.find(c => c.id === selectedCup)?.qualification || null;
+  const cupQualifiers = getCupQualifiers(cupQualification, selectedSeason, seasonResults);
 
-    const points = parseInt(penaltyPoints);
-    if (isNaN(points) || points < 0) {
-      alert('Veuillez entrer un nombre de points valide (positif)');
-      return;
+  // Coupe affichée par défaut : la première de la liste
+  useEffect(() => {
+    if (!cups.some(c => c.id === selectedCup)) setSelectedCup(cups[0]?.id || '');
+  }, [cups, selectedCup]);
+
+  // Les coupes n'ont pas de classement ni de journées : revenir à la Ligue des Hyènes hors Palmarès
+  useEffect(() => {
+    if ((selectedTab === 'classement' || selectedTab === 'match') &&
+        isCupChampionship(registry, registry.mapping[selectedChampionship])) {
+      setSelectedChampionship('hyenes');
     }
+  }, [selectedTab, selectedChampionship, championships]);
 
-    // Sauvegarder dans Supabase si admin
+  const persistBracket = async (bracket) => {
+    const seasonKey = `${cupKey}_s${selectedSeason}`;
     if (isAdmin) {
+      setIsSavingBracket(true);
       try {
-        await savePenalty(selectedChampionship, parseInt(selectedSeason), selectedPenaltyTeam, points);
+        await saveSeasonBracket(cupKey, parseInt(selectedSeason), bracket);
       } catch (error) {
-        console.error('Erreur sauvegarde pénalité:', error);
-        alert('Erreur lors de la sauvegarde de la pénalité');
+        console.error('Erreur sauvegarde tableau:', error);
+        alert('Erreur lors de la sauvegarde du tableau de la coupe');
+        return false;
+      } finally {
+        setIsSavingBracket(false);
+      }
+    }
+
+    setAppData(prev => {
+      if (!prev) return prev;
+      const updated = structuredClone(prev);
+      if (!updated.entities.seasons) updated.entities.seasons = {};
+      if (!updated.entities.seasons[seasonKey]) {
+        updated.entities.seasons[seasonKey] = { championship: cupKey, season: parseInt(selectedSeason), standings: [] };
+      }
+      updated.entities.seasons[seasonKey].bracket = bracket;
+      return updated;
+    });
+    return true;
+  };
+
+  const openDrawModal = () => {
+    if (cupBracket && !window.confirm('Un tableau existe déjà pour cette saison. Refaire le tirage efface tous les résultats. Continuer ?')) {
+      return;
+    }
+    // Coupe liée à une saison : qualifiés repris des classements finaux (play-offs par têtes de série)
+    if (cupQualification) {
+      if (cupQualifiers.pending.length > 0) {
+        const names = cupQualifiers.pending.map(key => registry.list.find(c => c.key === key)?.name || key).join(', ');
+        alert(`Qualification incomplète : la Saison ${selectedSeason} n'est pas terminée (${names}).`);
         return;
       }
+      setDrawDraft({ participants: cupQualifiers.qualifiers, legs: 1, finalLegs: 1, seeded: cupQualification.source === 'standings' });
+    } else {
+      setDrawDraft({ participants: [...allTeams], legs: 1, finalLegs: 1, seeded: false });
     }
+    setIsDrawModalOpen(true);
+  };
 
-    const key = getPenaltyKey(selectedPenaltyTeam);
-    setPenalties(prev => ({
+  const toggleDrawParticipant = (name) => {
+    setDrawDraft(prev => ({
       ...prev,
-      [key]: points
+      participants: prev.participants.includes(name) ? prev.participants.filter(m => m !== name) : [...prev.participants, name]
     }));
+  };
 
-    // Réinitialiser le formulaire
-    setSelectedPenaltyTeam('');
-    setPenaltyPoints('');
-    setIsPenaltyModalOpen(false);
+  const handleCupDraw = async () => {
+    if (drawDraft.participants.length < 2) {
+      alert('Il faut au moins 2 managers pour un tirage au sort.');
+      return;
+    }
+    const bracket = createCupDraw(drawDraft.participants, { legs: drawDraft.legs, finalLegs: drawDraft.finalLegs, seeded: drawDraft.seeded });
+    if (await persistBracket(propagateCupBracket(bracket))) setIsDrawModalOpen(false);
   };
 
-  const handleRemovePenalty = async (teamName) => {
-    // Supprimer de Supabase si admin
+  // Brouillon d'une rencontre : scores en texte ('' = non joué)
+  const openTieEditor = (round, index) => {
+    const tie = cupBracket.rounds[round].ties[index];
+    const toText = score => ({ home: score?.home ?? '', away: score?.away ?? '' });
+    setTieDraft({
+      legs: Array.from({ length: cupBracket.rounds[round].legs }, (_, leg) => toText(tie.legs?.[leg])),
+      extraTime: toText(tie.extraTime),
+      penalties: toText(tie.penalties)
+    });
+    setEditingTie({ round, index });
+  };
+
+  const updateTieDraft = (field, side, value, leg = null) => {
+    const cleaned = value === '' ? '' : String(Math.min(MAX_SCORE, Math.max(MIN_SCORE, parseInt(value) || 0)));
+    setTieDraft(prev => {
+      if (leg === null) return { ...prev, [field]: { ...prev[field], [side]: cleaned } };
+      return { ...prev, legs: prev.legs.map((l, i) => i === leg ? { ...l, [side]: cleaned } : l) };
+    });
+  };
+
+  // Rencontre issue du brouillon (scores incomplets = non joué)
+  const getTieFromDraft = () => {
+    const tie = cupBracket.rounds[editingTie.round].ties[editingTie.index];
+    const toScore = score => score.home === '' || score.away === ''
+      ? null
+      : { home: parseInt(score.home), away: parseInt(score.away) };
+    const legs = tieDraft.legs.map(toScore);
+    return {
+      ...tie,
+      legs: legs.every(Boolean) ? legs : legs.filter(Boolean),
+      extraTime: toScore(tieDraft.extraTime),
+      penalties: toScore(tieDraft.penalties)
+    };
+  };
+
+  const handleSaveTie = async () => {
+    const tie = getTieFromDraft();
+    const legCount = cupBracket.rounds[editingTie.round].legs;
+    // Prolongation et tirs au but ne servent qu'en cas d'égalité : on ne garde pas de valeurs obsolètes
+    if (getCupTieOutcome({ ...tie, extraTime: null, penalties: null }, legCount)) {
+      tie.extraTime = null;
+      tie.penalties = null;
+    } else if (getCupTieOutcome({ ...tie, penalties: null }, legCount)) {
+      tie.penalties = null;
+    }
+    const bracket = structuredClone(cupBracket);
+    bracket.rounds[editingTie.round].ties[editingTie.index] = tie;
+    if (await persistBracket(propagateCupBracket(bracket))) setEditingTie(null);
+  };
+
+  // Fonctions pour l'agrégation de la Ligue des Hyènes
+  const openAggregationModal = () => {
+    const aggregation = getHyenesAggregation(appData?.entities?.seasons, selectedSeason);
+    setAggregationDraft({ ...aggregation, positionPoints: aggregation.positionPoints.join(', ') });
+    setIsAggregationModalOpen(true);
+  };
+
+  const updateAggregationCoefficient = (champ, value) => {
+    const num = parseFloat(value);
+    setAggregationDraft(prev => ({
+      ...prev,
+      coefficients: { ...prev.coefficients, [champ]: isNaN(num) || num < 0 ? 0 : num }
+    }));
+  };
+
+  const handleSaveAggregation = async () => {
+    const seasonKey = `${HYENES_KEY}_s${selectedSeason}`;
+    const positionPoints = aggregationDraft.positionPoints
+      .split(/[,;\s]+/)
+      .map(v => parseFloat(v))
+      .filter(v => !isNaN(v));
+    if (aggregationDraft.basis === 'position' && positionPoints.length === 0) {
+      alert('Indiquez les points attribués à chaque place (ex : 25, 18, 15).');
+      return;
+    }
+    const aggregation = { ...aggregationDraft, positionPoints };
+
     if (isAdmin) {
+      setIsSavingAggregation(true);
       try {
-        await deletePenalty(selectedChampionship, parseInt(selectedSeason), teamName);
+        await saveSeasonAggregation(parseInt(selectedSeason), aggregation);
       } catch (error) {
-        console.error('Erreur suppression pénalité:', error);
-        alert('Erreur lors de la suppression de la pénalité');
+        console.error('Erreur sauvegarde agrégation:', error);
+        alert("Erreur lors de la sauvegarde de l'agrégation");
         return;
+      } finally {
+        setIsSavingAggregation(false);
       }
     }
 
-    const key = getPenaltyKey(teamName);
-    setPenalties(prev => {
-      const newPenalties = { ...prev };
-      delete newPenalties[key];
-      return newPenalties;
+    setAppData(prev => {
+      if (!prev) return prev;
+      const updated = structuredClone(prev);
+      if (!updated.entities.seasons) updated.entities.seasons = {};
+      if (!updated.entities.seasons[seasonKey]) {
+        updated.entities.seasons[seasonKey] = { season: parseInt(selectedSeason), standings: [] };
+      }
+      updated.entities.seasons[seasonKey].championship = HYENES_KEY;
+      updated.entities.seasons[seasonKey].aggregation = aggregation;
+      return updated;
     });
+    setIsAggregationModalOpen(false);
   };
 
   // === Création d'une nouvelle saison ===
@@ -2130,7 +4680,38 @@ export default function HyeneScores() {
       return;
     }
 
-    const championshipKeys = ['ligue_hyenes', 'france', 'espagne', 'italie', 'angleterre'];
+    // Compétitions en activité (les compétitions retirées n'ont plus de nouvelles saisons)
+    const championshipKeys = registry.list.filter(c => c.active !== false).map(c => c.key);
+
+    // Montées et descentes : chaque championnat à plusieurs divisions repart du classement final
+    // de la saison précédente (participants et zones reconduits dans chaque division)
+    const previousSeason = seasons.map(s => parseInt(s)).filter(s => s < parseInt(seasonNum)).sort((a, b) => b - a)[0];
+    const rolloverFormats = {};
+    const rolloverMoves = [];
+    if (previousSeason && appData?.entities) {
+      const getPenalty = (champKey, name) => penalties[`${registry.reverseMapping[champKey]}_${previousSeason}_${name}`] || 0;
+      registry.list.filter(c => !c.parentKey && c.key !== HYENES_KEY).forEach(root => {
+        const ladder = getDivisionLadder(registry, root.key).filter(key => championshipKeys.includes(key));
+        if (ladder.length < 2) return;
+        const rollover = computeDivisionRollover(appData, ladder, previousSeason, getPenalty);
+        ladder.forEach(key => {
+          rolloverFormats[key] = {
+            format: { ...DEFAULT_SEASON_FORMAT, ...appData.entities.seasons[`${key}_s${previousSeason}`]?.format, managers: rollover.managers[key] },
+            zones: getSeasonZones(appData.entities.seasons, `${key}_s${previousSeason}`)
+          };
+        });
+        rolloverMoves.push(...rollover.moves);
+      });
+    }
+    if (rolloverMoves.length > 0) {
+      const champName = key => registry.list.find(c => c.key === key)?.name || key;
+      const summary = rolloverMoves
+        .map(move => `${move.type === 'promotion' ? '▲' : '▼'} ${move.name} : ${champName(move.from)} → ${champName(move.to)}`)
+        .join('\n');
+      if (!window.confirm(`Montées et descentes de la Saison ${previousSeason} :\n\n${summary}\n\nAppliquer ces mouvements à la Saison ${seasonNum} ?`)) {
+        Object.keys(rolloverFormats).forEach(key => delete rolloverFormats[key]);
+      }
+    }
 
     setIsCreatingSeason(true);
 
@@ -2144,6 +4725,10 @@ export default function HyeneScores() {
       if (!baseAppData.entities.seasons[seasonKey]) {
         baseAppData.entities.seasons[seasonKey] = { standings: [] };
       }
+      if (rolloverFormats[champKey]) {
+        baseAppData.entities.seasons[seasonKey].format = rolloverFormats[champKey].format;
+        baseAppData.entities.seasons[seasonKey].zones = rolloverFormats[champKey].zones;
+      }
     });
 
     const updatedSeasons = [...seasons, seasonNum].sort((a, b) => parseInt(a) - parseInt(b));
@@ -2160,6 +4745,12 @@ export default function HyeneScores() {
             saveSeason(champKey, parseInt(seasonNum), [])
           )
         );
+        await Promise.all(
+          Object.entries(rolloverFormats).flatMap(([champKey, { format, zones }]) => [
+            saveSeasonFormat(champKey, parseInt(seasonNum), format),
+            saveSeasonZones(champKey, parseInt(seasonNum), zones)
+          ])
+        );
       } catch (error) {
         console.error('Erreur sauvegarde saison Supabase:', error);
         alert(`Saison ${seasonNum} créée localement, mais la synchronisation Supabase a échoué (${error.message || error}). Utilisez "Sauvegarder vers Supabase" pour réessayer.`);
@@ -2183,45 +4774,117 @@ export default function HyeneScores() {
       }));
   };
 
-  // Calculer le classement trié avec les pénalités appliquées
-  const getSortedTeams = () => {
-    const sorted = [...teams]
-      .map(team => ({
+  // Étapes chronologiques de la saison sélectionnée (journées, entrelacées pour la Ligue des Hyènes)
+  const seasonTimeline = useMemo(() => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    return orderSeasonBlocks(registry, getSeasonMatchBlocks(appData, championshipKey, selectedSeason).filter(isMatchdayPlayed), championshipKey === HYENES_KEY);
+  }, [appData, selectedChampionship, selectedSeason]);
+
+  // Revenir au classement actuel quand le contexte change
+  useEffect(() => {
+    setTimeTravelStep(null);
+  }, [selectedChampionship, selectedSeason]);
+
+  // Ligue des Hyènes : agrégation des étapes selon la règle de la saison
+  const timelineHyenes = useMemo(() => {
+    if (selectedChampionship !== 'hyenes') return null;
+    return {
+      season: selectedSeason,
+      getLeaguePenalty: (champKey, teamName) => penalties[`${registry.reverseMapping[champKey]}_${selectedSeason}_${teamName}`] || 0
+    };
+  }, [selectedChampionship, selectedSeason, penalties]);
+
+  // Classement reconstruit après l'étape timeTravelStep (null = pas de voyage dans le temps)
+  const timeTravelTeams = useMemo(() => {
+    if (timeTravelStep === null) return null;
+    return buildStandingsRows(registry, seasonTimeline.slice(0, timeTravelStep), appData?.entities?.seasons, timelineHyenes);
+  }, [timeTravelStep, seasonTimeline, appData, timelineHyenes]);
+
+  // Étape affichée (dernière étape jouée hors voyage dans le temps)
+  const displayedStep = timeTravelStep ?? seasonTimeline.length;
+
+  // Forme récente et classement de l'étape précédente (flèches d'évolution)
+  const formGuide = useMemo(() => computeFormGuide(seasonTimeline.slice(0, displayedStep)), [seasonTimeline, displayedStep]);
+  const previousStepRows = useMemo(() => {
+    if (displayedStep < 2) return null;
+    return buildStandingsRows(registry, seasonTimeline.slice(0, displayedStep - 1), appData?.entities?.seasons, timelineHyenes);
+  }, [seasonTimeline, displayedStep, appData, timelineHyenes]);
+
+  // Libellé d'une étape : "J12" ou, pour la Ligue des Hyènes, "🇫🇷 J12"
+  const getTimelineStepLabel = (step) => {
+    const block = seasonTimeline[step - 1];
+    if (!block) return '';
+    return selectedChampionship === 'hyenes'
+      ? `${registry.icons[block.championship?.toLowerCase()] || ''} J${block.matchday}`
+      : `J${block.matchday}`;
+  };
+
+  // Trier des lignes de classement avec les pénalités et la chaîne de départage de la saison
+  const rankStandingsRows = (rows, matchBlocks) => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    const seasonKey = `${championshipKey}_s${selectedSeason}`;
+    const rankOptions = {
+      tiebreakers: getTiebreakers(appData?.entities?.seasons, seasonKey),
+      matchBlocks,
+      seed: seasonKey,
+      seasons: appData?.entities?.seasons
+    };
+    const sorted = rankWithTiebreakers(
+      rows.map(team => ({
         ...team,
         effectivePts: team.pts - getTeamPenalty(team.name)
-      }))
-      .sort((a, b) => {
-        // Trier par points effectifs (décroissant)
-        if (b.effectivePts !== a.effectivePts) {
-          return b.effectivePts - a.effectivePts;
-        }
-        // En cas d'égalité, trier par différence de buts
-        const diffA = parseInt(String(a.diff).replace('+', '')) || 0;
-        const diffB = parseInt(String(b.diff).replace('+', '')) || 0;
-        return diffB - diffA;
-      });
+      })),
+      rankOptions.tiebreakers,
+      rankOptions
+    );
 
-    // France S6 : système de binômes - les équipes avec stats identiques partagent le même rang
-    const isFranceS6 = selectedChampionship === 'france' && selectedSeason === '6';
-
-    if (isFranceS6) {
-      let currentRank = 1;
-      return sorted.map((team, index) => {
-        if (index > 0) {
-          const prev = sorted[index - 1];
-          const prevDiff = parseInt(String(prev.diff).replace('+', '')) || 0;
-          const currDiff = parseInt(String(team.diff).replace('+', '')) || 0;
-          if (prev.effectivePts !== team.effectivePts || prevDiff !== currDiff) {
-            currentRank++;
-          }
-        }
-        return { ...team, displayRank: currentRank };
-      });
+    // Rangs des ex-aequo selon le mode de la saison (standard, rang partagé, binômes)
+    const ranks = getDisplayRanks(sorted, getRankMode(appData?.entities?.seasons, seasonKey), rankOptions);
+    return sorted.map((team, index) => ({
+      ...team,
+      displayRank: ranks[index]
+    }));
+  };
+
+  // Calculer le classement trié avec les pénalités appliquées, la forme et l'évolution de place
+  const getSortedTeams = () => {
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    const sorted = rankStandingsRows(
+      timeTravelTeams || teams,
+      timeTravelStep !== null
+        ? seasonTimeline.slice(0, timeTravelStep)
+        : getSeasonMatchBlocks(appData, championshipKey, selectedSeason)
+    );
+
+    const previousRanks = {};
+    if (previousStepRows) {
+      rankStandingsRows(previousStepRows, seasonTimeline.slice(0, displayedStep - 1))
+        .forEach(team => { previousRanks[team.name] = team.displayRank; });
     }
 
+    // Course au titre (calculée au chargement) : classement actuel uniquement, pas en voyage dans le temps
+    const currentTitleRace = timeTravelStep === null ? titleRace : {};
+
+    // Bandes de montée / descente (zones de la saison)
+    const zones = getSeasonZones(appData?.entities?.seasons, `${championshipKey}_s${selectedSeason}`);
+
+    // Matchs reportés : encore à jouer, signalés comme en attente
+    const postponed = {};
+    getSeasonMatchBlocks(appData, championshipKey, selectedSeason).forEach(block => {
+      (block.games || []).map(normalizeMatch).filter(m => m.status === 'postponed').forEach(m => {
+        postponed[m.homeTeam] = (postponed[m.homeTeam] || 0) + 1;
+        postponed[m.awayTeam] = (postponed[m.awayTeam] || 0) + 1;
+      });
+    });
+
     return sorted.map((team, index) => ({
       ...team,
-      displayRank: index + 1
+      zone: getPositionZone(index + 1, sorted.length, zones),
+      postponed: postponed[team.name] || 0,
+      titleRace: currentTitleRace[team.name] || null,
+      form: formGuide[team.name] || null,
+      // Places gagnées (> 0) ou perdues (< 0) depuis l'étape précédente
+      movement: previousRanks[team.name] !== undefined ? previousRanks[team.name] - team.displayRank : null
     }));
   };
 
@@ -2240,8 +4903,13 @@ export default function HyeneScores() {
                block.season === parseInt(season)
     );
 
-    const teamStats = calculateTeamStats(allSeasonMatches, allTeams);
-    const newStandings = sortTeamsToStandings(teamStats);
+    const teamStats = calculateTeamStats(allSeasonMatches, allTeams, exportData.entities.seasons);
+    const newStandings = sortTeamsToStandings(teamStats, undefined, {
+      tiebreakers: getTiebreakers(exportData.entities.seasons, seasonKey),
+      matchBlocks: allSeasonMatches,
+      seed: seasonKey,
+      seasons: exportData.entities.seasons
+    });
 
     if (!exportData.entities.seasons[seasonKey]) {
       exportData.entities.seasons[seasonKey] = { standings: [] };
@@ -2289,7 +4957,7 @@ export default function HyeneScores() {
         // Créer une copie profonde de appData
         const exportData = structuredClone(appData);
 
-        const championshipKey = CHAMPIONSHIP_MAPPING[selectedChampionship] || selectedChampionship;
+        const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
 
         // Initialiser entities.matches si nécessaire
         if (!exportData.entities.matches) {
@@ -2310,13 +4978,7 @@ export default function HyeneScores() {
           championship: championshipKey,
           season: parseInt(selectedSeason),
           matchday: parseInt(selectedJournee),
-          games: matches.map(m => ({
-            id: m.id,
-            homeTeam: m.homeTeam || '',
-            awayTeam: m.awayTeam || '',
-            homeScore: m.homeScore,
-            awayScore: m.awayScore
-          }))
+          games: matches.map(serializeGame)
         };
 
         // Mettre à jour ou ajouter le bloc
@@ -2502,129 +5164,27 @@ export default function HyeneScores() {
             const seasonNumbers = new Set();
             Object.keys(data.entities.seasons).forEach(seasonKey => {
               const match = seasonKey.match(/_s(\d+)$/);
-              if (match) {
-                seasonNumbers.add(match[1]);
-              }
-            });
-            const sortedSeasons = Array.from(seasonNumbers).sort((a, b) => parseInt(a) - parseInt(b));
-            setSeasons(sortedSeasons);
-            // Sélectionner la dernière saison par défaut
-            if (sortedSeasons.length > 0) {
-              setSelectedSeason(sortedSeasons[sortedSeasons.length - 1]);
-            }
-          }
-
-          // Charger les données pour le contexte actuel (avec pénalités du fichier si disponibles)
-          const filePenalties = data.penalties && typeof data.penalties === 'object' ? data.penalties : {};
-          loadDataFromAppData(data, selectedChampionship, selectedSeason, selectedJournee, filePenalties, isAdmin);
-
-          // Extraire pantheonTeams[] - calcul DYNAMIQUE depuis les standings de toutes les saisons
-          if (data.entities.seasons && data.entities.managers) {
-            // Initialiser le compteur de trophées pour chaque manager
-            const trophyCount = {};
-            Object.values(data.entities.managers).forEach(manager => {
-              const name = manager.name || '?';
-              trophyCount[name] = {
-                name: name,
-                trophies: 0,  // Ligue des Hyènes
-                france: 0,
-                spain: 0,
-                italy: 0,
-                england: 0,
-                total: 0
-              };
-            });
-
-            // Mapping des championnats
-            const championshipConfig = {
-              'ligue_hyenes': { field: 'trophies', totalMatchdays: HYENES_MATCHDAYS, s6Matchdays: HYENES_S6_MATCHDAYS },
-              'france': { field: 'france', totalMatchdays: STANDARD_MATCHDAYS, s6Matchdays: FRANCE_S6_MATCHDAYS },
-              'espagne': { field: 'spain', totalMatchdays: 18, s6Matchdays: 18 },
-              'italie': { field: 'italy', totalMatchdays: 18, s6Matchdays: 18 },
-              'angleterre': { field: 'england', totalMatchdays: 18, s6Matchdays: 18 }
-            };
-
-            // Parcourir toutes les saisons pour comptabiliser les trophées
-            Object.keys(data.entities.seasons).forEach(seasonKey => {
-              const parts = seasonKey.split('_');
-              const seasonNum = parts[parts.length - 1].replace('s', '');
-              const championshipName = parts.slice(0, -1).join('_');
-              const config = championshipConfig[championshipName];
-
-              if (!config) return;
-
-              const seasonData = data.entities.seasons[seasonKey];
-              const standings = seasonData.standings || [];
-
-              if (standings.length === 0) return;
-
-              // Vérifier si la saison est terminée
-              const isS6 = seasonNum === '6';
-              const isFranceS6 = championshipName === 'france' && isS6;
-              const totalMatchdays = isS6 ? config.s6Matchdays : config.totalMatchdays;
-              const currentMatchday = standings[0]?.j || 0;
-              const isSeasonComplete = isFranceS6 || currentMatchday >= totalMatchdays;
-
-              if (!isSeasonComplete) return;
-
-              // Cas spécial : France S6 - deux champions ex-aequo
-              if (isFranceS6) {
-                if (trophyCount['BimBam']) {
-                  trophyCount['BimBam'].france += 1;
-                  trophyCount['BimBam'].total += 1;
-                }
-                if (trophyCount['Warnaque']) {
-                  trophyCount['Warnaque'].france += 1;
-                  trophyCount['Warnaque'].total += 1;
-                }
-                return;
-              }
-
-              // Trouver le champion basé sur les points effectifs (pts - pénalité)
-              const teamsWithEffectivePts = standings.map(team => {
-                const teamName = team.mgr || team.name || '?';
-                // Construire la clé de pénalité avec le bon format de championnat
-                const champId = championshipName === 'ligue_hyenes' ? 'hyenes' :
-                               championshipName === 'espagne' ? 'spain' :
-                               championshipName === 'italie' ? 'italy' :
-                               championshipName === 'angleterre' ? 'england' :
-                               championshipName;
-                const penaltyKey = `${champId}_${seasonNum}_${teamName}`;
-                const penalty = filePenalties[penaltyKey] || 0;
-                const pts = team.pts || team.points || 0;
-                return {
-                  name: teamName,
-                  effectivePts: pts - penalty,
-                  diff: team.diff
-                };
-              });
-
-              // Trier par points effectifs (décroissant)
-              teamsWithEffectivePts.sort((a, b) => {
-                if (b.effectivePts !== a.effectivePts) {
-                  return b.effectivePts - a.effectivePts;
-                }
-                const diffA = parseInt(String(a.diff).replace('+', '')) || 0;
-                const diffB = parseInt(String(b.diff).replace('+', '')) || 0;
-                return diffB - diffA;
-              });
-
-              const champion = teamsWithEffectivePts[0];
-              if (champion && trophyCount[champion.name]) {
-                trophyCount[champion.name][config.field] += 1;
-                trophyCount[champion.name].total += 1;
+              if (match) {
+                seasonNumbers.add(match[1]);
               }
             });
+            const sortedSeasons = Array.from(seasonNumbers).sort((a, b) => parseInt(a) - parseInt(b));
+            setSeasons(sortedSeasons);
+            // Sélectionner la dernière saison par défaut
+            if (sortedSeasons.length > 0) {
+              setSelectedSeason(sortedSeasons[sortedSeasons.length - 1]);
+            }
+          }
 
-            // Convertir en tableau et trier par nombre total de trophées
-            const pantheon = Object.values(trophyCount)
-              .sort((a, b) => b.total - a.total)
-              .map((team, index) => ({
-                ...team,
-                rank: index + 1
-              }));
+          // Charger les données pour le contexte actuel (avec pénalités du fichier si disponibles)
+          const filePenalties = data.penalties && typeof data.penalties === 'object' ? data.penalties : {};
+          loadDataFromAppData(data, selectedChampionship, selectedSeason, selectedJournee, filePenalties, isAdmin);
 
-            setPantheonTeams(pantheon);
+          // Extraire pantheonTeams[] - calcul DYNAMIQUE depuis les standings de toutes les saisons
+          const titles = computeSeasonTitles(data, filePenalties);
+          if (titles) {
+            setPantheonTeams(titles.pantheon);
+            setSeasonResults(titles.finalResults);
           }
 
           // Importer les pénalités (format v2.0)
@@ -2728,7 +5288,7 @@ export default function HyeneScores() {
   const handleRefreshData = () => {
     // Synchroniser les matchs modifiés avec appData et recalculer le classement
     if (appData && appData.version === '2.0') {
-      const championshipKey = CHAMPIONSHIP_MAPPING[selectedChampionship] || selectedChampionship;
+      const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
       const seasonKey = `${championshipKey}_s${selectedSeason}`;
 
       // Créer une copie mise à jour de appData
@@ -2754,13 +5314,7 @@ export default function HyeneScores() {
         championship: championshipKey,
         season: parseInt(selectedSeason),
         matchday: parseInt(selectedJournee),
-        games: matches.map(m => ({
-          id: m.id,
-          homeTeam: m.homeTeam || '',
-          awayTeam: m.awayTeam || '',
-          homeScore: m.homeScore,
-          awayScore: m.awayScore
-        }))
+        games: matches.map(serializeGame)
       };
 
       // Mettre à jour ou ajouter le bloc
@@ -2777,9 +5331,14 @@ export default function HyeneScores() {
                  block.season === parseInt(selectedSeason)
       );
 
-      const teamStats = calculateTeamStats(allSeasonMatches, allTeams);
+      const teamStats = calculateTeamStats(allSeasonMatches, allTeams, updatedAppData.entities.seasons);
       const getPenalty = (name) => penalties[`${selectedChampionship}_${selectedSeason}_${name}`] || 0;
-      const newStandings = sortTeamsToStandings(teamStats, getPenalty);
+      const newStandings = sortTeamsToStandings(teamStats, getPenalty, {
+        tiebreakers: getTiebreakers(updatedAppData.entities.seasons, seasonKey),
+        matchBlocks: allSeasonMatches,
+        seed: seasonKey,
+        seasons: updatedAppData.entities.seasons
+      });
 
       // Mettre à jour les standings dans appData
       if (!updatedAppData.entities.seasons[seasonKey]) {
@@ -2790,311 +5349,998 @@ export default function HyeneScores() {
       // Mettre à jour appData
       setAppData(updatedAppData);
 
-      // Mettre à jour l'affichage des équipes
-      const normalizedTeams = newStandings.map(team => ({
-        rank: team.pos,
-        name: team.mgr,
-        pts: team.pts,
-        record: `${team.g}-${team.n}-${team.p}`,
-        goalDiff: `${team.bp}-${team.bc}`,
-        diff: team.diff >= 0 ? `+${team.diff}` : `${team.diff}`
-      }));
-      setTeams(normalizedTeams);
+      // Mettre à jour l'affichage des équipes
+      const normalizedTeams = newStandings.map(team => ({
+        rank: team.pos,
+        name: team.mgr,
+        pts: team.pts,
+        record: `${team.g}-${team.n}-${team.p}`,
+        goalDiff: `${team.bp}-${team.bc}`,
+        diff: team.diff >= 0 ? `+${team.diff}` : `${team.diff}`
+      }));
+      setTeams(normalizedTeams);
+
+      // Mettre à jour la progression (allSeasonMatches déjà défini plus haut)
+      const distinctMatchdays = new Set([...allSeasonMatches.map(b => b.matchday), parseInt(selectedJournee)]);
+      const currentMatchday = distinctMatchdays.size;
+      // Nombre de journées issu du format de la saison, comme au chargement
+      const totalMatchdays = getSeasonFormat(registry, updatedAppData.entities.seasons, championshipKey, selectedSeason).matchdays;
+      setSeasonProgress({
+        currentMatchday,
+        totalMatchdays,
+        percentage: totalMatchdays > 0 ? parseFloat(((currentMatchday / totalMatchdays) * 100).toFixed(1)) : 0
+      });
+
+      alert('✅ Classement mis à jour avec les nouvelles données !');
+    } else {
+      // Format v1.0 : simple re-render
+      setTeams([...teams]);
+      setMatches([...matches]);
+      setChampions([...champions]);
+      setPantheonTeams([...pantheonTeams]);
+      alert('✅ Données actualisées !');
+    }
+  };
+
+  // === SAUVEGARDE D'UNE JOURNÉE (transaction save_matchday, concurrence optimiste) ===
+  // La révision attendue est la plus récente connue : lue au chargement ou renvoyée par nos sauvegardes.
+  // Si un autre admin a enregistré la journée entre-temps, rien n'est écrit et le conflit est affiché.
+  const applySaveResult = useCallback((block, result, expected) => {
+    if (result?.conflict) {
+      setMatchdayConflict({ block, serverGames: result.games || [], serverRevision: result.revision });
+      return;
+    }
+    matchdayRevisionsRef.current[getQueueKey(block)] = result?.revision ?? expected;
+    setLastSyncedAt(Date.now());
+  }, []);
+
+  // Envoie la file hors ligne ; replanifie le prochain essai (délai exponentiel) s'il en reste
+  const flushMatchdayQueue = useCallback(async (force = false) => {
+    if (!isAdminRef.current) return;
+    clearTimeout(syncTimeoutRef.current);
+    try {
+      // Envoi unique en cours : un appel pendant l'envoi le prolonge au lieu d'en lancer un second
+      await flushQueue(
+        entry => saveMatches(entry.block.championship, entry.block.season, entry.block.matchday, entry.block.games, entry.expectedRevision),
+        { force, onSent: (entry, result) => applySaveResult(entry.block, result, entry.expectedRevision) }
+      );
+      const remaining = await listQueue();
+      setSyncEntries(remaining);
+      const pending = remaining.filter(entry => entry.status === 'pending');
+      if (pending.length > 0) {
+        const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        syncTimeoutRef.current = setTimeout(() => flushMatchdayQueue(), Math.max(0, nextAttemptAt - Date.now()));
+      }
+      if (remaining.length > 0) requestBackgroundSync();
+    } catch (err) {
+      console.error('Erreur file de synchronisation:', err);
+    }
+  }, [applySaveResult]);
+
+  // Abandon des journées en échec définitif : retour à la version en base
+  const handleDiscardFailedSync = async () => {
+    if (!window.confirm('Abandonner les saisies non synchronisées ? La version enregistrée sera rechargée.')) return;
+    try {
+      await discardFailed();
+      setSyncEntries(await listQueue());
+      const freshData = await fetchAppData();
+      if (freshData) {
+        skipNextMatchesLoadRef.current = false;
+        setAppData(freshData);
+      }
+    } catch (err) {
+      console.error('Erreur abandon file de synchronisation:', err);
+    }
+  };
+
+  // Les sauvegardes d'une même journée s'enchaînent : la révision attendue est lue au moment
+  // de l'envoi, après le retour de la précédente (sinon notre propre saisie passerait pour un conflit)
+  const persistMatchday = useCallback((block, expectedRevision = null) => {
+    const key = getQueueKey(block);
+    const run = async () => {
+      const expected = expectedRevision ?? Math.max(block.revision || 0, matchdayRevisionsRef.current[key] || 0);
+      try {
+        await enqueueMatchday(block, expected);
+      } catch (err) {
+        // IndexedDB indisponible (navigation privée...) : envoi direct, sans file
+        console.warn('File hors ligne indisponible :', err);
+        try {
+          applySaveResult(block, await saveMatches(block.championship, block.season, block.matchday, block.games, expected), expected);
+        } catch (saveErr) {
+          console.error('Erreur auto-save Supabase:', saveErr);
+          alert('Erreur lors de la sauvegarde de la journée');
+        }
+        return;
+      }
+      setSyncEntries(await listQueue());
+      flushMatchdayQueue();
+    };
+    const previous = saveChainsRef.current[key] || Promise.resolve();
+    const current = previous.then(run);
+    saveChainsRef.current[key] = current;
+    current.finally(() => {
+      if (saveChainsRef.current[key] === current) delete saveChainsRef.current[key];
+    });
+    return current;
+  }, [applySaveResult, flushMatchdayQueue]);
+
+  // Reprise de la file : au démarrage (admin), au retour du réseau et sur signal du service worker
+  useEffect(() => {
+    if (!isAdmin) return;
+    const flushNow = () => flushMatchdayQueue(true);
+    const onWorkerMessage = event => {
+      if (event.data?.type === 'FLUSH_MATCHDAYS') flushNow();
+    };
+    flushMatchdayQueue();
+    window.addEventListener('online', flushNow);
+    navigator.serviceWorker?.addEventListener('message', onWorkerMessage);
+    return () => {
+      clearTimeout(syncTimeoutRef.current);
+      window.removeEventListener('online', flushNow);
+      navigator.serviceWorker?.removeEventListener('message', onWorkerMessage);
+    };
+  }, [isAdmin, flushMatchdayQueue]);
+
+  // Conflit : garder la version enregistrée par l'autre admin (remplace nos saisies)
+  const handleKeepServerMatchday = () => {
+    const { block, serverGames, serverRevision } = matchdayConflict;
+    skipNextMatchesLoadRef.current = false;
+    matchdayRevisionsRef.current[`${block.championship}_${block.season}_${block.matchday}`] = serverRevision;
+    setAppData(prev => {
+      if (!prev) return prev;
+      const updated = structuredClone(prev);
+      const keyLower = block.championship.toLowerCase();
+      const others = (updated.entities.matches || []).filter(b =>
+        !(b.championship?.toLowerCase() === keyLower && Number(b.season) === block.season && b.matchday === block.matchday));
+      updated.entities.matches = [...others, { ...block, revision: serverRevision, games: serverGames }];
+      return updated;
+    });
+    setMatchdayConflict(null);
+  };
+
+  // Conflit : écraser la version enregistrée avec nos saisies
+  const handleOverwriteMatchday = () => {
+    const { block, serverRevision } = matchdayConflict;
+    setMatchdayConflict(null);
+    persistMatchday(block, serverRevision);
+  };
+
+  // === AUTO-SYNC : synchroniser les matchs vers appData à chaque modification ===
+  const syncMatchesToAppData = useCallback((updatedMatches) => {
+    if (!appData || appData.version !== '2.0' || allTeams.length === 0) return;
+
+    const championshipKey = registry.mapping[selectedChampionship] || selectedChampionship;
+    const getPenalty = (name) => penalties[`${selectedChampionship}_${selectedSeason}_${name}`] || 0;
+
+    // Remplacer le bloc de la journée et recalculer le classement depuis TOUS les matchs de la saison
+    const { data: updatedAppData, blocks: [newMatchBlock], seasonBlocks: allSeasonMatches } = applyMatchdayBlocks(
+      appData,
+      championshipKey,
+      selectedSeason,
+      [{ matchday: parseInt(selectedJournee), games: updatedMatches }],
+      { teams: allTeams, getPenalty }
+    );
+
+    // Empêcher loadDataFromAppData d'écraser les matchs en cours de saisie
+    skipNextMatchesLoadRef.current = true;
+    window.__hyeneFormDirty = true;
+    setAppData(updatedAppData);
+
+    // Auto-save vers Supabase si admin connecté (avec debounce pour éviter les doublons)
+    // Sauvegarder même si tous les matchs sont vides (pour supprimer les anciens matchs)
+    // Pas de sauvegarde tant que la journée contient une erreur (doublon, exempt sur le terrain...)
+    const blockingIssues = validateSeasonFixtures(allSeasonMatches, {
+      format: getSeasonFormat(registry, updatedAppData.entities.seasons, championshipKey, selectedSeason),
+      exemptTeam
+    }).filter(issue => issue.level === 'error' && issue.matchday === parseInt(selectedJournee));
+
+    if (isAdmin) {
+      // Annuler le save précédent s'il est en attente
+      if (saveMatchesTimeoutRef.current) {
+        clearTimeout(saveMatchesTimeoutRef.current);
+        saveMatchesTimeoutRef.current = null;
+      }
+      if (blockingIssues.length > 0) {
+        console.warn('Sauvegarde suspendue :', blockingIssues.map(issue => issue.message).join(', '));
+        return;
+      }
+
+      // Debounce pour éviter les sauvegardes multiples rapides
+      saveMatchesTimeoutRef.current = setTimeout(() => {
+        saveMatchesTimeoutRef.current = null;
+        persistMatchday(newMatchBlock);
+      }, AUTOSAVE_DEBOUNCE_MS);
+    }
+  }, [appData, allTeams, selectedChampionship, selectedSeason, selectedJournee, penalties, isAdmin, exemptTeam, persistMatchday]);
+
+  return (
+    <div className="h-screen bg-black text-white font-sans flex flex-col overflow-hidden safe-top ios26-app">
+      {/* CLASSEMENT */}
+      {selectedTab === 'classement' && (
+        <div className="h-full flex flex-col ios26-vibrancy pb-14">
+          <div className="px-2 pt-2 flex-shrink-0">
+            <div className="ios26-header rounded-xl py-2 text-center">
+              <h1 className="text-cyan-400 text-2xl font-extrabold tracking-widest glow-cyan">CLASSEMENT</h1>
+            </div>
+          </div>
+
+          <div className="flex-1 px-2">
+
+              {/* Selectors */}
+              <div className="py-2 relative">
+                <div className="flex items-stretch gap-3">
+                  <div className="flex-1 relative">
+                    <button
+                      onClick={() => setIsChampOpen(!isChampOpen)}
+                      className={`w-full h-12 ios26-btn rounded-xl px-4 text-white text-base font-semibold cursor-pointer flex items-center justify-between ${
+                        isChampOpen ? 'border-cyan-500/50' : ''
+                      }`}
+                    >
+                      <div className="flex items-center gap-3">
+                        <span className="text-2xl">{championships.find(c => c.id === selectedChampionship)?.icon}</span>
+                        <span className="truncate">{championships.find(c => c.id === selectedChampionship)?.name}</span>
+                      </div>
+                      <svg className={`w-5 h-5 text-cyan-400 flex-shrink-0 ${isChampOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                      </svg>
+                    </button>
+
+                    {isChampOpen && (
+                      <>
+                        <div className="fixed inset-0 z-40" onClick={() => setIsChampOpen(false)}></div>
+                        <div className="absolute left-0 right-0 top-full mt-2 ios26-dropdown rounded-2xl z-50 overflow-hidden">
+                          {championships.filter(c => c.type !== 'cup').map(champ => (
+                            <button
+                              key={champ.id}
+                              onClick={() => {
+                                setSelectedChampionship(champ.id);
+                                setIsChampOpen(false);
+                              }}
+                              className={`w-full px-4 py-3 text-base font-semibold text-left flex items-center gap-3 ${
+                                selectedChampionship === champ.id
+                                  ? 'bg-cyan-500/20 text-cyan-400'
+                                  : 'text-white hover:bg-white/10'
+                              }`}
+                            >
+                              <span className="text-2xl">{champ.icon}</span>
+                              <span>{champ.name}</span>
+                            </button>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </div>
+
+                  <div className="w-36 relative">
+                    <button
+                      onClick={() => setIsSeasonOpen(!isSeasonOpen)}
+                      className={`w-full h-12 ios26-btn rounded-xl px-4 text-white text-base font-semibold cursor-pointer flex items-center justify-between ${
+                        isSeasonOpen ? 'border-cyan-500/50' : ''
+                      }`}
+                    >
+                      <span className="whitespace-nowrap truncate">Saison {selectedSeason}</span>
+                      <svg className={`w-5 h-5 text-cyan-400 flex-shrink-0 ${isSeasonOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                      </svg>
+                    </button>
+
+                    {isSeasonOpen && (
+                      <>
+                        <div className="fixed inset-0 z-40" onClick={() => setIsSeasonOpen(false)}></div>
+                        <div className="absolute right-0 top-full mt-2 ios26-dropdown rounded-2xl z-50 w-40 max-h-72 overflow-y-auto">
+                          {[...seasons].reverse().map(season => (
+                            <button
+                              key={season}
+                              onClick={() => handleSeasonSelect(season)}
+                              className={`w-full px-4 py-3 text-base font-semibold text-left whitespace-nowrap ${
+                                selectedSeason === season
+                                  ? 'bg-cyan-500/20 text-cyan-400'
+                                  : 'text-white hover:bg-white/10'
+                              }`}
+                            >
+                              Saison {season}
+                            </button>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </div>
+
+              {/* Progress Bar */}
+              <div className="flex items-center gap-3 py-1.5">
+                <span className="text-gray-400 text-sm font-bold min-w-[52px]">
+                  J{seasonProgress.currentMatchday}/{seasonProgress.totalMatchdays}
+                </span>
+                <div className="flex-1 ios26-progress rounded-full h-2">
+                  <div
+                    className="ios26-progress-bar h-full rounded-full"
+                    style={{ width: `${seasonProgress.percentage}%` }}
+                  ></div>
+                </div>
+                <span className="text-cyan-400 text-sm font-bold glow-cyan min-w-[48px] text-right">{seasonProgress.percentage}%</span>
+              </div>
+
+              {/* Voyage dans le temps : classement après l'étape choisie */}
+              {seasonTimeline.length > 1 && (
+                <div className="flex items-center gap-3 py-1">
+                  <span className={`text-sm font-bold min-w-[52px] whitespace-nowrap ${timeTravelStep !== null ? 'text-amber-400' : 'text-gray-400'}`}>
+                    ⏱ {getTimelineStepLabel(timeTravelStep ?? seasonTimeline.length)}
+                  </span>
+                  <input
+                    type="range"
+                    min="1"
+                    max={seasonTimeline.length}
+                    value={timeTravelStep ?? seasonTimeline.length}
+                    onChange={(e) => {
+                      const step = parseInt(e.target.value);
+                      setTimeTravelStep(step >= seasonTimeline.length ? null : step);
+                    }}
+                    className="flex-1 accent-amber-400"
+                  />
+                  {timeTravelStep !== null ? (
+                    <button
+                      onClick={() => setTimeTravelStep(null)}
+                      className="ios26-btn rounded-lg px-2 py-0.5 text-amber-400 text-xs font-bold min-w-[48px]"
+                    >
+                      Actuel
+                    </button>
+                  ) : (
+                    <span className="text-gray-500 text-xs font-bold min-w-[48px] text-right">Actuel</span>
+                  )}
+                </div>
+              )}
+
+              {/* Table Header */}
+              <div className="grid grid-cols-12 gap-1 px-2 py-1.5 liquid-glass rounded-xl mt-1">
+                <div className="col-span-1 text-gray-400 text-sm font-bold text-center">#</div>
+                <div className="col-span-4 text-gray-400 text-sm font-bold text-left">CLUB</div>
+                <div className="col-span-2 text-gray-400 text-sm font-bold text-center">PTS</div>
+                <div className="col-span-2 text-gray-400 text-xs font-bold text-center">V-N-D</div>
+                <div className="col-span-2 text-gray-400 text-xs font-bold text-center">BP:BC</div>
+                <div className="col-span-1 text-gray-400 text-sm font-bold text-center">DIF</div>
+              </div>
+
+              {/* Teams List */}
+              <div className="pb-0">
+                {getSortedTeams().map((team) => (
+                  <div
+                    key={team.name}
+                    className={`grid grid-cols-12 gap-1 px-2 ios26-row items-center border-l-2 ${
+                      team.zone === 'promotion' ? 'border-green-400/70 bg-green-500/5'
+                        : team.zone === 'relegation' ? 'border-red-400/70 bg-red-500/5'
+                        : 'border-transparent'
+                    }`}
+                    style={{ height: '42px' }}
+                    title={team.zone === 'promotion' ? 'Zone de montée' : team.zone === 'relegation' ? 'Zone de descente' : undefined}
+                  >
+                    <div className="col-span-1 flex items-center justify-center font-mono font-bold text-base text-cyan-400 glow-cyan">
+                      {team.displayRank < 10 ? `0${team.displayRank}` : team.displayRank}
+                    </div>
+                    <div className="col-span-4 flex flex-col justify-center min-w-0">
+                      <div className="flex items-center gap-1 min-w-0">
+                        <span className={`font-bold text-base truncate leading-tight ${team.titleRace?.status === 'eliminated' ? 'text-gray-500' : 'text-white'}`}>{team.name}</span>
+                        {team.titleRace?.status === 'clinched' && (
+                          <span className="text-yellow-400 text-[10px] font-bold whitespace-nowrap" title="Titre mathématiquement assuré">🏆</span>
+                        )}
+                        {team.titleRace?.status === 'contender' && (
+                          <span className="text-cyan-400/80 text-[10px] font-bold font-mono whitespace-nowrap" title="Nombre magique : points à prendre pour être assuré du titre">M{team.titleRace.magic}</span>
+                        )}
+                        {team.postponed > 0 && (
+                          <span className="text-amber-400 text-[10px] font-bold whitespace-nowrap" title={`${team.postponed} match(s) reporté(s) en attente`}>⏸{team.postponed}</span>
+                        )}
+                        {team.movement > 0 && <span className="text-green-400 text-[10px] font-bold whitespace-nowrap">▲{team.movement}</span>}
+                        {team.movement < 0 && <span className="text-red-400 text-[10px] font-bold whitespace-nowrap">▼{-team.movement}</span>}
+                      </div>
+                      {/* Forme : 5 derniers résultats (du plus ancien au plus récent) et série en cours */}
+                      {team.form && (
+                        <div className="flex items-center gap-0.5 mt-0.5">
+                          {team.form.last5.map((result, i) => (
+                            <span
+                              key={i}
+                              className={`w-2 h-2 rounded-sm ${result === 'W' ? 'bg-green-400' : result === 'L' ? 'bg-red-400' : 'bg-gray-400'}`}
+                            />
+                          ))}
+                          <span className={`text-[9px] font-bold font-mono ml-1 ${
+                            team.form.streak.result === 'W' ? 'text-green-400' : team.form.streak.result === 'L' ? 'text-red-400' : 'text-gray-400'
+                          }`}>
+                            {team.form.streak.length}{team.form.streak.result === 'W' ? 'V' : team.form.streak.result === 'L' ? 'D' : 'N'}
+                          </span>
+                        </div>
+                      )}
+                    </div>
+                    <div className="col-span-2 text-center relative font-mono">
+                      <span className="text-green-400 font-bold text-lg glow-green">{team.effectivePts}</span>
+                      {getTeamPenalty(team.name) > 0 && (
+                        <span className="text-orange-400 text-[9px] font-bold absolute -top-0.5 ml-0.5">*</span>
+                      )}
+                    </div>
+                    <div className="col-span-2 text-center text-gray-300 text-xs font-medium whitespace-nowrap font-mono">
+                      {team.record}
+                    </div>
+                    <div className="col-span-2 text-center text-gray-300 text-xs font-medium whitespace-nowrap font-mono">
+                      {team.goalDiff}
+                    </div>
+                    <div className="col-span-1 text-center font-mono">
+                      <span className={`text-sm font-bold ${String(team.diff || '').startsWith('+') ? 'text-green-400' : 'text-red-400'}`}>
+                        {team.diff}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+
+                {/* Section Pénalités - iOS 26 Style */}
+                <div className="mt-1">
+                  <div className="liquid-glass rounded-lg px-2 py-1.5">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-2 flex-wrap flex-1">
+                        <span className="text-orange-400 text-xs font-bold">PÉNALITÉS</span>
+                        {getTeamsWithPenalties().map(({ teamName, points }) => (
+                          <div
+                            key={teamName}
+                            className="flex items-center gap-2 bg-orange-500/15 border border-orange-500/30 rounded-lg px-3 py-1"
+                          >
+                            <span className="text-white text-sm font-medium whitespace-nowrap">{teamName}</span>
+                            <span className="text-orange-400 text-sm font-bold whitespace-nowrap">-{points}</span>
+                            {isAdmin && (
+                              <button
+                                onClick={() => handleRemovePenalty(teamName)}
+                                className="text-gray-400 hover:text-red-400 ml-1"
+                              >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                </svg>
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                      {isAdmin && (
+                        <button
+                          onClick={() => setIsPenaltyModalOpen(true)}
+                          className="ios26-btn rounded-xl px-4 py-2 text-orange-400 text-sm font-bold border-orange-500/30"
+                        >
+                          + Ajouter
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
 
-      // Mettre à jour la progression (allSeasonMatches déjà défini plus haut)
-      const distinctMatchdays = new Set([...allSeasonMatches.map(b => b.matchday), parseInt(selectedJournee)]);
-      const currentMatchday = distinctMatchdays.size;
-      const totalMatchdays = 18;
-      setSeasonProgress({
-        currentMatchday,
-        totalMatchdays,
-        percentage: parseFloat(((currentMatchday / totalMatchdays) * 100).toFixed(1))
-      });
+                {/* Section Départage - iOS 26 Style */}
+                <div className="mt-1">
+                  <div className="liquid-glass rounded-lg px-2 py-1.5">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2 flex-wrap flex-1 min-w-0">
+                        <span className="text-purple-400 text-xs font-bold">DÉPARTAGE</span>
+                        <span className="text-gray-400 text-xs truncate">
+                          {['Pts', ...getCurrentTiebreakers().map(id => TIEBREAKER_RULES.find(r => r.id === id)?.label)].join(' › ')}
+                          {getCurrentRankMode() !== 'standard' && ` · ${RANK_MODES.find(m => m.id === getCurrentRankMode())?.label}`}
+                        </span>
+                      </div>
+                      {isAdmin && (
+                        <button
+                          onClick={openTiebreakerModal}
+                          className="ios26-btn rounded-xl px-4 py-2 text-purple-400 text-sm font-bold border-purple-500/30 flex-shrink-0"
+                        >
+                          Modifier
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
 
-      alert('✅ Classement mis à jour avec les nouvelles données !');
-    } else {
-      // Format v1.0 : simple re-render
-      setTeams([...teams]);
-      setMatches([...matches]);
-      setChampions([...champions]);
-      setPantheonTeams([...pantheonTeams]);
-      alert('✅ Données actualisées !');
-    }
-  };
+                {/* Section Format - iOS 26 Style (la Ligue des Hyènes cumule les journées des 4 championnats) */}
+                {selectedChampionship !== 'hyenes' && (
+                  <div className="mt-1">
+                    <div className="liquid-glass rounded-lg px-2 py-1.5">
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="flex items-center gap-2 flex-wrap flex-1 min-w-0">
+                          <span className="text-green-400 text-xs font-bold">FORMAT</span>
+                          <span className="text-gray-400 text-xs truncate">
+                            {seasonFormat.matchdays} journées · {seasonFormat.gamesPerMatchday} matchs/journée · {seasonFormat.managers.length > 0 ? `${seasonFormat.managers.length} managers` : 'tous les managers'}
+                          </span>
+                        </div>
+                        {isAdmin && (
+                          <button
+                            onClick={openFormatModal}
+                            className="ios26-btn rounded-xl px-4 py-2 text-green-400 text-sm font-bold border-green-500/30 flex-shrink-0"
+                          >
+                            Modifier
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )}
 
-  // === AUTO-SYNC : synchroniser les matchs vers appData à chaque modification ===
-  const syncMatchesToAppData = useCallback((updatedMatches) => {
-    if (!appData || appData.version !== '2.0' || allTeams.length === 0) return;
+                {/* Section Barème - iOS 26 Style (la Ligue des Hyènes reprend le barème de chaque championnat) */}
+                {selectedChampionship !== 'hyenes' && (
+                  <div className="mt-1">
+                    <div className="liquid-glass rounded-lg px-2 py-1.5">
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="flex items-center gap-2 flex-wrap flex-1 min-w-0">
+                          <span className="text-cyan-400 text-xs font-bold">BARÈME</span>
+                          <span className="text-gray-400 text-xs truncate">{formatPointsSystem(getCurrentPointsSystem())}</span>
+                        </div>
+                        {isAdmin && (
+                          <button
+                            onClick={openPointsModal}
+                            className="ios26-btn rounded-xl px-4 py-2 text-cyan-400 text-sm font-bold border-cyan-500/30 flex-shrink-0"
+                          >
+                            Modifier
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )}
 
-    const championshipKey = CHAMPIONSHIP_MAPPING[selectedChampionship] || selectedChampionship;
-    const seasonKey = `${championshipKey}_s${selectedSeason}`;
+                {/* Section Zones - iOS 26 Style (montées / descentes entre divisions, par saison) */}
+                {selectedChampionship !== 'hyenes' && (
+                  <div className="mt-1">
+                    <div className="liquid-glass rounded-lg px-2 py-1.5">
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="flex items-center gap-2 flex-wrap flex-1 min-w-0">
+                          <span className="text-emerald-400 text-xs font-bold">ZONES</span>
+                          <span className="text-gray-400 text-xs truncate">{formatSeasonZones(getCurrentZones())}</span>
+                        </div>
+                        {isAdmin && (
+                          <button
+                            onClick={openZonesModal}
+                            className="ios26-btn rounded-xl px-4 py-2 text-emerald-400 text-sm font-bold border-emerald-500/30 flex-shrink-0"
+                          >
+                            Modifier
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )}
 
-    const updatedAppData = structuredClone(appData);
+                {/* Section Agrégation - iOS 26 Style (règle de cumul des 4 championnats, par saison) */}
+                {selectedChampionship === 'hyenes' && (
+                  <div className="mt-1">
+                    <div className="liquid-glass rounded-lg px-2 py-1.5">
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="flex items-center gap-2 flex-wrap flex-1 min-w-0">
+                          <span className="text-orange-400 text-xs font-bold">AGRÉGATION</span>
+                          <span className="text-gray-400 text-xs truncate">{formatHyenesAggregation(registry, getHyenesAggregation(appData?.entities?.seasons, selectedSeason))}</span>
+                        </div>
+                        {isAdmin && (
+                          <button
+                            onClick={openAggregationModal}
+                            className="ios26-btn rounded-xl px-4 py-2 text-orange-400 text-sm font-bold border-orange-500/30 flex-shrink-0"
+                          >
+                            Modifier
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
 
-    if (!updatedAppData.entities.matches) {
-      updatedAppData.entities.matches = [];
-    }
+              {/* Modal Agrégation - iOS 26 Style */}
+              {isAggregationModalOpen && aggregationDraft && (
+                <>
+                  <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setIsAggregationModalOpen(false)}></div>
+                  <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                    <div className="ios26-modal rounded-3xl p-6 max-w-md w-full">
+                      <div className="text-center mb-4">
+                        <h3 className="text-orange-400 text-xl font-bold mb-1">AGRÉGATION</h3>
+                        <p className="text-gray-400 text-sm">Ligue des Hyènes — Saison {selectedSeason}</p>
+                      </div>
 
-    // Créer le bloc de matchs avec les données actuelles
-    const newMatchBlock = {
-      championship: championshipKey,
-      season: parseInt(selectedSeason),
-      matchday: parseInt(selectedJournee),
-      games: updatedMatches.map(m => ({
-        id: m.id,
-        homeTeam: m.homeTeam || '',
-        awayTeam: m.awayTeam || '',
-        homeScore: m.homeScore,
-        awayScore: m.awayScore
-      }))
-    };
+                      {/* Base : points marqués ou points de place */}
+                      <div className="grid grid-cols-2 gap-2 mb-4">
+                        {HYENES_AGGREGATION_BASES.map(basis => (
+                          <button
+                            key={basis.id}
+                            onClick={() => setAggregationDraft(prev => ({ ...prev, basis: basis.id }))}
+                            className={`rounded-xl px-3 py-2.5 text-left border ${
+                              aggregationDraft.basis === basis.id
+                                ? 'bg-orange-500/20 border-orange-500/50 text-orange-400'
+                                : 'bg-white/5 border-white/10 text-gray-400'
+                            }`}
+                          >
+                            <div className="text-sm font-bold">{basis.label}</div>
+                            <div className="text-[10px] text-gray-500">{basis.description}</div>
+                          </button>
+                        ))}
+                      </div>
 
-    // Mettre à jour ou ajouter le bloc
-    // Comparaison insensible à la casse
-    const championshipKeyLowerSync = championshipKey.toLowerCase();
-    const existingBlockIndex = updatedAppData.entities.matches.findIndex(
-      block => block.championship?.toLowerCase() === championshipKeyLowerSync &&
-               block.season === parseInt(selectedSeason) &&
-               block.matchday === parseInt(selectedJournee)
-    );
-    if (existingBlockIndex >= 0) {
-      updatedAppData.entities.matches[existingBlockIndex] = newMatchBlock;
-    } else {
-      updatedAppData.entities.matches.push(newMatchBlock);
-    }
+                      {aggregationDraft.basis === 'position' && (
+                        <div className="mb-4">
+                          <label className="block text-gray-400 text-xs font-bold mb-1 tracking-wide">POINTS PAR PLACE (1er, 2e, ...)</label>
+                          <input
+                            type="text"
+                            value={aggregationDraft.positionPoints}
+                            onChange={(e) => setAggregationDraft(prev => ({ ...prev, positionPoints: e.target.value }))}
+                            className="w-full ios26-input rounded-xl px-3 py-2.5 text-white font-mono text-sm"
+                          />
+                        </div>
+                      )}
 
-    // Recalculer le classement depuis TOUS les matchs de la saison
-    const allSeasonMatches = updatedAppData.entities.matches.filter(
-      block => block.championship?.toLowerCase() === championshipKeyLowerSync &&
-               block.season === parseInt(selectedSeason)
-    );
+                      {/* Coefficients par championnat */}
+                      <label className="block text-gray-400 text-xs font-bold mb-1 tracking-wide">COEFFICIENTS</label>
+                      <div className="flex flex-wrap gap-2 mb-4">
+                        {registry.euro.map(champ => (
+                          <div key={champ} className="flex-1 min-w-[56px]">
+                            <label className="block text-center text-lg mb-1">{registry.icons[champ]}</label>
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.1"
+                              value={aggregationDraft.coefficients[champ] ?? 1}
+                              onChange={(e) => updateAggregationCoefficient(champ, e.target.value)}
+                              className="w-full ios26-input rounded-xl px-2 py-2 text-white text-center font-bold"
+                            />
+                          </div>
+                        ))}
+                      </div>
 
-    const teamStats = calculateTeamStats(allSeasonMatches, allTeams);
-    const getPenalty = (name) => penalties[`${selectedChampionship}_${selectedSeason}_${name}`] || 0;
-    const newStandings = sortTeamsToStandings(teamStats, getPenalty);
+                      {/* N meilleurs championnats */}
+                      <label className="block text-gray-400 text-xs font-bold mb-1 tracking-wide">CHAMPIONNATS RETENUS</label>
+                      <div className="grid grid-cols-4 gap-2 mb-6">
+                        {[null, 3, 2, 1].map(n => (
+                          <button
+                            key={n ?? 'all'}
+                            onClick={() => setAggregationDraft(prev => ({ ...prev, bestN: n }))}
+                            className={`rounded-xl px-2 py-2 text-xs font-bold border ${
+                              aggregationDraft.bestN === n
+                                ? 'bg-orange-500/20 border-orange-500/50 text-orange-400'
+                                : 'bg-white/5 border-white/10 text-gray-400'
+                            }`}
+                          >
+                            {n === null ? 'Tous' : `${n} meilleur${n > 1 ? 's' : ''}`}
+                          </button>
+                        ))}
+                      </div>
 
-    // Sauvegarder les standings recalculés dans appData
-    if (!updatedAppData.entities.seasons[seasonKey]) {
-      updatedAppData.entities.seasons[seasonKey] = { standings: [] };
-    }
-    updatedAppData.entities.seasons[seasonKey].standings = newStandings;
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => setAggregationDraft({ ...DEFAULT_HYENES_AGGREGATION, positionPoints: DEFAULT_POSITION_POINTS.join(', ') })}
+                          className="ios26-btn rounded-xl px-4 py-3.5 text-gray-400 text-sm font-semibold"
+                        >
+                          Défaut
+                        </button>
+                        <button
+                          onClick={() => setIsAggregationModalOpen(false)}
+                          className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          onClick={handleSaveAggregation}
+                          disabled={isSavingAggregation}
+                          className="flex-1 bg-orange-500/20 border border-orange-500/50 hover:bg-orange-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-orange-400 text-sm font-bold"
+                        >
+                          {isSavingAggregation ? '...' : 'Enregistrer'}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </>
+              )}
 
-    // Empêcher loadDataFromAppData d'écraser les matchs en cours de saisie
-    skipNextMatchesLoadRef.current = true;
-    window.__hyeneFormDirty = true;
-    setAppData(updatedAppData);
+              {/* Modal Zones - iOS 26 Style */}
+              {isZonesModalOpen && (
+                <>
+                  <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setIsZonesModalOpen(false)}></div>
+                  <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                    <div className="ios26-modal rounded-3xl p-6 max-w-md w-full">
+                      <div className="text-center mb-4">
+                        <h3 className="text-emerald-400 text-xl font-bold mb-1">MONTÉES ET DESCENTES</h3>
+                        <p className="text-gray-400 text-sm">
+                          {championships.find(c => c.id === selectedChampionship)?.name} — Saison {selectedSeason}
+                        </p>
+                      </div>
 
-    // Auto-save vers Supabase si admin connecté (avec debounce pour éviter les doublons)
-    // Sauvegarder même si tous les matchs sont vides (pour supprimer les anciens matchs)
-    if (isAdmin) {
-      // Annuler le save précédent s'il est en attente
-      if (saveMatchesTimeoutRef.current) {
-        clearTimeout(saveMatchesTimeoutRef.current);
-      }
+                      <div className="grid grid-cols-2 gap-2 mb-3">
+                        {[['promotion', 'MONTÉES', 'text-green-400'], ['relegation', 'DESCENTES', 'text-red-400']].map(([field, label, color]) => (
+                          <div key={field}>
+                            <label className={`block text-xs font-bold mb-1 tracking-wide text-center ${color}`}>{label}</label>
+                            <input
+                              type="number"
+                              min="0"
+                              value={zonesDraft[field]}
+                              onChange={(e) => updateZonesDraft(field, e.target.value)}
+                              className="w-full ios26-input rounded-xl px-3 py-2.5 text-white text-center font-bold"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      <p className="text-gray-500 text-xs text-center mb-6">
+                        {getDivisionLadder(registry, registry.mapping[selectedChampionship] || selectedChampionship).length > 1
+                          ? 'Appliquées à la création de la saison suivante'
+                          : 'Ce championnat n\'a pas d\'autre division : les zones sont seulement affichées'}
+                      </p>
 
-      // Debounce pour éviter les sauvegardes multiples rapides
-      saveMatchesTimeoutRef.current = setTimeout(() => {
-        saveMatches(
-          championshipKey,
-          parseInt(selectedSeason),
-          parseInt(selectedJournee),
-          newMatchBlock.games
-        ).catch(err => console.error('Erreur auto-save Supabase:', err));
-      }, AUTOSAVE_DEBOUNCE_MS);
-    }
-  }, [appData, allTeams, selectedChampionship, selectedSeason, selectedJournee, penalties, isAdmin]);
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => setZonesDraft(DEFAULT_SEASON_ZONES)}
+                          className="ios26-btn rounded-xl px-4 py-3.5 text-gray-400 text-sm font-semibold"
+                        >
+                          Défaut
+                        </button>
+                        <button
+                          onClick={() => setIsZonesModalOpen(false)}
+                          className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          onClick={handleSaveZones}
+                          disabled={isSavingZones}
+                          className="flex-1 bg-emerald-500/20 border border-emerald-500/50 hover:bg-emerald-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-emerald-400 text-sm font-bold"
+                        >
+                          {isSavingZones ? '...' : 'Enregistrer'}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </>
+              )}
 
-  return (
-    <div className="h-screen bg-black text-white font-sans flex flex-col overflow-hidden safe-top ios26-app">
-      {/* CLASSEMENT */}
-      {selectedTab === 'classement' && (
-        <div className="h-full flex flex-col ios26-vibrancy pb-14">
-          <div className="px-2 pt-2 flex-shrink-0">
-            <div className="ios26-header rounded-xl py-2 text-center">
-              <h1 className="text-cyan-400 text-2xl font-extrabold tracking-widest glow-cyan">CLASSEMENT</h1>
-            </div>
-          </div>
+              {/* Modal Format - iOS 26 Style */}
+              {isFormatModalOpen && (
+                <>
+                  <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setIsFormatModalOpen(false)}></div>
+                  <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                    <div className="ios26-modal rounded-3xl p-6 max-w-md w-full">
+                      <div className="text-center mb-4">
+                        <h3 className="text-green-400 text-xl font-bold mb-1">FORMAT DE SAISON</h3>
+                        <p className="text-gray-400 text-sm">
+                          {championships.find(c => c.id === selectedChampionship)?.name} — Saison {selectedSeason}
+                        </p>
+                      </div>
 
-          <div className="flex-1 px-2">
+                      <div className="grid grid-cols-2 gap-2 mb-4">
+                        {[['matchdays', 'JOURNÉES'], ['gamesPerMatchday', 'MATCHS / JOURNÉE']].map(([field, label]) => (
+                          <div key={field}>
+                            <label className="block text-gray-400 text-xs font-bold mb-1 tracking-wide text-center">{label}</label>
+                            <input
+                              type="number"
+                              min="1"
+                              value={formatDraft[field] ?? ''}
+                              placeholder={field === 'gamesPerMatchday'
+                                ? `Auto (${getAutoGamesPerMatchday(formatDraft.managers, allTeams, exemptTeam)})`
+                                : undefined}
+                              onChange={(e) => updateFormatDraft(field, e.target.value)}
+                              className="w-full ios26-input rounded-xl px-3 py-2.5 text-white text-center font-bold"
+                            />
+                          </div>
+                        ))}
+                      </div>
 
-              {/* Selectors */}
-              <div className="py-2 relative">
-                <div className="flex items-stretch gap-3">
-                  <div className="flex-1 relative">
-                    <button
-                      onClick={() => setIsChampOpen(!isChampOpen)}
-                      className={`w-full h-12 ios26-btn rounded-xl px-4 text-white text-base font-semibold cursor-pointer flex items-center justify-between ${
-                        isChampOpen ? 'border-cyan-500/50' : ''
-                      }`}
-                    >
-                      <div className="flex items-center gap-3">
-                        <span className="text-2xl">{championships.find(c => c.id === selectedChampionship)?.icon}</span>
-                        <span className="truncate">{championships.find(c => c.id === selectedChampionship)?.name}</span>
+                      {/* Managers participants (aucun coché = tous) */}
+                      <label className="block text-gray-400 text-xs font-bold mb-2 tracking-wide">
+                        MANAGERS ({formatDraft.managers.length > 0 ? formatDraft.managers.length : 'tous'})
+                      </label>
+                      <div className="flex flex-wrap gap-1.5 mb-6 max-h-40 overflow-y-auto">
+                        {allTeams.map(team => (
+                          <button
+                            key={team}
+                            onClick={() => toggleFormatManager(team)}
+                            className={`rounded-lg px-3 py-1.5 text-xs font-semibold border ${
+                              formatDraft.managers.includes(team)
+                                ? 'bg-green-500/20 border-green-500/50 text-green-400'
+                                : 'bg-white/5 border-white/10 text-gray-400'
+                            }`}
+                          >
+                            {team}
+                          </button>
+                        ))}
                       </div>
-                      <svg className={`w-5 h-5 text-cyan-400 flex-shrink-0 ${isChampOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-                      </svg>
-                    </button>
 
-                    {isChampOpen && (
-                      <>
-                        <div className="fixed inset-0 z-40" onClick={() => setIsChampOpen(false)}></div>
-                        <div className="absolute left-0 right-0 top-full mt-2 ios26-dropdown rounded-2xl z-50 overflow-hidden">
-                          {championships.map(champ => (
-                            <button
-                              key={champ.id}
-                              onClick={() => {
-                                setSelectedChampionship(champ.id);
-                                setIsChampOpen(false);
-                              }}
-                              className={`w-full px-4 py-3 text-base font-semibold text-left flex items-center gap-3 ${
-                                selectedChampionship === champ.id
-                                  ? 'bg-cyan-500/20 text-cyan-400'
-                                  : 'text-white hover:bg-white/10'
-                              }`}
-                            >
-                              <span className="text-2xl">{champ.icon}</span>
-                              <span>{champ.name}</span>
-                            </button>
-                          ))}
-                        </div>
-                      </>
-                    )}
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => setFormatDraft({ ...DEFAULT_SEASON_FORMAT, gamesPerMatchday: null })}
+                          className="ios26-btn rounded-xl px-4 py-3.5 text-gray-400 text-sm font-semibold"
+                        >
+                          Défaut
+                        </button>
+                        <button
+                          onClick={() => setIsFormatModalOpen(false)}
+                          className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          onClick={handleSaveFormat}
+                          disabled={isSavingFormat}
+                          className="flex-1 bg-green-500/20 border border-green-500/50 hover:bg-green-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-green-400 text-sm font-bold"
+                        >
+                          {isSavingFormat ? '...' : 'Enregistrer'}
+                        </button>
+                      </div>
+                    </div>
                   </div>
+                </>
+              )}
 
-                  <div className="w-36 relative">
-                    <button
-                      onClick={() => setIsSeasonOpen(!isSeasonOpen)}
-                      className={`w-full h-12 ios26-btn rounded-xl px-4 text-white text-base font-semibold cursor-pointer flex items-center justify-between ${
-                        isSeasonOpen ? 'border-cyan-500/50' : ''
-                      }`}
-                    >
-                      <span className="whitespace-nowrap truncate">Saison {selectedSeason}</span>
-                      <svg className={`w-5 h-5 text-cyan-400 flex-shrink-0 ${isSeasonOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-                      </svg>
-                    </button>
+              {/* Modal Barème - iOS 26 Style */}
+              {isPointsModalOpen && (
+                <>
+                  <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setIsPointsModalOpen(false)}></div>
+                  <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                    <div className="ios26-modal rounded-3xl p-6 max-w-md w-full">
+                      <div className="text-center mb-4">
+                        <h3 className="text-cyan-400 text-xl font-bold mb-1">BARÈME DE POINTS</h3>
+                        <p className="text-gray-400 text-sm">
+                          {championships.find(c => c.id === selectedChampionship)?.name} — Saison {selectedSeason}
+                        </p>
+                      </div>
 
-                    {isSeasonOpen && (
-                      <>
-                        <div className="fixed inset-0 z-40" onClick={() => setIsSeasonOpen(false)}></div>
-                        <div className="absolute right-0 top-full mt-2 ios26-dropdown rounded-2xl z-50 w-40 max-h-72 overflow-y-auto">
-                          {[...seasons].reverse().map(season => (
-                            <button
-                              key={season}
-                              onClick={() => handleSeasonSelect(season)}
-                              className={`w-full px-4 py-3 text-base font-semibold text-left whitespace-nowrap ${
-                                selectedSeason === season
-                                  ? 'bg-cyan-500/20 text-cyan-400'
-                                  : 'text-white hover:bg-white/10'
-                              }`}
-                            >
-                              Saison {season}
-                            </button>
-                          ))}
-                        </div>
-                      </>
-                    )}
-                  </div>
-                </div>
-              </div>
+                      {/* Victoire / Nul / Défaite */}
+                      <div className="grid grid-cols-3 gap-2 mb-4">
+                        {[['win', 'VICTOIRE'], ['draw', 'NUL'], ['loss', 'DÉFAITE']].map(([field, label]) => (
+                          <div key={field}>
+                            <label className="block text-gray-400 text-xs font-bold mb-1 tracking-wide text-center">{label}</label>
+                            <input
+                              type="number"
+                              value={pointsDraft[field]}
+                              onChange={(e) => updatePointsDraft(field, e.target.value)}
+                              className="w-full ios26-input rounded-xl px-3 py-2.5 text-white text-center font-bold"
+                            />
+                          </div>
+                        ))}
+                      </div>
 
-              {/* Progress Bar */}
-              <div className="flex items-center gap-3 py-1.5">
-                <span className="text-gray-400 text-sm font-bold min-w-[52px]">
-                  J{seasonProgress.currentMatchday}/{seasonProgress.totalMatchdays}
-                </span>
-                <div className="flex-1 ios26-progress rounded-full h-2">
-                  <div
-                    className="ios26-progress-bar h-full rounded-full"
-                    style={{ width: `${seasonProgress.percentage}%` }}
-                  ></div>
-                </div>
-                <span className="text-cyan-400 text-sm font-bold glow-cyan min-w-[48px] text-right">{seasonProgress.percentage}%</span>
-              </div>
+                      {/* Bonus offensif */}
+                      <div className="rounded-xl bg-white/5 border border-white/10 p-3 mb-2">
+                        <label className="flex items-center gap-2 text-white text-sm font-semibold cursor-pointer">
+                          <input type="checkbox" checked={!!pointsDraft.attackBonus} onChange={() => togglePointsBonus('attackBonus')} />
+                          Bonus offensif
+                        </label>
+                        {pointsDraft.attackBonus && (
+                          <div className="flex items-center gap-2 mt-2 text-gray-400 text-xs">
+                            <span>+</span>
+                            <input type="number" value={pointsDraft.attackBonus.points} onChange={(e) => updatePointsBonus('attackBonus', 'points', e.target.value)} className="w-14 ios26-input rounded-lg px-2 py-1 text-white text-center" />
+                            <span>pt(s) si l'équipe marque au moins</span>
+                            <input type="number" min="1" value={pointsDraft.attackBonus.minGoals} onChange={(e) => updatePointsBonus('attackBonus', 'minGoals', e.target.value)} className="w-14 ios26-input rounded-lg px-2 py-1 text-white text-center" />
+                            <span>buts</span>
+                          </div>
+                        )}
+                      </div>
 
-              {/* Table Header */}
-              <div className="grid grid-cols-12 gap-1 px-2 py-1.5 liquid-glass rounded-xl mt-1">
-                <div className="col-span-1 text-gray-400 text-sm font-bold text-center">#</div>
-                <div className="col-span-4 text-gray-400 text-sm font-bold text-left">CLUB</div>
-                <div className="col-span-2 text-gray-400 text-sm font-bold text-center">PTS</div>
-                <div className="col-span-2 text-gray-400 text-xs font-bold text-center">V-N-D</div>
-                <div className="col-span-2 text-gray-400 text-xs font-bold text-center">BP:BC</div>
-                <div className="col-span-1 text-gray-400 text-sm font-bold text-center">DIF</div>
-              </div>
+                      {/* Bonus défensif */}
+                      <div className="rounded-xl bg-white/5 border border-white/10 p-3 mb-6">
+                        <label className="flex items-center gap-2 text-white text-sm font-semibold cursor-pointer">
+                          <input type="checkbox" checked={!!pointsDraft.defenseBonus} onChange={() => togglePointsBonus('defenseBonus')} />
+                          Bonus défensif
+                        </label>
+                        {pointsDraft.defenseBonus && (
+                          <div className="flex items-center gap-2 mt-2 text-gray-400 text-xs">
+                            <span>+</span>
+                            <input type="number" value={pointsDraft.defenseBonus.points} onChange={(e) => updatePointsBonus('defenseBonus', 'points', e.target.value)} className="w-14 ios26-input rounded-lg px-2 py-1 text-white text-center" />
+                            <span>pt(s) pour une défaite d'au plus</span>
+                            <input type="number" min="1" value={pointsDraft.defenseBonus.maxMargin} onChange={(e) => updatePointsBonus('defenseBonus', 'maxMargin', e.target.value)} className="w-14 ios26-input rounded-lg px-2 py-1 text-white text-center" />
+                            <span>but(s)</span>
+                          </div>
+                        )}
+                      </div>
 
-              {/* Teams List */}
-              <div className="pb-0">
-                {getSortedTeams().map((team) => (
-                  <div
-                    key={team.name}
-                    className="grid grid-cols-12 gap-1 px-2 ios26-row items-center"
-                    style={{ height: '42px' }}
-                  >
-                    <div className="col-span-1 flex items-center justify-center font-mono font-bold text-base text-cyan-400 glow-cyan">
-                      {team.displayRank < 10 ? `0${team.displayRank}` : team.displayRank}
-                    </div>
-                    <div className="col-span-4 flex items-center min-w-0">
-                      <span className="text-white font-bold text-base truncate">{team.name}</span>
-                    </div>
-                    <div className="col-span-2 text-center relative font-mono">
-                      <span className="text-green-400 font-bold text-lg glow-green">{team.effectivePts}</span>
-                      {getTeamPenalty(team.name) > 0 && (
-                        <span className="text-orange-400 text-[9px] font-bold absolute -top-0.5 ml-0.5">*</span>
-                      )}
-                    </div>
-                    <div className="col-span-2 text-center text-gray-300 text-xs font-medium whitespace-nowrap font-mono">
-                      {team.record}
-                    </div>
-                    <div className="col-span-2 text-center text-gray-300 text-xs font-medium whitespace-nowrap font-mono">
-                      {team.goalDiff}
-                    </div>
-                    <div className="col-span-1 text-center font-mono">
-                      <span className={`text-sm font-bold ${String(team.diff || '').startsWith('+') ? 'text-green-400' : 'text-red-400'}`}>
-                        {team.diff}
-                      </span>
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => setPointsDraft(DEFAULT_POINTS_SYSTEM)}
+                          className="ios26-btn rounded-xl px-4 py-3.5 text-gray-400 text-sm font-semibold"
+                        >
+                          Défaut
+                        </button>
+                        <button
+                          onClick={() => setIsPointsModalOpen(false)}
+                          className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          onClick={handleSavePointsSystem}
+                          disabled={isSavingPoints}
+                          className="flex-1 bg-cyan-500/20 border border-cyan-500/50 hover:bg-cyan-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-cyan-400 text-sm font-bold"
+                        >
+                          {isSavingPoints ? '...' : 'Enregistrer'}
+                        </button>
+                      </div>
                     </div>
                   </div>
-                ))}
+                </>
+              )}
 
-                {/* Section Pénalités - iOS 26 Style */}
-                <div className="mt-1">
-                  <div className="liquid-glass rounded-lg px-2 py-1.5">
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center gap-2 flex-wrap flex-1">
-                        <span className="text-orange-400 text-xs font-bold">PÉNALITÉS</span>
-                        {getTeamsWithPenalties().map(({ teamName, points }) => (
-                          <div
-                            key={teamName}
-                            className="flex items-center gap-2 bg-orange-500/15 border border-orange-500/30 rounded-lg px-3 py-1"
-                          >
-                            <span className="text-white text-sm font-medium whitespace-nowrap">{teamName}</span>
-                            <span className="text-orange-400 text-sm font-bold whitespace-nowrap">-{points}</span>
-                            {isAdmin && (
+              {/* Modal Départage - iOS 26 Style */}
+              {isTiebreakerModalOpen && (
+                <>
+                  <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setIsTiebreakerModalOpen(false)}></div>
+                  <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                    <div className="ios26-modal rounded-3xl p-6 max-w-md w-full">
+                      <div className="text-center mb-4">
+                        <h3 className="text-purple-400 text-xl font-bold mb-1">CRITÈRES DE DÉPARTAGE</h3>
+                        <p className="text-gray-400 text-sm">
+                          {championships.find(c => c.id === selectedChampionship)?.name} — Saison {selectedSeason}
+                        </p>
+                      </div>
+
+                      {/* Critères actifs (dans l'ordre) */}
+                      <label className="block text-gray-400 text-xs font-bold mb-2 tracking-wide">ORDRE D'APPLICATION (APRÈS LES POINTS)</label>
+                      <div className="space-y-1 mb-4">
+                        {tiebreakerDraft.length === 0 && (
+                          <p className="text-gray-500 text-xs text-center py-2">Aucun critère : ordre de saisie conservé</p>
+                        )}
+                        {tiebreakerDraft.map((ruleId, index) => (
+                          <div key={ruleId} className="flex items-center gap-2 px-3 py-2 rounded-lg bg-purple-500/10 border border-purple-500/30">
+                            <span className="text-purple-400 text-xs font-bold font-mono w-4">{index + 1}</span>
+                            <span className="flex-1 text-white text-sm font-medium truncate">{TIEBREAKER_RULES.find(r => r.id === ruleId)?.label}</span>
+                            <button onClick={() => moveTiebreakerRule(index, -1)} disabled={index === 0} className="text-gray-400 hover:text-white disabled:opacity-30 px-1">▲</button>
+                            <button onClick={() => moveTiebreakerRule(index, 1)} disabled={index === tiebreakerDraft.length - 1} className="text-gray-400 hover:text-white disabled:opacity-30 px-1">▼</button>
+                            <button onClick={() => toggleTiebreakerRule(ruleId)} className="text-gray-400 hover:text-red-400 px-1">✕</button>
+                          </div>
+                        ))}
+                      </div>
+
+                      {/* Critères disponibles */}
+                      {TIEBREAKER_RULES.some(r => !tiebreakerDraft.includes(r.id)) && (
+                        <>
+                          <label className="block text-gray-400 text-xs font-bold mb-2 tracking-wide">AJOUTER UN CRITÈRE</label>
+                          <div className="flex flex-wrap gap-1.5 mb-4">
+                            {TIEBREAKER_RULES.filter(r => !tiebreakerDraft.includes(r.id)).map(rule => (
                               <button
-                                onClick={() => handleRemovePenalty(teamName)}
-                                className="text-gray-400 hover:text-red-400 ml-1"
+                                key={rule.id}
+                                onClick={() => toggleTiebreakerRule(rule.id)}
+                                className="ios26-btn rounded-lg px-3 py-1.5 text-gray-300 text-xs font-semibold hover:text-purple-400"
                               >
-                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                                </svg>
+                                + {rule.label}
                               </button>
-                            )}
+                            ))}
                           </div>
+                        </>
+                      )}
+
+                      {/* Rangs des ex-aequo (non séparés par la chaîne de départage) */}
+                      <label className="block text-gray-400 text-xs font-bold mb-2 tracking-wide">RANGS DES EX-AEQUO</label>
+                      <div className="grid grid-cols-3 gap-1.5 mb-6">
+                        {RANK_MODES.map(mode => (
+                          <button
+                            key={mode.id}
+                            onClick={() => setRankModeDraft(mode.id)}
+                            className={`rounded-lg px-2 py-2 text-xs font-semibold border ${
+                              rankModeDraft === mode.id
+                                ? 'bg-purple-500/20 border-purple-500/50 text-purple-400'
+                                : 'bg-white/5 border-white/10 text-gray-400'
+                            }`}
+                          >
+                            <span className="block">{mode.label}</span>
+                            <span className="block text-[10px] opacity-70 font-mono">{mode.example}</span>
+                          </button>
                         ))}
                       </div>
-                      {isAdmin && (
+
+                      <div className="flex gap-3">
                         <button
-                          onClick={() => setIsPenaltyModalOpen(true)}
-                          className="ios26-btn rounded-xl px-4 py-2 text-orange-400 text-sm font-bold border-orange-500/30"
+                          onClick={() => { setTiebreakerDraft(DEFAULT_TIEBREAKERS); setRankModeDraft('standard'); }}
+                          className="ios26-btn rounded-xl px-4 py-3.5 text-gray-400 text-sm font-semibold"
                         >
-                          + Ajouter
+                          Défaut
                         </button>
-                      )}
+                        <button
+                          onClick={() => setIsTiebreakerModalOpen(false)}
+                          className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          onClick={handleSaveTiebreakers}
+                          disabled={isSavingTiebreakers}
+                          className="flex-1 bg-purple-500/20 border border-purple-500/50 hover:bg-purple-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-purple-400 text-sm font-bold"
+                        >
+                          {isSavingTiebreakers ? '...' : 'Enregistrer'}
+                        </button>
+                      </div>
                     </div>
                   </div>
-                </div>
-              </div>
+                </>
+              )}
 
               {/* Modal Pénalité - iOS 26 Style */}
               {isPenaltyModalOpen && (
@@ -3224,7 +6470,7 @@ export default function HyeneScores() {
                       <>
                         <div className="fixed inset-0 z-40" onClick={() => setIsChampOpen(false)}></div>
                         <div className="absolute left-0 right-0 top-full mt-2 ios26-dropdown rounded-2xl z-50 overflow-hidden">
-                          {championships.filter(c => c.id !== 'hyenes').map(champ => (
+                          {championships.filter(c => c.key !== HYENES_KEY && c.type !== 'cup' && c.active !== false).map(champ => (
                             <button
                               key={champ.id}
                               onClick={() => {
@@ -3319,6 +6565,63 @@ export default function HyeneScores() {
                 </div>
               </div>
 
+              {/* État de synchronisation (saisies en file IndexedDB) */}
+              {isAdmin && (syncEntries.length > 0 || lastSyncedAt) && (() => {
+                const failedCount = syncEntries.filter(entry => entry.status === 'failed').length;
+                const pendingCount = syncEntries.length - failedCount;
+                return (
+                  <div className={`flex items-center justify-between gap-2 rounded-xl px-3 py-1.5 mb-1 text-xs font-semibold ${
+                    failedCount > 0
+                      ? 'bg-red-500/10 border border-red-500/30 text-red-400'
+                      : pendingCount > 0
+                        ? 'bg-amber-500/10 border border-amber-500/30 text-amber-400'
+                        : 'bg-emerald-500/10 border border-emerald-500/30 text-emerald-400'
+                  }`}>
+                    <span>
+                      {failedCount > 0
+                        ? `⚠️ Échec de synchronisation (${failedCount} journée${failedCount > 1 ? 's' : ''})`
+                        : pendingCount > 0
+                          ? `⏳ En attente de synchronisation (${pendingCount})${navigator.onLine ? '' : ' · hors ligne'}`
+                          : '✓ Synchronisé'}
+                    </span>
+                    {syncEntries.length > 0 && (
+                      <span className="flex gap-2">
+                        <button onClick={() => flushMatchdayQueue(true)} className="underline whitespace-nowrap">
+                          Réessayer
+                        </button>
+                        {failedCount > 0 && (
+                          <button onClick={handleDiscardFailedSync} className="underline whitespace-nowrap">
+                            Abandonner
+                          </button>
+                        )}
+                      </span>
+                    )}
+                  </div>
+                );
+              })()}
+
+              {/* Annuler / rétablir les saisies de la journée */}
+              {isAdmin && (
+                <div className="flex justify-end gap-1 mb-1">
+                  <button
+                    onClick={handleUndo}
+                    disabled={matchHistory.past.length === 0}
+                    title="Annuler (Ctrl+Z)"
+                    className="ios26-btn rounded-lg px-3 py-1 text-cyan-400 text-xs font-semibold disabled:opacity-30 disabled:cursor-not-allowed"
+                  >
+                    ↶ Annuler
+                  </button>
+                  <button
+                    onClick={handleRedo}
+                    disabled={matchHistory.future.length === 0}
+                    title="Rétablir (Ctrl+Maj+Z)"
+                    className="ios26-btn rounded-lg px-3 py-1 text-cyan-400 text-xs font-semibold disabled:opacity-30 disabled:cursor-not-allowed"
+                  >
+                    ↷ Rétablir
+                  </button>
+                </div>
+              )}
+
               {/* Matches List */}
               <div className="mt-1">
                 {/* Header */}
@@ -3395,8 +6698,19 @@ export default function HyeneScores() {
                           )}
                       </div>
 
-                      {/* Scores */}
+                      {/* Scores (reporté / annulé : pas de score ; forfait : score sur tapis vert) */}
                       <div className="col-span-2 flex items-center justify-center gap-0.5">
+                        {match.status === 'postponed' || match.status === 'cancelled' || match.status === 'forfeited' ? (
+                          <div className={`text-center leading-tight ${match.status === 'cancelled' ? 'text-gray-500' : 'text-amber-400'}`}>
+                            <span className="block text-sm font-bold">
+                              {match.status === 'forfeited' ? `${match.homeScore} - ${match.awayScore}` : MATCH_STATUSES.find(st => st.id === match.status).icon}
+                            </span>
+                            <span className="block text-[9px] font-semibold uppercase">
+                              {match.status === 'forfeited' ? 'Tapis vert' : MATCH_STATUSES.find(st => st.id === match.status).label}
+                            </span>
+                          </div>
+                        ) : (
+                        <>
                           <input
                             type="number"
                             min={MIN_SCORE}
@@ -3407,8 +6721,7 @@ export default function HyeneScores() {
                               const raw = e.target.value === '' ? null : parseInt(e.target.value);
                               const value = raw !== null ? Math.max(MIN_SCORE, Math.min(MAX_SCORE, raw)) : null;
                               const updatedMatches = matches.map(m => m.id === match.id ? { ...m, homeScore: value } : m);
-                              setMatches(updatedMatches);
-                              syncMatchesToAppData(updatedMatches);
+                              commitMatches(updatedMatches, `${match.id}_home`);
                             }}
                             placeholder="-"
                             disabled={!isAdmin}
@@ -3431,8 +6744,7 @@ export default function HyeneScores() {
                               const raw = e.target.value === '' ? null : parseInt(e.target.value);
                               const value = raw !== null ? Math.max(MIN_SCORE, Math.min(MAX_SCORE, raw)) : null;
                               const updatedMatches = matches.map(m => m.id === match.id ? { ...m, awayScore: value } : m);
-                              setMatches(updatedMatches);
-                              syncMatchesToAppData(updatedMatches);
+                              commitMatches(updatedMatches, `${match.id}_away`);
                             }}
                             placeholder="-"
                             disabled={!isAdmin}
@@ -3444,6 +6756,8 @@ export default function HyeneScores() {
                                   : 'ios26-input text-cyan-400'
                             }`}
                           />
+                        </>
+                        )}
                       </div>
 
                       {/* Away Team */}
@@ -3500,10 +6814,59 @@ export default function HyeneScores() {
                             </>
                           )}
                       </div>
+
+                      {/* Statut du match (admin) et fiche détaillée */}
+                      {match.homeTeam && match.awayTeam && (isAdmin || match.playedAt || match.note || match.videoUrl || match.events?.length > 0 || match.homeClub || match.awayClub) && (
+                        <div className="col-span-12 flex justify-center gap-1.5 mt-1">
+                          {isAdmin && (
+                            <select
+                              value={match.status === 'forfeited'
+                                ? (match.homeScore < match.awayScore ? 'forfeit_home' : 'forfeit_away')
+                                : MANUAL_MATCH_STATUSES.includes(match.status) ? match.status : 'auto'}
+                              onChange={(e) => handleMatchStatusChange(match.id, e.target.value)}
+                              className="ios26-input rounded-lg px-2 py-0.5 text-[11px] text-gray-400 font-semibold outline-none"
+                            >
+                              <option value="auto">{getMatchStatus(match) === 'played' ? 'Joué' : 'À jouer'}</option>
+                              <option value="postponed">⏸ Reporté</option>
+                              <option value="forfeit_home">🟩 Forfait {match.homeTeam}</option>
+                              <option value="forfeit_away">🟩 Forfait {match.awayTeam}</option>
+                              <option value="cancelled">✕ Annulé</option>
+                            </select>
+                          )}
+                          {(match.homeClub || match.awayClub) && (
+                            <span className="self-center text-[10px] text-gray-500 truncate">🛡️ {match.homeClub || '?'} – {match.awayClub || '?'}</span>
+                          )}
+                          <button
+                            onClick={() => openMatchDetail(match)}
+                            className={`ios26-input rounded-lg px-2 py-0.5 text-[11px] font-semibold ${match.playedAt || match.note || match.videoUrl || match.events?.length > 0 || match.homeClub || match.awayClub ? 'text-cyan-400' : 'text-gray-400'}`}
+                          >
+                            📝 Détails{match.events?.length > 0 ? ` · ⚽${match.events.length}` : ''}
+                          </button>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
 
+                {/* Contrôle d'intégrité - erreurs de la journée affichée = sauvegarde suspendue */}
+                {fixtureIssues.length > 0 && (
+                  <div className="mt-3 liquid-glass rounded-xl px-3 py-2">
+                    <p className="text-amber-400 text-xs font-bold tracking-wide mb-1">
+                      ⚠️ CONTRÔLE DU CALENDRIER ({fixtureIssues.length})
+                    </p>
+                    {fixtureIssues.some(issue => issue.level === 'error' && issue.matchday === parseInt(selectedJournee)) && (
+                      <p className="text-red-400 text-xs font-semibold mb-1">Sauvegarde suspendue : corrigez la journée {selectedJournee}.</p>
+                    )}
+                    <div className="max-h-28 overflow-y-auto space-y-0.5">
+                      {fixtureIssues.map((issue, i) => (
+                        <p key={i} className={`text-xs ${issue.level === 'error' ? 'text-red-300' : 'text-gray-400'}`}>
+                          {issue.level === 'error' ? '✕' : '•'} {issue.message}
+                        </p>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Section Exempt - iOS 26 Style */}
                 <div className="mt-3 pt-2">
                   <div className="liquid-glass rounded-xl p-3">
@@ -3533,7 +6896,7 @@ export default function HyeneScores() {
                               >
                                 Aucune
                               </button>
-                              {allTeams.map(team => (
+                              {seasonTeams.map(team => (
                                 <button
                                   key={team}
                                   onClick={() => {
@@ -3550,10 +6913,798 @@ export default function HyeneScores() {
                         )}
                       </div>
                     </div>
+                    {Array.isArray(seasonFormat.exemptRotation) && (
+                      <p className="text-center text-gray-400 text-xs mt-2">
+                        Calendrier généré : l'exemption tourne, exempt de la journée {selectedJournee}
+                      </p>
+                    )}
+                  </div>
+                </div>
+
+                {/* Générateur de calendrier */}
+                {isAdmin && (
+                  <button
+                    onClick={openFixtureModal}
+                    className="w-full mt-2 ios26-btn rounded-xl px-4 py-3 text-cyan-400 text-sm font-semibold"
+                  >
+                    📅 Générer le calendrier
+                  </button>
+                )}
+
+                {/* Saisie par collage */}
+                {isAdmin && pasteChampionshipKey !== HYENES_KEY && (
+                  <button
+                    onClick={() => setPasteText('')}
+                    className="w-full mt-2 ios26-btn rounded-xl px-4 py-3 text-cyan-400 text-sm font-semibold"
+                  >
+                    📋 Coller des résultats
+                  </button>
+                )}
+              </div>
+
+              {/* Modal Calendrier - iOS 26 Style */}
+              {isFixtureModalOpen && (
+                <>
+                  <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setIsFixtureModalOpen(false)}></div>
+                  <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                    <div className="ios26-modal rounded-3xl p-6 max-w-md w-full max-h-[85vh] flex flex-col">
+                      <div className="text-center mb-4">
+                        <h3 className="text-cyan-400 text-xl font-bold mb-1">CALENDRIER</h3>
+                        <p className="text-gray-400 text-sm">Saison {selectedSeason} — toutes rencontres</p>
+                      </div>
+
+                      {/* Championnats à programmer (un championnat entamé ne peut pas être régénéré) */}
+                      <div className="flex flex-wrap gap-1.5 mb-3">
+                        {leagueChampionshipKeys.map(key => {
+                          const playedCount = getPlayedMatchdayCount(key);
+                          return (
+                            <button
+                              key={key}
+                              onClick={() => toggleFixtureChampionship(key)}
+                              disabled={playedCount > 0}
+                              title={playedCount > 0 ? `${playedCount} journée(s) déjà disputée(s)` : undefined}
+                              className={`rounded-lg px-3 py-1.5 text-xs font-semibold border disabled:opacity-40 ${
+                                fixtureDraft.championships.includes(key)
+                                  ? 'bg-cyan-500/20 border-cyan-500/50 text-cyan-400'
+                                  : 'bg-white/5 border-white/10 text-gray-400'
+                              }`}
+                            >
+                              {registry.icons[key]} {championships.find(c => c.key === key)?.name}
+                            </button>
+                          );
+                        })}
+                      </div>
+
+                      <div className="grid grid-cols-2 gap-2 mb-3">
+                        {[[1, 'Aller simple'], [2, 'Aller-retour']].map(([legs, label]) => (
+                          <button
+                            key={legs}
+                            onClick={() => setFixtureDraft(prev => ({ ...prev, legs }))}
+                            className={`rounded-xl px-3 py-2 text-sm font-semibold border ${
+                              fixtureDraft.legs === legs
+                                ? 'bg-cyan-500/20 border-cyan-500/50 text-cyan-400'
+                                : 'bg-white/5 border-white/10 text-gray-400'
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+
+                      {/* Aperçu : rien n'est enregistré avant confirmation */}
+                      <div className="flex-1 overflow-y-auto space-y-3 mb-4">
+                        {fixtureDraft.championships.length === 0 && (
+                          <p className="text-gray-500 text-sm text-center py-4">Sélectionnez un championnat sans journée disputée.</p>
+                        )}
+                        {fixtureDraft.championships.map(key => {
+                          const participants = fixtureDraft.orders[key] || [];
+                          const rounds = generateRoundRobin(participants, { legs: fixtureDraft.legs });
+                          return (
+                            <div key={key}>
+                              <p className="text-gray-300 text-xs font-bold tracking-wide mb-1">
+                                {registry.icons[key]} {championships.find(c => c.key === key)?.name?.toUpperCase()} — {participants.length} managers, {rounds.length} journées
+                              </p>
+                              {rounds.length === 0 && (
+                                <p className="text-red-400 text-xs">Au moins 2 managers sont nécessaires.</p>
+                              )}
+                              {rounds.map((round, i) => (
+                                <div key={i} className="liquid-glass rounded-xl px-3 py-2 mb-1">
+                                  <p className="text-cyan-400 text-xs font-bold mb-0.5">J{i + 1}</p>
+                                  {round.games.map((g, j) => (
+                                    <p key={j} className="text-white text-xs">{g.homeTeam} – {g.awayTeam}</p>
+                                  ))}
+                                  {round.exempt && <p className="text-red-300 text-xs mt-0.5">Exempt : {round.exempt}</p>}
+                                </div>
+                              ))}
+                            </div>
+                          );
+                        })}
+                      </div>
+
+                      {fixtureDraft.championships.some(key => (fixtureDraft.orders[key] || []).length % 2 === 1) && (
+                        <p className="text-gray-500 text-xs text-center mb-3">
+                          Nombre impair de managers : l'exemption tourne à chaque journée et remplace l'exempt de saison.
+                        </p>
+                      )}
+
+                      <div className="flex gap-3">
+                        <button
+                          onClick={redrawFixtures}
+                          className="ios26-btn rounded-xl px-4 py-3.5 text-gray-400 text-sm font-semibold"
+                        >
+                          Nouveau tirage
+                        </button>
+                        <button
+                          onClick={() => setIsFixtureModalOpen(false)}
+                          className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          onClick={handleSaveFixtures}
+                          disabled={isSavingFixtures || fixtureDraft.championships.length === 0}
+                          className="flex-1 bg-cyan-500/20 border border-cyan-500/50 hover:bg-cyan-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-cyan-400 text-sm font-bold"
+                        >
+                          {isSavingFixtures ? '...' : 'Enregistrer'}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </>
+              )}
+
+              {/* Fiche détaillée d'un match - iOS 26 Style */}
+              {matchDetailDraft && (() => {
+                const match = matches.find(m => m.id === matchDetailDraft.matchId);
+                if (!match) return null;
+                const safeVideoUrl = getSafeVideoUrl(match.videoUrl);
+                const { events, newEvent } = matchDetailDraft;
+                const sideTeam = side => side === 'away' ? match.awayTeam : match.homeTeam;
+                const otherSide = side => side === 'away' ? 'home' : 'away';
+                // Joueur de la ligne en cours : camp crédité pour un but, camp adverse pour un CSC
+                const playerTeam = sideTeam(newEvent.type === 'own_goal' ? otherSide(newEvent.side) : newEvent.side);
+                const goalsBySide = side => events.filter(e => e.side === side).length;
+                const scoreMismatch = getMatchStatus(match) === 'played' && events.length > 0 &&
+                  (goalsBySide('home') !== match.homeScore || goalsBySide('away') !== match.awayScore);
+                return (
+                  <>
+                    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setMatchDetailDraft(null)}></div>
+                    <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                      <div className="ios26-modal rounded-3xl p-6 max-w-md w-full max-h-[85vh] overflow-y-auto">
+                        <div className="text-center mb-4">
+                          <h3 className="text-cyan-400 text-xl font-bold mb-1">{match.homeTeam} – {match.awayTeam}</h3>
+                          <p className="text-gray-400 text-sm">Journée {selectedJournee} — Saison {selectedSeason}</p>
+                        </div>
+
+                        {isAdmin ? (
+                          <div className="space-y-3 mb-5">
+                            <label className="block">
+                              <span className="text-gray-400 text-xs font-semibold">Date du match</span>
+                              <input
+                                type="datetime-local"
+                                value={matchDetailDraft.playedAt}
+                                onChange={(e) => setMatchDetailDraft(prev => ({ ...prev, playedAt: e.target.value }))}
+                                className="w-full ios26-input rounded-xl px-3 py-2 text-white text-sm mt-1"
+                              />
+                            </label>
+                            <div className="grid grid-cols-2 gap-2">
+                              {[['homeClub', match.homeTeam], ['awayClub', match.awayTeam]].map(([field, team]) => (
+                                <label key={field} className="block min-w-0">
+                                  <span className="text-gray-400 text-xs font-semibold truncate block">Club de {team}</span>
+                                  <input
+                                    type="text"
+                                    list="match-clubs"
+                                    value={matchDetailDraft[field]}
+                                    onChange={(e) => setMatchDetailDraft(prev => ({ ...prev, [field]: e.target.value }))}
+                                    maxLength={MAX_MANAGER_NAME_LENGTH}
+                                    placeholder="PSG, Real Madrid…"
+                                    className="w-full ios26-input rounded-xl px-3 py-2 text-white text-sm mt-1"
+                                  />
+                                </label>
+                              ))}
+                              <datalist id="match-clubs">
+                                {knownClubs.map(club => <option key={club} value={club} />)}
+                              </datalist>
+                            </div>
+                            <label className="block">
+                              <span className="text-gray-400 text-xs font-semibold">Note</span>
+                              <textarea
+                                value={matchDetailDraft.note}
+                                onChange={(e) => setMatchDetailDraft(prev => ({ ...prev, note: e.target.value }))}
+                                rows={3}
+                                maxLength={500}
+                                className="w-full ios26-input rounded-xl px-3 py-2 text-white text-sm mt-1"
+                              />
+                            </label>
+                            <label className="block">
+                              <span className="text-gray-400 text-xs font-semibold">Lien du replay</span>
+                              <input
+                                type="url"
+                                value={matchDetailDraft.videoUrl}
+                                onChange={(e) => setMatchDetailDraft(prev => ({ ...prev, videoUrl: e.target.value }))}
+                                placeholder="https://"
+                                className="w-full ios26-input rounded-xl px-3 py-2 text-white text-sm mt-1"
+                              />
+                            </label>
+                          </div>
+                        ) : (
+                          <div className="space-y-2 mb-5 text-sm">
+                            {match.playedAt && <p className="text-gray-300">📅 {formatPlayedAt(match.playedAt)}</p>}
+                            {(match.homeClub || match.awayClub) && (
+                              <p className="text-gray-300">🛡️ {match.homeClub || '?'} – {match.awayClub || '?'}</p>
+                            )}
+                            {match.note && <p className="text-gray-300 whitespace-pre-line">{match.note}</p>}
+                            {safeVideoUrl && (
+                              <a href={safeVideoUrl} target="_blank" rel="noopener noreferrer" className="text-cyan-400 underline">▶ Voir le replay</a>
+                            )}
+                          </div>
+                        )}
+
+                        {/* Buteurs */}
+                        {(isAdmin || events.length > 0) && (
+                          <div className="liquid-glass rounded-xl px-3 py-2 mb-5">
+                            <p className="text-gray-400 text-[10px] font-bold tracking-wide mb-1">BUTEURS</p>
+                            {events.length === 0 && <p className="text-gray-500 text-xs">Aucun but saisi</p>}
+                            {events.map((event, i) => (
+                              <div key={i} className={`flex items-center gap-1.5 text-xs py-0.5 ${event.side === 'away' ? 'flex-row-reverse text-right' : ''}`}>
+                                <span>{MATCH_EVENT_TYPES.find(t => t.id === event.type)?.icon}</span>
+                                <span className="text-white font-semibold">{event.player}</span>
+                                {event.minute && <span className="text-gray-500 font-mono">{event.minute}'</span>}
+                                {event.type === 'own_goal' && <span className="text-gray-500">(CSC)</span>}
+                                {event.assist && <span className="text-gray-500 truncate">passe : {event.assist}</span>}
+                                {isAdmin && (
+                                  <button
+                                    onClick={() => setMatchDetailDraft(prev => ({ ...prev, events: prev.events.filter((_, j) => j !== i) }))}
+                                    className="text-red-400 px-1"
+                                    title="Supprimer"
+                                  >
+                                    ✕
+                                  </button>
+                                )}
+                              </div>
+                            ))}
+                            {scoreMismatch && (
+                              <p className="text-amber-400 text-[10px] mt-1">
+                                Buts saisis {goalsBySide('home')}-{goalsBySide('away')} ≠ score {match.homeScore}-{match.awayScore}
+                              </p>
+                            )}
+
+                            {isAdmin && (
+                              <div className="border-t border-white/5 mt-2 pt-2 space-y-1.5">
+                                <div className="grid grid-cols-2 gap-1.5">
+                                  <select
+                                    value={newEvent.side}
+                                    onChange={(e) => setMatchDetailDraft(prev => ({ ...prev, newEvent: { ...prev.newEvent, side: e.target.value } }))}
+                                    className="ios26-input rounded-lg px-2 py-1 text-xs text-white outline-none"
+                                  >
+                                    <option value="home">Pour {match.homeTeam}</option>
+                                    <option value="away">Pour {match.awayTeam}</option>
+                                  </select>
+                                  <select
+                                    value={newEvent.type}
+                                    onChange={(e) => setMatchDetailDraft(prev => ({ ...prev, newEvent: { ...prev.newEvent, type: e.target.value } }))}
+                                    className="ios26-input rounded-lg px-2 py-1 text-xs text-white outline-none"
+                                  >
+                                    {MATCH_EVENT_TYPES.map(t => <option key={t.id} value={t.id}>{t.icon} {t.label}</option>)}
+                                  </select>
+                                </div>
+                                <div className="grid grid-cols-12 gap-1.5">
+                                  <input
+                                    type="text"
+                                    list="match-event-players"
+                                    value={newEvent.player}
+                                    onChange={(e) => setMatchDetailDraft(prev => ({ ...prev, newEvent: { ...prev.newEvent, player: e.target.value } }))}
+                                    placeholder={`Joueur (${playerTeam})`}
+                                    maxLength={MAX_MANAGER_NAME_LENGTH}
+                                    className="col-span-5 ios26-input rounded-lg px-2 py-1 text-xs text-white outline-none"
+                                  />
+                                  <input
+                                    type="text"
+                                    list="match-event-players"
+                                    value={newEvent.assist}
+                                    onChange={(e) => setMatchDetailDraft(prev => ({ ...prev, newEvent: { ...prev.newEvent, assist: e.target.value } }))}
+                                    placeholder="Passeur"
+                                    disabled={newEvent.type !== 'goal'}
+                                    maxLength={MAX_MANAGER_NAME_LENGTH}
+                                    className="col-span-4 ios26-input rounded-lg px-2 py-1 text-xs text-white outline-none disabled:opacity-40"
+                                  />
+                                  <input
+                                    type="number"
+                                    min={1}
+                                    max={130}
+                                    value={newEvent.minute}
+                                    onChange={(e) => setMatchDetailDraft(prev => ({ ...prev, newEvent: { ...prev.newEvent, minute: e.target.value } }))}
+                                    placeholder="Min."
+                                    className="col-span-3 ios26-input rounded-lg px-2 py-1 text-xs text-white outline-none"
+                                  />
+                                </div>
+                                <datalist id="match-event-players">
+                                  {(knownPlayersByManager[playerTeam] || []).map(name => <option key={name} value={name} />)}
+                                </datalist>
+                                <button
+                                  onClick={handleAddMatchEvent}
+                                  disabled={!newEvent.player.trim()}
+                                  className="w-full ios26-btn rounded-lg px-3 py-1.5 text-cyan-400 text-xs font-semibold disabled:opacity-40"
+                                >
+                                  + Ajouter le but
+                                </button>
+                              </div>
+                            )}
+                          </div>
+                        )}
+
+                        <div className="flex gap-3">
+                          <button
+                            onClick={() => setMatchDetailDraft(null)}
+                            className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                          >
+                            {isAdmin ? 'Annuler' : 'Fermer'}
+                          </button>
+                          {isAdmin && (
+                            <button
+                              onClick={handleSaveMatchDetail}
+                              className="flex-1 bg-cyan-500/20 border border-cyan-500/50 hover:bg-cyan-500/30 rounded-xl px-4 py-3.5 text-cyan-400 text-sm font-bold"
+                            >
+                              Enregistrer
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  </>
+                );
+              })()}
+
+              {/* Modal Saisie par collage - iOS 26 Style */}
+              {pastePreview && (
+                <>
+                  <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setPasteText(null)}></div>
+                  <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                    <div className="ios26-modal rounded-3xl p-6 max-w-md w-full max-h-[85vh] flex flex-col">
+                      <div className="text-center mb-4">
+                        <h3 className="text-cyan-400 text-xl font-bold mb-1">COLLER DES RÉSULTATS</h3>
+                        <p className="text-gray-400 text-sm">
+                          {registry.icons[pasteChampionshipKey]} Saison {selectedSeason} — sans en-tête : journée {selectedJournee}
+                        </p>
+                      </div>
+
+                      <textarea
+                        value={pasteText}
+                        onChange={(e) => setPasteText(e.target.value)}
+                        rows={6}
+                        autoFocus
+                        placeholder={'J12\nAlice 2-1 Bob\nChloé - David 0-0'}
+                        className="w-full bg-white/5 border border-white/10 rounded-xl px-3 py-2 text-white text-sm font-mono mb-3 focus:outline-none focus:border-cyan-500/50"
+                      />
+
+                      {/* Aperçu : rien n'est enregistré avant confirmation */}
+                      <div className="flex-1 overflow-y-auto space-y-2 mb-4">
+                        {pastePreview.matchdays.map(({ matchday, games }) => (
+                          <div key={matchday} className="liquid-glass rounded-xl px-3 py-2">
+                            <p className="text-cyan-400 text-xs font-bold mb-0.5">J{matchday}</p>
+                            {games.map((g, i) => (
+                              <div key={i}>
+                                <p className={`text-xs ${g.issues.length > 0 ? 'text-red-400' : 'text-white'}`}>
+                                  {g.homeTeam || g.rawHome} {g.homeScore} - {g.awayScore} {g.awayTeam || g.rawAway}
+                                </p>
+                                {g.issues.length > 0 && <p className="text-red-400/80 text-[10px]">{g.issues.join(' · ')}</p>}
+                              </div>
+                            ))}
+                          </div>
+                        ))}
+                        {pastePreview.fixtureErrors.map((issue, i) => (
+                          <p key={i} className="text-red-400 text-xs">J{issue.matchday} : {issue.message}</p>
+                        ))}
+                        {pastePreview.unparsed.length > 0 && (
+                          <div className="px-1">
+                            <p className="text-gray-500 text-[10px] font-bold tracking-wide">LIGNES IGNORÉES</p>
+                            {pastePreview.unparsed.map((line, i) => (
+                              <p key={i} className="text-gray-500 text-xs truncate">{line}</p>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => setPasteText(null)}
+                          className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          onClick={handleApplyPastedResults}
+                          disabled={pastePreview.blocks.length === 0 || pastePreview.flagged > 0 || pastePreview.fixtureErrors.length > 0}
+                          title={pastePreview.flagged > 0 ? `${pastePreview.flagged} ligne(s) à corriger` : undefined}
+                          className="flex-1 bg-cyan-500/20 border border-cyan-500/50 hover:bg-cyan-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-cyan-400 text-sm font-bold"
+                        >
+                          Appliquer
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </>
+              )}
+          </div>
+        </div>
+      )}
+
+      {/* Modal Conflit de sauvegarde - iOS 26 Style */}
+      {matchdayConflict && (() => {
+        const formatGame = g => {
+          const m = normalizeMatch(g);
+          const score = m.status === 'postponed' || m.status === 'cancelled'
+            ? MATCH_STATUSES.find(st => st.id === m.status).label
+            : m.homeScore !== null && m.awayScore !== null ? `${m.homeScore} - ${m.awayScore}` : '–';
+          return `${m.homeTeam} ${score} ${m.awayTeam}`;
+        };
+        const localRows = matchdayConflict.block.games.filter(g => g.homeTeam && g.awayTeam).map(formatGame);
+        const serverRows = matchdayConflict.serverGames.map(formatGame);
+        const columns = [['VOS SAISIES', localRows, serverRows], ['VERSION ENREGISTRÉE', serverRows, localRows]];
+        return (
+          <>
+            <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50"></div>
+            <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+              <div className="ios26-modal rounded-3xl p-6 max-w-md w-full">
+                <div className="text-center mb-4">
+                  <h3 className="text-amber-400 text-xl font-bold mb-1">CONFLIT DE SAUVEGARDE</h3>
+                  <p className="text-gray-400 text-sm">
+                    {registry.icons[matchdayConflict.block.championship]} Saison {matchdayConflict.block.season} — Journée {matchdayConflict.block.matchday}
+                  </p>
+                  <p className="text-gray-500 text-xs mt-1">Un autre admin a enregistré cette journée pendant votre saisie.</p>
+                </div>
+                <div className="grid grid-cols-2 gap-2 mb-5">
+                  {columns.map(([title, rows, otherRows]) => (
+                    <div key={title} className="liquid-glass rounded-xl px-2 py-2">
+                      <p className="text-gray-400 text-[10px] font-bold tracking-wide mb-1 text-center">{title}</p>
+                      {rows.length === 0 && <p className="text-gray-500 text-xs text-center">Aucun match</p>}
+                      {rows.map((row, i) => (
+                        <p key={i} className={`text-xs leading-snug ${otherRows.includes(row) ? 'text-gray-300' : 'text-amber-300 font-semibold'}`}>{row}</p>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+                <div className="flex gap-3">
+                  <button
+                    onClick={handleKeepServerMatchday}
+                    className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                  >
+                    Garder l'enregistrée
+                  </button>
+                  <button
+                    onClick={handleOverwriteMatchday}
+                    className="flex-1 bg-amber-500/20 border border-amber-500/50 hover:bg-amber-500/30 rounded-xl px-4 py-3.5 text-amber-400 text-sm font-bold"
+                  >
+                    Écraser avec mes saisies
+                  </button>
+                </div>
+              </div>
+            </div>
+          </>
+        );
+      })()}
+
+      {/* COUPES */}
+      {selectedTab === 'coupes' && (
+        <div className="h-full flex flex-col ios26-vibrancy overflow-y-auto pb-16">
+          <div className="px-2 pt-2 flex-shrink-0">
+            <div className="ios26-header rounded-xl py-2 text-center">
+              <h1 className="text-cyan-400 text-2xl font-extrabold tracking-widest glow-cyan">COUPES</h1>
+            </div>
+          </div>
+
+          <div className="flex-1 px-2">
+            {cups.length === 0 ? (
+              <div className="liquid-glass rounded-xl px-4 py-6 mt-2 text-center">
+                <p className="text-gray-400 text-sm">Aucune coupe pour le moment.</p>
+                <p className="text-gray-500 text-xs mt-1">Créez une compétition de type Coupe dans Réglages › Compétitions.</p>
+              </div>
+            ) : (
+              <>
+                {/* Selectors */}
+                <div className="py-2 relative">
+                  <div className="flex items-stretch gap-3">
+                    <div className="flex-1 flex items-center gap-2 overflow-x-auto">
+                      {cups.map(cup => (
+                        <button
+                          key={cup.id}
+                          onClick={() => setSelectedCup(cup.id)}
+                          className={`h-12 px-4 flex items-center gap-2 rounded-xl text-sm font-semibold whitespace-nowrap ${
+                            selectedCup === cup.id ? 'ios26-tab-active text-cyan-400' : 'ios26-btn text-white'
+                          }`}
+                        >
+                          <span className="text-xl">{cup.icon}</span>
+                          <span>{cup.name}</span>
+                        </button>
+                      ))}
+                    </div>
+
+                    <div className="w-36 relative">
+                      <button
+                        onClick={() => setIsBracketSeasonOpen(!isBracketSeasonOpen)}
+                        className={`w-full h-12 ios26-btn rounded-xl px-4 text-white text-base font-semibold cursor-pointer flex items-center justify-between ${
+                          isBracketSeasonOpen ? 'border-cyan-500/50' : ''
+                        }`}
+                      >
+                        <span className="whitespace-nowrap truncate">Saison {selectedSeason}</span>
+                        <svg className={`w-5 h-5 text-cyan-400 flex-shrink-0 ${isBracketSeasonOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                        </svg>
+                      </button>
+
+                      {isBracketSeasonOpen && (
+                        <>
+                          <div className="fixed inset-0 z-40" onClick={() => setIsBracketSeasonOpen(false)}></div>
+                          <div className="absolute right-0 top-full mt-2 ios26-dropdown rounded-2xl z-50 w-40 max-h-72 overflow-y-auto">
+                            {[...seasons].reverse().map(season => (
+                              <button
+                                key={season}
+                                onClick={() => { setSelectedSeason(season); setIsBracketSeasonOpen(false); }}
+                                className={`w-full px-4 py-3 text-base font-semibold text-left whitespace-nowrap ${
+                                  selectedSeason === season
+                                    ? 'bg-cyan-500/20 text-cyan-400'
+                                    : 'text-white hover:bg-white/10'
+                                }`}
+                              >
+                                Saison {season}
+                              </button>
+                            ))}
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </div>
+
+                {/* Qualification automatique (coupe liée à la saison) */}
+                {cupQualification && (
+                  <div className="liquid-glass rounded-lg px-2 py-1.5 mb-2">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="text-yellow-400 text-xs font-bold">QUALIFICATION</span>
+                      <span className="text-gray-400 text-xs">{formatCupQualification(registry, cupQualification)}</span>
+                      <span className="text-white text-xs truncate">
+                        {cupQualifiers.pending.length > 0
+                          ? `En attente de la fin de saison (${cupQualifiers.pending.map(key => registry.icons[key] || key).join(' ')})`
+                          : cupQualifiers.qualifiers.join(', ')}
+                      </span>
+                    </div>
+                  </div>
+                )}
+
+                {/* Tirage au sort */}
+                {isAdmin && (
+                  <div className="flex justify-end mb-2">
+                    <button
+                      onClick={openDrawModal}
+                      disabled={isSavingBracket}
+                      className="ios26-btn rounded-xl px-4 py-2 text-yellow-400 text-sm font-bold border-yellow-500/30 disabled:opacity-40"
+                    >
+                      🎲 {cupBracket ? 'Nouveau tirage' : 'Tirage au sort'}
+                    </button>
+                  </div>
+                )}
+
+                {!cupBracket ? (
+                  <div className="liquid-glass rounded-xl px-4 py-6 text-center">
+                    <p className="text-gray-400 text-sm">Pas encore de tirage pour la Saison {selectedSeason}.</p>
+                  </div>
+                ) : (
+                  /* Tableau : une colonne par tour, les rencontres centrées face à leur tour suivant */
+                  <div className="overflow-x-auto pb-2">
+                    <div className="flex gap-3 min-w-max">
+                      {cupBracket.rounds.map((round, r) => (
+                        <div key={r} className="w-44 flex flex-col">
+                          <div className="text-center mb-2">
+                            <div className="text-cyan-400 text-xs font-bold tracking-wide">{getCupRoundLabel(r, cupBracket.rounds.length).toUpperCase()}</div>
+                            <div className="text-gray-500 text-[10px]">{round.legs === 2 ? 'Aller-retour' : 'Match unique'}</div>
+                          </div>
+                          <div className="flex-1 flex flex-col justify-around gap-2">
+                            {round.ties.map((tie, i) => {
+                              const outcome = getCupTieOutcome(tie, round.legs);
+                              const canEdit = isAdmin && tie.home && tie.away;
+                              const side = (name, key) => (
+                                <div className={`flex items-center justify-between gap-1 px-2 py-1 ${
+                                  outcome && name && outcome.winner === name ? 'text-green-400 font-bold' : outcome ? 'text-gray-500' : 'text-white'
+                                }`}>
+                                  <span className="text-xs truncate">{name || (r === 0 ? 'Exempt' : '—')}</span>
+                                  <span className="text-xs font-mono whitespace-nowrap">
+                                    {(tie.legs || []).map(leg => leg[key]).join(' · ')}
+                                  </span>
+                                </div>
+                              );
+                              return (
+                                <div
+                                  key={i}
+                                  onClick={canEdit ? () => openTieEditor(r, i) : undefined}
+                                  className={`liquid-glass rounded-lg divide-y divide-white/5 ${canEdit ? 'cursor-pointer hover:bg-white/10' : ''}`}
+                                >
+                                  {side(tie.home, 'home')}
+                                  {side(tie.away, 'away')}
+                                  {outcome?.aggregate && (round.legs > 1 || outcome.decidedBy !== 'aggregate') && (
+                                    <div className="px-2 py-0.5 text-[10px] text-amber-400 font-mono text-center">
+                                      {formatCupOutcome(tie, outcome)}
+                                    </div>
+                                  )}
+                                </div>
+                              );
+                            })}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
+          {/* Modal Tirage au sort - iOS 26 Style */}
+          {isDrawModalOpen && (
+            <>
+              <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setIsDrawModalOpen(false)}></div>
+              <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                <div className="ios26-modal rounded-3xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+                  <div className="text-center mb-4">
+                    <h3 className="text-yellow-400 text-xl font-bold mb-1">TIRAGE AU SORT</h3>
+                    <p className="text-gray-400 text-sm">
+                      {cups.find(c => c.id === selectedCup)?.name} — Saison {selectedSeason}
+                    </p>
+                  </div>
+
+                  <label className="block text-gray-400 text-xs font-bold mb-2 tracking-wide">
+                    ENGAGÉS ({drawDraft.participants.length})
+                  </label>
+                  {drawDraft.seeded && (
+                    <p className="text-gray-500 text-[10px] mb-2">
+                      {drawDraft.participants.map((name, i) => `${i + 1}. ${name}`).join(' · ')}
+                    </p>
+                  )}
+                  <div className="flex flex-wrap gap-1.5 mb-4 max-h-40 overflow-y-auto">
+                    {allTeams.map(team => (
+                      <button
+                        key={team}
+                        onClick={() => toggleDrawParticipant(team)}
+                        className={`rounded-lg px-3 py-1.5 text-xs font-semibold border ${
+                          drawDraft.participants.includes(team)
+                            ? 'bg-yellow-500/20 border-yellow-500/50 text-yellow-400'
+                            : 'bg-white/5 border-white/10 text-gray-400'
+                        }`}
+                      >
+                        {team}
+                      </button>
+                    ))}
+                  </div>
+
+                  <label className="flex items-center gap-2 text-gray-400 text-xs font-bold mb-3 tracking-wide cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={drawDraft.seeded}
+                      onChange={() => setDrawDraft(prev => ({ ...prev, seeded: !prev.seeded }))}
+                    />
+                    TÊTES DE SÉRIE (ORDRE DES ENGAGÉS)
+                  </label>
+
+                  {[['legs', 'TOURS'], ['finalLegs', 'FINALE']].map(([field, label]) => (
+                    <div key={field} className="mb-3">
+                      <label className="block text-gray-400 text-xs font-bold mb-1 tracking-wide">{label}</label>
+                      <div className="grid grid-cols-2 gap-2">
+                        {[[1, 'Match unique'], [2, 'Aller-retour']].map(([legs, legsLabel]) => (
+                          <button
+                            key={legs}
+                            onClick={() => setDrawDraft(prev => ({ ...prev, [field]: legs }))}
+                            className={`rounded-xl px-3 py-2 text-sm font-semibold border ${
+                              drawDraft[field] === legs
+                                ? 'bg-yellow-500/20 border-yellow-500/50 text-yellow-400'
+                                : 'bg-white/5 border-white/10 text-gray-400'
+                            }`}
+                          >
+                            {legsLabel}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+
+                  <div className="flex gap-3 mt-6">
+                    <button
+                      onClick={() => setIsDrawModalOpen(false)}
+                      className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                    >
+                      Annuler
+                    </button>
+                    <button
+                      onClick={handleCupDraw}
+                      disabled={isSavingBracket || drawDraft.participants.length < 2}
+                      className="flex-1 bg-yellow-500/20 border border-yellow-500/50 hover:bg-yellow-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-yellow-400 text-sm font-bold"
+                    >
+                      {isSavingBracket ? '...' : 'Tirer au sort'}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+
+          {/* Modal Rencontre - iOS 26 Style */}
+          {editingTie && tieDraft && cupBracket && (() => {
+            const round = cupBracket.rounds[editingTie.round];
+            const tie = round.ties[editingTie.index];
+            const draftTie = getTieFromDraft();
+            const regulation = getCupTieOutcome({ ...draftTie, extraTime: null, penalties: null }, round.legs);
+            const legsPlayed = draftTie.legs.length === round.legs;
+            const needsExtraTime = legsPlayed && !regulation;
+            const needsPenalties = needsExtraTime && !!draftTie.extraTime && !getCupTieOutcome({ ...draftTie, penalties: null }, round.legs);
+            const scoreRow = (label, score, onChange, leftName, rightName) => (
+              <div className="mb-3">
+                <label className="block text-gray-400 text-xs font-bold mb-1 tracking-wide text-center">{label}</label>
+                <div className="flex items-center gap-2">
+                  <span className="flex-1 text-white text-sm font-semibold text-right truncate">{leftName}</span>
+                  {['home', 'away'].map(side => (
+                    <input
+                      key={side}
+                      type="number"
+                      min={MIN_SCORE}
+                      max={MAX_SCORE}
+                      value={score[side]}
+                      onChange={(e) => onChange(side, e.target.value)}
+                      className="w-14 ios26-input rounded-xl px-2 py-2 text-white text-center font-bold"
+                    />
+                  ))}
+                  <span className="flex-1 text-white text-sm font-semibold truncate">{rightName}</span>
+                </div>
+              </div>
+            );
+            return (
+              <>
+                <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setEditingTie(null)}></div>
+                <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                  <div className="ios26-modal rounded-3xl p-6 max-w-md w-full">
+                    <div className="text-center mb-4">
+                      <h3 className="text-cyan-400 text-xl font-bold mb-1">{getCupRoundLabel(editingTie.round, cupBracket.rounds.length).toUpperCase()}</h3>
+                      <p className="text-gray-400 text-sm">{tie.home} — {tie.away}</p>
+                    </div>
+
+                    {/* Au retour, l'équipe visiteuse de l'aller reçoit : les scores restent saisis côté home / away */}
+                    {tieDraft.legs.map((leg, i) => scoreRow(
+                      round.legs === 2 ? (i === 0 ? 'ALLER' : 'RETOUR') : 'SCORE',
+                      leg,
+                      (side, value) => updateTieDraft('legs', side, value, i),
+                      tie.home,
+                      tie.away
+                    ))}
+                    {needsExtraTime && scoreRow('PROLONGATION (buts marqués)', tieDraft.extraTime, (side, value) => updateTieDraft('extraTime', side, value), tie.home, tie.away)}
+                    {needsPenalties && scoreRow('TIRS AU BUT', tieDraft.penalties, (side, value) => updateTieDraft('penalties', side, value), tie.home, tie.away)}
+
+                    <div className="flex gap-3 mt-6">
+                      <button
+                        onClick={() => setTieDraft(prev => ({
+                          legs: prev.legs.map(() => ({ home: '', away: '' })),
+                          extraTime: { home: '', away: '' },
+                          penalties: { home: '', away: '' }
+                        }))}
+                        className="ios26-btn rounded-xl px-4 py-3.5 text-gray-400 text-sm font-semibold"
+                      >
+                        Effacer
+                      </button>
+                      <button
+                        onClick={() => setEditingTie(null)}
+                        className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                      >
+                        Annuler
+                      </button>
+                      <button
+                        onClick={handleSaveTie}
+                        disabled={isSavingBracket}
+                        className="flex-1 bg-cyan-500/20 border border-cyan-500/50 hover:bg-cyan-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-cyan-400 text-sm font-bold"
+                      >
+                        {isSavingBracket ? '...' : 'Enregistrer'}
+                      </button>
+                    </div>
                   </div>
                 </div>
-              </div>
-          </div>
+              </>
+            );
+          })()}
         </div>
       )}
 
@@ -3591,26 +7742,138 @@ export default function HyeneScores() {
               <div className="grid grid-cols-12 gap-1 px-2 py-2 liquid-glass rounded-xl mt-1 flex-shrink-0">
                 <div className="col-span-3 text-gray-400 text-sm font-bold tracking-widest text-center">SAISON</div>
                 <div className="col-span-6 text-gray-400 text-sm font-bold tracking-widest text-center">CHAMPION</div>
-                <div className="col-span-3 text-gray-400 text-sm font-bold tracking-widest text-center">POINTS</div>
+                <div className="col-span-3 text-gray-400 text-sm font-bold tracking-widest text-center">{isCupChampionship(registry, registry.mapping[selectedChampionship]) ? 'FINALE' : 'POINTS'}</div>
               </div>
 
+              {/* Modal Correction de titre - iOS 26 Style */}
+              {overrideTarget && (
+                <>
+                  <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setOverrideTarget(null)}></div>
+                  <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                    <div className="ios26-modal rounded-3xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+                      <div className="text-center mb-4">
+                        <h3 className="text-amber-400 text-xl font-bold mb-1">CORRECTION DU TITRE</h3>
+                        <p className="text-gray-400 text-sm">
+                          {championships.find(c => c.id === selectedChampionship)?.name} — Saison {overrideTarget.season}
+                        </p>
+                        {overrideTarget.computedChampion && (
+                          <p className="text-gray-500 text-xs mt-1">Vainqueur au classement : {overrideTarget.computedChampion}</p>
+                        )}
+                      </div>
+
+                      {/* Champion(s) : plusieurs = titre partagé, aucun = titre retiré */}
+                      <label className="block text-gray-400 text-xs font-bold mb-2 tracking-wide">
+                        CHAMPION(S) {overrideDraft.champions.length === 0 && <span className="text-red-400">— TITRE NON ATTRIBUÉ</span>}
+                      </label>
+                      <div className="flex flex-wrap gap-1.5 mb-4 max-h-32 overflow-y-auto">
+                        {allTeams.map(team => (
+                          <button
+                            key={team}
+                            onClick={() => toggleOverrideName('champions', team)}
+                            className={`rounded-lg px-3 py-1.5 text-xs font-semibold border ${
+                              overrideDraft.champions.includes(team)
+                                ? 'bg-amber-500/20 border-amber-500/50 text-amber-400'
+                                : 'bg-white/5 border-white/10 text-gray-400'
+                            }`}
+                          >
+                            {team}
+                          </button>
+                        ))}
+                      </div>
+
+                      {/* Dauphin(s) : calculé par défaut */}
+                      <label className="flex items-center gap-2 text-gray-400 text-xs font-bold mb-2 tracking-wide cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={overrideDraft.runnerUps === null}
+                          onChange={() => setOverrideDraft(prev => ({ ...prev, runnerUps: prev.runnerUps === null ? [] : null }))}
+                        />
+                        DAUPHIN CALCULÉ DEPUIS LE CLASSEMENT
+                      </label>
+                      {overrideDraft.runnerUps !== null && (
+                        <div className="flex flex-wrap gap-1.5 mb-4 max-h-32 overflow-y-auto">
+                          {allTeams.map(team => (
+                            <button
+                              key={team}
+                              onClick={() => toggleOverrideName('runnerUps', team)}
+                              className={`rounded-lg px-3 py-1.5 text-xs font-semibold border ${
+                                overrideDraft.runnerUps.includes(team)
+                                  ? 'bg-cyan-500/20 border-cyan-500/50 text-cyan-400'
+                                  : 'bg-white/5 border-white/10 text-gray-400'
+                              }`}
+                            >
+                              {team}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+
+                      {/* Motif */}
+                      <label className="block text-gray-400 text-xs font-bold mb-2 mt-2 tracking-wide">MOTIF</label>
+                      <input
+                        type="text"
+                        value={overrideDraft.reason}
+                        onChange={(e) => setOverrideDraft(prev => ({ ...prev, reason: e.target.value }))}
+                        placeholder="Titre partagé, décision en appel..."
+                        className="w-full ios26-input rounded-xl px-4 py-3 text-white text-sm mb-6"
+                      />
+
+                      <div className="flex gap-3">
+                        {overrideTarget.override && (
+                          <button
+                            onClick={() => persistChampionOverride(null)}
+                            disabled={isSavingOverride}
+                            className="ios26-btn rounded-xl px-4 py-3.5 text-red-400 text-sm font-semibold"
+                          >
+                            Retirer
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setOverrideTarget(null)}
+                          className="flex-1 ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          onClick={handleSaveOverride}
+                          disabled={isSavingOverride}
+                          className="flex-1 bg-amber-500/20 border border-amber-500/50 hover:bg-amber-500/30 disabled:opacity-40 rounded-xl px-4 py-3.5 text-amber-400 text-sm font-bold"
+                        >
+                          {isSavingOverride ? '...' : 'Enregistrer'}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </>
+              )}
+
               {/* Champions List */}
               <div className="pb-0 mt-1">
                 {champions.map((champion, index) => (
                   <div
                     key={champion.season}
-                    className="grid grid-cols-12 gap-1 px-2 py-0 ios26-row items-center"
+                    onClick={isAdmin && champion.championship ? () => openOverrideModal(champion) : undefined}
+                    className={`grid grid-cols-12 gap-1 px-2 py-0 ios26-row items-center ${isAdmin && champion.championship ? 'cursor-pointer' : ''}`}
                     style={{ height: '48px' }}
                   >
                     <div className="col-span-3 flex justify-center font-mono">
                       <span className="text-cyan-400 text-lg font-bold glow-cyan">{champion.season}</span>
                     </div>
                     <div className="col-span-6 text-center min-w-0">
-                      <span className="text-white text-base font-bold tracking-wide truncate block">{champion.team}</span>
+                      <span className={`text-base font-bold tracking-wide truncate block ${champion.override?.champions?.length === 0 ? 'text-gray-500 italic' : 'text-white'}`}>{champion.team}</span>
+                      {champion.override?.reason && (
+                        <span className="text-amber-400/80 text-[10px] truncate block" title={champion.override.reason}>✎ {champion.override.reason}</span>
+                      )}
                     </div>
                     <div className="col-span-3 text-center font-mono">
-                      <span className="text-green-400 text-base font-bold glow-green">{champion.points}</span>
-                      <span className="text-gray-400 text-sm ml-1">pts</span>
+                      {champion.finalScore ? (
+                        <span className="text-green-400 text-xs font-bold whitespace-nowrap" title="Score de la finale">{champion.finalScore}</span>
+                      ) : (
+                        <>
+                          <span className="text-green-400 text-base font-bold glow-green">{champion.points}</span>
+                          <span className="text-gray-400 text-sm ml-1">pts</span>
+                        </>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -3630,27 +7893,17 @@ export default function HyeneScores() {
 
           <div className="flex-1 px-2">
 
-              {/* Table Header */}
+              {/* Table Header (une colonne par compétition, Ligue des Hyènes en premier) */}
               <div className="py-2 px-2 liquid-glass rounded-xl mt-2 flex-shrink-0">
-                <div className="grid grid-cols-12 gap-0.5 items-center">
-                  <div className="col-span-1 flex justify-center text-gray-400 text-sm font-bold tracking-widest">#</div>
-                  <div className="col-span-4 flex items-center text-left pl-1 text-gray-400 text-sm font-bold tracking-widest">ÉQUIPE</div>
-                  <div className="col-span-1 flex justify-center text-yellow-500 text-sm font-bold tracking-widest">
-                    <div className="text-lg glow-gold">🏆</div>
-                  </div>
-                  <div className="col-span-1 flex justify-center text-gray-400 text-sm font-bold tracking-widest">
-                    <div className="text-lg">🇫🇷</div>
-                  </div>
-                  <div className="col-span-1 flex justify-center text-gray-400 text-sm font-bold tracking-widest">
-                    <div className="text-lg">🇪🇸</div>
-                  </div>
-                  <div className="col-span-1 flex justify-center text-gray-400 text-sm font-bold tracking-widest">
-                    <div className="text-lg">🇮🇹</div>
-                  </div>
-                  <div className="col-span-1 flex justify-center text-gray-400 text-sm font-bold tracking-widest">
-                    <div className="text-lg">🏴󠁧󠁢󠁥󠁮󠁧󠁿</div>
-                  </div>
-                  <div className="col-span-2 flex justify-center text-gray-400 text-sm font-bold tracking-widest">TOTAL</div>
+                <div className="flex gap-0.5 items-center">
+                  <div className="w-8 flex-shrink-0 flex justify-center text-gray-400 text-sm font-bold tracking-widest">#</div>
+                  <div className="flex-1 min-w-0 flex items-center text-left pl-1 text-gray-400 text-sm font-bold tracking-widest">ÉQUIPE</div>
+                  {championships.map(c => (
+                    <div key={c.id} className={`w-8 flex-shrink-0 flex justify-center text-sm font-bold tracking-widest ${c.key === HYENES_KEY ? 'text-yellow-500' : 'text-gray-400'}`}>
+                      <div className={`text-lg ${c.key === HYENES_KEY ? 'glow-gold' : ''}`} title={c.name}>{c.icon}</div>
+                    </div>
+                  ))}
+                  <div className="w-14 flex-shrink-0 flex justify-center text-gray-400 text-sm font-bold tracking-widest">TOTAL</div>
                 </div>
               </div>
 
@@ -3662,29 +7915,24 @@ export default function HyeneScores() {
                     className="py-0 px-2 ios26-row"
                     style={{ height: '42px' }}
                   >
-                    <div className="grid grid-cols-12 gap-0.5 items-center w-full h-full">
-                      <div className="col-span-1 flex items-center justify-center font-mono font-bold text-base text-cyan-400 glow-cyan">
+                    <div className="flex gap-0.5 items-center w-full h-full">
+                      <div className="w-8 flex-shrink-0 flex items-center justify-center font-mono font-bold text-base text-cyan-400 glow-cyan">
                         {team.rank < 10 ? `0${team.rank}` : team.rank}
                       </div>
-                      <div className="col-span-4 flex items-center text-left pl-1 min-w-0">
+                      <div className="flex-1 min-w-0 flex items-center text-left pl-1">
                         <span className="text-white text-base font-bold tracking-tight truncate">{team.name}</span>
                       </div>
-                      <div className="col-span-1 flex items-center justify-center font-mono">
-                        <span className={`text-base font-bold ${team.trophies > 0 ? 'text-yellow-500 glow-gold' : 'text-gray-500'}`}>{team.trophies}</span>
-                      </div>
-                      <div className="col-span-1 flex items-center justify-center font-mono">
-                        <span className="text-gray-300 text-base font-medium">{team.france}</span>
-                      </div>
-                      <div className="col-span-1 flex items-center justify-center font-mono">
-                        <span className="text-gray-300 text-base font-medium">{team.spain}</span>
-                      </div>
-                      <div className="col-span-1 flex items-center justify-center font-mono">
-                        <span className="text-gray-300 text-base font-medium">{team.italy}</span>
-                      </div>
-                      <div className="col-span-1 flex items-center justify-center font-mono">
-                        <span className="text-gray-300 text-base font-medium">{team.england}</span>
-                      </div>
-                      <div className="col-span-2 flex items-center justify-center font-mono">
+                      {championships.map(c => {
+                        const count = team[getPantheonField(c.key, registry)] || 0;
+                        return (
+                          <div key={c.id} className="w-8 flex-shrink-0 flex items-center justify-center font-mono">
+                            {c.key === HYENES_KEY
+                              ? <span className={`text-base font-bold ${count > 0 ? 'text-yellow-500 glow-gold' : 'text-gray-500'}`}>{count}</span>
+                              : <span className="text-gray-300 text-base font-medium">{count}</span>}
+                          </div>
+                        );
+                      })}
+                      <div className="w-14 flex-shrink-0 flex items-center justify-center font-mono">
                         <span className="text-green-400 text-lg font-bold glow-green">{team.total}</span>
                       </div>
                     </div>
@@ -3878,6 +8126,236 @@ export default function HyeneScores() {
                 </div>
               </div>
 
+              {/* Compétitions - iOS 26 Card */}
+              <div className="ios26-card rounded-xl p-3" style={{ borderColor: 'rgba(234, 179, 8, 0.2)' }}>
+                <div className="flex items-center gap-3 mb-2">
+                  <div className="w-9 h-9 rounded-lg bg-yellow-500/20 flex items-center justify-center backdrop-blur-sm">
+                    <span className="text-xl">🏟️</span>
+                  </div>
+                  <h2 className="text-yellow-400 text-base font-bold tracking-wide">COMPÉTITIONS</h2>
+                  <span className="text-xs text-gray-400">({championships.filter(c => c.active !== false).length})</span>
+                  {isSavingChampionships && (
+                    <span className="text-xs text-yellow-300 animate-pulse">Enregistrement...</span>
+                  )}
+                </div>
+
+                {/* Formulaire d'ajout */}
+                <div className="mb-3">
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={newChampionship.icon}
+                      onChange={(e) => setNewChampionship(prev => ({ ...prev, icon: e.target.value }))}
+                      placeholder="🏳️"
+                      className="w-12 ios26-input rounded-xl px-2 py-2 text-white text-sm text-center outline-none"
+                      style={{ borderColor: 'rgba(234, 179, 8, 0.3)' }}
+                      disabled={!isAdmin}
+                    />
+                    <input
+                      type="text"
+                      value={newChampionship.name}
+                      onChange={(e) => { setNewChampionship(prev => ({ ...prev, name: e.target.value })); setChampionshipError(''); }}
+                      placeholder="Nouvelle compétition..."
+                      className="flex-1 min-w-0 ios26-input rounded-xl px-3 py-2 text-white text-sm font-medium outline-none"
+                      style={{ borderColor: 'rgba(234, 179, 8, 0.3)' }}
+                      onKeyDown={(e) => e.key === 'Enter' && handleAddChampionship()}
+                      disabled={!isAdmin}
+                    />
+                    <button
+                      onClick={handleAddChampionship}
+                      disabled={isSavingChampionships || !newChampionship.name.trim() || !isAdmin}
+                      className="ios26-btn rounded-xl px-4 py-2 text-yellow-400 text-sm font-semibold disabled:opacity-50"
+                      style={{ borderColor: 'rgba(234, 179, 8, 0.3)' }}
+                    >
+                      +
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-1.5 mt-1.5 ml-1">
+                    {[['league', 'Championnat'], ['cup', 'Coupe']].map(([type, label]) => (
+                      <button
+                        key={type}
+                        onClick={() => setNewChampionship(prev => ({ ...prev, type, feedsHyenes: type === 'league' && !prev.parentKey, parentKey: type === 'cup' ? '' : prev.parentKey }))}
+                        disabled={!isAdmin}
+                        className={`rounded-lg px-3 py-1 text-xs font-semibold border ${
+                          newChampionship.type === type
+                            ? 'bg-yellow-500/20 border-yellow-500/50 text-yellow-400'
+                            : 'bg-white/5 border-white/10 text-gray-400'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {newChampionship.type === 'cup' && (
+                    <div className="mt-1.5 ml-1">
+                      <div className="flex items-center gap-1.5 flex-wrap">
+                        <span className="text-gray-400 text-xs">Qualification</span>
+                        {CUP_QUALIFICATION_SOURCES.map(source => (
+                          <button
+                            key={source.id}
+                            onClick={() => setNewChampionship(prev => ({ ...prev, qualification: source.id }))}
+                            disabled={!isAdmin}
+                            className={`rounded-lg px-2 py-0.5 text-[11px] font-semibold border ${
+                              newChampionship.qualification === source.id
+                                ? 'bg-yellow-500/20 border-yellow-500/50 text-yellow-400'
+                                : 'bg-white/5 border-white/10 text-gray-400'
+                            }`}
+                          >
+                            {source.label}
+                          </button>
+                        ))}
+                      </div>
+                      {newChampionship.qualification === 'standings' && (
+                        <div className="flex items-center gap-2 text-gray-400 text-xs mt-1.5">
+                          <input
+                            type="number"
+                            min="2"
+                            value={newChampionship.qualificationTop}
+                            onChange={(e) => setNewChampionship(prev => ({ ...prev, qualificationTop: Math.max(2, parseInt(e.target.value) || 2) }))}
+                            className="w-14 ios26-input rounded-lg px-2 py-1 text-white text-xs text-center outline-none"
+                            disabled={!isAdmin}
+                          />
+                          premiers de
+                          <select
+                            value={newChampionship.qualificationChampionship}
+                            onChange={(e) => setNewChampionship(prev => ({ ...prev, qualificationChampionship: e.target.value }))}
+                            className="ios26-input rounded-lg px-2 py-1 text-white text-xs outline-none"
+                            disabled={!isAdmin}
+                          >
+                            {championships.filter(c => c.type !== 'cup').map(c => (
+                              <option key={c.key} value={c.key}>{c.icon} {c.name}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                      {newChampionship.qualification === 'champions' && (
+                        <p className="text-gray-500 text-xs mt-1.5">Champions {registry.euro.map(key => registry.icons[key]).join(' ')} de la saison</p>
+                      )}
+                    </div>
+                  )}
+                  {newChampionship.type !== 'cup' && (
+                    <>
+                      <label className="flex items-center gap-2 text-gray-400 text-xs mt-1.5 ml-1 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={newChampionship.feedsHyenes}
+                          onChange={() => setNewChampionship(prev => ({ ...prev, feedsHyenes: !prev.feedsHyenes }))}
+                          disabled={!isAdmin}
+                        />
+                        Compte pour la Ligue des Hyènes
+                      </label>
+                      <label className="flex items-center gap-2 text-gray-400 text-xs mt-1.5 ml-1">
+                        Division de
+                        <select
+                          value={newChampionship.parentKey}
+                          onChange={(e) => setNewChampionship(prev => ({ ...prev, parentKey: e.target.value, feedsHyenes: !e.target.value }))}
+                          className="ios26-input rounded-lg px-2 py-1 text-white text-xs outline-none"
+                          disabled={!isAdmin}
+                        >
+                          <option value="">— (nouveau championnat)</option>
+                          {championships.filter(c => !c.parentKey && c.key !== HYENES_KEY && c.type !== 'cup').map(c => (
+                            <option key={c.key} value={c.key}>{c.icon} {c.name}</option>
+                          ))}
+                        </select>
+                      </label>
+                    </>
+                  )}
+                  {championshipError && (
+                    <p className="text-red-400 text-xs mt-1 ml-1">{championshipError}</p>
+                  )}
+                  {!isAdmin && (
+                    <p className="text-gray-500 text-xs mt-1 ml-1">Connectez-vous pour gérer les compétitions</p>
+                  )}
+                </div>
+
+                {/* Liste des compétitions (ordre des menus) */}
+                <div className="space-y-1">
+                  {championships.map((c, index) => {
+                    const isHyenes = c.key === HYENES_KEY;
+                    const isRetired = c.active === false;
+                    return (
+                      <div key={c.id} className={`flex items-center gap-2 px-3 py-2 rounded-lg bg-white/5 hover:bg-white/10 group ${isRetired ? 'opacity-50' : ''}`}>
+                        {editingChampionshipId === c.id ? (
+                          <div className="flex items-center gap-2 flex-1">
+                            <input
+                              type="text"
+                              value={editingChampionship.icon}
+                              onChange={(e) => setEditingChampionship(prev => ({ ...prev, icon: e.target.value }))}
+                              className="w-10 bg-white/10 border border-yellow-500/50 rounded-lg px-1 py-1 text-white text-sm text-center focus:outline-none"
+                              disabled={isSavingChampionships}
+                            />
+                            <input
+                              type="text"
+                              value={editingChampionship.name}
+                              onChange={(e) => setEditingChampionship(prev => ({ ...prev, name: e.target.value }))}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') handleSaveChampionshipEdit();
+                                if (e.key === 'Escape') setEditingChampionshipId(null);
+                              }}
+                              className="flex-1 min-w-0 bg-white/10 border border-yellow-500/50 rounded-lg px-2 py-1 text-white text-sm focus:outline-none"
+                              autoFocus
+                              disabled={isSavingChampionships}
+                            />
+                            <button onClick={handleSaveChampionshipEdit} disabled={isSavingChampionships} className="text-green-400 hover:text-green-300 text-sm px-1">
+                              {isSavingChampionships ? '⏳' : '✓'}
+                            </button>
+                            <button onClick={() => setEditingChampionshipId(null)} disabled={isSavingChampionships} className="text-gray-400 hover:text-gray-300 text-sm px-1">
+                              ✕
+                            </button>
+                          </div>
+                        ) : (
+                          <>
+                            <span className="text-lg w-6 text-center">{c.icon}</span>
+                            <div className="flex-1 min-w-0">
+                              <span className="text-white text-sm">{c.name}</span>
+                              <span className="text-gray-500 text-[10px] ml-2 font-mono">{c.key}</span>
+                              {c.parentKey && (
+                                <span className="text-emerald-400 text-[10px] font-bold ml-2" title={`Division de ${championships.find(p => p.key === c.parentKey)?.name || c.parentKey}`}>
+                                  {getDivisionLabel(c)}
+                                </span>
+                              )}
+                              {c.type === 'cup' && (
+                                <span className="text-cyan-400 text-[10px] font-bold ml-2" title={formatCupQualification(registry, c.qualification)}>
+                                  {c.qualification ? CUP_QUALIFICATION_SOURCES.find(q => q.id === c.qualification.source)?.label : 'Coupe'}
+                                </span>
+                              )}
+                              {isRetired && <span className="text-gray-400 text-[10px] ml-2">retirée</span>}
+                            </div>
+                            {!isHyenes && c.type !== 'cup' && (
+                              <button
+                                onClick={() => isAdmin && toggleChampionshipField(c.id, 'feedsHyenes')}
+                                disabled={!isAdmin || isSavingChampionships}
+                                className={`text-[10px] font-bold rounded-full px-2 py-0.5 ${c.feedsHyenes ? 'bg-yellow-500/20 text-yellow-400' : 'bg-white/5 text-gray-500'}`}
+                                title="Compte pour la Ligue des Hyènes"
+                              >
+                                🏆 {c.feedsHyenes ? 'Oui' : 'Non'}
+                              </button>
+                            )}
+                            {isAdmin && (
+                              <div className="flex items-center gap-0.5 opacity-0 group-hover:opacity-100">
+                                <button onClick={() => moveChampionship(index, -1)} disabled={index === 0 || isSavingChampionships} className="text-gray-400 hover:text-white text-sm px-1 disabled:opacity-30" title="Monter">▲</button>
+                                <button onClick={() => moveChampionship(index, 1)} disabled={index === championships.length - 1 || isSavingChampionships} className="text-gray-400 hover:text-white text-sm px-1 disabled:opacity-30" title="Descendre">▼</button>
+                                <button onClick={() => startEditingChampionship(c)} className="text-cyan-400 hover:text-cyan-300 text-sm px-1" title="Renommer">✏️</button>
+                                {!isHyenes && (
+                                  <button
+                                    onClick={() => toggleChampionshipField(c.id, 'active')}
+                                    disabled={isSavingChampionships}
+                                    className={`text-sm px-1 ${isRetired ? 'text-green-400 hover:text-green-300' : 'text-red-400 hover:text-red-300'}`}
+                                    title={isRetired ? 'Réactiver' : 'Retirer'}
+                                  >
+                                    {isRetired ? '↺' : '⊘'}
+                                  </button>
+                                )}
+                              </div>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
               {/* Sauvegarde - iOS 26 Card */}
               <div className="ios26-card rounded-xl p-3">
                 <div className="flex items-center gap-3 mb-2">
@@ -3970,6 +8448,14 @@ export default function HyeneScores() {
                   <span className="group-hover:text-green-400">Actualiser l'affichage</span>
                   <span className="text-lg group-hover:rotate-180">🔄</span>
                 </button>
+                <button
+                  onClick={runIntegrityCheck}
+                  className="w-full mt-2 ios26-btn rounded-xl px-4 py-2.5 text-white text-base font-semibold flex items-center justify-between group"
+                  style={{ borderColor: 'rgba(34, 197, 94, 0.2)' }}
+                >
+                  <span className="group-hover:text-green-400">Vérifier l'intégrité des saisons</span>
+                  <span className="text-lg">🩺</span>
+                </button>
               </div>
 
               {/* Nouvelle Saison - iOS 26 Card */}
@@ -4039,6 +8525,45 @@ export default function HyeneScores() {
             </div>
           </div>
 
+          {/* Modal Intégrité - iOS 26 Style */}
+          {integrityReport && (
+            <>
+              <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50" onClick={() => setIntegrityReport(null)}></div>
+              <div className="fixed inset-0 z-[60] flex items-center justify-center px-4">
+                <div className="ios26-modal rounded-3xl p-6 max-w-md w-full max-h-[85vh] flex flex-col">
+                  <div className="text-center mb-4">
+                    <h3 className="text-green-400 text-xl font-bold mb-1">INTÉGRITÉ DES SAISONS</h3>
+                    <p className="text-gray-400 text-sm">
+                      {integrityReport.length === 0
+                        ? 'Aucun problème détecté'
+                        : `${integrityReport.reduce((n, entry) => n + entry.issues.length, 0)} problème(s) dans ${integrityReport.length} saison(s)`}
+                    </p>
+                  </div>
+                  <div className="flex-1 overflow-y-auto space-y-2 mb-4">
+                    {integrityReport.map(({ championshipKey, season, issues }) => (
+                      <div key={`${championshipKey}_${season}`} className="liquid-glass rounded-xl px-3 py-2">
+                        <p className="text-white text-sm font-bold mb-1">
+                          {registry.icons[championshipKey]} {registry.list.find(c => c.key === championshipKey)?.name} — Saison {season}
+                        </p>
+                        {issues.map((issue, i) => (
+                          <p key={i} className={`text-xs ${issue.level === 'error' ? 'text-red-300' : 'text-gray-400'}`}>
+                            {issue.level === 'error' ? '✕' : '•'} {issue.message}
+                          </p>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => setIntegrityReport(null)}
+                    className="w-full ios26-btn rounded-xl px-4 py-3.5 text-white text-sm font-semibold"
+                  >
+                    Fermer
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+
           {/* Modal Reset - iOS 26 Style */}
           {showResetModal && (
             <>
@@ -4192,7 +8717,7 @@ export default function HyeneScores() {
                     <>
                       <div className="fixed inset-0 z-40" onClick={() => setIsStatsChampOpen(false)}></div>
                       <div className="absolute left-0 right-0 top-full mt-2 ios26-dropdown rounded-2xl z-50 overflow-hidden">
-                        {championships.map(champ => (
+                        {championships.filter(c => c.type !== 'cup').map(champ => (
                           <button
                             key={champ.id}
                             onClick={() => { setStatsChampionship(champ.id); setIsStatsChampOpen(false); }}
@@ -4223,7 +8748,7 @@ export default function HyeneScores() {
                     <>
                       <div className="fixed inset-0 z-40" onClick={() => setIsStatsSeasonOpen(false)}></div>
                       <div className="absolute right-0 top-full mt-2 ios26-dropdown rounded-2xl z-50 w-40 max-h-72 overflow-y-auto">
-                        {statsCategory !== 'trends' && (
+                        {statsCategory !== 'trends' && statsCategory !== 'predictions' && (
                           <button
                             onClick={() => { setStatsSeason('all'); setIsStatsSeasonOpen(false); }}
                             className={`w-full px-4 py-3 text-base font-semibold text-left whitespace-nowrap ${statsSeason === 'all' ? 'bg-cyan-500/20 text-cyan-400' : 'text-white hover:bg-white/10'}`}
@@ -4247,7 +8772,7 @@ export default function HyeneScores() {
               </div>
             </div>
 
-            {/* Category Selector - 3x2 grid */}
+            {/* Category Selector - 3 colonnes */}
             <div className="grid grid-cols-3 gap-1.5 py-1">
               {STATS_CATEGORIES.map(cat => (
                 <button key={cat.id} onClick={() => setStatsCategory(cat.id)} className={`py-2 rounded-xl text-[11px] font-bold transition-all text-center ${statsCategory === cat.id ? 'ios26-tab-active text-cyan-400' : 'ios26-btn text-gray-500'}`}>
@@ -4282,7 +8807,7 @@ export default function HyeneScores() {
                             </span>
                             <span className={`flex-1 min-w-0 text-left font-bold text-sm truncate ${i === 0 ? 'text-yellow-400' : 'text-gray-200'}`}>{m.awayTeam}</span>
                           </div>
-                          <div className="text-gray-500 text-xs text-center mt-0.5">{CHAMP_ICON[m.championship] || ''} Saison {m.season} — Journée {m.matchday}</div>
+                          <div className="text-gray-500 text-xs text-center mt-0.5">{registry.icons[m.championship] || ''} Saison {m.season} — Journée {m.matchday}</div>
                         </div>
                       ))}
                     </div>
@@ -4302,7 +8827,7 @@ export default function HyeneScores() {
                             </span>
                             <span className={`flex-1 min-w-0 text-left font-bold text-sm truncate ${i === 0 ? 'text-yellow-400' : 'text-gray-200'}`}>{m.awayTeam}</span>
                           </div>
-                          <div className="text-gray-500 text-xs text-center mt-0.5">{CHAMP_ICON[m.championship] || ''} Saison {m.season} — <span className="text-cyan-400 font-bold">{m.total} buts</span></div>
+                          <div className="text-gray-500 text-xs text-center mt-0.5">{registry.icons[m.championship] || ''} Saison {m.season} — <span className="text-cyan-400 font-bold">{m.total} buts</span></div>
                         </div>
                       ))}
                     </div>
@@ -4317,7 +8842,7 @@ export default function HyeneScores() {
                             <div className="flex items-baseline gap-2">
                               <span className="text-green-400 font-extrabold text-xl">{statsResult.records.streaks.longestWin.length}</span>
                               <span className="text-gray-300 text-sm font-semibold">{statsResult.records.streaks.longestWin.manager}</span>
-                              <span className="text-gray-500 text-xs ml-auto">{CHAMP_ICON[statsResult.records.streaks.longestWin.championship] || ''} S{statsResult.records.streaks.longestWin.season}</span>
+                              <span className="text-gray-500 text-xs ml-auto">{registry.icons[statsResult.records.streaks.longestWin.championship] || ''} S{statsResult.records.streaks.longestWin.season}</span>
                             </div>
                           </div>
                         )}
@@ -4327,7 +8852,7 @@ export default function HyeneScores() {
                             <div className="flex items-baseline gap-2">
                               <span className="text-cyan-400 font-extrabold text-xl">{statsResult.records.streaks.longestUnbeaten.length}</span>
                               <span className="text-gray-300 text-sm font-semibold">{statsResult.records.streaks.longestUnbeaten.manager}</span>
-                              <span className="text-gray-500 text-xs ml-auto">{CHAMP_ICON[statsResult.records.streaks.longestUnbeaten.championship] || ''} S{statsResult.records.streaks.longestUnbeaten.season}</span>
+                              <span className="text-gray-500 text-xs ml-auto">{registry.icons[statsResult.records.streaks.longestUnbeaten.championship] || ''} S{statsResult.records.streaks.longestUnbeaten.season}</span>
                             </div>
                           </div>
                         )}
@@ -4337,12 +8862,29 @@ export default function HyeneScores() {
                             <div className="flex items-baseline gap-2">
                               <span className="text-red-400 font-extrabold text-xl">{statsResult.records.streaks.longestLosing.length}</span>
                               <span className="text-gray-300 text-sm font-semibold">{statsResult.records.streaks.longestLosing.manager}</span>
-                              <span className="text-gray-500 text-xs ml-auto">{CHAMP_ICON[statsResult.records.streaks.longestLosing.championship] || ''} S{statsResult.records.streaks.longestLosing.season}</span>
+                              <span className="text-gray-500 text-xs ml-auto">{registry.icons[statsResult.records.streaks.longestLosing.championship] || ''} S{statsResult.records.streaks.longestLosing.season}</span>
                             </div>
                           </div>
                         )}
                       </div>
                     </div>
+
+                    {/* Hat-tricks */}
+                    <div className="ios26-card rounded-xl px-4 py-3">
+                      <h3 className="text-cyan-400 text-sm font-extrabold mb-1">🎩 Triplés</h3>
+                      {statsResult.records.hatTricks.length === 0 ? (
+                        <p className="text-gray-500 text-sm">Aucun triplé (buteurs saisis dans la fiche 📝 Détails d'un match)</p>
+                      ) : statsResult.records.hatTricks.slice(0, 10).map((h, i) => (
+                        <div key={i} className={`py-1.5 ${i > 0 ? 'border-t border-white/5' : ''}`}>
+                          <div className="flex items-center gap-2 text-xs">
+                            <span className="flex-1 min-w-0 truncate text-gray-200 font-bold">{h.player}</span>
+                            <span className="text-gray-500 truncate">{h.manager} vs {h.opponent}</span>
+                            <span className="text-cyan-400 font-extrabold w-8 text-right flex-shrink-0 font-mono">{h.goals}</span>
+                          </div>
+                          <div className="text-gray-500 text-[10px]">{registry.icons[h.championship] || ''} Saison {h.season} — Journée {h.matchday}</div>
+                        </div>
+                      ))}
+                    </div>
                   </>
                 )}
 
@@ -4540,6 +9082,20 @@ export default function HyeneScores() {
                                   </div>
                                 </div>
 
+                                {/* Meilleur club de chacun dans ces confrontations */}
+                                {(() => {
+                                  const bestA = getBestH2HClub(matchList, h2hTeamA);
+                                  const bestB = getBestH2HClub(matchList, h2hTeamB);
+                                  if (!bestA && !bestB) return null;
+                                  return (
+                                    <div className="flex items-center text-xs mt-2">
+                                      <span className="text-cyan-400 font-bold flex-1 text-left truncate">{bestA ? `${bestA.club} (${bestA.g}/${bestA.j})` : '–'}</span>
+                                      <span className="text-gray-500 text-center text-[10px] flex-shrink-0 px-1">Meilleur club</span>
+                                      <span className="text-orange-400 font-bold flex-1 text-right truncate">{bestB ? `${bestB.club} (${bestB.g}/${bestB.j})` : '–'}</span>
+                                    </div>
+                                  );
+                                })()}
+
                                 <div className="text-center mt-3">
                                   <span className="text-gray-500 text-[10px]">{totalGames} confrontation{totalGames > 1 ? 's' : ''}</span>
                                 </div>
@@ -4564,8 +9120,14 @@ export default function HyeneScores() {
                                             <span className={`flex-1 text-left font-semibold truncate ${match.away === h2hTeamA ? 'text-cyan-400' : 'text-orange-400'}`}>{match.away}</span>
                                           </div>
                                           <div className="text-[10px] text-gray-500 text-center mt-0.5">
-                                            {CHAMP_ICON[match.championship] || ''} Saison {match.season} — Journée {match.matchday}
+                                            {registry.icons[match.championship] || ''} Saison {match.season} — Journée {match.matchday}
+                                            {(match.homeClub || match.awayClub) && ` · 🛡️ ${match.homeClub || '?'} – ${match.awayClub || '?'}`}
+                                            {match.playedAt && ` · ${formatPlayedAt(match.playedAt)}`}
+                                            {getSafeVideoUrl(match.videoUrl) && (
+                                              <> · <a href={getSafeVideoUrl(match.videoUrl)} target="_blank" rel="noopener noreferrer" className="text-cyan-400 underline">▶ Replay</a></>
+                                            )}
                                           </div>
+                                          {match.note && <p className="text-[10px] text-gray-400 italic text-center mt-0.5">{match.note}</p>}
                                         </div>
                                       );
                                     })}
@@ -4823,6 +9385,169 @@ export default function HyeneScores() {
                   </>
                 )}
 
+                {/* === CLUBS === */}
+                {statsCategory === 'clubs' && statsResult.clubs && (
+                  statsResult.clubs.trackedGames === 0 ? (
+                    <div className="ios26-card rounded-xl px-4 py-3">
+                      <p className="text-gray-500 text-sm">Aucun club saisi (fiche 📝 Détails d'un match, onglet Matchs)</p>
+                    </div>
+                  ) : (
+                    <>
+                      {/* Win rate by club */}
+                      <div className="ios26-card rounded-xl p-3">
+                        <h3 className="text-cyan-400 text-sm font-bold mb-2">🛡️ Victoires par Club</h3>
+                        {statsResult.clubs.byClub.length === 0 && (
+                          <p className="text-gray-500 text-xs py-1">Aucun club joué 3 fois ou plus</p>
+                        )}
+                        {statsResult.clubs.byClub.map((c, i) => (
+                          <div key={c.name} className="flex items-center gap-2 py-1 text-xs">
+                            <span className="text-gray-500 w-6 font-bold text-center flex-shrink-0 font-mono">{i + 1}.</span>
+                            <span className="text-gray-300 w-24 truncate font-semibold flex-shrink-0">{c.name}</span>
+                            <div className="flex-1 h-5 rounded-full overflow-hidden bg-white/5">
+                              <div className="h-full rounded-full" style={{ width: `${c.winRate}%`, background: 'linear-gradient(90deg, rgba(34,211,238,0.4), rgba(34,211,238,0.7))' }} />
+                            </div>
+                            <span className="text-cyan-400 font-bold w-12 text-right flex-shrink-0 font-mono">{parseFloat(c.winRate).toFixed(0)}%</span>
+                            <span className="text-gray-500 text-[10px] w-16 text-right flex-shrink-0 whitespace-nowrap">{c.g}V {c.n}N {c.p}D</span>
+                          </div>
+                        ))}
+                        <p className="text-gray-500 text-[10px] mt-1">{statsResult.clubs.trackedGames} match{statsResult.clubs.trackedGames > 1 ? 's' : ''} avec club renseigné</p>
+                      </div>
+
+                      {/* Most-used club per manager */}
+                      <div className="ios26-card rounded-xl px-4 py-3">
+                        <h3 className="text-cyan-400 text-sm font-extrabold mb-1">❤️ Club Favori par Manager</h3>
+                        {statsResult.clubs.favorites.map((f, i) => (
+                          <div key={f.manager} className={`flex items-center gap-2 py-1.5 text-xs ${i > 0 ? 'border-t border-white/5' : ''}`}>
+                            <span className="text-gray-200 font-bold w-24 truncate flex-shrink-0">{f.manager}</span>
+                            <span className="flex-1 min-w-0 truncate text-cyan-400 font-semibold">{f.club}</span>
+                            <span className="text-gray-500 font-mono flex-shrink-0">{f.count}/{f.total}</span>
+                            <span className="text-gray-500 text-[10px] w-14 text-right flex-shrink-0">{f.distinct} club{f.distinct > 1 ? 's' : ''}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  )
+                )}
+
+                {/* === BUTEURS === */}
+                {statsCategory === 'scorers' && statsResult.scorers && (
+                  <>
+                    {statsResult.scorers.goldenBoot.length === 0 ? (
+                      <div className="ios26-card rounded-xl px-4 py-3">
+                        <p className="text-gray-500 text-sm">Aucun buteur saisi (fiche 📝 Détails d'un match, onglet Matchs)</p>
+                      </div>
+                    ) : (
+                      <>
+                        {/* Golden boot */}
+                        <div className="ios26-card rounded-xl px-4 py-3">
+                          <h3 className="text-cyan-400 text-sm font-extrabold mb-1">
+                            👟 Soulier d'Or {statsSeason === 'all' ? '— Toutes saisons' : `— Saison ${statsSeason}`}
+                          </h3>
+                          {statsResult.scorers.goldenBoot.slice(0, 10).map((p, i) => (
+                            <div key={`${p.manager}_${p.player}`} className={`flex items-center gap-2 py-1.5 text-xs ${i > 0 ? 'border-t border-white/5' : ''}`}>
+                              <span className={`font-extrabold w-6 text-center flex-shrink-0 font-mono ${i === 0 ? 'text-yellow-400' : 'text-gray-500'}`}>{i + 1}.</span>
+                              <span className={`flex-1 min-w-0 truncate font-bold ${i === 0 ? 'text-yellow-400' : 'text-gray-200'}`}>{p.player}</span>
+                              <span className="text-gray-500 truncate max-w-[35%]">{p.manager}</span>
+                              {p.assists > 0 && <span className="text-gray-500 font-mono flex-shrink-0">{p.assists}🅰️</span>}
+                              <span className="text-cyan-400 font-extrabold w-8 text-right flex-shrink-0 font-mono">{p.goals}</span>
+                            </div>
+                          ))}
+                        </div>
+
+                        {/* Top scorer of each season */}
+                        {statsSeason === 'all' && statsResult.scorers.seasonLeaders.length > 0 && (
+                          <div className="ios26-card rounded-xl px-4 py-3">
+                            <h3 className="text-cyan-400 text-sm font-extrabold mb-1">🥇 Meilleur Buteur par Saison</h3>
+                            {statsResult.scorers.seasonLeaders.map((leader, i) => (
+                              <div key={leader.season} className={`flex items-center gap-2 py-1.5 text-xs ${i > 0 ? 'border-t border-white/5' : ''}`}>
+                                <span className="text-gray-500 font-bold w-8 flex-shrink-0">S{leader.season}</span>
+                                <span className="flex-1 min-w-0 truncate text-gray-200 font-bold">{leader.player}</span>
+                                <span className="text-gray-500 truncate max-w-[35%]">{leader.manager}</span>
+                                <span className="text-cyan-400 font-extrabold w-8 text-right flex-shrink-0 font-mono">{leader.goals}</span>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
+                        {/* Top scorers per manager */}
+                        <div className="ios26-card rounded-xl px-4 py-3">
+                          <h3 className="text-cyan-400 text-sm font-extrabold mb-1">🧑‍💼 Buteurs par Manager</h3>
+                          {statsResult.scorers.byManager.map(({ manager, goals, top }, i) => (
+                            <div key={manager} className={`py-1.5 ${i > 0 ? 'border-t border-white/5' : ''}`}>
+                              <div className="flex items-center justify-between text-xs">
+                                <span className="text-gray-200 font-bold truncate">{manager}</span>
+                                <span className="text-gray-500 font-mono flex-shrink-0">{goals} but{goals > 1 ? 's' : ''}</span>
+                              </div>
+                              <div className="text-[11px] text-gray-400 truncate">
+                                {top.map(p => `${p.player} (${p.goals})`).join(' · ')}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+
+                        {/* Own goals */}
+                        {statsResult.scorers.ownGoals.length > 0 && (
+                          <div className="ios26-card rounded-xl px-4 py-3">
+                            <h3 className="text-cyan-400 text-sm font-extrabold mb-1">🙈 Contre Son Camp</h3>
+                            {statsResult.scorers.ownGoals.slice(0, 10).map((p, i) => (
+                              <div key={`${p.manager}_${p.player}`} className={`flex items-center gap-2 py-1.5 text-xs ${i > 0 ? 'border-t border-white/5' : ''}`}>
+                                <span className="flex-1 min-w-0 truncate text-gray-200 font-bold">{p.player}</span>
+                                <span className="text-gray-500 truncate">{p.manager}</span>
+                                <span className="text-red-400 font-extrabold w-8 text-right flex-shrink-0 font-mono">{p.ownGoals}</span>
+                              </div>
+                            ))}
+                            <p className="text-gray-500 text-[10px] mt-1">Non comptés au Soulier d'Or</p>
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </>
+                )}
+
+                {/* === PRONOSTICS === */}
+                {statsCategory === 'predictions' && (
+                  <>
+                    {statsChampionship === 'all' ? (
+                      <div className="text-center py-12 text-gray-500 text-sm">Choisissez un championnat pour simuler la fin de saison</div>
+                    ) : predictions.status === 'running' && !predictions.result ? (
+                      <div className="text-center py-12 text-gray-500 text-sm">🔮 Simulation en cours...</div>
+                    ) : predictions.error ? (
+                      <div className="text-center py-12 text-red-400 text-sm">Simulation impossible : {predictions.error}</div>
+                    ) : !predictions.result ? (
+                      <div className="text-center py-12 text-gray-500 text-sm">Aucune équipe pour cette saison</div>
+                    ) : (
+                      <div className={`ios26-card rounded-xl p-3 transition-opacity ${predictions.status === 'running' ? 'opacity-50' : ''}`}>
+                        <h3 className="text-cyan-400 text-sm font-bold mb-1">🔮 Probabilités de Fin de Saison</h3>
+                        <p className="text-gray-500 text-[10px] mb-2">
+                          {predictions.result.remainingGames === 0
+                            ? 'Saison terminée : classement définitif'
+                            : `${predictions.result.iterations.toLocaleString('fr-FR')} simulations · ${predictions.result.remainingGames} match${predictions.result.remainingGames > 1 ? 's' : ''} restant${predictions.result.remainingGames > 1 ? 's' : ''} · buts tirés selon l'attaque et la défense historiques de chaque manager`}
+                        </p>
+                        <div className="flex items-center gap-2 pb-1 text-[10px] text-gray-500 font-bold uppercase">
+                          <span className="w-20 flex-shrink-0">Manager</span>
+                          <span className="flex-1 text-right">Titre</span>
+                          <span className="w-12 text-right flex-shrink-0">Podium</span>
+                          <span className="w-12 text-right flex-shrink-0">Dernier</span>
+                          <span className="w-12 text-right flex-shrink-0">Pts</span>
+                        </div>
+                        {predictions.result.teams.map((t, i) => (
+                          <div key={t.name} className="flex items-center gap-2 py-1 text-xs">
+                            <span className="text-gray-300 w-20 truncate font-semibold flex-shrink-0">{t.name}</span>
+                            <div className="flex-1 flex items-center gap-1.5">
+                              <div className="flex-1 h-5 rounded-full overflow-hidden bg-white/5">
+                                <div className="stats-bar h-full rounded-full" style={{ width: `${t.title}%`, background: 'linear-gradient(90deg, rgba(234,179,8,0.4), rgba(234,179,8,0.7))' }} />
+                              </div>
+                              <span className={`font-bold w-11 text-right font-mono ${i === 0 && t.title > 0 ? 'text-yellow-400' : 'text-gray-300'}`}>{t.title.toFixed(1)}%</span>
+                            </div>
+                            <span className="text-cyan-400 font-bold w-12 text-right flex-shrink-0 font-mono">{t.podium.toFixed(0)}%</span>
+                            <span className={`font-bold w-12 text-right flex-shrink-0 font-mono ${t.last >= 50 ? 'text-red-400' : 'text-gray-400'}`}>{t.last.toFixed(0)}%</span>
+                            <span className="text-gray-400 w-12 text-right flex-shrink-0 font-mono">{t.avgPts.toFixed(1)}</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </>
+                )}
 
               </div>
             )}
@@ -4856,6 +9581,17 @@ export default function HyeneScores() {
               <div className="text-lg">📅</div>
               <span className="text-[10px] font-bold tracking-wide">Match</span>
             </button>
+            <button
+              onClick={() => setSelectedTab('coupes')}
+              className={`flex flex-col items-center gap-0.5 rounded-xl px-2 py-1 min-w-[48px] ${
+                selectedTab === 'coupes'
+                  ? 'ios26-tab-active text-cyan-400'
+                  : 'text-gray-500 hover:text-gray-400'
+              }`}
+            >
+              <div className="text-lg">🏵️</div>
+              <span className="text-[10px] font-bold tracking-wide">Coupes</span>
+            </button>
             <button
               onClick={() => setSelectedTab('palmares')}
               className={`flex flex-col items-center gap-0.5 rounded-xl px-2 py-1 min-w-[48px] ${
@@ -0,0 +1,37 @@
+// ============================================
+// BAREME DE POINTS
+// Partage entre l'application et le worker de simulation
+// ============================================
+
+// Bareme historique : 3 pts la victoire, 1 le nul, 0 la defaite, sans bonus.
+// attackBonus : { minGoals, points } si l'equipe marque au moins minGoals buts.
+// defenseBonus : { maxMargin, points } si l'equipe perd par maxMargin buts d'ecart ou moins.
+export const DEFAULT_POINTS_SYSTEM = { win: 3, draw: 1, loss: 0, attackBonus: null, defenseBonus: null };
+
+/**
+ * Points attribues a chaque equipe pour un score donne, bonus compris.
+ * @returns {Object} { home, away }
+ */
+export function getMatchPoints(homeScore, awayScore, system = DEFAULT_POINTS_SYSTEM) {
+  const sidePoints = (goalsFor, goalsAgainst) => {
+    let pts = goalsFor > goalsAgainst ? system.win : goalsFor < goalsAgainst ? system.loss : system.draw;
+    if (system.attackBonus && goalsFor >= system.attackBonus.minGoals) {
+      pts += system.attackBonus.points;
+    }
+    if (system.defenseBonus && goalsFor < goalsAgainst && goalsAgainst - goalsFor <= system.defenseBonus.maxMargin) {
+      pts += system.defenseBonus.points;
+    }
+    return pts;
+  };
+  return { home: sidePoints(homeScore, awayScore), away: sidePoints(awayScore, homeScore) };
+}
+
+/**
+ * Points maximum qu'une equipe peut prendre en un match, bonus compris
+ * (bonus defensif : la defaite courte peut rapporter plus que le nul).
+ */
+export function getMaxMatchPoints(system = DEFAULT_POINTS_SYSTEM) {
+  const attack = system.attackBonus ? Math.max(0, system.attackBonus.points) : 0;
+  const defense = system.defenseBonus ? Math.max(0, system.defenseBonus.points) : 0;
+  return Math.max(system.win, system.draw, system.loss + defense) + attack;
+}
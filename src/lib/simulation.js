@@ -0,0 +1,179 @@
+// ============================================
+// SIMULATION MONTE-CARLO DE FIN DE SAISON
+// Fonctions pures : executees dans un Web Worker (simulation.worker.js)
+// ============================================
+
+import { getMatchPoints } from './points';
+import { groupByTiebreakers } from './tiebreakers';
+
+export const DEFAULT_ITERATIONS = 5000;
+
+// Tirage d'une loi de Poisson (methode de Knuth, suffisante pour des moyennes de quelques buts)
+function samplePoisson(lambda) {
+  const limit = Math.exp(-lambda);
+  let k = 0;
+  let p = Math.random();
+  while (p > limit) {
+    k++;
+    p *= Math.random();
+  }
+  return k;
+}
+
+// Melange de Fisher-Yates (copie)
+function shuffle(list) {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Rang de chaque equipe selon le mode de rang de la saison (ex-aequo = equipes d'un meme groupe) :
+// standard 1, 2, 3... ; shared 1, 1, 3... ; duo 1, 1, 2...
+function rankGroups(groups, rankMode) {
+  const ranks = {};
+  let position = 0;
+  groups.forEach((group, index) => {
+    group.forEach((team, i) => {
+      if (rankMode === 'shared') ranks[team.name] = position + 1;
+      else if (rankMode === 'duo') ranks[team.name] = index + 1;
+      else ranks[team.name] = position + i + 1;
+    });
+    position += group.length;
+  });
+  return ranks;
+}
+
+/**
+ * Simule la fin d'une saison un grand nombre de fois.
+ *
+ * Buts attendus d'une equipe = moyenne de buts x attaque de l'equipe x defense adverse
+ * (x avantage du terrain a domicile), tires selon une loi de Poisson.
+ * Chaque championnat ("league") est joue separement puis agrege : score du championnat
+ * (points, ou points de place) x coefficient, somme des bestN meilleurs scores, moins la penalite.
+ * Un championnat simple est une agregation d'une seule league en mode points.
+ * Chaque classement (places d'un championnat, classement final) suit la chaine de departage de sa saison,
+ * comme le classement affiche ; les equipes que la chaine ne separe pas sont ordonnees au hasard,
+ * ou partagent leur rang selon le mode de rang de la saison (titre partage, podium...).
+ *
+ * @param {Object} input
+ * @param {Array} input.leagues - [{ key, coefficient, system, tiebreakers, seed,
+ *   teams: [{ name, pts, diff, bp, g, penalty }], results: [{ homeTeam, awayTeam, homeScore, awayScore, system }] (matchs joues),
+ *   fixtures: [{ homeTeam, awayTeam }] (matchs connus non joues), openSlots: [{ pool, games }] (affiches a tirer) }]
+ * @param {Object} input.aggregation - { basis: 'points'|'position', bestN, positionPoints }
+ * @param {Object} input.penalties - { [equipe]: penalite sur le score agrege }
+ * @param {string[]} input.tiebreakers - Chaine de departage du classement final
+ * @param {string} input.seed - Graine du tirage au sort du classement final (cle de saison)
+ * @param {string} input.rankMode - Mode de rang du classement final ('standard', 'shared', 'duo')
+ * @param {Object} input.ratings - { [equipe]: { attack, defense } } (1 = moyenne)
+ * @param {number} input.avgGoals - Buts marques par equipe et par match (moyenne historique)
+ * @param {number} input.homeAdvantage - Multiplicateur des buts a domicile
+ * @param {number} [input.iterations]
+ * @returns {Object} { iterations, remainingGames, teams: [{ name, title, podium, last, avgPts }] } (probabilites en %)
+ */
+export function simulateSeason(input) {
+  const { leagues, aggregation = { basis: 'points', bestN: null, positionPoints: [] }, penalties = {} } = input;
+  const { ratings = {}, avgGoals = 1.5, homeAdvantage = 1 } = input;
+  const { tiebreakers = [], seed = '', rankMode = 'standard' } = input;
+  const iterations = input.iterations || DEFAULT_ITERATIONS;
+  const names = [...new Set(leagues.flatMap(l => l.teams.map(t => t.name)))];
+  const tally = Object.fromEntries(names.map(name => [name, { title: 0, podium: 0, last: 0, pts: 0 }]));
+  const remainingGames = leagues.reduce((sum, l) =>
+    sum + l.fixtures.length + l.openSlots.reduce((n, slot) => n + slot.games, 0), 0);
+
+  const expectedGoals = (attacker, defender, isHome) =>
+    avgGoals * (ratings[attacker]?.attack ?? 1) * (ratings[defender]?.defense ?? 1) * (isHome ? homeAdvantage : 1);
+
+  // Score d'une equipe dans un championnat simule
+  const leagueScores = (league, stats, results) => {
+    if (aggregation.basis !== 'position') {
+      return Object.fromEntries(Object.values(stats).map(t => [t.name, t.pts * league.coefficient]));
+    }
+    const teams = Object.values(stats).map(t => ({ ...t, effectivePts: t.pts - t.penalty }));
+    const ranked = groupByTiebreakers(shuffle(teams), league.tiebreakers || [], { results, seed: league.seed }).flat();
+    return Object.fromEntries(ranked.map((t, i) => [t.name, (aggregation.positionPoints[i] || 0) * league.coefficient]));
+  };
+
+  for (let it = 0; it < iterations; it++) {
+    const totals = {};
+    const allResults = [];
+    names.forEach(name => { totals[name] = { name, scores: [], diff: 0, bp: 0, g: 0 }; });
+
+    leagues.forEach(league => {
+      const stats = {};
+      const results = [...(league.results || [])];
+      league.teams.forEach(t => {
+        stats[t.name] = { name: t.name, pts: t.pts, diff: t.diff, bp: t.bp, g: t.g || 0, penalty: t.penalty || 0 };
+      });
+
+      const play = (homeTeam, awayTeam) => {
+        if (!stats[homeTeam] || !stats[awayTeam]) return;
+        const hs = samplePoisson(expectedGoals(homeTeam, awayTeam, true));
+        const as = samplePoisson(expectedGoals(awayTeam, homeTeam, false));
+        const points = getMatchPoints(hs, as, league.system);
+        stats[homeTeam].pts += points.home;
+        stats[awayTeam].pts += points.away;
+        stats[homeTeam].diff += hs - as;
+        stats[awayTeam].diff += as - hs;
+        stats[homeTeam].bp += hs;
+        stats[awayTeam].bp += as;
+        if (hs > as) stats[homeTeam].g++;
+        if (as > hs) stats[awayTeam].g++;
+        results.push({ homeTeam, awayTeam, homeScore: hs, awayScore: as, system: league.system });
+      };
+
+      league.fixtures.forEach(f => play(f.homeTeam, f.awayTeam));
+      league.openSlots.forEach(slot => {
+        const drawn = shuffle(slot.pool);
+        for (let g = 0; g < slot.games && 2 * g + 1 < drawn.length; g++) {
+          play(drawn[2 * g], drawn[2 * g + 1]);
+        }
+      });
+
+      const scores = leagueScores(league, stats, results);
+      Object.values(stats).forEach(t => {
+        totals[t.name].scores.push(scores[t.name]);
+        totals[t.name].diff += t.diff;
+        totals[t.name].bp += t.bp;
+        totals[t.name].g += t.g;
+      });
+      allResults.push(...results);
+    });
+
+    Object.values(totals).forEach(t => {
+      const counted = t.scores.sort((a, b) => b - a).slice(0, aggregation.bestN || undefined);
+      // Arrondi comme le classement affiche, pour que les egalites de score soient les memes
+      const score = Math.round(counted.reduce((sum, value) => sum + value, 0) * 100) / 100;
+      t.pts = score - (penalties[t.name] || 0);
+      t.effectivePts = t.pts;
+    });
+
+    const groups = groupByTiebreakers(shuffle(Object.values(totals)), tiebreakers, { results: allResults, seed });
+    const ranks = rankGroups(groups, rankMode);
+    const lastRank = Math.max(...Object.values(ranks));
+    Object.values(totals).forEach(team => {
+      const rank = ranks[team.name];
+      tally[team.name].pts += team.pts;
+      if (rank === 1) tally[team.name].title++;
+      if (rank <= 3) tally[team.name].podium++;
+      if (rank === lastRank) tally[team.name].last++;
+    });
+  }
+
+  const toPercent = count => (count / iterations) * 100;
+  return {
+    iterations,
+    remainingGames,
+    teams: names
+      .map(name => ({
+        name,
+        title: toPercent(tally[name].title),
+        podium: toPercent(tally[name].podium),
+        last: toPercent(tally[name].last),
+        avgPts: tally[name].pts / iterations
+      }))
+      .sort((a, b) => b.title - a.title || b.avgPts - a.avgPts)
+  };
+}
@@ -0,0 +1,11 @@
+// Worker de simulation : les tirages Monte-Carlo tournent hors du thread de l'interface
+import { simulateSeason } from './simulation';
+
+self.onmessage = (event) => {
+  const { requestId, input } = event.data;
+  try {
+    self.postMessage({ requestId, result: simulateSeason(input) });
+  } catch (err) {
+    self.postMessage({ requestId, error: err.message });
+  }
+};
@@ -14,6 +14,10 @@ const supabase = isSupabaseConfigured
   ? createClient(supabaseUrl, supabaseAnonKey)
   : null;
 
+// Cle de la Ligue des Hyenes (aggregation des championnats europeens) dans les tables
+// seasons, matches et palmares ; partagee avec l'application
+export const HYENES_KEY = 'ligue_hyenes';
+
 // ============================================
 // AUTHENTIFICATION
 // ============================================
@@ -142,14 +146,18 @@ export async function fetchAppData() {
       matches,
       { data: champions, error: championsError },
       { data: pantheon, error: pantheonError },
-      { data: penalties, error: penaltiesError }
+      { data: penalties, error: penaltiesError },
+      { data: championships, error: championshipsError },
+      { data: matchdays, error: matchdaysError }
     ] = await Promise.all([
       supabase.from('managers').select('*'),
       supabase.from('seasons').select('*'),
       fetchAllMatches(),
       supabase.from('champions').select('*').order('season', { ascending: true }),
       supabase.from('pantheon').select('*').order('total_points', { ascending: false }),
-      supabase.from('penalties').select('*')
+      supabase.from('penalties').select('*'),
+      supabase.from('championships').select('*').order('sort_order', { ascending: true }),
+      supabase.from('matchdays').select('championship, season, matchday, revision')
     ]);
 
     // Log les erreurs mais ne pas crasher - les tables peuvent ne pas exister encore
@@ -159,6 +167,8 @@ export async function fetchAppData() {
     if (championsError) console.warn('Erreur champions:', championsError.message);
     if (pantheonError) console.warn('Erreur pantheon:', pantheonError.message);
     if (penaltiesError) console.warn('Erreur penalties:', penaltiesError.message);
+    if (championshipsError) console.warn('Erreur championships:', championshipsError.message);
+    if (matchdaysError) console.warn('Erreur matchdays:', matchdaysError.message);
 
     // Transformer en format v2.0 compatible
     const managersMap = {};
@@ -173,7 +183,14 @@ export async function fetchAppData() {
         championship: s.championship,
         season: s.season_number,
         standings: s.standings || [],
-        exemptTeam: s.exempt_team || ''
+        exemptTeam: s.exempt_team || '',
+        tiebreakers: s.tiebreakers || null,
+        rankMode: s.rank_mode || 'standard',
+        pointsSystem: s.points_system || null,
+        format: s.format || null,
+        aggregation: s.aggregation || null,
+        zones: s.zones || null,
+        bracket: s.bracket || null
       };
     });
 
@@ -200,11 +217,25 @@ export async function fetchAppData() {
         awayTeam: m.away_team,
         homeScore: m.home_score,
         awayScore: m.away_score,
+        status: m.status || undefined,
+        playedAt: m.played_at || undefined,
+        note: m.note || undefined,
+        videoUrl: m.video_url || undefined,
+        events: m.events || undefined,
+        homeClub: m.home_club || undefined,
+        awayClub: m.away_club || undefined,
         gameOrder: m.game_order
       });
     });
+    // Revision de chaque journee (concurrence optimiste, 0 = jamais sauvegardee via save_matchday)
+    const revisions = {};
+    matchdays?.forEach(md => {
+      revisions[`${md.championship}_${md.season}_${md.matchday}`] = md.revision;
+    });
+
     // Trier les games par game_order (puis par id en fallback) pour préserver l'ordre de saisie
     Object.values(matchGroups).forEach(group => {
+      group.revision = revisions[`${group.championship}_${group.season}_${group.matchday}`] || 0;
       group.games.sort((a, b) => {
         const orderA = a.gameOrder ?? Infinity;
         const orderB = b.gameOrder ?? Infinity;
@@ -223,7 +254,8 @@ export async function fetchAppData() {
       palmaresMap[c.championship].push({
         season: c.season,
         champion: c.champion_name,
-        runnerUp: c.runner_up_name || ''
+        runnerUp: c.runner_up_name || '',
+        override: c.override || null
       });
     });
 
@@ -248,7 +280,21 @@ export async function fetchAppData() {
         titles: p.titles,
         runnerUps: p.runner_ups
       })) || [],
-      penalties: penaltiesMap
+      penalties: penaltiesMap,
+      // Liste vide = competitions par defaut de l'application
+      championships: championships?.map(c => ({
+        id: c.id,
+        key: c.key,
+        name: c.name,
+        icon: c.icon || '',
+        order: c.sort_order ?? 0,
+        feedsHyenes: !!c.feeds_hyenes,
+        active: c.active !== false,
+        parentKey: c.parent_key || null,
+        division: c.division || null,
+        type: c.type || 'league',
+        qualification: c.qualification || null
+      })) || []
     };
   } catch (error) {
     console.error('Erreur lors du chargement des donnees:', error);
@@ -281,6 +327,33 @@ export async function saveManager(manager) {
   return data;
 }
 
+/**
+ * Sauvegarde une competition : { id, key, name, icon, order, feedsHyenes, active, parentKey, division, type, qualification }
+ * (ajout, renommage, ordre et retrait passent tous par cet upsert)
+ */
+export async function saveChampionship(championship) {
+  if (!supabase) throw new Error('Supabase non configure');
+  const { data, error } = await supabase
+    .from('championships')
+    .upsert({
+      id: championship.id,
+      key: championship.key,
+      name: championship.name,
+      icon: championship.icon,
+      sort_order: championship.order,
+      feeds_hyenes: championship.feedsHyenes,
+      active: championship.active,
+      parent_key: championship.parentKey || null,
+      division: championship.division || null,
+      type: championship.type || 'league',
+      qualification: championship.qualification || null
+    })
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
 /**
  * Supprime un manager de la base de données
  */
@@ -299,8 +372,8 @@ export async function deleteManager(managerId) {
  * Met à jour le nom d'un manager et propage le changement sur toutes les données associées
  * - Table managers
  * - Table matches (home_team, away_team)
- * - Table seasons (exempt_team)
- * - Table champions (champion_name, runner_up_name)
+ * - Table seasons (exempt_team, format.managers, bracket)
+ * - Table champions (champion_name, runner_up_name, override)
  * - Table pantheon (manager_name)
  * - Table penalties (team_name)
  */
@@ -333,6 +406,52 @@ export async function updateManagerName(managerId, oldName, newName) {
     throw new Error(`Renommage partiel: ${errors.length} table(s) en erreur`);
   }
 
+  // 9. Noms stockés dans des colonnes JSONB (format de saison, tableau de coupe, corrections de titre)
+  const renameIn = (names) => Array.isArray(names) ? names.map(n => (n === oldName ? newName : n)) : names;
+  const bracketHas = (bracket) => (bracket.rounds || []).some(round =>
+    (round.ties || []).some(tie => tie.home === oldName || tie.away === oldName));
+  const renameBracket = (bracket) => ({
+    ...bracket,
+    rounds: bracket.rounds.map(round => ({
+      ...round,
+      ties: (round.ties || []).map(tie => ({
+        ...tie,
+        home: tie.home === oldName ? newName : tie.home,
+        away: tie.away === oldName ? newName : tie.away
+      }))
+    }))
+  });
+  const [formatResult, bracketResult, overrideResult] = await Promise.all([
+    supabase.from('seasons').select('id, format').not('format', 'is', null),
+    supabase.from('seasons').select('id, bracket').not('bracket', 'is', null),
+    supabase.from('champions').select('id, override').not('override', 'is', null)
+  ]);
+  if (formatResult.error) throw formatResult.error;
+  if (bracketResult.error) throw bracketResult.error;
+  if (overrideResult.error) throw overrideResult.error;
+
+  const jsonUpdates = [
+    ...(formatResult.data || [])
+      .filter(row => row.format.managers?.includes(oldName) || row.format.exemptRotation?.includes(oldName))
+      .map(row => supabase.from('seasons')
+        .update({ format: { ...row.format, managers: renameIn(row.format.managers), exemptRotation: renameIn(row.format.exemptRotation) } })
+        .eq('id', row.id)),
+    ...(bracketResult.data || [])
+      .filter(row => bracketHas(row.bracket))
+      .map(row => supabase.from('seasons')
+        .update({ bracket: renameBracket(row.bracket) })
+        .eq('id', row.id)),
+    ...(overrideResult.data || [])
+      .filter(row => row.override.champions?.includes(oldName) || row.override.runnerUps?.includes(oldName))
+      .map(row => supabase.from('champions')
+        .update({ override: { ...row.override, champions: renameIn(row.override.champions), runnerUps: renameIn(row.override.runnerUps) } })
+        .eq('id', row.id))
+  ];
+  const jsonResults = await Promise.all(jsonUpdates);
+  if (jsonResults.some(r => r.error)) {
+    throw new Error('Renommage partiel: formats de saison, tableaux de coupe ou corrections de titre en erreur');
+  }
+
   return { success: true };
 }
 
@@ -355,62 +474,165 @@ export async function saveSeason(championship, seasonNumber, standings) {
 }
 
 /**
- * Sauvegarde les matchs d'une journee
+ * Sauvegarde la chaine de departage d'une saison (null = chaine par defaut, [] = ordre de saisie)
  */
-export async function saveMatches(championship, season, matchday, games) {
+export async function saveSeasonTiebreakers(championship, seasonNumber, tiebreakers) {
   if (!supabase) throw new Error('Supabase non configure');
+  const { data, error } = await supabase
+    .from('seasons')
+    .upsert({
+      championship,
+      season_number: seasonNumber,
+      tiebreakers
+    }, { onConflict: 'championship,season_number' })
+    .select();
 
-  // Filtrer les matchs vides (sans equipes)
-  const validGames = games.filter(game => game.homeTeam && game.awayTeam);
+  if (error) throw error;
+  return data;
+}
 
-  // Toujours supprimer les anciens matchs de cette journee (meme si pas de nouveaux matchs)
-  const { error: deleteError } = await supabase
-    .from('matches')
-    .delete()
-    .eq('championship', championship)
-    .eq('season', season)
-    .eq('matchday', matchday);
+/**
+ * Sauvegarde le mode de rang des ex-aequo d'une saison ('standard', 'shared' ou 'duo')
+ */
+export async function saveSeasonRankMode(championship, seasonNumber, rankMode) {
+  if (!supabase) throw new Error('Supabase non configure');
+  const { data, error } = await supabase
+    .from('seasons')
+    .upsert({
+      championship,
+      season_number: seasonNumber,
+      rank_mode: rankMode
+    }, { onConflict: 'championship,season_number' })
+    .select();
 
-  if (deleteError) throw deleteError;
+  if (error) throw error;
+  return data;
+}
 
-  // Si pas de matchs valides, retourner (la suppression a deja ete faite)
-  if (validGames.length === 0) {
-    return [];
-  }
+/**
+ * Sauvegarde le bareme de points d'une saison (null = 3/1/0 sans bonus)
+ */
+export async function saveSeasonPointsSystem(championship, seasonNumber, pointsSystem) {
+  if (!supabase) throw new Error('Supabase non configure');
+  const { data, error } = await supabase
+    .from('seasons')
+    .upsert({
+      championship,
+      season_number: seasonNumber,
+      points_system: pointsSystem
+    }, { onConflict: 'championship,season_number' })
+    .select();
 
-  // Inserer les nouveaux matchs (avec game_order si la colonne existe)
-  const baseFields = validGames.map((game, index) => ({
-    championship,
-    season,
-    matchday,
-    home_team: game.homeTeam,
-    away_team: game.awayTeam,
-    home_score: game.homeScore,
-    away_score: game.awayScore,
-    game_order: index
-  }));
+  if (error) throw error;
+  return data;
+}
 
-  let { data, error } = await supabase
-    .from('matches')
-    .insert(baseFields)
+/**
+ * Sauvegarde le format d'une saison : { matchdays, gamesPerMatchday, managers, exemptRotation }
+ * exemptRotation : exempt de chaque journee d'un calendrier genere (null = exempt de saison)
+ * gamesPerMatchday toujours explicite (deduit de l'effectif a l'edition si laisse vide)
+ */
+export async function saveSeasonFormat(championship, seasonNumber, format) {
+  if (!supabase) throw new Error('Supabase non configure');
+  const { data, error } = await supabase
+    .from('seasons')
+    .upsert({
+      championship,
+      season_number: seasonNumber,
+      format
+    }, { onConflict: 'championship,season_number' })
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Sauvegarde les zones de montee / descente d'une saison : { promotion, relegation }
+ */
+export async function saveSeasonZones(championship, seasonNumber, zones) {
+  if (!supabase) throw new Error('Supabase non configure');
+  const { data, error } = await supabase
+    .from('seasons')
+    .upsert({
+      championship,
+      season_number: seasonNumber,
+      zones
+    }, { onConflict: 'championship,season_number' })
     .select();
 
-  // Si la colonne game_order n'existe pas encore, réessayer sans
-  if (error && error.message && error.message.includes('game_order')) {
-    const fallbackFields = validGames.map(game => ({
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Sauvegarde le tableau d'une coupe pour une saison : { rounds: [{ legs, ties }] }
+ */
+export async function saveSeasonBracket(championship, seasonNumber, bracket) {
+  if (!supabase) throw new Error('Supabase non configure');
+  const { data, error } = await supabase
+    .from('seasons')
+    .upsert({
       championship,
-      season,
-      matchday,
-      home_team: game.homeTeam,
-      away_team: game.awayTeam,
-      home_score: game.homeScore,
-      away_score: game.awayScore
-    }));
-    ({ data, error } = await supabase
-      .from('matches')
-      .insert(fallbackFields)
-      .select());
-  }
+      season_number: seasonNumber,
+      bracket
+    }, { onConflict: 'championship,season_number' })
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Sauvegarde la regle d'agregation de la Ligue des Hyenes d'une saison :
+ * { basis, coefficients, bestN, positionPoints }
+ */
+export async function saveSeasonAggregation(seasonNumber, aggregation) {
+  if (!supabase) throw new Error('Supabase non configure');
+  const { data, error } = await supabase
+    .from('seasons')
+    .upsert({
+      championship: HYENES_KEY,
+      season_number: seasonNumber,
+      aggregation
+    }, { onConflict: 'championship,season_number' })
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Sauvegarde les matchs d'une journee en une seule transaction (fonction save_matchday).
+ * expectedRevision : revision lue par le client ; null = ecrasement force (import, calendrier).
+ * Retourne { conflict: false, revision } ou, si la journee a ete modifiee entre-temps,
+ * { conflict: true, revision, games } avec la version en base (rien n'est ecrit).
+ */
+export async function saveMatches(championship, season, matchday, games, expectedRevision = null) {
+  if (!supabase) throw new Error('Supabase non configure');
+
+  // Les matchs vides (sans equipes) sont ignores par la fonction ; une liste vide vide la journee
+  const payload = games.map(game => ({
+    homeTeam: game.homeTeam || '',
+    awayTeam: game.awayTeam || '',
+    homeScore: game.homeScore ?? null,
+    awayScore: game.awayScore ?? null,
+    status: game.status || null,
+    playedAt: game.playedAt || null,
+    note: game.note || null,
+    videoUrl: game.videoUrl || null,
+    events: game.events?.length ? game.events : null,
+    homeClub: game.homeClub || null,
+    awayClub: game.awayClub || null
+  }));
+
+  const { data, error } = await supabase.rpc('save_matchday', {
+    p_championship: championship,
+    p_season: season,
+    p_matchday: matchday,
+    p_games: payload,
+    p_expected_revision: expectedRevision
+  });
 
   if (error) throw error;
   return data;
@@ -435,6 +657,27 @@ export async function saveChampion(championship, season, championName, runnerUpN
   return data;
 }
 
+/**
+ * Enregistre (ou supprime avec null) la correction manuelle du titre d'une saison
+ * override : { champions: [noms], runnerUps: [noms] | null, reason }
+ * championName : champion(s) retenu(s), null si le titre est retire
+ */
+export async function saveChampionOverride(championship, season, championName, override) {
+  if (!supabase) throw new Error('Supabase non configure');
+  const { data, error } = await supabase
+    .from('champions')
+    .upsert({
+      championship,
+      season,
+      champion_name: championName,
+      override
+    }, { onConflict: 'championship,season' })
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
 /**
  * Met a jour le pantheon
  */
@@ -512,7 +755,14 @@ export async function importFromJSON(jsonData) {
     throw new Error('Format de donnees invalide');
   }
 
-  const { entities, palmares, pantheon, penalties } = jsonData;
+  const { entities, palmares, pantheon, penalties, championships } = jsonData;
+
+  // Import competitions
+  if (Array.isArray(championships)) {
+    for (const championship of championships) {
+      await saveChampionship(championship);
+    }
+  }
 
   // Import managers
   if (entities.managers) {
@@ -530,10 +780,38 @@ export async function importFromJSON(jsonData) {
     const seasonsData = Object.entries(entities.seasons).map(([key, value]) => ({
       championship: value.championship,
       season_number: value.season,
-      standings: value.standings
+      standings: value.standings,
+      tiebreakers: value.tiebreakers,
+      rankMode: value.rankMode,
+      pointsSystem: value.pointsSystem,
+      format: value.format,
+      aggregation: value.aggregation,
+      zones: value.zones,
+      bracket: value.bracket
     }));
     for (const season of seasonsData) {
       await saveSeason(season.championship, season.season_number, season.standings);
+      if (season.tiebreakers) {
+        await saveSeasonTiebreakers(season.championship, season.season_number, season.tiebreakers);
+      }
+      if (season.rankMode && season.rankMode !== 'standard') {
+        await saveSeasonRankMode(season.championship, season.season_number, season.rankMode);
+      }
+      if (season.pointsSystem) {
+        await saveSeasonPointsSystem(season.championship, season.season_number, season.pointsSystem);
+      }
+      if (season.format) {
+        await saveSeasonFormat(season.championship, season.season_number, season.format);
+      }
+      if (season.aggregation && season.championship === HYENES_KEY) {
+        await saveSeasonAggregation(season.season_number, season.aggregation);
+      }
+      if (season.zones) {
+        await saveSeasonZones(season.championship, season.season_number, season.zones);
+      }
+      if (season.bracket) {
+        await saveSeasonBracket(season.championship, season.season_number, season.bracket);
+      }
     }
   }
 
@@ -553,7 +831,14 @@ export async function importFromJSON(jsonData) {
           homeTeam: game.homeTeam || game.h,
           awayTeam: game.awayTeam || game.a,
           homeScore: game.homeScore ?? game.hs,
-          awayScore: game.awayScore ?? game.as
+          awayScore: game.awayScore ?? game.as,
+          status: game.status,
+          playedAt: game.playedAt,
+          note: game.note,
+          videoUrl: game.videoUrl,
+          events: game.events,
+          homeClub: game.homeClub,
+          awayClub: game.awayClub
         }));
 
         await saveMatches(
@@ -583,6 +868,9 @@ export async function importFromJSON(jsonData) {
     for (const [championship, seasons] of Object.entries(palmares)) {
       for (const s of seasons) {
         await saveChampion(championship, s.season, s.champion, s.runnerUp);
+        if (s.override) {
+          await saveChampionOverride(championship, s.season, s.champion, s.override);
+        }
       }
     }
   }
@@ -0,0 +1,195 @@
+// ============================================
+// FILE DE SYNCHRONISATION DES JOURNEES (IndexedDB)
+// Chaque saisie de la page Matchs est d'abord ecrite ici, puis envoyee a Supabase.
+// Une entree par journee : la derniere saisie remplace la precedente tant qu'elle n'est pas envoyee.
+// ============================================
+
+const DB_NAME = 'hyenescores';
+const DB_VERSION = 1;
+const STORE = 'matchdays';
+
+export const SYNC_BACKOFF_BASE_MS = 2000;
+export const SYNC_BACKOFF_MAX_MS = 5 * 60 * 1000; // 5 minutes
+export const SYNC_MAX_ATTEMPTS = 6; // au-dela : 'failed' (retente a la reconnexion ou a la demande)
+
+// Tag de Background Sync : le service worker previent la page quand la connexion revient
+export const SYNC_TAG = 'hyene-matchdays';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB indisponible'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Execute une operation sur le store et attend la fin de la transaction
+async function withStore(mode, operation) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function getQueueKey(block) {
+  return `${block.championship}_${block.season}_${block.matchday}`;
+}
+
+/**
+ * Met une journee en file (remplace une saisie precedente non envoyee).
+ * @param {Object} block - Bloc { championship, season, matchday, games }
+ * @param {number} expectedRevision - Revision lue avant la saisie (concurrence optimiste)
+ */
+export async function enqueueMatchday(block, expectedRevision) {
+  const entry = {
+    key: getQueueKey(block),
+    block,
+    expectedRevision,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    updatedAt: Date.now()
+  };
+  await withStore('readwrite', store => store.put(entry));
+  return entry;
+}
+
+export function listQueue() {
+  return withStore('readonly', store => store.getAll()).then(entries => entries || []);
+}
+
+export function removeFromQueue(key) {
+  return withStore('readwrite', store => store.delete(key));
+}
+
+// Envoi en cours (un seul a la fois) et demande de nouveau passage arrivee pendant l'envoi
+let inFlight = null;
+let rerun = null;
+
+/**
+ * Envoie les journees en file dont le delai d'attente est ecoule, une par une.
+ * Succes ou conflit : l'entree sort de la file. Erreur : nouvel essai apres un delai
+ * exponentiel (SYNC_BACKOFF_BASE_MS x 2^essais), 'failed' apres SYNC_MAX_ATTEMPTS.
+ * Une entree remplacee pendant l'envoi (nouvelle saisie) est conservee et repart de la
+ * revision que l'envoi vient d'obtenir.
+ * Un appel pendant un envoi en cours reutilise sa promesse et relance un passage a la fin.
+ * @param {Function} send - async (entry) => resultat de saveMatches
+ * @param {Object} options - { force: ignorer les delais et retenter les echecs,
+ *   onSent: (entry, result) => void, appele apres chaque envoi }
+ * @returns {Promise<Array>} [{ entry, result }] des journees envoyees
+ */
+export function flushQueue(send, options = {}) {
+  if (inFlight) {
+    rerun = { ...options, force: Boolean(rerun?.force || options.force) };
+    return inFlight;
+  }
+  inFlight = (async () => {
+    const sent = [];
+    let pass = options;
+    while (pass) {
+      rerun = null;
+      sent.push(...await flushDue(send, pass));
+      pass = rerun;
+    }
+    return sent;
+  })().finally(() => { inFlight = null; });
+  return inFlight;
+}
+
+async function flushDue(send, { force = false, onSent } = {}) {
+  const now = Date.now();
+  const due = (await listQueue()).filter(entry =>
+    force || (entry.status === 'pending' && entry.nextAttemptAt <= now));
+  const sent = [];
+
+  for (const entry of due) {
+    try {
+      const result = await send(entry);
+      await settleEntry(entry, result?.conflict ? null : result?.revision);
+      onSent?.(entry, result);
+      sent.push({ entry, result });
+    } catch (err) {
+      await scheduleRetry(entry, err);
+    }
+  }
+  return sent;
+}
+
+// Apres un echec, dans une seule transaction : reprogramme l'entree avec un delai exponentiel,
+// sauf si une saisie plus recente l'a remplacee entre-temps (elle repart telle quelle)
+async function scheduleRetry(entry, err) {
+  const attempts = entry.attempts + 1;
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const request = store.get(entry.key);
+    request.onsuccess = () => {
+      if (request.result?.updatedAt !== entry.updatedAt) return;
+      store.put({
+        ...entry,
+        attempts,
+        status: attempts >= SYNC_MAX_ATTEMPTS ? 'failed' : 'pending',
+        nextAttemptAt: Date.now() + Math.min(SYNC_BACKOFF_MAX_MS, SYNC_BACKOFF_BASE_MS * 2 ** attempts),
+        lastError: err?.message || String(err)
+      });
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Apres un envoi, dans une seule transaction : retire l'entree envoyee ou, si une saisie plus
+// recente l'a remplacee entre-temps, fait partir celle-ci de la revision obtenue par l'envoi
+async function settleEntry(entry, revision) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const request = store.get(entry.key);
+    request.onsuccess = () => {
+      const current = request.result;
+      if (current?.updatedAt === entry.updatedAt) store.delete(entry.key);
+      else if (current && revision != null) store.put({ ...current, expectedRevision: revision });
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Abandonne les journees en echec definitif ; retourne les cles retirees
+export async function discardFailed() {
+  const failed = (await listQueue()).filter(entry => entry.status === 'failed');
+  for (const entry of failed) await removeFromQueue(entry.key);
+  return failed.map(entry => entry.key);
+}
+
+// Demande au service worker de prevenir la page au retour de la connexion (Background Sync)
+export async function requestBackgroundSync() {
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    await registration?.sync?.register(SYNC_TAG);
+  } catch {
+    // Background Sync non supporte : l'evenement 'online' de la page prend le relais
+  }
+}
@@ -0,0 +1,96 @@
+// ============================================
+// MOTEUR DE DEPARTAGE
+// Partage entre l'application et le worker de simulation
+// ============================================
+//
+// Les equipes sont d'abord classees par points effectifs (pts - penalite).
+// Les egalites sont ensuite departagees par une chaine de criteres configurable
+// par championnat et par saison (colonne seasons.tiebreakers).
+// Les criteres "confrontations directes" sont calcules uniquement entre les equipes
+// encore a egalite, puis reappliques sur chaque sous-groupe restant.
+
+import { getMatchPoints } from './points';
+
+// Parse une difference de buts numerique ou formatee ("+3", "-2")
+function parseDiff(diff) {
+  return parseInt(String(diff).replace('+', '')) || 0;
+}
+
+// Hash deterministe (FNV-1a) : le tirage au sort reste stable d'un rendu a l'autre
+function hashString(str) {
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Calcule la valeur d'un critere pour chaque equipe d'un groupe a egalite
+function getTiebreakerValues(rule, group, results, seed) {
+  const values = {};
+  group.forEach(team => { values[team.name] = 0; });
+
+  if (rule === 'diff') {
+    group.forEach(team => { values[team.name] = parseDiff(team.diff); });
+  } else if (rule === 'bp') {
+    group.forEach(team => { values[team.name] = team.bp || 0; });
+  } else if (rule === 'wins') {
+    group.forEach(team => { values[team.name] = team.g || 0; });
+  } else if (rule === 'lots') {
+    group.forEach(team => { values[team.name] = hashString(`${seed}_${team.name}`); });
+  } else if (rule === 'away_goals' || rule === 'h2h_pts' || rule === 'h2h_diff') {
+    const isH2h = rule !== 'away_goals';
+    results.forEach(({ homeTeam, awayTeam, homeScore, awayScore, system }) => {
+      if (!isH2h) {
+        if (awayTeam in values) values[awayTeam] += awayScore;
+        return;
+      }
+      // Confrontations directes : uniquement les matchs entre equipes du groupe
+      if (!(homeTeam in values) || !(awayTeam in values)) return;
+      if (rule === 'h2h_diff') {
+        values[homeTeam] += homeScore - awayScore;
+        values[awayTeam] += awayScore - homeScore;
+      } else {
+        const points = getMatchPoints(homeScore, awayScore, system);
+        values[homeTeam] += points.home;
+        values[awayTeam] += points.away;
+      }
+    });
+  }
+
+  return values;
+}
+
+// Decoupe une liste triee en groupes consecutifs de meme valeur
+function splitByValue(sortedTeams, valueOf) {
+  const groups = [];
+  sortedTeams.forEach(team => {
+    const last = groups[groups.length - 1];
+    if (last && valueOf(last[0]) === valueOf(team)) last.push(team);
+    else groups.push([team]);
+  });
+  return groups;
+}
+
+/**
+ * Classe des equipes par points effectifs puis par la chaine de departage, en groupes d'ex-aequo :
+ * chaque groupe reunit les equipes que la chaine n'a pas pu separer (dans leur ordre d'entree).
+ * @param {Array} teams - [{ name, effectivePts, diff, bp, g, ... }]
+ * @param {string[]} tiebreakers - Criteres dans l'ordre d'application
+ * @param {Object} options - { results: matchs joues [{ homeTeam, awayTeam, homeScore, awayScore, system }]
+ *                            (H2H, buts ext.), seed: graine du tirage au sort }
+ * @returns {Array[]} Groupes dans l'ordre du classement (les objets d'origine sont conserves)
+ */
+export function groupByTiebreakers(teams, tiebreakers, { results = [], seed = '' } = {}) {
+  const breakTies = (group, rules) => {
+    if (group.length < 2 || rules.length === 0) return [group];
+    const [rule, ...rest] = rules;
+    const values = getTiebreakerValues(rule, group, results, seed);
+    const sorted = [...group].sort((a, b) => values[b.name] - values[a.name]);
+    return splitByValue(sorted, team => values[team.name]).flatMap(sub => breakTies(sub, rest));
+  };
+
+  const byPoints = [...teams].sort((a, b) => b.effectivePts - a.effectivePts);
+  return splitByValue(byPoints, team => team.effectivePts).flatMap(group => breakTies(group, tiebreakers));
+}
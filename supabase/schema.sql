@@ -38,6 +38,13 @@ CREATE TABLE IF NOT EXISTS seasons (
   season_number INTEGER NOT NULL,
   standings JSONB DEFAULT '[]',
   exempt_team TEXT,
+  tiebreakers JSONB,
+  rank_mode TEXT DEFAULT 'standard',
+  points_system JSONB,
+  format JSONB,
+  aggregation JSONB,
+  zones JSONB,
+  bracket JSONB,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW(),
   UNIQUE(championship, season_number)
@@ -56,7 +63,19 @@ CREATE TABLE IF NOT EXISTS matches (
   away_team TEXT NOT NULL,
   home_score INTEGER,
   away_score INTEGER,
+  -- Club réel joué par chaque manager (facultatif)
+  home_club TEXT,
+  away_club TEXT,
   game_order INTEGER DEFAULT 0,
+  -- scheduled | played | postponed | forfeited | cancelled (NULL = déduit des scores)
+  status TEXT,
+  -- Infos facultatives : date du match, note libre, lien du replay
+  played_at TIMESTAMPTZ,
+  note TEXT,
+  video_url TEXT,
+  -- Buteurs : [{ "type": "goal" | "own_goal", "side": "home" | "away", "player", "assist", "minute" }]
+  -- side = camp crédité du but (pour un CSC, le joueur appartient au camp adverse)
+  events JSONB,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -72,8 +91,9 @@ CREATE TABLE IF NOT EXISTS champions (
   id SERIAL PRIMARY KEY,
   championship TEXT NOT NULL,
   season INTEGER NOT NULL,
-  champion_name TEXT NOT NULL,
+  champion_name TEXT, -- NULL = titre retiré (correction manuelle)
   runner_up_name TEXT,
+  override JSONB,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   UNIQUE(championship, season)
 );
@@ -122,6 +142,54 @@ INSERT INTO app_settings (key, value) VALUES
   ('app_config', '{"version": "2.0", "initialized": true}')
 ON CONFLICT (key) DO NOTHING;
 
+-- ============================================
+-- TABLE 8: championships (compétitions)
+-- ============================================
+-- id : identifiant UI (clés de pénalités) ; key : clé utilisée par matches/seasons/champions
+-- feeds_hyenes : le championnat compte pour la Ligue des Hyènes
+-- active = FALSE : compétition retirée (historique conservé, plus de saisie)
+-- parent_key / division : division inférieure d'un championnat (NULL = première division)
+-- type : 'league' (journées) ou 'cup' (élimination directe, tableau dans seasons.bracket)
+-- qualification : qualifiés automatiques d'une coupe liée à une saison (play-offs, Trophée des Champions)
+
+CREATE TABLE IF NOT EXISTS championships (
+  id TEXT PRIMARY KEY,
+  key TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  icon TEXT,
+  sort_order INTEGER DEFAULT 0,
+  feeds_hyenes BOOLEAN DEFAULT FALSE,
+  active BOOLEAN DEFAULT TRUE,
+  parent_key TEXT,
+  division INTEGER,
+  type TEXT DEFAULT 'league',
+  qualification JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Compétitions historiques
+INSERT INTO championships (id, key, name, icon, sort_order, feeds_hyenes) VALUES
+  ('hyenes', 'ligue_hyenes', 'Ligue des Hyènes', '🏆', 0, FALSE),
+  ('france', 'france', 'France', '🇫🇷', 1, TRUE),
+  ('spain', 'espagne', 'Espagne', '🇪🇸', 2, TRUE),
+  ('italy', 'italie', 'Italie', '🇮🇹', 3, TRUE),
+  ('england', 'angleterre', 'Angleterre', '🏴󠁧󠁢󠁥󠁮󠁧󠁿', 4, TRUE)
+ON CONFLICT (id) DO NOTHING;
+
+-- ============================================
+-- TABLE 9: matchdays (révision de chaque journée)
+-- ============================================
+-- revision : incrémentée à chaque sauvegarde par save_matchday (concurrence optimiste)
+
+CREATE TABLE IF NOT EXISTS matchdays (
+  championship TEXT NOT NULL,
+  season INTEGER NOT NULL,
+  matchday INTEGER NOT NULL,
+  revision INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (championship, season, matchday)
+);
+
 -- ============================================
 -- ROW LEVEL SECURITY (RLS)
 -- ============================================
@@ -134,6 +202,8 @@ ALTER TABLE champions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE pantheon ENABLE ROW LEVEL SECURITY;
 ALTER TABLE penalties ENABLE ROW LEVEL SECURITY;
 ALTER TABLE app_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE championships ENABLE ROW LEVEL SECURITY;
+ALTER TABLE matchdays ENABLE ROW LEVEL SECURITY;
 
 -- ============================================
 -- POLITIQUES: LECTURE PUBLIQUE
@@ -160,6 +230,12 @@ CREATE POLICY "Lecture publique penalties" ON penalties
 CREATE POLICY "Lecture publique app_settings" ON app_settings
   FOR SELECT USING (true);
 
+CREATE POLICY "Lecture publique championships" ON championships
+  FOR SELECT USING (true);
+
+CREATE POLICY "Lecture publique matchdays" ON matchdays
+  FOR SELECT USING (true);
+
 -- ============================================
 -- TABLE: Liste des administrateurs autorisés
 -- ============================================
@@ -252,12 +328,94 @@ CREATE POLICY "Admin update app_settings" ON app_settings
 CREATE POLICY "Admin delete app_settings" ON app_settings
   FOR DELETE USING (is_admin());
 
+-- championships
+CREATE POLICY "Admin insert championships" ON championships
+  FOR INSERT WITH CHECK (is_admin());
+CREATE POLICY "Admin update championships" ON championships
+  FOR UPDATE USING (is_admin());
+CREATE POLICY "Admin delete championships" ON championships
+  FOR DELETE USING (is_admin());
+
+-- matchdays
+CREATE POLICY "Admin insert matchdays" ON matchdays
+  FOR INSERT WITH CHECK (is_admin());
+CREATE POLICY "Admin update matchdays" ON matchdays
+  FOR UPDATE USING (is_admin());
+
 -- admin_users (seul un admin peut modifier la liste)
 CREATE POLICY "Admin insert admin_users" ON admin_users
   FOR INSERT WITH CHECK (is_admin() OR NOT EXISTS (SELECT 1 FROM admin_users));
 CREATE POLICY "Admin delete admin_users" ON admin_users
   FOR DELETE USING (is_admin());
 
+-- ============================================
+-- FONCTION: sauvegarde atomique d'une journée
+-- ============================================
+-- Remplace les matchs d'une journée dans une seule transaction.
+-- p_expected_revision : révision lue par le client (NULL = écrasement forcé, import).
+-- Si la révision en base a changé, rien n'est écrit et la version en base est renvoyée :
+--   { "conflict": true, "revision": N, "games": [...] }
+-- Sinon : { "conflict": false, "revision": N + 1 }
+-- SECURITY INVOKER : les politiques admin des tables s'appliquent.
+
+CREATE OR REPLACE FUNCTION save_matchday(
+  p_championship TEXT,
+  p_season INTEGER,
+  p_matchday INTEGER,
+  p_games JSONB,
+  p_expected_revision INTEGER DEFAULT NULL
+) RETURNS JSONB AS $$
+DECLARE
+  current_revision INTEGER;
+BEGIN
+  INSERT INTO matchdays (championship, season, matchday)
+  VALUES (p_championship, p_season, p_matchday)
+  ON CONFLICT (championship, season, matchday) DO NOTHING;
+
+  SELECT revision INTO current_revision FROM matchdays
+  WHERE championship = p_championship AND season = p_season AND matchday = p_matchday
+  FOR UPDATE;
+
+  IF p_expected_revision IS NOT NULL AND p_expected_revision <> current_revision THEN
+    RETURN jsonb_build_object(
+      'conflict', TRUE,
+      'revision', current_revision,
+      'games', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'id', id, 'homeTeam', home_team, 'awayTeam', away_team,
+          'homeScore', home_score, 'awayScore', away_score, 'status', status,
+          'playedAt', played_at, 'note', note, 'videoUrl', video_url, 'events', events,
+          'homeClub', home_club, 'awayClub', away_club
+        ) ORDER BY game_order, id)
+        FROM matches
+        WHERE championship = p_championship AND season = p_season AND matchday = p_matchday
+      ), '[]'::jsonb)
+    );
+  END IF;
+
+  DELETE FROM matches
+  WHERE championship = p_championship AND season = p_season AND matchday = p_matchday;
+
+  INSERT INTO matches (championship, season, matchday, home_team, away_team, home_score, away_score, status,
+    played_at, note, video_url, events, home_club, away_club, game_order)
+  SELECT p_championship, p_season, p_matchday,
+    game->>'homeTeam', game->>'awayTeam',
+    (game->>'homeScore')::INTEGER, (game->>'awayScore')::INTEGER,
+    game->>'status', (game->>'playedAt')::TIMESTAMPTZ, game->>'note', game->>'videoUrl',
+    NULLIF(game->'events', 'null'::jsonb), game->>'homeClub', game->>'awayClub',
+    (ordinality - 1)::INTEGER
+  FROM jsonb_array_elements(p_games) WITH ORDINALITY AS g(game, ordinality)
+  WHERE COALESCE(game->>'homeTeam', '') <> '' AND COALESCE(game->>'awayTeam', '') <> '';
+
+  UPDATE matchdays SET revision = current_revision + 1, updated_at = NOW()
+  WHERE championship = p_championship AND season = p_season AND matchday = p_matchday;
+
+  RETURN jsonb_build_object('conflict', FALSE, 'revision', current_revision + 1);
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION save_matchday(TEXT, INTEGER, INTEGER, JSONB, INTEGER) TO authenticated;
+
 -- ============================================
 -- TRIGGERS: Mise à jour automatique updated_at
 -- ============================================
@@ -313,12 +471,168 @@ ON CONFLICT (email) DO NOTHING;
 -- Si vous mettez à jour une base existante, exécutez :
 --   ALTER TABLE matches ADD COLUMN IF NOT EXISTS game_order INTEGER DEFAULT 0;
 
+-- ============================================
+-- MIGRATION: chaîne de départage par saison
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE seasons ADD COLUMN IF NOT EXISTS tiebreakers JSONB;
+-- Valeur NULL = chaîne par défaut (différence de buts, puis buts marqués)
+-- Tableau vide [] = aucun critère (ordre de saisie conservé)
+
+-- ============================================
+-- MIGRATION: rangs des ex-aequo par saison
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE seasons ADD COLUMN IF NOT EXISTS rank_mode TEXT DEFAULT 'standard';
+--   INSERT INTO seasons (championship, season_number, rank_mode) VALUES ('france', 6, 'duo')
+--   ON CONFLICT (championship, season_number) DO UPDATE SET rank_mode = EXCLUDED.rank_mode;
+-- 'standard' (1, 2, 3…), 'shared' (1, 1, 3…) ou 'duo' (binômes : 1, 1, 2…)
+
+-- ============================================
+-- MIGRATION: barème de points par saison
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE seasons ADD COLUMN IF NOT EXISTS points_system JSONB;
+-- Format : {"win": 3, "draw": 1, "loss": 0,
+--           "attackBonus": {"minGoals": 4, "points": 1} | null,
+--           "defenseBonus": {"maxMargin": 1, "points": 1} | null}
+-- Valeur NULL = barème historique 3/1/0 sans bonus
+
+-- ============================================
+-- MIGRATION: format de saison
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE seasons ADD COLUMN IF NOT EXISTS format JSONB;
+--   INSERT INTO seasons (championship, season_number, format)
+--   VALUES ('france', 6, '{"matchdays": 10, "gamesPerMatchday": 5, "managers": []}')
+--   ON CONFLICT (championship, season_number) DO UPDATE SET format = EXCLUDED.format;
+-- Format : {"matchdays": 18, "gamesPerMatchday": 5, "managers": ["Nom", ...]}
+-- Valeur NULL = 18 journées, tous les managers
+-- gamesPerMatchday absent = 5 ; laissé vide à l'édition, il est déduit de l'effectif
+-- (managers moins l'exempt, divisé par 2) puis enregistré
+-- exemptRotation : ["Nom" | null, ...] exempt de chaque journée d'un calendrier généré
+-- (absent ou NULL = exempt de saison, colonne exempt_team)
+-- La Ligue des Hyènes n'a pas de format propre (somme des journées des 4 championnats)
+
+-- ============================================
+-- MIGRATION: corrections manuelles des titres
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE champions ADD COLUMN IF NOT EXISTS override JSONB;
+--   ALTER TABLE champions ALTER COLUMN champion_name DROP NOT NULL;
+--   INSERT INTO champions (championship, season, champion_name, override)
+--   VALUES ('france', 6, 'BimBam / Warnaque',
+--           '{"champions": ["BimBam", "Warnaque"], "runnerUps": null, "reason": "Titre partagé (binôme)"}')
+--   ON CONFLICT (championship, season) DO UPDATE SET override = EXCLUDED.override;
+-- Format : {"champions": ["Nom", ...], "runnerUps": ["Nom", ...] | null, "reason": "..."}
+-- champions vide = titre retiré (champion_name NULL) ; runnerUps NULL = dauphin calculé depuis le classement
+
+-- ============================================
+-- MIGRATION: agrégation de la Ligue des Hyènes
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE seasons ADD COLUMN IF NOT EXISTS aggregation JSONB;
+-- Renseignée uniquement sur les lignes championship = 'ligue_hyenes'
+-- Format : {"basis": "points" | "position",
+--           "coefficients": {"france": 1, "espagne": 1, "italie": 1, "angleterre": 1},
+--           "bestN": 3 | null,
+--           "positionPoints": [25, 18, 15, 12, 10, 8, 6, 4, 2, 1]}
+-- Valeur NULL = somme simple des points des 4 championnats
+
+-- ============================================
+-- MIGRATION: compétitions gérées en base
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez le bloc
+-- "TABLE 8: championships" (création + compétitions historiques),
+-- puis les lignes RLS et politiques "championships" ci-dessus.
+-- Table vide ou absente = les 5 compétitions historiques
+
+-- ============================================
+-- MIGRATION: divisions, montées et descentes
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE championships ADD COLUMN IF NOT EXISTS parent_key TEXT;
+--   ALTER TABLE championships ADD COLUMN IF NOT EXISTS division INTEGER;
+--   ALTER TABLE seasons ADD COLUMN IF NOT EXISTS zones JSONB;
+-- Une division est une compétition rattachée à son championnat :
+--   INSERT INTO championships (id, key, name, icon, sort_order, parent_key, division)
+--   VALUES ('france_d2', 'france_d2', 'France D2', '🇫🇷', 5, 'france', 2);
+-- Zones (par saison) : {"promotion": 2, "relegation": 2}
+-- Valeur NULL = ni montée ni descente
+
+-- ============================================
+-- MIGRATION: coupes à élimination directe
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE championships ADD COLUMN IF NOT EXISTS type TEXT DEFAULT 'league';
+--   ALTER TABLE seasons ADD COLUMN IF NOT EXISTS bracket JSONB;
+-- Tableau (lignes des coupes uniquement) :
+--   {"rounds": [{"legs": 1 | 2,
+--                "ties": [{"home": "Nom", "away": "Nom" | null,
+--                          "legs": [{"home": 2, "away": 1}],
+--                          "extraTime": {"home": 1, "away": 0} | null,
+--                          "penalties": {"home": 4, "away": 3} | null}]}]}
+-- Scores de chaque manche côté home / away ; away NULL au premier tour = exempt
+-- Le vainqueur de la finale entre au palmarès (table champions) et au Panthéon
+
+-- ============================================
+-- MIGRATION: play-offs et Trophée des Champions
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE championships ADD COLUMN IF NOT EXISTS qualification JSONB;
+--   INSERT INTO championships (id, key, name, icon, sort_order, type, qualification) VALUES
+--     ('playoffs', 'playoffs', 'Play-offs', '🔥', 5, 'cup',
+--      '{"source": "standings", "championship": "ligue_hyenes", "top": 4}'),
+--     ('trophee_des_champions', 'trophee_des_champions', 'Trophée des Champions', '🛡️', 6, 'cup',
+--      '{"source": "champions", "championships": ["france", "espagne", "italie", "angleterre"]}');
+-- La saison N de la coupe qualifie d'après la saison N terminée des championnats sources
+-- Valeur NULL = engagés choisis au tirage
+
+-- ============================================
+-- MIGRATION: statut des matchs
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE matches ADD COLUMN IF NOT EXISTS status TEXT;
+-- Forfait : le score sur tapis vert est stocké dans home_score / away_score
+-- Reporté / annulé : scores NULL ; un match annulé sort du total attendu de la journée
+
+-- ============================================
+-- MIGRATION: sauvegarde atomique des journées
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez la section "TABLE 9: matchdays",
+-- ses politiques (lecture publique, écriture admin) et la fonction save_matchday ci-dessus.
+-- Les journées existantes démarrent à la révision 0 à leur première sauvegarde.
+
+-- ============================================
+-- MIGRATION: date, note et replay des matchs
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE matches ADD COLUMN IF NOT EXISTS played_at TIMESTAMPTZ;
+--   ALTER TABLE matches ADD COLUMN IF NOT EXISTS note TEXT;
+--   ALTER TABLE matches ADD COLUMN IF NOT EXISTS video_url TEXT;
+-- puis ré-exécutez la fonction save_matchday ci-dessus (elle écrit et renvoie ces colonnes).
+
+-- ============================================
+-- MIGRATION: buteurs des matchs
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE matches ADD COLUMN IF NOT EXISTS events JSONB;
+-- puis ré-exécutez la fonction save_matchday ci-dessus (elle écrit et renvoie cette colonne).
+
+-- ============================================
+-- MIGRATION: clubs des matchs
+-- ============================================
+-- Si vous mettez à jour une base existante, exécutez :
+--   ALTER TABLE matches ADD COLUMN IF NOT EXISTS home_club TEXT;
+--   ALTER TABLE matches ADD COLUMN IF NOT EXISTS away_club TEXT;
+-- puis ré-exécutez la fonction save_matchday ci-dessus (elle écrit et renvoie ces colonnes).
+
 -- ============================================
 -- FIN DU SCRIPT
 -- ============================================
 --
 -- Après exécution, vous devriez avoir:
--- - 8 tables créées (7 données + 1 admin_users)
+-- - 10 tables créées (9 données + 1 admin_users)
 -- - RLS activé sur toutes les tables
 -- - Lecture publique pour tous
 -- - Écriture réservée aux admins (table admin_users)